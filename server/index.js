@@ -1,4 +1,5 @@
 import { createApp } from './app.js';
+import { createSyncSchedulerFromEnv } from './scheduler.js';
 
 const PORT = Number.parseInt(process.env.PORT ?? '3000', 10);
 const HOST = process.env.HOST ?? '0.0.0.0';
@@ -6,10 +7,12 @@ const HOST = process.env.HOST ?? '0.0.0.0';
 async function start() {
   try {
     const { app } = await createApp();
+    const syncScheduler = createSyncSchedulerFromEnv();
 
     app.listen(PORT, HOST, () => {
       const displayHost = HOST === '0.0.0.0' ? 'localhost' : HOST;
       console.log(`[server] DefFinance disponível em http://${displayHost}:${PORT}`);
+      syncScheduler?.start();
     });
   } catch (error) {
     console.error('[server] Falha ao iniciar', error);
@@ -0,0 +1,256 @@
+const FIELD_RANGES = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'dia', min: 1, max: 31 },
+  { name: 'mês', min: 1, max: 12 },
+  { name: 'dia da semana', min: 0, max: 7 }
+];
+
+const parseField = (expression, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Agendamento inválido no campo ${name}: "${part}"`);
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText ? Number.parseInt(stepText, 10) : 1;
+    let [start, end] = range === '*' ? [min, max] : range.split('-').map((value) => Number.parseInt(value, 10));
+    if (end === undefined) {
+      end = stepText ? max : start;
+    }
+
+    if (step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Agendamento inválido no campo ${name}: "${part}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+// Expressao no formato do cron (minuto hora dia mes dia-da-semana), com
+// suporte a "*", listas, intervalos e passos: "0 */2 * * 1-5".
+export function parseSchedule(expression) {
+  const fields = String(expression ?? '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Agendamento inválido: "${expression}" (esperado "minuto hora dia mês dia-da-semana")`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELD_RANGES[index]));
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    expression: fields.join(' '),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+export function matchesSchedule(schedule, date) {
+  if (!schedule.minutes.has(date.getMinutes()) || !schedule.hours.has(date.getHours())) {
+    return false;
+  }
+  if (!schedule.months.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  // Como no cron: com dia do mes e dia da semana restritos, basta um deles casar.
+  const dayMatches = schedule.days.has(date.getDate());
+  const weekdayMatches = schedule.weekdays.has(date.getDay());
+  if (schedule.anyDay || schedule.anyWeekday) {
+    return dayMatches && weekdayMatches;
+  }
+  return dayMatches || weekdayMatches;
+}
+
+const MAX_MINUTES_AHEAD = 366 * 24 * 60;
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+export function nextRun(schedule, from = new Date()) {
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_MINUTES_AHEAD; i += 1) {
+    if (matchesSchedule(schedule, candidate)) {
+      return candidate;
+    }
+    candidate.setMinutes(candidate.getMinutes() + 1);
+  }
+
+  throw new Error(`Agendamento "${schedule.expression}" não ocorre no próximo ano.`);
+}
+
+// Executa `task` nos horarios do agendamento. Uma execucao que ainda nao
+// terminou impede a seguinte (lock), que e registrada como ignorada.
+export function createScheduler({
+  schedule,
+  task,
+  name = 'tarefa',
+  logger = console,
+  now = () => new Date(),
+  setTimer = setTimeout,
+  clearTimer = clearTimeout
+}) {
+  const parsed = typeof schedule === 'string' ? parseSchedule(schedule) : schedule;
+  let timer = null;
+  let running = null;
+  let stopped = true;
+
+  const run = async () => {
+    if (running) {
+      logger.warn(`[scheduler] ${name}: execução anterior ainda em andamento, horário ignorado.`);
+      return { skipped: true };
+    }
+
+    const startedAt = now();
+    logger.log(`[scheduler] ${name}: iniciando execução.`);
+
+    running = (async () => {
+      try {
+        const result = await task();
+        logger.log(`[scheduler] ${name}: concluída em ${now() - startedAt} ms.`, result ?? '');
+        return { ok: true, result };
+      } catch (error) {
+        logger.error(`[scheduler] ${name}: falhou em ${now() - startedAt} ms.`, error);
+        return { ok: false, error };
+      } finally {
+        running = null;
+      }
+    })();
+
+    return running;
+  };
+
+  const scheduleNext = () => {
+    if (stopped) return;
+
+    // Expressoes validas que nunca ocorrem ("0 0 30 2 *") desativam a tarefa
+    // em vez de derrubar o servidor.
+    let proxima;
+    try {
+      proxima = nextRun(parsed, now());
+    } catch (error) {
+      stopped = true;
+      logger.error(`[scheduler] ${name}: desativada. ${error.message}`);
+      return;
+    }
+    const delay = Math.max(0, proxima - now());
+
+    // setTimeout nao aceita atrasos acima de ~24 dias; reagenda sem executar.
+    if (delay > MAX_TIMER_DELAY) {
+      timer = setTimer(() => {
+        timer = null;
+        scheduleNext();
+      }, MAX_TIMER_DELAY);
+      return;
+    }
+
+    timer = setTimer(async () => {
+      timer = null;
+      scheduleNext();
+      await run();
+    }, delay);
+  };
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      scheduleNext();
+      if (!stopped) {
+        logger.log(`[scheduler] ${name}: agendada para "${parsed.expression}".`);
+      }
+    },
+    stop() {
+      stopped = true;
+      if (timer !== null) {
+        clearTimer(timer);
+        timer = null;
+      }
+    },
+    runNow: run,
+    isRunning: () => running !== null
+  };
+}
+
+// Chama a Edge Function de importacao com a service role, como o botao
+// Integracao faria, marcando a execucao como `agendado` em `import_runs`.
+export function createSheetSyncTask({ supabaseUrl, serviceRoleKey, fontes = ['recebimentos'], fetchImpl = fetch }) {
+  const endpoint = `${supabaseUrl.replace(/\/$/, '')}/functions/v1/import-google-sheets`;
+
+  return async () => {
+    const resultados = [];
+
+    for (const fonte of fontes) {
+      const response = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${serviceRoleKey}`,
+          apikey: serviceRoleKey,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ fonte, origem: 'agendado' })
+      });
+
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok || !payload.success) {
+        throw new Error(`Importação de ${fonte} falhou (${response.status}): ${payload.message ?? response.statusText}`);
+      }
+      resultados.push(payload.message);
+    }
+
+    return resultados.join(' ');
+  };
+}
+
+export function createSyncSchedulerFromEnv(env = process.env, logger = console) {
+  const expression = env.SYNC_SCHEDULE?.trim();
+  if (!expression) {
+    return null;
+  }
+
+  const supabaseUrl = env.SUPABASE_URL ?? env.VITE_SUPABASE_URL;
+  const serviceRoleKey = env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !serviceRoleKey) {
+    logger.warn(
+      '[scheduler] Sincronização automática desativada: SYNC_SCHEDULE exige SUPABASE_URL (ou VITE_SUPABASE_URL) e SUPABASE_SERVICE_ROLE_KEY.'
+    );
+    return null;
+  }
+
+  const fontes = (env.SYNC_FONTES ?? 'recebimentos')
+    .split(',')
+    .map((fonte) => fonte.trim())
+    .filter(Boolean);
+
+  // Um SYNC_SCHEDULE invalido tambem desliga so a sincronizacao; o servidor sobe.
+  let schedule;
+  try {
+    schedule = parseSchedule(expression);
+    nextRun(schedule);
+  } catch (error) {
+    logger.error(`[scheduler] Sincronização automática desativada: ${error.message}`);
+    return null;
+  }
+
+  return createScheduler({
+    schedule,
+    name: `sincronização (${fontes.join(', ')})`,
+    task: createSheetSyncTask({ supabaseUrl, serviceRoleKey, fontes }),
+    logger
+  });
+}
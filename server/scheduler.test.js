@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createScheduler, createSheetSyncTask, createSyncSchedulerFromEnv, matchesSchedule, nextRun, parseSchedule } from './scheduler.js';
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+test('parseSchedule aceita listas, intervalos e passos', () => {
+  const schedule = parseSchedule('0,30 8-18/2 * * 1-5');
+
+  assert.deepEqual([...schedule.minutes], [0, 30]);
+  assert.deepEqual([...schedule.hours], [8, 10, 12, 14, 16, 18]);
+  assert.equal(matchesSchedule(schedule, new Date(2026, 9, 19, 10, 30)), true);
+  assert.equal(matchesSchedule(schedule, new Date(2026, 9, 18, 10, 30)), false);
+});
+
+test('parseSchedule rejeita expressões inválidas', () => {
+  assert.throws(() => parseSchedule('* * *'), /Agendamento inválido/);
+  assert.throws(() => parseSchedule('61 * * * *'), /minuto/);
+  assert.throws(() => parseSchedule('*/0 * * * *'), /minuto/);
+});
+
+test('nextRun encontra o próximo horário a partir do minuto seguinte', () => {
+  const schedule = parseSchedule('15 */6 * * *');
+
+  assert.deepEqual(nextRun(schedule, new Date(2026, 9, 18, 6, 15, 20)), new Date(2026, 9, 18, 12, 15));
+  assert.deepEqual(nextRun(schedule, new Date(2026, 9, 18, 23, 0)), new Date(2026, 9, 19, 0, 15));
+});
+
+test('createScheduler não sobrepõe execuções', async () => {
+  let release;
+  let calls = 0;
+  const scheduler = createScheduler({
+    schedule: '* * * * *',
+    logger: silentLogger,
+    task: () => {
+      calls += 1;
+      return new Promise((resolve) => {
+        release = resolve;
+      });
+    }
+  });
+
+  const first = scheduler.runNow();
+  const second = await scheduler.runNow();
+
+  assert.deepEqual(second, { skipped: true });
+  assert.equal(scheduler.isRunning(), true);
+
+  release('ok');
+  assert.deepEqual(await first, { ok: true, result: 'ok' });
+  assert.equal(scheduler.isRunning(), false);
+  assert.equal(calls, 1);
+});
+
+test('createScheduler agenda o próximo horário e para com stop', () => {
+  const timers = [];
+  const scheduler = createScheduler({
+    schedule: '0 * * * *',
+    logger: silentLogger,
+    task: async () => {},
+    now: () => new Date(2026, 9, 18, 10, 59, 30),
+    setTimer: (callback, delay) => {
+      timers.push({ callback, delay, cleared: false });
+      return timers.length - 1;
+    },
+    clearTimer: (id) => {
+      timers[id].cleared = true;
+    }
+  });
+
+  scheduler.start();
+  assert.equal(timers.length, 1);
+  assert.equal(timers[0].delay, 30_000);
+
+  scheduler.stop();
+  assert.equal(timers[0].cleared, true);
+});
+
+test('createScheduler desativa agendamentos que nunca ocorrem sem lançar erro', () => {
+  const erros = [];
+  const timers = [];
+  const scheduler = createScheduler({
+    schedule: '0 0 30 2 *',
+    logger: { ...silentLogger, error: (message) => erros.push(message) },
+    task: async () => {},
+    now: () => new Date(2026, 9, 18, 10, 0, 0),
+    setTimer: (callback, delay) => timers.push({ callback, delay })
+  });
+
+  assert.doesNotThrow(() => scheduler.start());
+  assert.equal(timers.length, 0);
+  assert.match(erros[0], /desativada.*não ocorre no próximo ano/);
+});
+
+test('createSyncSchedulerFromEnv desliga a sincronização com SYNC_SCHEDULE inválido', () => {
+  const erros = [];
+  const logger = { ...silentLogger, error: (message) => erros.push(message) };
+  const env = { SUPABASE_URL: 'https://exemplo.supabase.co', SUPABASE_SERVICE_ROLE_KEY: 'chave' };
+
+  assert.equal(createSyncSchedulerFromEnv({ ...env, SYNC_SCHEDULE: '0 0 30 2 *' }, logger), null);
+  assert.equal(createSyncSchedulerFromEnv({ ...env, SYNC_SCHEDULE: '0 25 * * *' }, logger), null);
+  assert.equal(erros.length, 2);
+  assert.ok(createSyncSchedulerFromEnv({ ...env, SYNC_SCHEDULE: '0 */2 * * 1-5' }, logger));
+});
+
+test('createSyncSchedulerFromEnv desliga a sincronização sem as chaves do Supabase', () => {
+  const avisos = [];
+  const logger = { ...silentLogger, warn: (message) => avisos.push(message) };
+
+  assert.equal(createSyncSchedulerFromEnv({ SYNC_SCHEDULE: '0 * * * *' }, logger), null);
+  assert.equal(
+    createSyncSchedulerFromEnv({ SYNC_SCHEDULE: '0 * * * *', SUPABASE_URL: 'https://exemplo.supabase.co' }, logger),
+    null
+  );
+  assert.equal(avisos.length, 2);
+  assert.match(avisos[0], /SUPABASE_SERVICE_ROLE_KEY/);
+});
+
+test('createSheetSyncTask chama a função de importação com origem agendado', async () => {
+  const requests = [];
+  const task = createSheetSyncTask({
+    supabaseUrl: 'https://exemplo.supabase.co/',
+    serviceRoleKey: 'service-key',
+    fetchImpl: async (url, init) => {
+      requests.push({ url, init });
+      return { ok: true, status: 200, json: async () => ({ success: true, message: 'Importação concluída.' }) };
+    }
+  });
+
+  assert.equal(await task(), 'Importação concluída.');
+  assert.equal(requests[0].url, 'https://exemplo.supabase.co/functions/v1/import-google-sheets');
+  assert.equal(requests[0].init.headers.Authorization, 'Bearer service-key');
+  assert.deepEqual(JSON.parse(requests[0].init.body), { fonte: 'recebimentos', origem: 'agendado' });
+});
+
+test('createSheetSyncTask propaga a mensagem de erro da função', async () => {
+  const task = createSheetSyncTask({
+    supabaseUrl: 'https://exemplo.supabase.co',
+    serviceRoleKey: 'service-key',
+    fetchImpl: async () => ({ ok: false, status: 500, statusText: 'Error', json: async () => ({ success: false, message: 'Planilha indisponível' }) })
+  });
+
+  await assert.rejects(task, /Planilha indisponível/);
+});
@@ -17,6 +17,20 @@ import React from 'react';
     import DreGerencial from '@/pages/DreGerencial';
     import RelatorioContas from '@/pages/RelatorioContas';
     import RelatorioFechamento from '@/pages/RelatorioFechamento';
+    import Integracao from '@/pages/Integracao';
+    import MapeamentoColunas from '@/pages/MapeamentoColunas';
+    import ImportacoesHistorico from '@/pages/ImportacoesHistorico';
+    import ConciliacaoOfx from '@/pages/ConciliacaoOfx';
+    import RetornoCnab from '@/pages/RetornoCnab';
+    import Baixa from '@/pages/Baixa';
+    import Borderos from '@/pages/Borderos';
+    import BorderoDetalhe from '@/pages/BorderoDetalhe';
+    import ContasBancarias from '@/pages/ContasBancarias';
+    import Transferencias from '@/pages/Transferencias';
+    import ConciliacaoBancaria from '@/pages/ConciliacaoBancaria';
+    import Cheques from '@/pages/Cheques';
+    import VinculoCadastros from '@/pages/VinculoCadastros';
+    import DuplicidadeCadastros from '@/pages/DuplicidadeCadastros';
     
     const PrivateRoute = ({ children }) => {
       const { user, loading } = useAuth();
@@ -50,13 +64,28 @@ import React from 'react';
                 <Route path="/contas-pagar" element={<PrivateRoute><ContasPagar /></PrivateRoute>} />
                 <Route path="/fluxo-caixa" element={<PrivateRoute><FluxoCaixa /></PrivateRoute>} />
                 <Route path="/financeiro" element={<PrivateRoute><Financeiro /></PrivateRoute>} />
+                <Route path="/financeiro/baixa" element={<PrivateRoute><Baixa /></PrivateRoute>} />
+                <Route path="/financeiro/borderos" element={<PrivateRoute><Borderos /></PrivateRoute>} />
+                <Route path="/financeiro/borderos/:id" element={<PrivateRoute><BorderoDetalhe /></PrivateRoute>} />
+                <Route path="/financeiro/contas" element={<PrivateRoute><ContasBancarias /></PrivateRoute>} />
+                <Route path="/financeiro/transferencias" element={<PrivateRoute><Transferencias /></PrivateRoute>} />
+                <Route path="/financeiro/conciliacao" element={<PrivateRoute><ConciliacaoBancaria /></PrivateRoute>} />
+                <Route path="/financeiro/cheques" element={<PrivateRoute><Cheques /></PrivateRoute>} />
+                <Route path="/financeiro/importacoes" element={<PrivateRoute><ImportacoesHistorico /></PrivateRoute>} />
+                <Route path="/financeiro/ofx" element={<PrivateRoute><ConciliacaoOfx /></PrivateRoute>} />
+                <Route path="/financeiro/cnab" element={<PrivateRoute><RetornoCnab /></PrivateRoute>} />
                 <Route path="/lancamentos" element={<PrivateRoute><Lancamentos /></PrivateRoute>} />
                 <Route path="/relatorios" element={<PrivateRoute><Relatorios /></PrivateRoute>} />
                 <Route path="/cadastros" element={<PrivateRoute><Cadastros /></PrivateRoute>} />
+                <Route path="/cadastros/vinculos" element={<PrivateRoute><VinculoCadastros /></PrivateRoute>} />
+                <Route path="/cadastros/duplicados" element={<PrivateRoute><DuplicidadeCadastros /></PrivateRoute>} />
                 <Route path="/relatorios/fluxo-caixa-detalhado" element={<PrivateRoute><FluxoCaixaDetalhado /></PrivateRoute>} />
                 <Route path="/relatorios/dre-gerencial" element={<PrivateRoute><DreGerencial /></PrivateRoute>} />
                 <Route path="/relatorios/fechamento" element={<PrivateRoute><RelatorioFechamento /></PrivateRoute>} />
                 <Route path="/relatorios/contas" element={<PrivateRoute><RelatorioContas /></PrivateRoute>} />
+                <Route path="/integracao" element={<PrivateRoute><Integracao /></PrivateRoute>} />
+                <Route path="/integracao/arquivo" element={<PrivateRoute><Integracao modo="arquivo" /></PrivateRoute>} />
+                <Route path="/integracao/mapeamento" element={<PrivateRoute><MapeamentoColunas /></PrivateRoute>} />
               </Routes>
             </main>
             
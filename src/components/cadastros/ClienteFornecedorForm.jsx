@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from 'react';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import {
+  formatCep,
+  formatCpfCnpj,
+  formatTelefone,
+  somenteDigitos,
+  tipoChavePix,
+  validarCpfCnpj,
+} from '@/lib/documentos';
+import { buscarEnderecoPorCep, listarUfs } from '@/services/cepService';
+import { carregarClienteFornecedor, salvarClienteFornecedor } from '@/services/clienteFornecedorService';
+
+const cadastroVazio = (tipo) => ({
+  id: null,
+  tipo,
+  descricao: '',
+  cpf_cnpj: '',
+  inscricao_estadual: '',
+  email: '',
+  telefone: '',
+  celular: '',
+  chave_pix: '',
+  banco: '',
+  agencia: '',
+  conta: '',
+  cep: '',
+  logradouro: '',
+  numero: '',
+  complemento: '',
+  bairro: '',
+  cidade: '',
+  uf: '',
+});
+
+// Os campos com digitos aparecem formatados; o servico grava so os digitos.
+const cadastroEditavel = (registro) => ({
+  ...Object.fromEntries(Object.keys(cadastroVazio(registro.tipo)).map((campo) => [campo, registro[campo] ?? ''])),
+  id: registro.id,
+  cpf_cnpj: formatCpfCnpj(registro.cpf_cnpj),
+  telefone: formatTelefone(registro.telefone),
+  celular: formatTelefone(registro.celular),
+  cep: formatCep(registro.cep),
+});
+
+const ROTULO_PIX = { cpf: 'CPF', cnpj: 'CNPJ', email: 'E-mail', telefone: 'Telefone', aleatoria: 'Chave aleatória' };
+
+// Cadastro completo de um cliente ou fornecedor. Sem `registroId` inclui um
+// novo; com ele carrega e atualiza o existente.
+const ClienteFornecedorForm = ({ tipo, registroId = null, onSalvo, onCancelarEdicao }) => {
+  const { toast } = useToast();
+  const [cadastro, setCadastro] = useState(() => cadastroVazio(tipo));
+  const [ufs, setUfs] = useState([]);
+  const [avisoCep, setAvisoCep] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const fornecedor = tipo === 'Fornecedor';
+  const documentoInvalido = somenteDigitos(cadastro.cpf_cnpj).length > 0 && !validarCpfCnpj(cadastro.cpf_cnpj);
+  const tipoPix = tipoChavePix(cadastro.chave_pix);
+
+  useEffect(() => {
+    listarUfs()
+      .then(setUfs)
+      .catch((error) => toast({ title: 'Erro ao carregar UFs', description: error.message, variant: 'destructive' }));
+  }, [toast]);
+
+  useEffect(() => {
+    setAvisoCep('');
+    if (!registroId) {
+      setCadastro(cadastroVazio(tipo));
+      return;
+    }
+    carregarClienteFornecedor(registroId)
+      .then((registro) => setCadastro(cadastroEditavel(registro)))
+      .catch((error) => toast({ title: 'Erro ao carregar cadastro', description: error.message, variant: 'destructive' }));
+  }, [tipo, registroId, toast]);
+
+  const alterar = (campo) => (event) => setCadastro((atual) => ({ ...atual, [campo]: event.target.value }));
+  const formatarAoSair = (campo, formatar) => () => setCadastro((atual) => ({ ...atual, [campo]: formatar(atual[campo]) }));
+
+  const consultarCep = async () => {
+    const cep = somenteDigitos(cadastro.cep);
+    setAvisoCep('');
+    if (cep.length !== 8) return;
+    setCadastro((atual) => ({ ...atual, cep: formatCep(cep) }));
+    try {
+      const endereco = await buscarEnderecoPorCep(cep);
+      if (!endereco) {
+        setAvisoCep('CEP não encontrado na base local; preencha o endereço.');
+        return;
+      }
+      setCadastro((atual) => ({
+        ...atual,
+        logradouro: endereco.logradouro || atual.logradouro,
+        bairro: endereco.bairro || atual.bairro,
+        cidade: endereco.cidade || atual.cidade,
+        uf: endereco.uf || atual.uf,
+      }));
+    } catch (error) {
+      toast({ title: 'Erro ao consultar CEP', description: error.message, variant: 'destructive' });
+    }
+  };
+
+  const handleSalvar = async () => {
+    setLoading(true);
+    try {
+      const salvo = await salvarClienteFornecedor({ ...cadastro, tipo });
+      toast({ title: 'Sucesso!', description: registroId ? 'Cadastro atualizado.' : `${tipo} cadastrado com sucesso.` });
+      setCadastro(cadastroVazio(tipo));
+      setAvisoCep('');
+      onSalvo?.(salvo);
+    } catch (error) {
+      toast({ title: 'Erro ao salvar', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const campo = (id, rotulo, props = {}) => (
+    <div className="space-y-2">
+      <Label htmlFor={`cadastro-${id}`} className="text-gray-300">{rotulo}</Label>
+      <Input id={`cadastro-${id}`} value={cadastro[id]} onChange={alterar(id)} {...props} />
+    </div>
+  );
+
+  return (
+    <Card className="glass-card">
+      <CardHeader>
+        <CardTitle className="text-white">
+          {registroId ? `Editar ${tipo.toLowerCase()}` : `Cadastro de ${tipo}`}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-3">
+            {campo('descricao', fornecedor ? 'Nome do fornecedor' : 'Nome do cliente', {
+              placeholder: fornecedor ? 'Ex.: Distribuidora XPTO' : 'Ex.: Maria Souza',
+            })}
+          </div>
+          <div className="space-y-2">
+            {campo('cpf_cnpj', 'CPF/CNPJ', {
+              inputMode: 'numeric',
+              onBlur: formatarAoSair('cpf_cnpj', formatCpfCnpj),
+            })}
+            {documentoInvalido && <p className="text-xs text-red-400">CPF/CNPJ inválido.</p>}
+          </div>
+          {campo('inscricao_estadual', 'Inscrição estadual')}
+          {campo('email', 'E-mail', { type: 'email' })}
+          {campo('telefone', 'Telefone', { inputMode: 'tel', onBlur: formatarAoSair('telefone', formatTelefone) })}
+          {campo('celular', 'Celular', { inputMode: 'tel', onBlur: formatarAoSair('celular', formatTelefone) })}
+          <div className="space-y-2">
+            {campo('chave_pix', 'Chave PIX')}
+            {cadastro.chave_pix.trim() && (
+              <p className={`text-xs ${tipoPix ? 'text-gray-400' : 'text-red-400'}`}>
+                {tipoPix ? ROTULO_PIX[tipoPix] : 'Chave PIX inválida.'}
+              </p>
+            )}
+          </div>
+        </div>
+
+        {fornecedor && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {campo('banco', 'Banco', { placeholder: 'Ex.: 001' })}
+            {campo('agencia', 'Agência')}
+            {campo('conta', 'Conta')}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
+          <div className="space-y-2 md:col-span-2">
+            {campo('cep', 'CEP', { inputMode: 'numeric', placeholder: '00000-000', onBlur: consultarCep })}
+            {avisoCep && <p className="text-xs text-yellow-300">{avisoCep}</p>}
+          </div>
+          <div className="md:col-span-4">{campo('logradouro', 'Logradouro')}</div>
+          <div className="md:col-span-1">{campo('numero', 'Número')}</div>
+          <div className="md:col-span-2">{campo('complemento', 'Complemento')}</div>
+          <div className="md:col-span-3">{campo('bairro', 'Bairro')}</div>
+          <div className="md:col-span-4">{campo('cidade', 'Cidade')}</div>
+          <div className="space-y-2 md:col-span-2">
+            <Label className="text-gray-300">UF</Label>
+            <Select value={cadastro.uf} onValueChange={(uf) => setCadastro((atual) => ({ ...atual, uf }))}>
+              <SelectTrigger>
+                <SelectValue placeholder="Selecione" />
+              </SelectTrigger>
+              <SelectContent>
+                {ufs.map((uf) => (
+                  <SelectItem key={uf.sigla} value={uf.sigla}>{uf.sigla} - {uf.nome}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-4 pt-4">
+          {registroId ? (
+            <Button variant="outline" onClick={onCancelarEdicao} disabled={loading}>
+              Cancelar edição
+            </Button>
+          ) : (
+            <Button variant="outline" onClick={() => { setCadastro(cadastroVazio(tipo)); setAvisoCep(''); }} disabled={loading}>
+              Limpar
+            </Button>
+          )}
+          <Button onClick={handleSalvar} disabled={loading}>
+            {loading ? 'Salvando...' : `Salvar ${tipo}`}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ClienteFornecedorForm;
@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from 'react';
+import { Check, ChevronLeft, ChevronRight, Contact, Pencil, Search, Trash2, X } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { useToast } from '@/components/ui/use-toast';
+import { formatCpfCnpj } from '@/lib/documentos';
+import {
+  definirClienteFornecedorAtivo,
+  excluirClienteFornecedor,
+  listarClientesFornecedores,
+  renomearClienteFornecedor,
+} from '@/services/clienteFornecedorService';
+
+const POR_PAGINA = 20;
+
+// Lista paginada de clientes ou fornecedores com busca, edicao do nome na
+// propria linha, inativacao e exclusao dos cadastros sem lancamentos.
+// `versao` muda quando a tela inclui um cadastro novo; `onEditarCadastro`
+// abre o cadastro completo no formulario.
+const ClientesFornecedoresGrid = ({ tipo, versao = 0, onEditarCadastro }) => {
+  const { toast } = useToast();
+  const [busca, setBusca] = useState('');
+  const [incluirInativos, setIncluirInativos] = useState(false);
+  const [pagina, setPagina] = useState(1);
+  const [registros, setRegistros] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [edicao, setEdicao] = useState(null);
+  const [salvando, setSalvando] = useState(false);
+  const [confirmandoExclusao, setConfirmandoExclusao] = useState(null);
+
+  const carregar = async () => {
+    setLoading(true);
+    try {
+      const resultado = await listarClientesFornecedores({ tipo, busca, incluirInativos, pagina, porPagina: POR_PAGINA });
+      setRegistros(resultado.registros);
+      setTotal(resultado.total);
+    } catch (error) {
+      toast({ title: 'Erro ao carregar cadastro', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setPagina(1);
+    setEdicao(null);
+  }, [tipo, busca, incluirInativos]);
+
+  // A busca espera a digitacao parar antes de consultar.
+  useEffect(() => {
+    const timer = setTimeout(carregar, 300);
+    return () => clearTimeout(timer);
+  }, [tipo, busca, incluirInativos, pagina, versao]);
+
+  const executar = async (acao, sucesso) => {
+    setSalvando(true);
+    try {
+      await acao();
+      if (sucesso) toast({ title: 'Sucesso!', description: sucesso });
+      setEdicao(null);
+      setConfirmandoExclusao(null);
+      await carregar();
+    } catch (error) {
+      toast({ title: 'Erro ao salvar', description: error.message, variant: 'destructive' });
+    } finally {
+      setSalvando(false);
+    }
+  };
+
+  const salvarEdicao = (registro) => {
+    const descricao = edicao.descricao.trim();
+    if (!descricao || descricao === registro.descricao) {
+      setEdicao(null);
+      return;
+    }
+    executar(
+      () => renomearClienteFornecedor(registro, descricao),
+      Number(registro.lancamentos) > 0
+        ? `Nome atualizado também em ${registro.lancamentos} lançamento(s).`
+        : 'Nome atualizado.',
+    );
+  };
+
+  const totalPaginas = Math.max(1, Math.ceil(total / POR_PAGINA));
+  const plural = tipo === 'Cliente' ? 'Clientes' : 'Fornecedores';
+
+  return (
+    <Card className="glass-card">
+      <CardHeader>
+        <CardTitle className="text-white">{plural} cadastrados</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-col gap-3 md:flex-row md:items-center">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+            <Input
+              value={busca}
+              onChange={(event) => setBusca(event.target.value)}
+              placeholder={`Buscar ${plural.toLowerCase()} por nome ou CPF/CNPJ...`}
+              className="pl-9 bg-white/10 border-white/20 text-white"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={incluirInativos}
+              onChange={(event) => setIncluirInativos(event.target.checked)}
+            />
+            Mostrar inativos
+          </label>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left text-gray-300">
+            <thead className="text-xs text-gray-400 uppercase bg-white/5">
+              <tr>
+                <th className="px-4 py-2">Nome</th>
+                <th className="px-4 py-2">CPF/CNPJ</th>
+                <th className="px-4 py-2">Cidade</th>
+                <th className="px-4 py-2 text-right">Lançamentos</th>
+                <th className="px-4 py-2">Situação</th>
+                <th className="px-4 py-2 text-right">Ações</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading && registros.length === 0 ? (
+                <tr><td colSpan="6" className="px-4 py-6 text-center text-gray-400">Carregando...</td></tr>
+              ) : registros.length === 0 ? (
+                <tr><td colSpan="6" className="px-4 py-6 text-center text-gray-400">Nenhum cadastro encontrado.</td></tr>
+              ) : registros.map((registro) => {
+                const editando = edicao?.id === registro.id;
+                return (
+                  <tr key={registro.id} className={`border-b border-gray-700 ${registro.ativo ? '' : 'opacity-60'}`}>
+                    <td className="px-4 py-2 text-white">
+                      {editando ? (
+                        <Input
+                          autoFocus
+                          value={edicao.descricao}
+                          onChange={(event) => setEdicao({ ...edicao, descricao: event.target.value })}
+                          onKeyDown={(event) => {
+                            if (event.key === 'Enter') salvarEdicao(registro);
+                            if (event.key === 'Escape') setEdicao(null);
+                          }}
+                          className="h-8 bg-white/10 border-white/20 text-white"
+                        />
+                      ) : registro.descricao}
+                    </td>
+                    <td className="px-4 py-2 font-mono">{registro.cpf_cnpj ? formatCpfCnpj(registro.cpf_cnpj) : '-'}</td>
+                    <td className="px-4 py-2">{[registro.cidade, registro.uf].filter(Boolean).join('/') || '-'}</td>
+                    <td className="px-4 py-2 text-right font-mono">{registro.lancamentos}</td>
+                    <td className="px-4 py-2">
+                      <span className={registro.ativo ? 'text-green-400' : 'text-gray-400'}>
+                        {registro.ativo ? 'Ativo' : 'Inativo'}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2">
+                      <div className="flex justify-end gap-2">
+                        {editando ? (
+                          <>
+                            <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => salvarEdicao(registro)} disabled={salvando}>
+                              <Check className="h-4 w-4" />
+                              <span className="sr-only">Salvar</span>
+                            </Button>
+                            <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => setEdicao(null)} disabled={salvando}>
+                              <X className="h-4 w-4" />
+                              <span className="sr-only">Cancelar edição</span>
+                            </Button>
+                          </>
+                        ) : (
+                          <Button
+                            size="icon"
+                            variant="ghost"
+                            className="h-8 w-8"
+                            onClick={() => setEdicao({ id: registro.id, descricao: registro.descricao })}
+                            disabled={salvando}
+                          >
+                            <Pencil className="h-4 w-4" />
+                            <span className="sr-only">Editar nome</span>
+                          </Button>
+                        )}
+                        {onEditarCadastro && (
+                          <Button
+                            size="icon"
+                            variant="ghost"
+                            className="h-8 w-8"
+                            onClick={() => onEditarCadastro(registro)}
+                            disabled={salvando}
+                            title="Dados cadastrais"
+                          >
+                            <Contact className="h-4 w-4" />
+                            <span className="sr-only">Dados cadastrais</span>
+                          </Button>
+                        )}
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => executar(
+                            () => definirClienteFornecedorAtivo(registro, !registro.ativo),
+                            registro.ativo ? `${registro.descricao} inativado.` : `${registro.descricao} reativado.`,
+                          )}
+                          disabled={salvando}
+                        >
+                          {registro.ativo ? 'Inativar' : 'Reativar'}
+                        </Button>
+                        {Number(registro.lancamentos) === 0 && (confirmandoExclusao === registro.id ? (
+                          <>
+                            <Button size="sm" variant="outline" onClick={() => setConfirmandoExclusao(null)} disabled={salvando}>
+                              Cancelar
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="destructive"
+                              onClick={() => executar(() => excluirClienteFornecedor(registro), `${registro.descricao} excluído.`)}
+                              disabled={salvando}
+                            >
+                              Confirmar exclusão
+                            </Button>
+                          </>
+                        ) : (
+                          <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => setConfirmandoExclusao(registro.id)} disabled={salvando}>
+                            <Trash2 className="h-4 w-4 text-red-400" />
+                            <span className="sr-only">Excluir</span>
+                          </Button>
+                        ))}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex items-center justify-between text-sm text-gray-400">
+          <span>{total} cadastro(s)</span>
+          <div className="flex items-center gap-2">
+            <Button size="icon" variant="outline" className="h-8 w-8" onClick={() => setPagina((atual) => atual - 1)} disabled={pagina <= 1 || loading}>
+              <ChevronLeft className="h-4 w-4" />
+              <span className="sr-only">Página anterior</span>
+            </Button>
+            <span>Página {pagina} de {totalPaginas}</span>
+            <Button size="icon" variant="outline" className="h-8 w-8" onClick={() => setPagina((atual) => atual + 1)} disabled={pagina >= totalPaginas || loading}>
+              <ChevronRight className="h-4 w-4" />
+              <span className="sr-only">Próxima página</span>
+            </Button>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ClientesFornecedoresGrid;
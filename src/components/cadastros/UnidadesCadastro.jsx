@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import { Pencil } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useToast } from '@/components/ui/use-toast';
+import { formatCpfCnpj, somenteDigitos, validarCnpj } from '@/lib/documentos';
+import { definirUnidadeAtiva, listarUnidades, salvarUnidade } from '@/services/unidadeService';
+
+const unidadeVazia = { id: null, descricao: '', cnpj: '' };
+
+// Cadastro das unidades (escolas): e a unica fonte das listas de unidade dos
+// formularios e filtros. Inativar tira a unidade dos formularios sem apagar o
+// historico dos relatorios.
+const UnidadesCadastro = () => {
+  const { toast } = useToast();
+  const [unidades, setUnidades] = useState([]);
+  const [unidade, setUnidade] = useState(unidadeVazia);
+  const [salvando, setSalvando] = useState(false);
+
+  const carregar = async () => {
+    try {
+      setUnidades(await listarUnidades({ apenasAtivas: false }));
+    } catch (error) {
+      toast({ title: 'Erro ao carregar unidades', description: error.message, variant: 'destructive' });
+    }
+  };
+
+  useEffect(() => {
+    carregar();
+  }, []);
+
+  const executar = async (acao, sucesso) => {
+    setSalvando(true);
+    try {
+      await acao();
+      toast({ title: 'Sucesso!', description: sucesso });
+      setUnidade(unidadeVazia);
+      await carregar();
+    } catch (error) {
+      toast({ title: 'Erro ao salvar', description: error.message, variant: 'destructive' });
+    } finally {
+      setSalvando(false);
+    }
+  };
+
+  const cnpjInvalido = somenteDigitos(unidade.cnpj).length > 0 && !validarCnpj(unidade.cnpj);
+
+  return (
+    <Card className="glass-card">
+      <CardHeader>
+        <CardTitle className="text-white">{unidade.id ? 'Editar Unidade' : 'Cadastro de Unidade'}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="unidade-descricao" className="text-gray-300">Nome da unidade</Label>
+            <Input
+              id="unidade-descricao"
+              placeholder="Ex.: CNA Angra dos Reis"
+              value={unidade.descricao}
+              onChange={(event) => setUnidade((prev) => ({ ...prev, descricao: event.target.value }))}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="unidade-cnpj" className="text-gray-300">CNPJ</Label>
+            <Input
+              id="unidade-cnpj"
+              placeholder="00.000.000/0000-00"
+              value={unidade.cnpj}
+              onChange={(event) => setUnidade((prev) => ({ ...prev, cnpj: event.target.value }))}
+              onBlur={() => setUnidade((prev) => ({ ...prev, cnpj: formatCpfCnpj(prev.cnpj) }))}
+            />
+            {cnpjInvalido && <p className="text-xs text-red-400">CNPJ inválido.</p>}
+          </div>
+        </div>
+        <div className="flex justify-end gap-4 pt-4">
+          <Button variant="outline" onClick={() => setUnidade(unidadeVazia)} disabled={salvando}>
+            {unidade.id ? 'Cancelar edição' : 'Limpar'}
+          </Button>
+          <Button
+            onClick={() => executar(() => salvarUnidade(unidade), 'Unidade salva com sucesso.')}
+            disabled={salvando || cnpjInvalido}
+          >
+            {salvando ? 'Salvando...' : 'Salvar Unidade'}
+          </Button>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left text-gray-300">
+            <thead className="text-xs text-gray-400 uppercase bg-white/5">
+              <tr>
+                <th className="px-4 py-2">Unidade</th>
+                <th className="px-4 py-2">CNPJ</th>
+                <th className="px-4 py-2">Situação</th>
+                <th className="px-4 py-2 text-right">Ações</th>
+              </tr>
+            </thead>
+            <tbody>
+              {unidades.length === 0 ? (
+                <tr><td colSpan="4" className="px-4 py-6 text-center text-gray-400">Nenhuma unidade cadastrada.</td></tr>
+              ) : unidades.map((registro) => (
+                <tr key={registro.id} className={`border-b border-gray-700 ${registro.ativo ? '' : 'opacity-60'}`}>
+                  <td className="px-4 py-2 text-white">{registro.descricao}</td>
+                  <td className="px-4 py-2 font-mono">{registro.cnpj ? formatCpfCnpj(registro.cnpj) : '-'}</td>
+                  <td className="px-4 py-2">{registro.ativo ? 'Ativa' : 'Inativa'}</td>
+                  <td className="px-4 py-2">
+                    <div className="flex justify-end gap-2">
+                      <Button
+                        size="icon"
+                        variant="ghost"
+                        className="h-8 w-8"
+                        onClick={() => setUnidade({ id: registro.id, descricao: registro.descricao, cnpj: formatCpfCnpj(registro.cnpj) })}
+                        disabled={salvando}
+                        title="Editar"
+                      >
+                        <Pencil className="h-4 w-4" />
+                        <span className="sr-only">Editar</span>
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => executar(
+                          () => definirUnidadeAtiva(registro, !registro.ativo),
+                          registro.ativo ? `${registro.descricao} inativada.` : `${registro.descricao} reativada.`,
+                        )}
+                        disabled={salvando}
+                      >
+                        {registro.ativo ? 'Inativar' : 'Reativar'}
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default UnidadesCadastro;
@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import { Check, Plus } from 'lucide-react';
+
+import { Input } from '@/components/ui/input';
+import { useToast } from '@/components/ui/use-toast';
+import { listarClientesFornecedores, salvarClienteFornecedor } from '@/services/clienteFornecedorService';
+
+const LIMITE = 8;
+
+// Escolha do cliente (Entradas) ou fornecedor (Saidas) entre os cadastros
+// ativos. `value` e o cadastro escolhido ({ id, descricao }) ou null; um nome
+// sem cadastro pode ser cadastrado ali mesmo. `tipo` e 'Cliente' ou 'Fornecedor'.
+const ClienteFornecedorCombobox = ({ id, tipo, value, onChange, disabled = false }) => {
+  const { toast } = useToast();
+  const [texto, setTexto] = useState(value?.descricao || '');
+  const [opcoes, setOpcoes] = useState([]);
+  const [aberto, setAberto] = useState(false);
+  const [destaque, setDestaque] = useState(0);
+  const [criando, setCriando] = useState(false);
+
+  // Digitar limpa a escolha sem apagar o texto; para zerar o campo, remonte-o.
+  useEffect(() => {
+    if (value) setTexto(value.descricao);
+  }, [value]);
+
+  useEffect(() => {
+    if (!aberto || !tipo) return undefined;
+    const timer = setTimeout(() => {
+      listarClientesFornecedores({ tipo, busca: texto, porPagina: LIMITE })
+        .then((resultado) => {
+          setOpcoes(resultado.registros);
+          setDestaque(0);
+        })
+        .catch((error) => toast({ title: 'Erro ao buscar cadastro', description: error.message, variant: 'destructive' }));
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [aberto, tipo, texto, toast]);
+
+  const nome = texto.trim();
+  const podeCriar = nome && !opcoes.some((opcao) => opcao.descricao.trim().toLowerCase() === nome.toLowerCase());
+
+  const escolher = (cadastro) => {
+    onChange({ id: cadastro.id, descricao: cadastro.descricao });
+    setTexto(cadastro.descricao);
+    setAberto(false);
+  };
+
+  const cadastrar = async () => {
+    setCriando(true);
+    try {
+      escolher(await salvarClienteFornecedor({ tipo, descricao: nome }));
+      toast({ title: 'Sucesso!', description: `${tipo} ${nome} cadastrado.` });
+    } catch (error) {
+      toast({ title: 'Erro ao cadastrar', description: error.message, variant: 'destructive' });
+    } finally {
+      setCriando(false);
+    }
+  };
+
+  // Espera o clique na lista antes de fechar.
+  const fecharAoSair = () => setTimeout(() => setAberto(false), 150);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setAberto(true);
+      setDestaque((atual) => Math.min(atual + 1, opcoes.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setDestaque((atual) => Math.max(atual - 1, 0));
+    } else if (event.key === 'Enter' && aberto && opcoes[destaque]) {
+      event.preventDefault();
+      escolher(opcoes[destaque]);
+    } else if (event.key === 'Escape') {
+      setAberto(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Input
+        id={id}
+        autoComplete="off"
+        placeholder={tipo ? `Buscar ${tipo === 'Cliente' ? 'cliente' : 'fornecedor'} cadastrado` : 'Selecione o tipo primeiro'}
+        value={texto}
+        disabled={disabled || !tipo}
+        onChange={(event) => {
+          setTexto(event.target.value);
+          setAberto(true);
+          if (value) onChange(null);
+        }}
+        onFocus={() => setAberto(true)}
+        onBlur={fecharAoSair}
+        onKeyDown={handleKeyDown}
+      />
+      {aberto && tipo && (opcoes.length > 0 || podeCriar) && (
+        <ul className="absolute z-20 mt-1 w-full max-h-64 overflow-y-auto rounded-md border border-white/20 bg-slate-900 py-1 text-sm shadow-lg">
+          {opcoes.map((opcao, index) => (
+            <li key={opcao.id}>
+              <button
+                type="button"
+                className={`flex w-full items-center justify-between px-3 py-2 text-left text-gray-200 hover:bg-white/10 ${index === destaque ? 'bg-white/10' : ''}`}
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => escolher(opcao)}
+              >
+                <span>{opcao.descricao}</span>
+                {value?.id === opcao.id && <Check className="h-4 w-4 text-green-400" />}
+              </button>
+            </li>
+          ))}
+          {podeCriar && (
+            <li>
+              <button
+                type="button"
+                className="flex w-full items-center gap-2 px-3 py-2 text-left text-blue-300 hover:bg-white/10"
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={cadastrar}
+                disabled={criando}
+              >
+                <Plus className="h-4 w-4" />
+                {criando ? 'Cadastrando...' : `Cadastrar "${nome}"`}
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ClienteFornecedorCombobox;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { format } from 'date-fns';
 import { ptBR } from 'date-fns/locale';
 import { Calendar as CalendarIcon } from 'lucide-react';
@@ -13,36 +13,51 @@ import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Textarea } from '@/components/ui/textarea';
 import { useToast } from '@/components/ui/use-toast';
+import ClienteFornecedorCombobox from '@/components/forms/ClienteFornecedorCombobox';
 import { supabase } from '@/lib/customSupabaseClient';
+import { validarClienteFornecedorAtivo } from '@/services/clienteFornecedorService';
+import { listarUnidades } from '@/services/unidadeService';
 
 const initialDate = new Date();
+const TIPO_CADASTRO = { Entrada: 'Cliente', Saida: 'Fornecedor' };
 
 const LancamentoForm = ({ onCancel, onSuccess }) => {
   const { toast } = useToast();
 
   const [date, setDate] = useState(initialDate);
   const [tipo, setTipo] = useState('');
-  const [unidade, setUnidade] = useState('');
-  const [clienteFornecedor, setClienteFornecedor] = useState('');
+  const [unidades, setUnidades] = useState([]);
+  const [unidadeId, setUnidadeId] = useState('');
+  const [cadastro, setCadastro] = useState(null);
+  const [versaoForm, setVersaoForm] = useState(0);
   const [descricao, setDescricao] = useState('');
   const [valor, setValor] = useState('');
   const [aluno, setAluno] = useState('');
   const [parcela, setParcela] = useState('');
   const [descPontual, setDescPontual] = useState('');
+  const [nossoNumero, setNossoNumero] = useState('');
   const [status, setStatus] = useState('');
   const [obs, setObs] = useState('');
   const [loading, setLoading] = useState(false);
 
+  useEffect(() => {
+    listarUnidades()
+      .then(setUnidades)
+      .catch((error) => toast({ title: 'Erro ao carregar unidades', description: error.message, variant: 'destructive' }));
+  }, [toast]);
+
   const resetForm = () => {
     setDate(new Date());
     setTipo('');
-    setUnidade('');
-    setClienteFornecedor('');
+    setUnidadeId('');
+    setCadastro(null);
+    setVersaoForm((versao) => versao + 1);
     setDescricao('');
     setValor('');
     setAluno('');
     setParcela('');
     setDescPontual('');
+    setNossoNumero('');
     setStatus('');
     setObs('');
   };
@@ -55,7 +70,7 @@ const LancamentoForm = ({ onCancel, onSuccess }) => {
   };
 
   const handleSave = async () => {
-    if (!date || !tipo || !unidade || !clienteFornecedor || !descricao || !valor || !status) {
+    if (!date || !tipo || !unidadeId || !cadastro || !descricao || !valor || !status) {
       toast({
         title: 'Erro de Validação',
         description: 'Por favor, preencha todos os campos obrigatórios.',
@@ -78,11 +93,25 @@ const LancamentoForm = ({ onCancel, onSuccess }) => {
 
     setLoading(true);
 
+    try {
+      await validarClienteFornecedorAtivo(cadastro.descricao, tipo);
+    } catch (validationError) {
+      setLoading(false);
+      toast({
+        title: 'Cadastro inativo',
+        description: validationError.message,
+        variant: 'destructive',
+      });
+      return;
+    }
+
     const newEntry = {
       data: format(date, 'yyyy-MM-dd'),
       tipo,
-      unidade,
-      cliente_fornecedor: clienteFornecedor,
+      unidade_id: Number(unidadeId),
+      unidade: unidades.find((item) => String(item.id) === unidadeId)?.descricao ?? null,
+      cliente_fornecedor_id: cadastro.id,
+      cliente_fornecedor: cadastro.descricao,
       descricao,
       valor: parseFloat(valor),
       status,
@@ -90,6 +119,7 @@ const LancamentoForm = ({ onCancel, onSuccess }) => {
       aluno: aluno.trim() || null,
       parcel: parcela.trim() || null,
       desc_pontual: parsedDescPontual,
+      nosso_numero: tipo === 'Entrada' ? nossoNumero.trim() || null : null,
     };
 
     const { error } = await supabase.from('lancamentos').insert([newEntry]);
@@ -152,7 +182,16 @@ const LancamentoForm = ({ onCancel, onSuccess }) => {
           </div>
           <div className="space-y-2">
             <Label htmlFor="tipo" className="text-gray-300">Tipo</Label>
-            <Select onValueChange={setTipo} value={tipo}>
+            <Select
+              onValueChange={(novoTipo) => {
+                if (novoTipo !== tipo) {
+                  setCadastro(null);
+                  setVersaoForm((versao) => versao + 1);
+                }
+                setTipo(novoTipo);
+              }}
+              value={tipo}
+            >
               <SelectTrigger className="w-full">
                 <SelectValue placeholder="Selecione o tipo" />
               </SelectTrigger>
@@ -167,24 +206,25 @@ const LancamentoForm = ({ onCancel, onSuccess }) => {
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div className="space-y-2">
             <Label htmlFor="unidade" className="text-gray-300">Unidade</Label>
-            <Select onValueChange={setUnidade} value={unidade}>
+            <Select onValueChange={setUnidadeId} value={unidadeId}>
               <SelectTrigger className="w-full">
                 <SelectValue placeholder="Selecione a unidade" />
               </SelectTrigger>
               <SelectContent>
-                <SelectItem value="CNA Angra dos Reis">CNA Angra dos Reis</SelectItem>
-                <SelectItem value="CNA Mangaratiba">CNA Mangaratiba</SelectItem>
-                <SelectItem value="Casa">Casa</SelectItem>
+                {unidades.map((item) => (
+                  <SelectItem key={item.id} value={String(item.id)}>{item.descricao}</SelectItem>
+                ))}
               </SelectContent>
             </Select>
           </div>
           <div className="space-y-2">
             <Label htmlFor="clienteFornecedor" className="text-gray-300">Cliente/Fornecedor</Label>
-            <Input
+            <ClienteFornecedorCombobox
+              key={versaoForm}
               id="clienteFornecedor"
-              placeholder="Nome do cliente ou fornecedor"
-              value={clienteFornecedor}
-              onChange={(event) => setClienteFornecedor(event.target.value)}
+              tipo={TIPO_CADASTRO[tipo]}
+              value={cadastro}
+              onChange={setCadastro}
             />
           </div>
         </div>
@@ -259,6 +299,18 @@ const LancamentoForm = ({ onCancel, onSuccess }) => {
           </div>
         </div>
 
+        {tipo === 'Entrada' && (
+          <div className="space-y-2">
+            <Label htmlFor="nossoNumero" className="text-gray-300">Nosso Número</Label>
+            <Input
+              id="nossoNumero"
+              placeholder="Identificação do boleto no banco (opcional)"
+              value={nossoNumero}
+              onChange={(event) => setNossoNumero(event.target.value)}
+            />
+          </div>
+        )}
+
         <div className="space-y-2">
           <Label htmlFor="obs" className="text-gray-300">Observações</Label>
           <Textarea
@@ -0,0 +1,69 @@
+import { parseCsv } from '@/lib/csv';
+
+export const EXTENSOES_IMPORTACAO = '.csv,.xlsx';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Converte cada celula da planilha para o texto que a Google Sheets API
+// devolveria em pt-BR, para que a funcao de importacao aplique as mesmas
+// regras de moeda e de data (dd/MM/yyyy).
+const cellToText = (XLSX, cell) => {
+	if (!cell) return '';
+	if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+		const { y, m, d } = XLSX.SSF.parse_date_code(cell.v);
+		return `${pad(d)}/${pad(m)}/${y}`;
+	}
+	if (cell.t === 'n') {
+		return String(cell.v).replace('.', ',');
+	}
+	if (cell.t === 'b') {
+		return cell.v ? 'TRUE' : 'FALSE';
+	}
+	return String(cell.w ?? cell.v ?? '');
+};
+
+const lerXlsx = async (file) => {
+	const XLSX = await import('xlsx');
+	const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellNF: true });
+	const sheet = workbook.Sheets[workbook.SheetNames[0]];
+	if (!sheet || !sheet['!ref']) {
+		return [];
+	}
+
+	const range = XLSX.utils.decode_range(sheet['!ref']);
+	const values = [];
+	for (let r = 0; r <= range.e.r; r += 1) {
+		const row = [];
+		for (let c = 0; c <= range.e.c; c += 1) {
+			row.push(cellToText(XLSX, sheet[XLSX.utils.encode_cell({ r, c })]));
+		}
+		values.push(row);
+	}
+	return values;
+};
+
+// Le um CSV ou XLSX exportado das planilhas de recebimentos/pagamentos e
+// devolve as linhas (cabecalho incluso) no mesmo formato `string[][]` da API.
+export async function lerArquivoImportacao(file) {
+	const nome = file.name.toLowerCase();
+	let values;
+
+	if (nome.endsWith('.csv')) {
+		values = parseCsv(await file.text());
+	} else if (nome.endsWith('.xlsx')) {
+		values = await lerXlsx(file);
+	} else {
+		throw new Error('Formato não suportado. Envie um arquivo .csv ou .xlsx.');
+	}
+
+	const preenchidas = values.map((row) => row.map((cell) => cell.trim()));
+	while (preenchidas.length > 0 && preenchidas[preenchidas.length - 1].every((cell) => cell === '')) {
+		preenchidas.pop();
+	}
+
+	if (preenchidas.length <= 1) {
+		throw new Error('O arquivo não possui linhas de dados.');
+	}
+
+	return preenchidas;
+}
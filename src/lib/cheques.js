@@ -0,0 +1,71 @@
+// Ciclo de vida dos cheques e o efeito dos cheques pre-datados na previsao
+// de caixa.
+
+const numero = (value) => Number(value || 0);
+const arredondar = (value) => Math.round(value * 100) / 100;
+
+// Situacoes seguintes permitidas para cada tipo de cheque. Devolvido volta a
+// depositado (reapresentacao) somente se a alinea permitir.
+const TRANSICOES = {
+	recebido: {
+		custodia: ['depositado'],
+		depositado: ['compensado', 'devolvido'],
+		compensado: ['devolvido'],
+		devolvido: ['depositado'],
+	},
+	emitido: {
+		custodia: ['compensado', 'devolvido'],
+		compensado: ['devolvido'],
+		devolvido: [],
+	},
+};
+
+// Cheques ainda sem compensacao: o dinheiro e esperado no bom para.
+export const STATUS_EM_ABERTO = ['custodia', 'depositado'];
+
+export const proximasSituacoes = (cheque, alineas = []) => {
+	const seguintes = TRANSICOES[cheque.tipo]?.[cheque.status] || [];
+	if (cheque.status !== 'devolvido') return seguintes;
+
+	const alinea = alineas.find((item) => item.codigo === cheque.alinea_codigo);
+	return alinea?.permite_redeposito ? seguintes : [];
+};
+
+export const podeMudarPara = (cheque, status, alineas) => proximasSituacoes(cheque, alineas).includes(status);
+
+// Move para o bom para a parte do saldo de cada lancamento coberta por
+// cheques em aberto. Devolve os lancamentos com o saldo restante (sem os
+// cobertos por inteiro) e um item previsto por cheque, no formato de lancamento.
+export function aplicarChequesPrevistos(lancamentos, cheques) {
+	const emAberto = cheques.filter((cheque) => STATUS_EM_ABERTO.includes(cheque.status));
+	const porLancamento = new Map();
+	emAberto.forEach((cheque) => {
+		const chave = String(cheque.lancamento_id);
+		porLancamento.set(chave, [...(porLancamento.get(chave) || []), cheque]);
+	});
+
+	const previstos = [];
+	const ajustados = lancamentos.flatMap((lancamento) => {
+		const chequesDoLancamento = porLancamento.get(String(lancamento.id));
+		if (!chequesDoLancamento || lancamento.status === 'Pago') return [lancamento];
+
+		let saldo = numero(lancamento.saldo ?? lancamento.valor);
+		chequesDoLancamento.forEach((cheque) => {
+			const valor = Math.min(saldo, numero(cheque.valor));
+			if (valor <= 0) return;
+			saldo = arredondar(saldo - valor);
+			previstos.push({
+				id: `cheque-${cheque.id}`,
+				tipo: lancamento.tipo,
+				data: cheque.bom_para,
+				unidade: lancamento.unidade,
+				status: 'A Vencer',
+				valor,
+				cliente_fornecedor: `${lancamento.cliente_fornecedor || ''} (cheque ${cheque.numero})`.trim(),
+			});
+		});
+		return saldo > 0 ? [{ ...lancamento, saldo }] : [];
+	});
+
+	return { lancamentos: ajustados, previstos };
+}
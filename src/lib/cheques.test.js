@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { aplicarChequesPrevistos, podeMudarPara, proximasSituacoes } from './cheques.js';
+
+const alineas = [
+	{ codigo: '11', permite_redeposito: true },
+	{ codigo: '13', permite_redeposito: false },
+];
+
+test('proximasSituacoes segue o ciclo de cada tipo de cheque', () => {
+	assert.deepEqual(proximasSituacoes({ tipo: 'recebido', status: 'custodia' }), ['depositado']);
+	assert.deepEqual(proximasSituacoes({ tipo: 'recebido', status: 'depositado' }), ['compensado', 'devolvido']);
+	assert.deepEqual(proximasSituacoes({ tipo: 'emitido', status: 'custodia' }), ['compensado', 'devolvido']);
+	assert.deepEqual(proximasSituacoes({ tipo: 'emitido', status: 'devolvido' }, alineas), []);
+	assert.deepEqual(proximasSituacoes({ tipo: 'outro', status: 'custodia' }), []);
+});
+
+test('cheque devolvido só é reapresentado quando a alínea permite', () => {
+	const devolvido = { tipo: 'recebido', status: 'devolvido' };
+
+	assert.equal(podeMudarPara({ ...devolvido, alinea_codigo: '11' }, 'depositado', alineas), true);
+	assert.equal(podeMudarPara({ ...devolvido, alinea_codigo: '13' }, 'depositado', alineas), false);
+	assert.equal(podeMudarPara({ ...devolvido, alinea_codigo: '99' }, 'depositado', alineas), false);
+	assert.equal(podeMudarPara({ tipo: 'recebido', status: 'custodia' }, 'compensado', alineas), false);
+});
+
+test('aplicarChequesPrevistos move para o bom para o saldo coberto por cheques em aberto', () => {
+	const lancamentos = [
+		{ id: 1, tipo: 'Entrada', valor: 500, saldo: 300, status: 'Parcial', unidade: 'Centro', cliente_fornecedor: 'Maria' },
+		{ id: 2, tipo: 'Entrada', valor: 200, status: 'A Vencer', unidade: 'Centro', cliente_fornecedor: 'João' },
+		{ id: 3, tipo: 'Entrada', valor: 90, status: 'Pago' },
+	];
+	const cheques = [
+		{ id: 10, lancamento_id: 1, numero: '000123', valor: 120.5, bom_para: '2026-11-10', status: 'custodia' },
+		{ id: 11, lancamento_id: '2', numero: '000124', valor: 250, bom_para: '2026-11-20', status: 'depositado' },
+		{ id: 12, lancamento_id: 1, numero: '000125', valor: 100, bom_para: '2026-11-15', status: 'compensado' },
+		{ id: 13, lancamento_id: 3, numero: '000126', valor: 90, bom_para: '2026-11-01', status: 'custodia' },
+	];
+
+	const { lancamentos: ajustados, previstos } = aplicarChequesPrevistos(lancamentos, cheques);
+
+	assert.deepEqual(ajustados.map((lancamento) => [lancamento.id, lancamento.saldo]), [[1, 179.5], [3, undefined]]);
+	assert.deepEqual(
+		previstos.map((previsto) => [previsto.id, previsto.data, previsto.valor, previsto.cliente_fornecedor]),
+		[
+			['cheque-10', '2026-11-10', 120.5, 'Maria (cheque 000123)'],
+			['cheque-11', '2026-11-20', 200, 'João (cheque 000124)'],
+		],
+	);
+});
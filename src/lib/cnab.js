@@ -0,0 +1,211 @@
+// Leitor de arquivos de retorno de cobranca CNAB 240 (FEBRABAN, segmentos T/U)
+// e CNAB 400 (Bradesco, Itau, Banco do Brasil, Caixa, Santander).
+// Posicoes nos comentarios seguem os manuais: base 1, inclusivas.
+
+const BANCOS = {
+	'001': 'Banco do Brasil',
+	'033': 'Santander',
+	'104': 'Caixa',
+	'237': 'Bradesco',
+	'341': 'Itaú',
+	'756': 'Sicoob',
+};
+
+// Posicao do nosso numero no registro de detalhe do CNAB 400, por banco.
+const NOSSO_NUMERO_400 = {
+	'001': [64, 80],
+	'033': [63, 70],
+	'104': [57, 73],
+	'237': [71, 82],
+	'341': [63, 70],
+};
+const NOSSO_NUMERO_400_PADRAO = [63, 82];
+
+// Codigos de ocorrencia/movimento que representam liquidacao do titulo.
+const LIQUIDACAO_400 = new Set(['05', '06', '07', '08', '15', '16', '17']);
+const LIQUIDACAO_240 = new Set(['06', '17']);
+
+const campo = (linha, inicio, fim) => linha.slice(inicio - 1, fim);
+
+const valor = (linha, inicio, fim) => {
+	const digitos = campo(linha, inicio, fim).trim();
+	return /^\d+$/.test(digitos) ? Number(digitos) / 100 : 0;
+};
+
+// DDMMAA (400) ou DDMMAAAA (240) para yyyy-MM-dd.
+const data = (linha, inicio, fim) => {
+	const texto = campo(linha, inicio, fim);
+	if (!/^\d+$/.test(texto) || /^0+$/.test(texto)) return null;
+	const dia = texto.slice(0, 2);
+	const mes = texto.slice(2, 4);
+	const ano = texto.length === 6 ? `20${texto.slice(4, 6)}` : texto.slice(4, 8);
+	return `${ano}-${mes}-${dia}`;
+};
+
+export const normalizarNossoNumero = (value) => String(value ?? '').replace(/\D/g, '').replace(/^0+/, '');
+
+const parse400 = (linhas) => {
+	const header = linhas[0];
+	const banco = campo(header, 77, 79);
+	const [inicioNn, fimNn] = NOSSO_NUMERO_400[banco] || NOSSO_NUMERO_400_PADRAO;
+	const registros = [];
+
+	linhas.forEach((linha, index) => {
+		if (linha[0] !== '1') return;
+		const ocorrencia = campo(linha, 109, 110);
+		registros.push({
+			linha: index + 1,
+			nossoNumero: campo(linha, inicioNn, fimNn).trim(),
+			ocorrencia,
+			liquidacao: LIQUIDACAO_400.has(ocorrencia),
+			valorTitulo: valor(linha, 153, 165),
+			desconto: valor(linha, 241, 253),
+			valorPago: valor(linha, 254, 266),
+			juros: valor(linha, 267, 279),
+			dataPagamento: data(linha, 111, 116),
+			dataCredito: data(linha, 296, 301),
+		});
+	});
+
+	return { layout: '400', banco, registros };
+};
+
+// No CNAB 240 cada titulo ocupa um segmento T (identificacao) seguido de um
+// segmento U (valores e datas).
+const parse240 = (linhas) => {
+	const banco = campo(linhas[0], 1, 3);
+	const registros = [];
+	let atual = null;
+
+	linhas.forEach((linha, index) => {
+		if (linha[7] !== '3') return;
+		const segmento = linha[13];
+
+		if (segmento === 'T') {
+			const ocorrencia = campo(linha, 16, 17);
+			atual = {
+				linha: index + 1,
+				nossoNumero: campo(linha, 38, 57).trim(),
+				ocorrencia,
+				liquidacao: LIQUIDACAO_240.has(ocorrencia),
+				valorTitulo: valor(linha, 82, 96),
+				desconto: 0,
+				valorPago: 0,
+				juros: 0,
+				dataPagamento: null,
+				dataCredito: null,
+			};
+			registros.push(atual);
+		} else if (segmento === 'U' && atual) {
+			atual.juros = valor(linha, 18, 32);
+			atual.desconto = valor(linha, 33, 47) + valor(linha, 48, 62);
+			atual.valorPago = valor(linha, 78, 92);
+			atual.dataPagamento = data(linha, 138, 145);
+			atual.dataCredito = data(linha, 146, 153);
+			atual = null;
+		}
+	});
+
+	return { layout: '240', banco, registros };
+};
+
+export function parseRetornoCnab(text) {
+	const linhas = text.split(/\r?\n/).map((linha) => linha.replace(/\r$/, '')).filter((linha) => linha.trim());
+	if (linhas.length < 2) {
+		throw new Error('Arquivo de retorno vazio.');
+	}
+
+	const tamanho = linhas[0].length;
+	let resultado;
+	if (tamanho === 400) {
+		if (campo(linhas[0], 1, 2) !== '02') {
+			throw new Error('O arquivo CNAB 400 não é um retorno (header sem código 02).');
+		}
+		resultado = parse400(linhas);
+	} else if (tamanho === 240) {
+		if (linhas[0][142] !== '2') {
+			throw new Error('O arquivo CNAB 240 não é um retorno (header com código de remessa).');
+		}
+		resultado = parse240(linhas);
+	} else {
+		throw new Error(`Layout não reconhecido: linhas com ${tamanho} posições (esperado 240 ou 400).`);
+	}
+
+	return { ...resultado, nomeBanco: BANCOS[resultado.banco] || resultado.banco };
+}
+
+export async function lerArquivoCnab(file) {
+	const buffer = await file.arrayBuffer();
+	const digest = await crypto.subtle.digest('SHA-256', buffer);
+	const hash = Array.from(new Uint8Array(digest)).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+	return { ...parseRetornoCnab(new TextDecoder('windows-1252').decode(buffer)), hash };
+}
+
+// Variantes do nosso numero com e sem o digito verificador, ja que alguns
+// bancos devolvem o DV no retorno e o cadastro pode ou nao te-lo.
+const variantesNossoNumero = (value) => {
+	const normalizado = normalizarNossoNumero(value);
+	if (!normalizado) return [];
+	return normalizado.length > 1 ? [normalizado, normalizado.slice(0, -1)] : [normalizado];
+};
+
+// Separa os registros de liquidacao em baixas a aplicar e excecoes (nosso
+// numero desconhecido ou ambiguo, titulo ja baixado, valor pago menor que o titulo).
+export function conciliarRetorno(registros, lancamentos) {
+	const porNossoNumero = new Map();
+	lancamentos.forEach((lancamento) => {
+		const chave = normalizarNossoNumero(lancamento.nosso_numero);
+		if (!chave) return;
+		porNossoNumero.set(chave, [...(porNossoNumero.get(chave) || []), lancamento]);
+	});
+
+	const resultado = { liquidar: [], excecoes: [], ignorados: 0 };
+	const usados = new Set();
+
+	registros.forEach((registro) => {
+		if (!registro.liquidacao) {
+			resultado.ignorados += 1;
+			return;
+		}
+
+		const encontrados = variantesNossoNumero(registro.nossoNumero)
+			.map((chave) => porNossoNumero.get(chave))
+			.find((lista) => lista?.length > 0) || [];
+
+		const excecao = (motivo, lancamento = null) => resultado.excecoes.push({ registro, motivo, lancamento });
+
+		if (encontrados.length === 0) {
+			excecao('Nosso número não encontrado nos lançamentos.');
+			return;
+		}
+		if (encontrados.length > 1) {
+			excecao(`Nosso número cadastrado em ${encontrados.length} lançamentos.`);
+			return;
+		}
+
+		const [lancamento] = encontrados;
+		if (lancamento.status === 'Pago') {
+			excecao('Lançamento já estava baixado.', lancamento);
+			return;
+		}
+		if (usados.has(lancamento.id)) {
+			excecao('Título liquidado mais de uma vez no mesmo arquivo.', lancamento);
+			return;
+		}
+		if (!registro.dataPagamento) {
+			excecao('Registro sem data de pagamento.', lancamento);
+			return;
+		}
+
+		const principal = registro.valorPago - registro.juros + registro.desconto;
+		if (principal + 0.01 < Number(lancamento.valor || 0) - Number(lancamento.desc_pontual || 0)) {
+			excecao('Valor pago menor que o valor do título.', lancamento);
+			return;
+		}
+
+		usados.add(lancamento.id);
+		resultado.liquidar.push({ registro, lancamento });
+	});
+
+	return resultado;
+}
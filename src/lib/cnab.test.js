@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { conciliarRetorno, normalizarNossoNumero, parseRetornoCnab } from './cnab.js';
+
+const fixture = (nome) => readFileSync(new URL(`./fixtures/${nome}`, import.meta.url), 'latin1');
+
+test('parseRetornoCnab lê o retorno CNAB 400 do Bradesco', () => {
+	const retorno = parseRetornoCnab(fixture('retorno-bradesco-400.ret'));
+
+	assert.equal(retorno.layout, '400');
+	assert.equal(retorno.banco, '237');
+	assert.equal(retorno.nomeBanco, 'Bradesco');
+	assert.equal(retorno.registros.length, 3);
+	assert.deepEqual(retorno.registros[1], {
+		linha: 3,
+		nossoNumero: '000000012346',
+		ocorrencia: '06',
+		liquidacao: true,
+		valorTitulo: 350,
+		desconto: 0,
+		valorPago: 357.35,
+		juros: 7.35,
+		dataPagamento: '2026-10-15',
+		dataCredito: '2026-10-16',
+	});
+	assert.equal(retorno.registros[2].liquidacao, false);
+	assert.equal(retorno.registros[2].dataCredito, null);
+});
+
+test('parseRetornoCnab junta os segmentos T e U do CNAB 240 do Itaú', () => {
+	const retorno = parseRetornoCnab(fixture('retorno-itau-240.ret'));
+
+	assert.equal(retorno.layout, '240');
+	assert.equal(retorno.nomeBanco, 'Itaú');
+	assert.deepEqual(retorno.registros.map(({ linha, nossoNumero, ocorrencia, liquidacao }) => ({ linha, nossoNumero, ocorrencia, liquidacao })), [
+		{ linha: 3, nossoNumero: '00000000000000987654', ocorrencia: '06', liquidacao: true },
+		{ linha: 5, nossoNumero: '00000000000000987655', ocorrencia: '09', liquidacao: false },
+	]);
+	assert.equal(retorno.registros[0].valorTitulo, 280);
+	assert.equal(retorno.registros[0].desconto, 14);
+	assert.equal(retorno.registros[0].valorPago, 266);
+	assert.equal(retorno.registros[0].dataPagamento, '2026-10-14');
+	assert.equal(retorno.registros[0].dataCredito, '2026-10-15');
+});
+
+test('parseRetornoCnab recusa remessas e layouts desconhecidos', () => {
+	const remessa400 = fixture('retorno-bradesco-400.ret').replace(/^02RETORNO/, '01REMESSA');
+	const remessa240 = fixture('retorno-itau-240.ret').split('\r\n').map((linha, index) => (
+		index === 0 ? `${linha.slice(0, 142)}1${linha.slice(143)}` : linha
+	)).join('\r\n');
+
+	assert.throws(() => parseRetornoCnab(remessa400), /não é um retorno/);
+	assert.throws(() => parseRetornoCnab(remessa240), /código de remessa/);
+	assert.throws(() => parseRetornoCnab('A'.repeat(150) + '\n' + 'B'.repeat(150)), /150 posições/);
+	assert.throws(() => parseRetornoCnab(''), /vazio/);
+});
+
+test('normalizarNossoNumero descarta zeros à esquerda e separadores', () => {
+	assert.equal(normalizarNossoNumero('09/000012345-6'), '90000123456');
+	assert.equal(normalizarNossoNumero('000000012345'), '12345');
+	assert.equal(normalizarNossoNumero(null), '');
+});
+
+test('conciliarRetorno separa liquidações e exceções', () => {
+	const { registros } = parseRetornoCnab(fixture('retorno-bradesco-400.ret'));
+	const lancamentos = [
+		{ id: 1, nosso_numero: '1234', valor: 350, status: 'A Vencer' },
+		{ id: 2, nosso_numero: '12346', valor: 350, status: 'Pago' },
+	];
+
+	const resultado = conciliarRetorno(registros, lancamentos);
+
+	assert.equal(resultado.ignorados, 1);
+	assert.deepEqual(resultado.liquidar.map(({ lancamento }) => lancamento.id), [1]);
+	assert.deepEqual(resultado.excecoes.map(({ motivo }) => motivo), ['Lançamento já estava baixado.']);
+});
+
+test('conciliarRetorno aponta nosso número desconhecido, duplicado e pagamento a menor', () => {
+	const registro = { linha: 2, nossoNumero: '000000012345', liquidacao: true, valorPago: 300, juros: 0, desconto: 0, dataPagamento: '2026-10-15' };
+
+	const motivo = (lancamentos, extra = {}) => conciliarRetorno([{ ...registro, ...extra }], lancamentos).excecoes[0]?.motivo;
+
+	assert.equal(motivo([]), 'Nosso número não encontrado nos lançamentos.');
+	assert.equal(motivo([{ id: 1, nosso_numero: '12345', valor: 300 }, { id: 2, nosso_numero: '012345', valor: 300 }]), 'Nosso número cadastrado em 2 lançamentos.');
+	assert.equal(motivo([{ id: 1, nosso_numero: '12345', valor: 350 }]), 'Valor pago menor que o valor do título.');
+	assert.equal(motivo([{ id: 1, nosso_numero: '12345', valor: 350, desc_pontual: 50 }]), undefined);
+	assert.equal(motivo([{ id: 1, nosso_numero: '12345', valor: 300 }], { dataPagamento: null }), 'Registro sem data de pagamento.');
+});
@@ -0,0 +1,71 @@
+// Conciliacao bancaria: linhas do extrato do banco x movimentos do app
+// (baixas, estornos e transferencias da view `movimentos_conta`). Valores com sinal,
+// credito positivo e debito negativo; datas yyyy-MM-dd.
+
+export const JANELA_DIAS_PADRAO = 3;
+
+const TOLERANCIA = 0.005;
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const numero = (value) => Number(value || 0);
+const arredondar = (value) => Math.round(value * 100) / 100;
+const diferencaDias = (a, b) => Math.round(Math.abs(new Date(`${a}T00:00:00Z`) - new Date(`${b}T00:00:00Z`)) / DIA_MS);
+
+export const mesmoValor = (a, b) => Math.abs(numero(a) - numero(b)) < TOLERANCIA;
+
+// Valor ja conciliado de cada linha e os ids dos movimentos usados.
+export function indexarConciliacoes(conciliacoes) {
+	const porLinha = new Map();
+	const movimentosConciliados = new Map();
+	conciliacoes.forEach((conciliacao) => {
+		const chave = String(conciliacao.extrato_linha_id);
+		porLinha.set(chave, [...(porLinha.get(chave) || []), conciliacao]);
+		movimentosConciliados.set(String(conciliacao.movimento_id), conciliacao.extrato_linha_id);
+	});
+	return { porLinha, movimentosConciliados };
+}
+
+export const valorConciliado = (pares = []) => arredondar(pares.reduce((total, par) => total + numero(par.valor), 0));
+
+// Pares de mesmo valor com a menor diferenca de datas dentro da janela; cada
+// linha e cada movimento entram em no maximo um par.
+export function conciliarAutomaticamente(linhas, movimentos, { janelaDias = JANELA_DIAS_PADRAO } = {}) {
+	const candidatos = [];
+	linhas.forEach((linha) => {
+		movimentos.forEach((movimento) => {
+			if (!mesmoValor(linha.valor, movimento.valor)) return;
+			const dias = diferencaDias(linha.data, movimento.data);
+			if (dias <= janelaDias) candidatos.push({ linha, movimento, dias });
+		});
+	});
+
+	const linhasUsadas = new Set();
+	const movimentosUsados = new Set();
+	return candidatos
+		.sort((a, b) => a.dias - b.dias || a.linha.data.localeCompare(b.linha.data))
+		.filter(({ linha, movimento }) => {
+			if (linhasUsadas.has(linha.id) || movimentosUsados.has(movimento.id)) return false;
+			linhasUsadas.add(linha.id);
+			movimentosUsados.add(movimento.id);
+			return true;
+		});
+}
+
+// Um periodo pode ser fechado quando todas as linhas do extrato estao
+// conciliadas por inteiro e todos os movimentos do app tem linha.
+export function resumirPeriodo(linhas, movimentos, conciliacoes) {
+	const { porLinha, movimentosConciliados } = indexarConciliacoes(conciliacoes);
+	const linhasPendentes = linhas.filter((linha) => !mesmoValor(valorConciliado(porLinha.get(String(linha.id))), linha.valor));
+	const movimentosPendentes = movimentos.filter((movimento) => !movimentosConciliados.has(String(movimento.id)));
+	const totalExtrato = arredondar(linhas.reduce((total, linha) => total + numero(linha.valor), 0));
+	const totalMovimentos = arredondar(movimentos.reduce((total, movimento) => total + numero(movimento.valor), 0));
+
+	return {
+		linhasPendentes,
+		movimentosPendentes,
+		totalExtrato,
+		totalMovimentos,
+		diferenca: arredondar(totalExtrato - totalMovimentos),
+		fechavel: linhas.length + movimentos.length > 0 && linhasPendentes.length === 0 && movimentosPendentes.length === 0,
+	};
+}
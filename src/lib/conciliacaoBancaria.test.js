@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { conciliarAutomaticamente, indexarConciliacoes, resumirPeriodo, valorConciliado } from './conciliacaoBancaria.js';
+
+const linhas = [
+	{ id: 1, data: '2026-10-05', valor: 350 },
+	{ id: 2, data: '2026-10-06', valor: -1234.56 },
+	{ id: 3, data: '2026-10-20', valor: 350 },
+];
+
+const movimentos = [
+	{ id: 'baixa-10', data: '2026-10-03', valor: 350 },
+	{ id: 'baixa-11', data: '2026-10-05', valor: 350 },
+	{ id: 'baixa-12', data: '2026-10-06', valor: -1234.56 },
+	{ id: 'transferencia-4-saida', data: '2026-10-06', valor: -500 },
+];
+
+test('conciliarAutomaticamente forma pares de mesmo valor pela menor diferença de datas', () => {
+	const pares = conciliarAutomaticamente(linhas, movimentos);
+
+	assert.deepEqual(pares.map(({ linha, movimento, dias }) => [linha.id, movimento.id, dias]), [
+		[1, 'baixa-11', 0],
+		[2, 'baixa-12', 0],
+	]);
+});
+
+test('conciliarAutomaticamente usa cada movimento uma vez e respeita a janela', () => {
+	const pares = conciliarAutomaticamente(linhas, movimentos.slice(0, 1), { janelaDias: 3 });
+
+	assert.deepEqual(pares.map(({ linha, movimento }) => [linha.id, movimento.id]), [[1, 'baixa-10']]);
+	assert.deepEqual(conciliarAutomaticamente(linhas, movimentos.slice(0, 1), { janelaDias: 1 }), []);
+});
+
+test('resumirPeriodo só fecha quando extrato e movimentos estão conciliados por inteiro', () => {
+	const conciliacoes = [
+		{ extrato_linha_id: 1, movimento_id: 'baixa-11', valor: 350 },
+		{ extrato_linha_id: 2, movimento_id: 'baixa-12', valor: -1000 },
+	];
+
+	const parcial = resumirPeriodo(linhas.slice(0, 2), movimentos.slice(1, 3), conciliacoes);
+	assert.equal(parcial.fechavel, false);
+	assert.deepEqual(parcial.linhasPendentes.map((linha) => linha.id), [2]);
+	assert.equal(parcial.diferenca, 0);
+
+	conciliacoes[1].valor = -1234.56;
+	assert.equal(resumirPeriodo(linhas.slice(0, 2), movimentos.slice(1, 3), conciliacoes).fechavel, true);
+	assert.equal(resumirPeriodo([], [], []).fechavel, false);
+});
+
+test('indexarConciliacoes e valorConciliado somam os pares de cada linha', () => {
+	const { porLinha, movimentosConciliados } = indexarConciliacoes([
+		{ extrato_linha_id: 7, movimento_id: 'baixa-1', valor: 100.1 },
+		{ extrato_linha_id: 7, movimento_id: 'baixa-2', valor: 200.2 },
+	]);
+
+	assert.equal(valorConciliado(porLinha.get('7')), 300.3);
+	assert.equal(movimentosConciliados.get('baixa-2'), 7);
+});
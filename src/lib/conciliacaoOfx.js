@@ -0,0 +1,99 @@
+// Sugestao de baixas a partir das transacoes de um extrato OFX: cada credito
+// procura uma Entrada em aberto e cada debito uma Saida, com o mesmo valor,
+// vencimento dentro da janela de dias e nome parecido com o historico do banco.
+
+export const JANELA_DIAS_PADRAO = 5;
+export const SIMILARIDADE_MINIMA = 0.5;
+
+const PALAVRAS_IGNORADAS = new Set([
+	'pix', 'ted', 'doc', 'tev', 'transf', 'transferencia', 'recebido', 'recebida', 'enviado', 'enviada',
+	'pagamento', 'pagto', 'pgto', 'pag', 'boleto', 'deposito', 'dep', 'credito', 'debito', 'cred', 'deb',
+	'de', 'da', 'do', 'das', 'dos', 'e', 'ltda', 'me', 'epp', 'sa', 'eireli', 'cp', 'int',
+]);
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const tokens = (value) => String(value ?? '')
+	.normalize('NFD')
+	.replace(/[\u0300-\u036f]/g, '')
+	.toLowerCase()
+	.replace(/[^a-z0-9]+/g, ' ')
+	.split(' ')
+	.filter((token) => token && !PALAVRAS_IGNORADAS.has(token) && !/^\d+$/.test(token));
+
+// Iniciais ("J") e nomes truncados com 4+ letras ("SILV") contam como a palavra inteira.
+const casaPalavra = (token, esperada) =>
+	token === esperada || (esperada.startsWith(token) && (token.length === 1 || token.length >= 4));
+
+// Fracao das palavras do nome cadastrado encontradas no historico do banco.
+export const similaridadeNome = (nome, historico) => {
+	const esperadas = tokens(nome);
+	const encontradas = tokens(historico);
+	if (esperadas.length === 0 || encontradas.length === 0) return 0;
+
+	const acertos = esperadas.filter((esperada) => encontradas.some((token) => casaPalavra(token, esperada)));
+	return acertos.length / esperadas.length;
+};
+
+const diferencaDias = (a, b) => Math.round(Math.abs(new Date(`${a}T00:00:00Z`) - new Date(`${b}T00:00:00Z`)) / DIA_MS);
+
+const valoresEsperados = (lancamento) => {
+	const valor = Number(lancamento.valor || 0);
+	const desconto = Number(lancamento.desc_pontual || 0);
+	return desconto > 0 ? [valor, valor - desconto] : [valor];
+};
+
+const pontuar = (transacao, lancamento, janelaDias) => {
+	const tipo = transacao.tipo === 'credito' ? 'Entrada' : 'Saida';
+	if (lancamento.tipo !== tipo) return null;
+	if (!valoresEsperados(lancamento).some((valor) => Math.abs(valor - transacao.valor) < 0.01)) return null;
+
+	const dias = diferencaDias(transacao.data, lancamento.data);
+	if (dias > janelaDias) return null;
+
+	const historico = `${transacao.nome} ${transacao.memo}`;
+	const nome = Math.max(
+		similaridadeNome(lancamento.cliente_fornecedor, historico),
+		similaridadeNome(lancamento.aluno, historico)
+	);
+	const proximidade = janelaDias > 0 ? 1 - dias / (janelaDias + 1) : 1;
+
+	return { lancamento, dias, nome, score: nome * 0.6 + proximidade * 0.4 };
+};
+
+// Retorna uma sugestao por transacao. Cada lancamento e usado no maximo uma
+// vez, priorizando os pares de maior pontuacao.
+export function sugerirBaixas(transacoes, lancamentos, { janelaDias = JANELA_DIAS_PADRAO } = {}) {
+	const candidatosPorTransacao = new Map();
+	const pares = [];
+
+	for (const transacao of transacoes) {
+		const candidatos = lancamentos
+			.map((lancamento) => pontuar(transacao, lancamento, janelaDias))
+			.filter(Boolean)
+			.sort((a, b) => b.score - a.score);
+		candidatosPorTransacao.set(transacao.id, candidatos);
+		candidatos.forEach((candidato) => pares.push({ transacao, ...candidato }));
+	}
+
+	const escolhidos = new Map();
+	const usados = new Set();
+	pares
+		.sort((a, b) => b.score - a.score)
+		.forEach((par) => {
+			if (escolhidos.has(par.transacao.id) || usados.has(par.lancamento.id)) return;
+			escolhidos.set(par.transacao.id, par);
+			usados.add(par.lancamento.id);
+		});
+
+	return transacoes.map((transacao) => {
+		const escolhido = escolhidos.get(transacao.id) || null;
+		return {
+			transacao,
+			candidatos: candidatosPorTransacao.get(transacao.id),
+			lancamentoId: escolhido?.lancamento.id ?? null,
+			similaridade: escolhido?.nome ?? 0,
+			selecionado: Boolean(escolhido) && escolhido.nome >= SIMILARIDADE_MINIMA,
+		};
+	});
+}
@@ -0,0 +1,81 @@
+// CSV com ";" e BOM para abrir direto no Excel em pt-BR.
+const DELIMITADOR = ';';
+
+const escapeCell = (value) => {
+	const text = value === null || value === undefined ? '' : String(value);
+	return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(headers, rows) {
+	return [headers, ...rows]
+		.map((row) => row.map(escapeCell).join(DELIMITADOR))
+		.join('\r\n');
+}
+
+export function downloadCsv(filename, headers, rows) {
+	const blob = new Blob(['\uFEFF', toCsv(headers, rows)], { type: 'text/csv;charset=utf-8' });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	URL.revokeObjectURL(url);
+}
+
+// Detecta ";" ou "," pela primeira linha, ignorando o que estiver entre aspas.
+const detectDelimiter = (text) => {
+	let inQuotes = false;
+	const counts = { ';': 0, ',': 0 };
+	for (const char of text) {
+		if (char === '"') inQuotes = !inQuotes;
+		else if (!inQuotes && (char === '\n' || char === '\r')) break;
+		else if (!inQuotes && char in counts) counts[char] += 1;
+	}
+	return counts[';'] >= counts[','] && counts[';'] > 0 ? ';' : ',';
+};
+
+export function parseCsv(text) {
+	const source = text.replace(/^\uFEFF/, '');
+	const delimiter = detectDelimiter(source);
+	const rows = [];
+	let row = [];
+	let cell = '';
+	let inQuotes = false;
+
+	for (let index = 0; index < source.length; index += 1) {
+		const char = source[index];
+
+		if (inQuotes) {
+			if (char === '"' && source[index + 1] === '"') {
+				cell += '"';
+				index += 1;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === delimiter) {
+			row.push(cell);
+			cell = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && source[index + 1] === '\n') index += 1;
+			row.push(cell);
+			rows.push(row);
+			row = [];
+			cell = '';
+		} else {
+			cell += char;
+		}
+	}
+
+	if (cell !== '' || row.length > 0) {
+		row.push(cell);
+		rows.push(row);
+	}
+
+	return rows;
+}
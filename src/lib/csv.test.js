@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCsv, toCsv } from './csv.js';
+
+test('toCsv usa ";" e põe entre aspas células com delimitador, aspas ou quebra de linha', () => {
+	const csv = toCsv(
+		['Linha', 'Motivo', 'Conteúdo'],
+		[[12, 'Data de vencimento inválida: "31/02/2026".', 'Maria; João'], [13, null, 'linha 1\nlinha 2']],
+	);
+
+	assert.equal(csv, [
+		'Linha;Motivo;Conteúdo',
+		'12;"Data de vencimento inválida: ""31/02/2026"".";"Maria; João"',
+		'13;;"linha 1\nlinha 2"',
+	].join('\r\n'));
+});
+
+test('parseCsv desfaz o que toCsv gera', () => {
+	const linhas = [['Cliente', 'Valor'], ['Silva; Souza', '1.234,56'], ['Aspas "duplas"', 'quebra\r\nde linha']];
+
+	assert.deepEqual(parseCsv(`\uFEFF${toCsv(linhas[0], linhas.slice(1))}`), linhas);
+});
+
+test('parseCsv detecta vírgula como delimitador e ignora vírgulas entre aspas', () => {
+	const texto = 'cliente,aluno,vencimento,valor\n"Souza, Maria",Pedro,10/10/2026,"350,00"\n';
+
+	assert.deepEqual(parseCsv(texto), [
+		['cliente', 'aluno', 'vencimento', 'valor'],
+		['Souza, Maria', 'Pedro', '10/10/2026', '350,00'],
+	]);
+});
+
+test('parseCsv prefere ";" nas planilhas exportadas pelo Excel em pt-BR', () => {
+	assert.deepEqual(parseCsv('Cliente;Valor\r\nMaria;350,00'), [['Cliente', 'Valor'], ['Maria', '350,00']]);
+});
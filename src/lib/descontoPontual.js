@@ -0,0 +1,60 @@
+import { saldoAberto } from '@/lib/saldoAberto';
+
+// Desconto de pontualidade: o titulo ainda sem baixas vale `valor - desc_pontual`
+// enquanto a data nao passar do prazo da regra da unidade/plano. Sem regra, o
+// prazo e o proprio vencimento. Datas yyyy-MM-dd.
+
+const numero = (value) => Number(value || 0);
+const arredondar = (value) => Math.round(value * 100) / 100;
+const doisDigitos = (value) => String(value).padStart(2, '0');
+
+const normalizar = (value) => String(value || '').trim().toLowerCase();
+
+// O plano e procurado na descricao e no obs (categoria importada da planilha).
+const doPlano = (lancamento, plano) => {
+	const texto = `${normalizar(lancamento.descricao)} ${normalizar(lancamento.obs)}`;
+	return texto.includes(normalizar(plano));
+};
+
+// A regra do plano vence a regra geral da unidade.
+export const regraDePontualidade = (regras, lancamento) => {
+	const daUnidade = regras.filter((regra) => regra.unidade === lancamento.unidade);
+	return daUnidade.find((regra) => regra.plano && doPlano(lancamento, regra.plano))
+		|| daUnidade.find((regra) => !regra.plano)
+		|| null;
+};
+
+// Dia limite no mes do vencimento, limitado ao ultimo dia do mes.
+export function prazoDescontoPontual(lancamento, regra) {
+	if (!lancamento.data) return null;
+	if (!regra) return lancamento.data;
+
+	const [ano, mes] = lancamento.data.split('-').map(Number);
+	const ultimoDia = new Date(Date.UTC(ano, mes, 0)).getUTCDate();
+	return `${ano}-${doisDigitos(mes)}-${doisDigitos(Math.min(numero(regra.dia_limite), ultimoDia))}`;
+}
+
+// So a primeira baixa leva o desconto: titulos pagos ou parciais nao tem mais.
+export function descontoPontualVigente(lancamento, regras, data) {
+	const desconto = numero(lancamento.desc_pontual);
+	if (desconto <= 0 || lancamento.status === 'Pago' || lancamento.status === 'Parcial') return 0;
+
+	const prazo = prazoDescontoPontual(lancamento, regraDePontualidade(regras, lancamento));
+	if (!prazo || data > prazo) return 0;
+	return Math.min(desconto, saldoAberto(lancamento));
+}
+
+export const valorEsperado = (lancamento, regras, data) =>
+	arredondar(saldoAberto(lancamento) - descontoPontualVigente(lancamento, regras, data));
+
+// Troca o saldo pelo valor esperado na data, para as projecoes somarem o que
+// de fato deve entrar. `desconto_pontual_vigente` guarda o desconto aplicado.
+export const aplicarDescontosPontuais = (lancamentos, regras, data) => lancamentos.map((lancamento) => {
+	const desconto = descontoPontualVigente(lancamento, regras, data);
+	if (desconto <= 0) return lancamento;
+	return {
+		...lancamento,
+		saldo: arredondar(saldoAberto(lancamento) - desconto),
+		desconto_pontual_vigente: desconto,
+	};
+});
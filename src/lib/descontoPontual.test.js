@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	aplicarDescontosPontuais,
+	descontoPontualVigente,
+	prazoDescontoPontual,
+	regraDePontualidade,
+	valorEsperado,
+} from './descontoPontual.js';
+
+const regras = [
+	{ id: 1, unidade: 'CNA Angra dos Reis', plano: null, dia_limite: 5 },
+	{ id: 2, unidade: 'CNA Angra dos Reis', plano: 'Intensivo', dia_limite: 10 },
+	{ id: 3, unidade: 'CNA Mangaratiba', plano: null, dia_limite: 31 },
+];
+
+const mensalidade = {
+	unidade: 'CNA Angra dos Reis',
+	descricao: 'Mensalidade',
+	obs: 'Categoria: Curso Intensivo',
+	data: '2026-10-15',
+	valor: 350,
+	desc_pontual: 35,
+	status: 'A Vencer',
+};
+
+test('regraDePontualidade prefere a regra do plano à regra geral da unidade', () => {
+	assert.equal(regraDePontualidade(regras, mensalidade).id, 2);
+	assert.equal(regraDePontualidade(regras, { ...mensalidade, obs: 'Categoria: Regular' }).id, 1);
+	assert.equal(regraDePontualidade(regras, { ...mensalidade, unidade: 'Casa' }), null);
+});
+
+test('prazoDescontoPontual usa o dia limite no mês do vencimento, até o último dia', () => {
+	assert.equal(prazoDescontoPontual(mensalidade, regras[1]), '2026-10-10');
+	assert.equal(prazoDescontoPontual({ data: '2026-02-20' }, regras[2]), '2026-02-28');
+	assert.equal(prazoDescontoPontual(mensalidade, null), '2026-10-15');
+});
+
+test('descontoPontualVigente vale até o prazo e só para títulos sem baixa', () => {
+	assert.equal(descontoPontualVigente(mensalidade, regras, '2026-10-10'), 35);
+	assert.equal(descontoPontualVigente(mensalidade, regras, '2026-10-11'), 0);
+	assert.equal(descontoPontualVigente({ ...mensalidade, status: 'Parcial', saldo: 200 }, regras, '2026-10-01'), 0);
+	assert.equal(descontoPontualVigente({ ...mensalidade, desc_pontual: 400 }, regras, '2026-10-01'), 350);
+});
+
+test('valorEsperado e aplicarDescontosPontuais trocam o saldo pelo valor com desconto', () => {
+	assert.equal(valorEsperado(mensalidade, regras, '2026-10-01'), 315);
+	assert.equal(valorEsperado(mensalidade, regras, '2026-10-20'), 350);
+
+	const [comDesconto, vencido] = aplicarDescontosPontuais(
+		[mensalidade, { ...mensalidade, data: '2026-09-15' }],
+		regras,
+		'2026-10-01',
+	);
+	assert.equal(comDesconto.saldo, 315);
+	assert.equal(comDesconto.desconto_pontual_vigente, 35);
+	assert.equal(vencido.saldo, undefined);
+});
@@ -0,0 +1,102 @@
+// Documentos e contatos do cadastro de clientes e fornecedores. No banco
+// CPF/CNPJ, CEP e telefones ficam so com os digitos; a formatacao e da tela.
+
+export const somenteDigitos = (value) => String(value ?? '').replace(/\D/g, '');
+
+const repetido = (digitos) => /^(\d)\1+$/.test(digitos);
+
+// Digito verificador modulo 11: resto < 2 vira 0.
+const digitoModulo11 = (digitos, pesos) => {
+	const soma = pesos.reduce((total, peso, index) => total + Number(digitos[index]) * peso, 0);
+	const resto = soma % 11;
+	return resto < 2 ? 0 : 11 - resto;
+};
+
+export function validarCpf(value) {
+	const cpf = somenteDigitos(value);
+	if (cpf.length !== 11 || repetido(cpf)) return false;
+	const primeiro = digitoModulo11(cpf, [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+	const segundo = digitoModulo11(cpf, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+	return primeiro === Number(cpf[9]) && segundo === Number(cpf[10]);
+}
+
+export function validarCnpj(value) {
+	const cnpj = somenteDigitos(value);
+	if (cnpj.length !== 14 || repetido(cnpj)) return false;
+	const primeiro = digitoModulo11(cnpj, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+	const segundo = digitoModulo11(cnpj, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+	return primeiro === Number(cnpj[12]) && segundo === Number(cnpj[13]);
+}
+
+export const validarCpfCnpj = (value) => {
+	const digitos = somenteDigitos(value);
+	return digitos.length === 11 ? validarCpf(digitos) : validarCnpj(digitos);
+};
+
+export const formatCpfCnpj = (value) => {
+	const digitos = somenteDigitos(value);
+	if (digitos.length === 11) return digitos.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+	if (digitos.length === 14) return digitos.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+	return String(value ?? '');
+};
+
+export const formatCep = (value) => {
+	const digitos = somenteDigitos(value);
+	return digitos.length === 8 ? `${digitos.slice(0, 5)}-${digitos.slice(5)}` : String(value ?? '');
+};
+
+// Fixo com 10 digitos ou celular com 11, sempre com DDD.
+export const validarTelefone = (value) => /^\d{10,11}$/.test(somenteDigitos(value));
+
+export const formatTelefone = (value) => {
+	const digitos = somenteDigitos(value);
+	if (digitos.length === 10) return digitos.replace(/^(\d{2})(\d{4})(\d{4})$/, '($1) $2-$3');
+	if (digitos.length === 11) return digitos.replace(/^(\d{2})(\d{5})(\d{4})$/, '($1) $2-$3');
+	return String(value ?? '');
+};
+
+export const validarEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value ?? '').trim());
+
+// Chave PIX: CPF, CNPJ, e-mail, telefone (+55DDDNUMERO) ou aleatoria (EVP).
+export function tipoChavePix(value) {
+	const chave = String(value ?? '').trim();
+	if (!chave) return null;
+	if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(chave)) return 'aleatoria';
+	if (validarEmail(chave)) return 'email';
+	if (/^\+55\d{10,11}$/.test(chave.replace(/[\s()-]/g, ''))) return 'telefone';
+	if (validarCpf(chave) && /^[\d.-]+$/.test(chave)) return 'cpf';
+	if (validarCnpj(chave) && /^[\d./-]+$/.test(chave)) return 'cnpj';
+	return null;
+}
+
+// Mensagens de erro dos campos preenchidos; vazio quando o cadastro esta valido.
+export function validarCadastro(cadastro) {
+	const erros = [];
+	if (!String(cadastro.descricao ?? '').trim()) erros.push('Informe o nome.');
+	if (cadastro.cpf_cnpj && !validarCpfCnpj(cadastro.cpf_cnpj)) erros.push('CPF/CNPJ inválido.');
+	if (cadastro.email && !validarEmail(cadastro.email)) erros.push('E-mail inválido.');
+	if (cadastro.telefone && !validarTelefone(cadastro.telefone)) erros.push('Telefone inválido: informe DDD e número.');
+	if (cadastro.celular && !validarTelefone(cadastro.celular)) erros.push('Celular inválido: informe DDD e número.');
+	if (cadastro.chave_pix && !tipoChavePix(cadastro.chave_pix)) erros.push('Chave PIX inválida.');
+	if (cadastro.cep && somenteDigitos(cadastro.cep).length !== 8) erros.push('CEP deve ter 8 dígitos.');
+	if (cadastro.uf && !/^[A-Za-z]{2}$/.test(cadastro.uf.trim())) erros.push('UF deve ter 2 letras.');
+	return erros;
+}
+
+export const formatEndereco = (cadastro) => {
+	if (!cadastro) return '';
+	const rua = [cadastro.logradouro, cadastro.numero, cadastro.complemento].filter(Boolean).join(', ');
+	const cidade = [cadastro.cidade, cadastro.uf].filter(Boolean).join('/');
+	return [rua, cadastro.bairro, cidade, cadastro.cep && `CEP ${formatCep(cadastro.cep)}`].filter(Boolean).join(' - ');
+};
+
+// Como pagar o fornecedor: PIX quando houver, senao os dados bancarios.
+export const formatDadosPagamento = (cadastro) => {
+	if (!cadastro) return '';
+	if (cadastro.chave_pix) return `PIX ${cadastro.chave_pix}`;
+	return [
+		cadastro.banco && `Banco ${cadastro.banco}`,
+		cadastro.agencia && `Ag. ${cadastro.agencia}`,
+		cadastro.conta && `C/C ${cadastro.conta}`,
+	].filter(Boolean).join(' ');
+};
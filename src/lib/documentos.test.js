@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	formatCep,
+	formatCpfCnpj,
+	formatDadosPagamento,
+	formatEndereco,
+	formatTelefone,
+	tipoChavePix,
+	validarCadastro,
+	validarCnpj,
+	validarCpf,
+	validarCpfCnpj,
+} from './documentos.js';
+
+test('validarCpf e validarCnpj conferem os dígitos verificadores', () => {
+	assert.equal(validarCpf('529.982.247-25'), true);
+	assert.equal(validarCpf('529.982.247-24'), false);
+	assert.equal(validarCpf('111.111.111-11'), false);
+	assert.equal(validarCnpj('11.222.333/0001-81'), true);
+	assert.equal(validarCnpj('11.222.333/0001-80'), false);
+	assert.equal(validarCpfCnpj('11222333000181'), true);
+	assert.equal(validarCpfCnpj('1234'), false);
+});
+
+test('formatadores devolvem o valor original quando o tamanho não confere', () => {
+	assert.equal(formatCpfCnpj('52998224725'), '529.982.247-25');
+	assert.equal(formatCpfCnpj('11222333000181'), '11.222.333/0001-81');
+	assert.equal(formatCpfCnpj('123'), '123');
+	assert.equal(formatCep('23900000'), '23900-000');
+	assert.equal(formatTelefone('2433651234'), '(24) 3365-1234');
+	assert.equal(formatTelefone('24999871234'), '(24) 99987-1234');
+});
+
+test('tipoChavePix reconhece cada tipo de chave', () => {
+	assert.equal(tipoChavePix('529.982.247-25'), 'cpf');
+	assert.equal(tipoChavePix('11.222.333/0001-81'), 'cnpj');
+	assert.equal(tipoChavePix('financeiro@escola.com.br'), 'email');
+	assert.equal(tipoChavePix('+55 (24) 99987-1234'), 'telefone');
+	assert.equal(tipoChavePix('123e4567-e89b-12d3-a456-426614174000'), 'aleatoria');
+	assert.equal(tipoChavePix('24999871234'), null);
+	assert.equal(tipoChavePix(''), null);
+});
+
+test('validarCadastro lista os campos inválidos', () => {
+	assert.deepEqual(validarCadastro({ descricao: 'Papelaria Central', cpf_cnpj: '11222333000181', cep: '23900-000', uf: 'RJ' }), []);
+	assert.deepEqual(validarCadastro({ descricao: ' ', email: 'financeiro@', celular: '99987', cep: '239', uf: 'Rio' }), [
+		'Informe o nome.',
+		'E-mail inválido.',
+		'Celular inválido: informe DDD e número.',
+		'CEP deve ter 8 dígitos.',
+		'UF deve ter 2 letras.',
+	]);
+});
+
+test('formatEndereco e formatDadosPagamento montam o texto do cadastro', () => {
+	const fornecedor = {
+		logradouro: 'Rua do Comércio',
+		numero: '120',
+		bairro: 'Centro',
+		cidade: 'Angra dos Reis',
+		uf: 'RJ',
+		cep: '23900000',
+		banco: '341',
+		agencia: '1234',
+		conta: '56789-0',
+	};
+
+	assert.equal(formatEndereco(fornecedor), 'Rua do Comércio, 120 - Centro - Angra dos Reis/RJ - CEP 23900-000');
+	assert.equal(formatDadosPagamento(fornecedor), 'Banco 341 Ag. 1234 C/C 56789-0');
+	assert.equal(formatDadosPagamento({ ...fornecedor, chave_pix: 'financeiro@escola.com.br' }), 'PIX financeiro@escola.com.br');
+	assert.equal(formatEndereco(null), '');
+});
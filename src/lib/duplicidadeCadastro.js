@@ -0,0 +1,78 @@
+import { normalizarNome } from '@/lib/vinculoCadastro';
+
+// Grupos de cadastros provavelmente duplicados, sempre do mesmo tipo: mesmo
+// nome sem acentos e maiusculas, mesmo CPF/CNPJ ou um aluno em comum nos
+// lancamentos. A ligacao e transitiva (A~B e B~C formam um grupo so).
+
+export const MOTIVOS = { nome: 'Mesmo nome', documento: 'Mesmo CPF/CNPJ', aluno: 'Aluno em comum' };
+
+const criarConjuntos = () => {
+	const pai = new Map();
+	const raiz = (id) => {
+		let atual = id;
+		while (pai.has(atual) && pai.get(atual) !== atual) atual = pai.get(atual);
+		if (atual !== id) pai.set(id, atual);
+		return atual;
+	};
+	const unir = (a, b) => {
+		const raizA = raiz(a);
+		const raizB = raiz(b);
+		if (raizA !== raizB) pai.set(raizB, raizA);
+	};
+	return { raiz, unir };
+};
+
+// `alunos` e uma lista de { cliente_fornecedor_id, aluno }.
+export function agruparDuplicados(cadastros, alunos = []) {
+	const conjuntos = criarConjuntos();
+	const motivosPorId = new Map(cadastros.map((cadastro) => [cadastro.id, new Set()]));
+	const porId = new Map(cadastros.map((cadastro) => [cadastro.id, cadastro]));
+
+	// Liga os cadastros do mesmo tipo com a mesma chave; `pares` e [id, chave].
+	const ligarIguais = (pares, motivo) => {
+		const mapa = new Map();
+		pares.forEach(([id, chave]) => {
+			if (!chave) return;
+			const indice = `${porId.get(id).tipo}|${chave}`;
+			if (!mapa.has(indice)) mapa.set(indice, new Set());
+			mapa.get(indice).add(id);
+		});
+		mapa.forEach((conjunto) => {
+			const ids = [...conjunto];
+			if (ids.length < 2) return;
+			ids.forEach((id) => {
+				conjuntos.unir(ids[0], id);
+				motivosPorId.get(id).add(motivo);
+			});
+		});
+	};
+
+	ligarIguais(cadastros.map((cadastro) => [cadastro.id, normalizarNome(cadastro.descricao)]), 'nome');
+	ligarIguais(cadastros.map((cadastro) => [cadastro.id, cadastro.cpf_cnpj]), 'documento');
+	ligarIguais(alunos
+		.filter((item) => porId.has(item.cliente_fornecedor_id))
+		.map((item) => [item.cliente_fornecedor_id, normalizarNome(item.aluno)]), 'aluno');
+
+	const grupos = new Map();
+	cadastros.forEach((cadastro) => {
+		const raiz = conjuntos.raiz(cadastro.id);
+		if (!grupos.has(raiz)) grupos.set(raiz, []);
+		grupos.get(raiz).push(cadastro);
+	});
+
+	return [...grupos.values()]
+		.filter((grupo) => grupo.length > 1)
+		.map((grupo) => ({
+			tipo: grupo[0].tipo,
+			cadastros: [...grupo].sort((a, b) => Number(b.lancamentos || 0) - Number(a.lancamentos || 0) || a.id - b.id),
+			motivos: [...new Set(grupo.flatMap((cadastro) => [...motivosPorId.get(cadastro.id)]))],
+		}))
+		.sort((a, b) => b.cadastros.length - a.cadastros.length || a.cadastros[0].descricao.localeCompare(b.cadastros[0].descricao));
+}
+
+// Sugestao de cadastro mantido: o com mais lancamentos, desempatando pelo que
+// tem CPF/CNPJ e depois pelo mais antigo.
+export const sugerirSobrevivente = (grupo) => [...grupo.cadastros].sort((a, b) =>
+	Number(b.lancamentos || 0) - Number(a.lancamentos || 0)
+	|| Number(Boolean(b.cpf_cnpj)) - Number(Boolean(a.cpf_cnpj))
+	|| a.id - b.id)[0];
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { agruparDuplicados, sugerirSobrevivente } from './duplicidadeCadastro.js';
+
+const cadastros = [
+	{ id: 1, tipo: 'Cliente', descricao: 'Maria José Silva', cpf_cnpj: null, lancamentos: 12 },
+	{ id: 2, tipo: 'Cliente', descricao: 'MARIA JOSE SILVA', cpf_cnpj: '52998224725', lancamentos: 3 },
+	{ id: 3, tipo: 'Cliente', descricao: 'Maria J. Silva', cpf_cnpj: '52998224725', lancamentos: 0 },
+	{ id: 4, tipo: 'Cliente', descricao: 'Carlos Souza', cpf_cnpj: null, lancamentos: 5 },
+	{ id: 5, tipo: 'Cliente', descricao: 'Carlos de Souza', cpf_cnpj: null, lancamentos: 5 },
+	{ id: 6, tipo: 'Fornecedor', descricao: 'Maria José Silva', cpf_cnpj: null, lancamentos: 1 },
+];
+
+const alunos = [
+	{ cliente_fornecedor_id: 4, aluno: 'Pedro Souza' },
+	{ cliente_fornecedor_id: 5, aluno: 'PEDRO SOUZA' },
+	{ cliente_fornecedor_id: 99, aluno: 'Pedro Souza' },
+];
+
+test('agruparDuplicados liga nome, documento e aluno de forma transitiva e só dentro do tipo', () => {
+	const grupos = agruparDuplicados(cadastros, alunos);
+
+	assert.deepEqual(grupos.map((grupo) => grupo.cadastros.map((cadastro) => cadastro.id)), [[1, 2, 3], [4, 5]]);
+	assert.deepEqual(grupos[0].motivos.sort(), ['documento', 'nome']);
+	assert.deepEqual(grupos[1].motivos, ['aluno']);
+	assert.ok(grupos.every((grupo) => grupo.tipo === 'Cliente'));
+});
+
+test('agruparDuplicados não devolve cadastros sem par', () => {
+	assert.deepEqual(agruparDuplicados(cadastros.slice(3, 4)), []);
+});
+
+test('sugerirSobrevivente prefere mais lançamentos, depois CPF/CNPJ, depois o mais antigo', () => {
+	const [maria, carlos] = agruparDuplicados(cadastros, alunos);
+
+	assert.equal(sugerirSobrevivente(maria).id, 1);
+	assert.equal(sugerirSobrevivente(carlos).id, 4);
+	assert.equal(sugerirSobrevivente({ cadastros: [cadastros[3], { ...cadastros[4], cpf_cnpj: '11222333000181' }] }).id, 5);
+});
@@ -0,0 +1,34 @@
+// Encargos de atraso das Entradas: multa (%) uma unica vez e juros de mora
+// (% ao mes, pro rata die em mes de 30 dias) sobre o saldo em aberto, pela
+// regra da unidade do lancamento. Datas yyyy-MM-dd.
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const numero = (value) => Number(value || 0);
+const arredondar = (value) => Math.round(value * 100) / 100;
+
+export const diasAtraso = (vencimento, data) => {
+	if (!vencimento || !data) return 0;
+	const dias = Math.round((new Date(`${data}T00:00:00Z`) - new Date(`${vencimento}T00:00:00Z`)) / DIA_MS);
+	return Math.max(0, dias);
+};
+
+export const regraDaUnidade = (regras, unidade) => regras.find((regra) => regra.unidade === unidade) || null;
+
+// `principal` e o saldo em aberto (ou o valor, sem baixas). Saidas, titulos
+// pagos, sem regra ou dentro da carencia nao tem encargos.
+export function calcularEncargos(lancamento, regra, data) {
+	const principal = lancamento.status === 'Pago' ? 0 : numero(lancamento.saldo ?? lancamento.valor);
+	const dias = diasAtraso(lancamento.data, data);
+	const semEncargos = { dias, principal, multa: 0, juros: 0, total: principal };
+
+	if (lancamento.tipo !== 'Entrada' || !regra || principal <= 0) return semEncargos;
+	if (dias === 0 || dias <= numero(regra.carencia_dias)) return semEncargos;
+
+	const multa = arredondar(principal * numero(regra.multa_percentual) / 100);
+	const juros = arredondar(principal * numero(regra.juros_mensal_percentual) / 100 / 30 * dias);
+	return { dias, principal, multa, juros, total: arredondar(principal + multa + juros) };
+}
+
+export const valorAtualizado = (lancamento, regras, data) =>
+	calcularEncargos(lancamento, regraDaUnidade(regras, lancamento.unidade), data).total;
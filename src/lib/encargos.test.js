@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calcularEncargos, diasAtraso, regraDaUnidade, valorAtualizado } from './encargos.js';
+
+const regras = [
+	{ unidade: 'CNA Angra dos Reis', multa_percentual: 2, juros_mensal_percentual: 1, carencia_dias: 3 },
+	{ unidade: 'CNA Mangaratiba', multa_percentual: 2, juros_mensal_percentual: 1, carencia_dias: 0 },
+];
+
+const mensalidade = { tipo: 'Entrada', unidade: 'CNA Angra dos Reis', data: '2026-10-10', valor: 350, status: 'A Vencer' };
+
+test('diasAtraso conta dias corridos e nunca fica negativo', () => {
+	assert.equal(diasAtraso('2026-10-10', '2026-11-09'), 30);
+	assert.equal(diasAtraso('2026-10-10', '2026-10-01'), 0);
+	assert.equal(diasAtraso(null, '2026-10-01'), 0);
+});
+
+test('calcularEncargos aplica multa uma vez e juros pro rata die após a carência', () => {
+	const regra = regraDaUnidade(regras, mensalidade.unidade);
+
+	assert.deepEqual(calcularEncargos(mensalidade, regra, '2026-10-13'), { dias: 3, principal: 350, multa: 0, juros: 0, total: 350 });
+	assert.deepEqual(calcularEncargos(mensalidade, regra, '2026-11-09'), { dias: 30, principal: 350, multa: 7, juros: 3.5, total: 360.5 });
+	assert.deepEqual(
+		calcularEncargos({ ...mensalidade, saldo: 200, status: 'Parcial' }, regra, '2026-10-25'),
+		{ dias: 15, principal: 200, multa: 4, juros: 1, total: 205 },
+	);
+});
+
+test('calcularEncargos não cobra Saídas, títulos pagos ou unidades sem regra', () => {
+	assert.equal(calcularEncargos({ ...mensalidade, tipo: 'Saida' }, regras[0], '2026-11-09').total, 350);
+	assert.equal(calcularEncargos({ ...mensalidade, status: 'Pago' }, regras[0], '2026-11-09').total, 0);
+	assert.equal(valorAtualizado({ ...mensalidade, unidade: 'Casa' }, regras, '2026-11-09'), 350);
+	assert.equal(valorAtualizado({ ...mensalidade, unidade: 'CNA Mangaratiba' }, regras, '2026-10-11'), 357.12);
+});
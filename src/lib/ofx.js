@@ -0,0 +1,79 @@
+// Leitor de extratos OFX (1.x em SGML e 2.x em XML) exportados por Itaú,
+// Bradesco, Banco do Brasil e Caixa.
+
+const decodeEntities = (value) => value
+	.replace(/&lt;/g, '<')
+	.replace(/&gt;/g, '>')
+	.replace(/&quot;/g, '"')
+	.replace(/&#39;/g, "'")
+	.replace(/&amp;/g, '&');
+
+// Em OFX 1.x as tags de valor nao tem fechamento: o valor vai ate a proxima tag ou quebra de linha.
+const readTag = (block, tag) => {
+	const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+	return match ? decodeEntities(match[1].trim()) : '';
+};
+
+const parseOfxDate = (value) => {
+	const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+	return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// Alguns bancos exportam TRNAMT com virgula decimal.
+const parseOfxAmount = (value) => {
+	let normalized = (value || '').replace(/\s/g, '');
+	if (normalized.includes(',')) {
+		normalized = normalized.replace(/\./g, '').replace(',', '.');
+	}
+	const parsed = Number.parseFloat(normalized);
+	return Number.isFinite(parsed) ? parsed : null;
+};
+
+const detectCharset = (header) => {
+	if (/encoding="?(utf-8)/i.test(header)) return 'utf-8';
+	if (/CHARSET:\s*(1252|ISO-8859-1|8859-1)/i.test(header)) return 'windows-1252';
+	if (/ENCODING:\s*UTF-8/i.test(header)) return 'utf-8';
+	return 'windows-1252';
+};
+
+export function parseOfx(text) {
+	if (!/<OFX>/i.test(text)) {
+		throw new Error('Arquivo OFX inválido: bloco <OFX> não encontrado.');
+	}
+
+	const transacoes = [];
+	const blocos = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+	blocos.forEach((bloco, index) => {
+		const valor = parseOfxAmount(readTag(bloco, 'TRNAMT'));
+		const data = parseOfxDate(readTag(bloco, 'DTPOSTED'));
+		if (valor === null || valor === 0 || !data) {
+			return;
+		}
+
+		transacoes.push({
+			id: readTag(bloco, 'FITID') || `${data}-${index}`,
+			tipo: valor > 0 ? 'credito' : 'debito',
+			data,
+			valor: Math.abs(valor),
+			nome: readTag(bloco, 'NAME'),
+			memo: readTag(bloco, 'MEMO'),
+			documento: readTag(bloco, 'CHECKNUM') || readTag(bloco, 'REFNUM'),
+		});
+	});
+
+	return {
+		banco: readTag(text, 'BANKID'),
+		agencia: readTag(text, 'BRANCHID'),
+		conta: readTag(text, 'ACCTID'),
+		inicio: parseOfxDate(readTag(text, 'DTSTART')),
+		fim: parseOfxDate(readTag(text, 'DTEND')),
+		transacoes,
+	};
+}
+
+export async function lerArquivoOfx(file) {
+	const buffer = await file.arrayBuffer();
+	const header = new TextDecoder('ascii').decode(buffer.slice(0, 512));
+	return parseOfx(new TextDecoder(detectCharset(header)).decode(buffer));
+}
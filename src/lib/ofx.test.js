@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { parseOfx } from './ofx.js';
+
+const fixture = (nome) => readFileSync(new URL(`./fixtures/${nome}`, import.meta.url), 'latin1');
+
+test('parseOfx lê extrato OFX 1.x em SGML com tags sem fechamento', () => {
+	const extrato = parseOfx(fixture('extrato-itau-102.ofx'));
+
+	assert.equal(extrato.banco, '0341');
+	assert.equal(extrato.agencia, '1234');
+	assert.equal(extrato.conta, '56789-0');
+	assert.equal(extrato.inicio, '2026-10-01');
+	assert.equal(extrato.fim, '2026-10-15');
+	assert.deepEqual(extrato.transacoes[0], {
+		id: '20261005001',
+		tipo: 'credito',
+		data: '2026-10-05',
+		valor: 350,
+		nome: '',
+		memo: 'PIX RECEBIDO MARIA SILVA',
+		documento: '000123',
+	});
+});
+
+test('parseOfx aceita vírgula decimal, decodifica entidades e ignora valores zerados', () => {
+	const { transacoes } = parseOfx(fixture('extrato-itau-102.ofx'));
+
+	assert.equal(transacoes.length, 2);
+	assert.equal(transacoes[1].tipo, 'debito');
+	assert.equal(transacoes[1].valor, 1234.56);
+	assert.equal(transacoes[1].nome, 'ALUGUEL SALA 2 & 3');
+});
+
+test('parseOfx lê extrato OFX 2.x em XML e gera id quando falta FITID', () => {
+	const extrato = parseOfx(readFileSync(new URL('./fixtures/extrato-bb-211.ofx', import.meta.url), 'utf8'));
+
+	assert.equal(extrato.banco, '001');
+	assert.deepEqual(extrato.transacoes.map(({ id, tipo, valor, documento }) => ({ id, tipo, valor, documento })), [
+		{ id: '202610020001', tipo: 'debito', valor: 45.9, documento: '778899' },
+		{ id: '2026-10-03-1', tipo: 'credito', valor: 266, documento: '' },
+	]);
+	assert.equal(extrato.transacoes[0].memo, 'Tarifa Pacote de Serviços');
+});
+
+test('parseOfx recusa arquivo sem bloco OFX', () => {
+	assert.throws(() => parseOfx('Data;Histórico;Valor\n05/10/2026;PIX;350,00'), /bloco <OFX>/);
+});
@@ -0,0 +1,61 @@
+// Saldo em aberto de cada lancamento a partir das suas baixas (pagamentos
+// parciais). Sem baixas vale o status gravado: 'Pago' zera o saldo, qualquer
+// outro mantem o `valor` original. Baixas estornadas (com `estorno`) nao
+// contam, e lancamentos 'Cancelado' nao tem saldo.
+
+const TOLERANCIA = 0.005;
+
+const numero = (value) => Number(value || 0);
+const arredondar = (value) => Math.round(value * 100) / 100;
+
+// Quanto do valor original a baixa quitou: juros e multa nao abatem o titulo,
+// descontos concedidos abatem.
+export const valorAmortizado = (baixa) => arredondar(
+	numero(baixa.valor_pago) - numero(baixa.juros) - numero(baixa.multa) + numero(baixa.desconto) + numero(baixa.desc_pontual),
+);
+
+export const estornada = (baixa) => Boolean(baixa.estorno);
+
+export function calcularSaldo(lancamento, todasBaixas = []) {
+	const baixas = todasBaixas.filter((baixa) => !estornada(baixa));
+	const valor = numero(lancamento.valor);
+	const valorBaixado = arredondar(baixas.reduce((total, baixa) => total + valorAmortizado(baixa), 0));
+
+	if (lancamento.status === 'Pago' || lancamento.status === 'Cancelado') {
+		return { valorBaixado, saldo: 0, status: lancamento.status };
+	}
+	if (baixas.length === 0) {
+		return { valorBaixado: 0, saldo: valor, status: lancamento.status };
+	}
+
+	const saldo = Math.max(0, arredondar(valor - valorBaixado));
+	return { valorBaixado, saldo, status: saldo <= TOLERANCIA ? 'Pago' : 'Parcial' };
+}
+
+// Devolve os lancamentos com `valor_baixado`, `saldo` e o status derivado das baixas.
+export function aplicarSaldos(lancamentos, baixas) {
+	const porLancamento = new Map();
+	baixas.forEach((baixa) => {
+		const chave = String(baixa.lancamento_id);
+		porLancamento.set(chave, [...(porLancamento.get(chave) || []), baixa]);
+	});
+
+	return lancamentos.map((lancamento) => {
+		const { valorBaixado, saldo, status } = calcularSaldo(lancamento, porLancamento.get(String(lancamento.id)));
+		return { ...lancamento, valor_baixado: valorBaixado, saldo, status };
+	});
+}
+
+export const saldoAberto = (lancamento) => {
+	if (lancamento.status === 'Pago' || lancamento.status === 'Cancelado') return 0;
+	return numero(lancamento.saldo ?? lancamento.valor);
+};
+
+// Desconto de pontualidade implicito quando o valor recebido (ja sem juros e
+// multa) fica abaixo do saldo em ate `desc_pontual`, como em boletos e
+// extratos que so trazem o valor liquido.
+export const descontoPontualImplicito = (lancamento, amortizado) => {
+	const faltante = arredondar(saldoAberto(lancamento) - amortizado);
+	if (faltante <= 0) return 0;
+	return Math.min(faltante, numero(lancamento.desc_pontual));
+};
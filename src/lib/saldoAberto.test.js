@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { aplicarSaldos, calcularSaldo, descontoPontualImplicito, saldoAberto, valorAmortizado } from './saldoAberto.js';
+
+test('valorAmortizado desconta juros e multa e soma os descontos', () => {
+	assert.equal(valorAmortizado({ valor_pago: '357.35', juros: '5.25', multa: '7.00', desconto: '0', desc_pontual: '10.00' }), 355.1);
+});
+
+test('calcularSaldo deriva Parcial e Pago das baixas e ignora as estornadas', () => {
+	const lancamento = { id: 1, valor: 350, status: 'A Vencer' };
+
+	assert.deepEqual(calcularSaldo(lancamento, []), { valorBaixado: 0, saldo: 350, status: 'A Vencer' });
+	assert.deepEqual(calcularSaldo(lancamento, [{ valor_pago: 150 }]), { valorBaixado: 150, saldo: 200, status: 'Parcial' });
+	assert.deepEqual(
+		calcularSaldo(lancamento, [{ valor_pago: 150 }, { valor_pago: 207, juros: 7 }]),
+		{ valorBaixado: 350, saldo: 0, status: 'Pago' },
+	);
+	assert.deepEqual(
+		calcularSaldo(lancamento, [{ valor_pago: 150 }, { valor_pago: 200, estorno: { id: 9 } }]),
+		{ valorBaixado: 150, saldo: 200, status: 'Parcial' },
+	);
+});
+
+test('calcularSaldo zera o saldo de títulos pagos ou cancelados', () => {
+	assert.equal(calcularSaldo({ valor: 350, status: 'Pago' }, []).saldo, 0);
+	assert.equal(calcularSaldo({ valor: 350, status: 'Cancelado' }, [{ valor_pago: 100 }]).saldo, 0);
+});
+
+test('aplicarSaldos agrupa as baixas pelo lancamento_id', () => {
+	const [primeiro, segundo] = aplicarSaldos(
+		[{ id: 1, valor: 100, status: 'A Vencer' }, { id: 2, valor: 80, status: 'Vencido' }],
+		[{ lancamento_id: '1', valor_pago: 40 }],
+	);
+
+	assert.deepEqual([primeiro.saldo, primeiro.valor_baixado, primeiro.status], [60, 40, 'Parcial']);
+	assert.deepEqual([segundo.saldo, segundo.valor_baixado, segundo.status], [80, 0, 'Vencido']);
+});
+
+test('saldoAberto e descontoPontualImplicito limitam o desconto ao desc_pontual', () => {
+	const lancamento = { valor: 350, saldo: 350, desc_pontual: 35, status: 'A Vencer' };
+
+	assert.equal(saldoAberto(lancamento), 350);
+	assert.equal(saldoAberto({ ...lancamento, status: 'Pago' }), 0);
+	assert.equal(descontoPontualImplicito(lancamento, 315), 35);
+	assert.equal(descontoPontualImplicito(lancamento, 300), 35);
+	assert.equal(descontoPontualImplicito(lancamento, 340), 10);
+	assert.equal(descontoPontualImplicito(lancamento, 350), 0);
+});
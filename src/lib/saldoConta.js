@@ -0,0 +1,49 @@
+// Saldo das contas bancarias. `saldo_inicial` vale no inicio do dia
+// `data_saldo_inicial`; movimentos depois dessa data somam e os anteriores
+// sao descontados, de modo que o saldo pode ser calculado em qualquer data.
+// Datas no formato yyyy-MM-dd, comparadas como texto.
+
+const numero = (value) => Number(value || 0);
+const arredondar = (value) => Math.round(value * 100) / 100;
+
+// Saldo no inicio do dia `data` (movimentos do proprio dia nao entram).
+export function saldoEm(conta, movimentos, data) {
+	const abertura = conta.data_saldo_inicial;
+	const saldo = movimentos.reduce((total, movimento) => {
+		if (String(movimento.conta_bancaria_id) !== String(conta.id)) return total;
+		if (movimento.data >= abertura && movimento.data < data) return total + numero(movimento.valor);
+		if (movimento.data >= data && movimento.data < abertura) return total - numero(movimento.valor);
+		return total;
+	}, numero(conta.saldo_inicial));
+	return arredondar(saldo);
+}
+
+export const saldoConsolidadoEm = (contas, movimentos, data) =>
+	arredondar(contas.reduce((total, conta) => total + saldoEm(conta, movimentos, data), 0));
+
+// Extrato do periodo [inicio, fim]: saldo anterior, movimentos com saldo
+// acumulado e saldo final.
+export function montarExtrato(conta, movimentos, { inicio, fim }) {
+	const saldoAnterior = saldoEm(conta, movimentos, inicio);
+	let saldo = saldoAnterior;
+
+	const linhas = movimentos
+		.filter((movimento) => String(movimento.conta_bancaria_id) === String(conta.id))
+		.filter((movimento) => movimento.data >= inicio && movimento.data <= fim)
+		.sort((a, b) => a.data.localeCompare(b.data) || String(a.id).localeCompare(String(b.id)))
+		.map((movimento) => {
+			saldo = arredondar(saldo + numero(movimento.valor));
+			return { ...movimento, saldo };
+		});
+
+	const creditos = linhas.reduce((total, linha) => total + Math.max(0, numero(linha.valor)), 0);
+	const debitos = linhas.reduce((total, linha) => total + Math.max(0, -numero(linha.valor)), 0);
+
+	return {
+		saldoAnterior,
+		linhas,
+		creditos: arredondar(creditos),
+		debitos: arredondar(debitos),
+		saldoFinal: saldo,
+	};
+}
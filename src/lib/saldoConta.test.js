@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { montarExtrato, saldoConsolidadoEm, saldoEm } from './saldoConta.js';
+
+const conta = { id: 1, saldo_inicial: 1000, data_saldo_inicial: '2026-10-01' };
+const movimentos = [
+	{ id: 'baixa-1', conta_bancaria_id: 1, data: '2026-09-28', valor: 200 },
+	{ id: 'baixa-2', conta_bancaria_id: 1, data: '2026-10-01', valor: 150.1 },
+	{ id: 'baixa-3', conta_bancaria_id: '1', data: '2026-10-05', valor: -80.05 },
+	{ id: 'baixa-4', conta_bancaria_id: 2, data: '2026-10-03', valor: 500 },
+];
+
+test('saldoEm soma os movimentos desde a abertura e desconta os anteriores', () => {
+	assert.equal(saldoEm(conta, movimentos, '2026-10-01'), 1000);
+	assert.equal(saldoEm(conta, movimentos, '2026-10-02'), 1150.1);
+	assert.equal(saldoEm(conta, movimentos, '2026-10-06'), 1070.05);
+	assert.equal(saldoEm(conta, movimentos, '2026-09-28'), 800);
+	assert.equal(saldoEm(conta, [], '2026-12-31'), 1000);
+});
+
+test('saldoConsolidadoEm soma o saldo de cada conta', () => {
+	const outra = { id: 2, saldo_inicial: '50', data_saldo_inicial: '2026-10-01' };
+
+	assert.equal(saldoConsolidadoEm([conta, outra], movimentos, '2026-10-06'), 1620.05);
+});
+
+test('montarExtrato acumula o saldo e separa créditos e débitos do período', () => {
+	const extrato = montarExtrato(conta, movimentos, { inicio: '2026-10-01', fim: '2026-10-31' });
+
+	assert.equal(extrato.saldoAnterior, 1000);
+	assert.deepEqual(extrato.linhas.map((linha) => [linha.id, linha.saldo]), [['baixa-2', 1150.1], ['baixa-3', 1070.05]]);
+	assert.equal(extrato.creditos, 150.1);
+	assert.equal(extrato.debitos, 80.05);
+	assert.equal(extrato.saldoFinal, 1070.05);
+});
@@ -0,0 +1,56 @@
+// Sugestao de cadastro para os nomes digitados ou importados nos lancamentos.
+// Os nomes sao comparados sem acentos, maiusculas e pontuacao, por trigramas,
+// o que tolera erros de digitacao e abreviacoes pequenas.
+
+export const SIMILARIDADE_MINIMA = 0.45;
+export const LIMITE_SUGESTOES = 3;
+
+export const normalizarNome = (value) => String(value ?? '')
+	.normalize('NFD')
+	.replace(/[\u0300-\u036f]/g, '')
+	.toLowerCase()
+	.replace(/[^a-z0-9]+/g, ' ')
+	.trim();
+
+// Os mesmos cadastros sao comparados com muitos nomes: os trigramas de cada
+// nome normalizado sao calculados uma vez.
+const cacheTrigramas = new Map();
+
+const trigramas = (nome) => {
+	if (cacheTrigramas.has(nome)) return cacheTrigramas.get(nome);
+	const conjunto = new Set();
+	nome.split(' ').filter(Boolean).forEach((palavra) => {
+		const texto = `  ${palavra} `;
+		for (let i = 0; i < texto.length - 2; i += 1) conjunto.add(texto.slice(i, i + 3));
+	});
+	cacheTrigramas.set(nome, conjunto);
+	return conjunto;
+};
+
+// Coeficiente de Dice dos trigramas: 1 para nomes iguais depois de normalizados.
+export function similaridadeNomes(a, b) {
+	const nomeA = normalizarNome(a);
+	const nomeB = normalizarNome(b);
+	if (!nomeA || !nomeB) return 0;
+	if (nomeA === nomeB) return 1;
+
+	const trigramasA = trigramas(nomeA);
+	const trigramasB = trigramas(nomeB);
+	let comuns = 0;
+	trigramasA.forEach((trigrama) => {
+		if (trigramasB.has(trigrama)) comuns += 1;
+	});
+	return (2 * comuns) / (trigramasA.size + trigramasB.size);
+}
+
+// Melhores cadastros para o nome, do mais parecido para o menos. `exato` indica
+// um unico cadastro igual depois de normalizado, que pode vir pre-selecionado.
+export function sugerirCadastros(nome, cadastros, { minimo = SIMILARIDADE_MINIMA, limite = LIMITE_SUGESTOES } = {}) {
+	const sugestoes = cadastros
+		.map((cadastro) => ({ cadastro, similaridade: similaridadeNomes(nome, cadastro.descricao) }))
+		.filter((sugestao) => sugestao.similaridade >= minimo)
+		.sort((a, b) => b.similaridade - a.similaridade || a.cadastro.descricao.localeCompare(b.cadastro.descricao))
+		.slice(0, limite);
+	const exatos = sugestoes.filter((sugestao) => sugestao.similaridade === 1);
+	return { sugestoes, exato: exatos.length === 1 ? exatos[0].cadastro : null };
+}
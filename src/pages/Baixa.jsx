@@ -0,0 +1,699 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Ban, CheckCircle, Receipt, Search, Undo2 } from 'lucide-react';
+import { format } from 'date-fns';
+import jsPDF from 'jspdf';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Textarea } from '@/components/ui/textarea';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/contexts/SupabaseAuthContext';
+import { supabase } from '@/lib/customSupabaseClient';
+import { descontoPontualVigente, prazoDescontoPontual, regraDePontualidade } from '@/lib/descontoPontual';
+import { formatCpfCnpj, formatDadosPagamento, formatEndereco } from '@/lib/documentos';
+import { calcularEncargos, regraDaUnidade } from '@/lib/encargos';
+import { calcularSaldo, estornada, valorAmortizado } from '@/lib/saldoAberto';
+import { calcularValorPago, estornarBaixa, listarBaixas, registrarBaixa } from '@/services/baixaService';
+import { carregarClienteFornecedor } from '@/services/clienteFornecedorService';
+import { listarContasBancarias } from '@/services/contaBancariaService';
+import { listarRegrasDescontoPontual } from '@/services/descontoPontualService';
+import { listarRegrasEncargos } from '@/services/encargoService';
+import { cancelarLancamento } from '@/services/lancamentoService';
+
+const TODOS_TIPOS = 'todos';
+const CAMPOS_LANCAMENTO = 'id, tipo, data, cliente_fornecedor, cliente_fornecedor_id, aluno, descricao, obs, valor, desc_pontual, unidade, status, motivo_cancelamento, cancelado_em';
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'dd/MM/yyyy') : '-');
+
+// Aceita "1.234,56" ou "1234.56".
+const parseValor = (value) => {
+  const texto = String(value ?? '').trim();
+  if (!texto) return 0;
+  const normalizado = texto.includes(',') ? texto.replace(/\./g, '').replace(',', '.') : texto;
+  const numero = Number(normalizado);
+  return Number.isFinite(numero) ? numero : NaN;
+};
+
+const formatValorCampo = (value) => (Number(value || 0) ? Number(value).toFixed(2).replace('.', ',') : '');
+
+const hoje = () => format(new Date(), 'yyyy-MM-dd');
+
+const formVazio = () => ({
+  dataPagamento: hoje(),
+  juros: '',
+  multa: '',
+  desconto: '',
+  descPontual: '',
+  valorPago: '',
+  contaBancariaId: '',
+  obs: '',
+});
+
+const Baixa = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const [searchParams] = useSearchParams();
+  const [busca, setBusca] = useState('');
+  const [tipo, setTipo] = useState(TODOS_TIPOS);
+  const [resultados, setResultados] = useState([]);
+  const [buscando, setBuscando] = useState(false);
+  const [lancamento, setLancamento] = useState(null);
+  const [baixasAnteriores, setBaixasAnteriores] = useState([]);
+  const [contas, setContas] = useState([]);
+  const [regras, setRegras] = useState([]);
+  const [regrasPontualidade, setRegrasPontualidade] = useState([]);
+  const [form, setForm] = useState(formVazio);
+  const [valorEditado, setValorEditado] = useState(false);
+  const [encargosEditados, setEncargosEditados] = useState(false);
+  const [descontoEditado, setDescontoEditado] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [estorno, setEstorno] = useState(null);
+  const [cancelamento, setCancelamento] = useState(null);
+
+  useEffect(() => {
+    listarContasBancarias()
+      .then(setContas)
+      .catch((error) => toast({ title: 'Erro ao carregar contas bancárias', description: error.message, variant: 'destructive' }));
+    listarRegrasEncargos()
+      .then(setRegras)
+      .catch((error) => toast({ title: 'Erro ao carregar multa e juros', description: error.message, variant: 'destructive' }));
+    listarRegrasDescontoPontual()
+      .then(setRegrasPontualidade)
+      .catch((error) => toast({ title: 'Erro ao carregar descontos de pontualidade', description: error.message, variant: 'destructive' }));
+  }, [toast]);
+
+  const selecionarLancamento = async (item) => {
+    let baixas = [];
+    try {
+      baixas = await listarBaixas([item.id]);
+    } catch (error) {
+      toast({ title: 'Erro ao carregar baixas do lançamento', description: error.message, variant: 'destructive' });
+      return;
+    }
+
+    setLancamento(item);
+    setBaixasAnteriores(baixas);
+    setValorEditado(false);
+    setEncargosEditados(false);
+    setDescontoEditado(false);
+    setEstorno(null);
+    setCancelamento(null);
+    setForm((prev) => ({
+      ...formVazio(),
+      contaBancariaId: prev.contaBancariaId,
+    }));
+  };
+
+  const abrirLancamento = async (lancamentoId) => {
+    const { data, error } = await supabase
+      .from('lancamentos')
+      .select(CAMPOS_LANCAMENTO)
+      .eq('id', lancamentoId)
+      .maybeSingle();
+    if (error || !data) {
+      toast({ title: 'Lançamento não encontrado', description: error?.message, variant: 'destructive' });
+      return;
+    }
+    await selecionarLancamento(data);
+  };
+
+  // Vindo de Contas a Pagar/Receber com ?lancamento=<id>, abre direto o
+  // formulario. Titulos pagos abrem so com as baixas, para estorno.
+  useEffect(() => {
+    const lancamentoId = searchParams.get('lancamento');
+    if (lancamentoId) abrirLancamento(lancamentoId);
+  }, [searchParams, toast]);
+
+  const handleBuscar = async (event) => {
+    event?.preventDefault();
+    const termo = busca.trim();
+
+    let query = supabase
+      .from('lancamentos')
+      .select(CAMPOS_LANCAMENTO)
+      .or('status.is.null,status.not.in.(Pago,Cancelado)')
+      .order('data', { ascending: true })
+      .limit(50);
+
+    if (tipo !== TODOS_TIPOS) {
+      query = query.eq('tipo', tipo);
+    }
+    if (termo) {
+      const valor = parseValor(termo);
+      if (Number.isFinite(valor) && /\d/.test(termo) && !/[a-z]/i.test(termo)) {
+        query = query.eq('valor', valor);
+      } else {
+        const pattern = `%${termo.replace(/[%,()]/g, ' ')}%`;
+        query = query.or(`cliente_fornecedor.ilike.${pattern},aluno.ilike.${pattern},descricao.ilike.${pattern}`);
+      }
+    }
+
+    setBuscando(true);
+    const { data, error } = await query;
+    setBuscando(false);
+
+    if (error) {
+      toast({ title: 'Erro ao buscar lançamentos', description: error.message, variant: 'destructive' });
+      return;
+    }
+    setResultados(data || []);
+  };
+
+  const valores = {
+    juros: parseValor(form.juros),
+    multa: parseValor(form.multa),
+    desconto: parseValor(form.desconto),
+    descPontual: parseValor(form.descPontual),
+  };
+  const { saldo } = lancamento ? calcularSaldo(lancamento, baixasAnteriores) : { saldo: 0 };
+  const baixasAtivas = baixasAnteriores.filter((baixa) => !estornada(baixa));
+  const aberto = lancamento && lancamento.status !== 'Pago' && lancamento.status !== 'Cancelado';
+  const valorCalculado = lancamento ? calcularValorPago({ valor: saldo, ...valores }) : 0;
+  const valorPago = valorEditado ? parseValor(form.valorPago) : valorCalculado;
+  const amortizado = valorAmortizado({
+    valor_pago: valorPago,
+    juros: valores.juros,
+    multa: valores.multa,
+    desconto: valores.desconto,
+    desc_pontual: valores.descPontual,
+  });
+  const saldoRestante = Math.max(0, saldo - amortizado);
+
+  // Multa e juros da regra da unidade para a data do pagamento, ate o usuario editar.
+  const regra = lancamento ? regraDaUnidade(regras, lancamento.unidade) : null;
+  const encargos = lancamento ? calcularEncargos({ ...lancamento, saldo }, regra, form.dataPagamento) : null;
+  useEffect(() => {
+    if (!encargos || encargosEditados) return;
+    setForm((prev) => ({ ...prev, juros: formatValorCampo(encargos.juros), multa: formatValorCampo(encargos.multa) }));
+  }, [encargos?.juros, encargos?.multa, encargosEditados]);
+
+  // Desconto de pontualidade so na primeira baixa e dentro do prazo da regra.
+  const prazoDesconto = lancamento ? prazoDescontoPontual(lancamento, regraDePontualidade(regrasPontualidade, lancamento)) : null;
+  const descontoSugerido = lancamento
+    ? descontoPontualVigente({ ...lancamento, saldo, status: baixasAtivas.length ? 'Parcial' : lancamento.status }, regrasPontualidade, form.dataPagamento)
+    : 0;
+  useEffect(() => {
+    if (!lancamento || descontoEditado) return;
+    setForm((prev) => ({ ...prev, descPontual: formatValorCampo(descontoSugerido) }));
+  }, [lancamento, descontoSugerido, descontoEditado]);
+
+  const updateForm = (field) => (event) => setForm((prev) => ({ ...prev, [field]: event.target.value }));
+
+  const handleSubmit = async () => {
+    const invalido = Object.entries({ ...valores, valorPago }).find(([, value]) => !Number.isFinite(value) || value < 0);
+    if (invalido) {
+      toast({ title: 'Erro de Validação', description: 'Informe valores numéricos não negativos.', variant: 'destructive' });
+      return;
+    }
+    if (!form.dataPagamento) {
+      toast({ title: 'Erro de Validação', description: 'Informe a data do pagamento.', variant: 'destructive' });
+      return;
+    }
+    if (amortizado <= 0) {
+      toast({ title: 'Erro de Validação', description: 'A baixa não abate nada do saldo em aberto.', variant: 'destructive' });
+      return;
+    }
+    if (amortizado - saldo > 0.005) {
+      toast({
+        title: 'Erro de Validação',
+        description: `O valor pago, descontados juros e multa, excede o saldo em aberto de ${formatCurrency(saldo)}.`,
+        variant: 'destructive',
+      });
+      return;
+    }
+    if (!form.contaBancariaId) {
+      toast({ title: 'Erro de Validação', description: 'Selecione a conta bancária.', variant: 'destructive' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const baixa = await registrarBaixa(lancamento, {
+        ...valores,
+        dataPagamento: form.dataPagamento,
+        valorPago,
+        contaBancariaId: Number(form.contaBancariaId),
+        obs: form.obs.trim(),
+        userId: user?.id,
+      });
+      toast({
+        title: 'Sucesso!',
+        description: baixa.status === 'Pago'
+          ? `Baixa de ${formatCurrency(valorPago)} registrada. Lançamento quitado.`
+          : `Baixa parcial de ${formatCurrency(valorPago)} registrada. Saldo em aberto: ${formatCurrency(baixa.saldo)}.`,
+      });
+      setResultados((prev) => (baixa.status === 'Pago'
+        ? prev.filter((item) => item.id !== lancamento.id)
+        : prev.map((item) => (item.id === lancamento.id ? { ...item, status: baixa.status } : item))));
+      setLancamento(null);
+    } catch (error) {
+      toast({ title: 'Erro ao registrar baixa', description: error.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEstornar = async () => {
+    setSaving(true);
+    try {
+      const resultado = await estornarBaixa(estorno.baixa, lancamento, {
+        data: estorno.data,
+        motivo: estorno.motivo,
+        userId: user?.id,
+      });
+      toast({
+        title: 'Baixa estornada',
+        description: `Estorno de ${formatCurrency(estorno.baixa.valor_pago)} registrado. Saldo em aberto: ${formatCurrency(resultado.saldo)}.`,
+      });
+      setResultados((prev) => prev.map((item) => (item.id === lancamento.id ? { ...item, status: resultado.status } : item)));
+      await abrirLancamento(lancamento.id);
+    } catch (error) {
+      toast({ title: 'Erro ao estornar baixa', description: error.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Recibo da baixa com os dados do cadastro vinculado ao lancamento
+  // (`cliente_fornecedor_id`); sem vinculo, so o nome gravado. Nas Entradas a
+  // unidade recebe do cliente; nas Saidas o fornecedor assina.
+  const handleRecibo = async (baixa) => {
+    let cadastro = null;
+    try {
+      if (lancamento.cliente_fornecedor_id) {
+        cadastro = await carregarClienteFornecedor(lancamento.cliente_fornecedor_id);
+      }
+    } catch (error) {
+      toast({ title: 'Erro ao carregar cadastro', description: error.message, variant: 'destructive' });
+      return;
+    }
+
+    const doc = new jsPDF({ orientation: 'portrait', unit: 'pt', format: 'a4' });
+    const marginLeft = 50;
+    const largura = doc.internal.pageSize.getWidth() - marginLeft * 2;
+    const nome = cadastro?.descricao || lancamento.cliente_fornecedor || '-';
+    const documento = cadastro?.cpf_cnpj ? `, CPF/CNPJ ${formatCpfCnpj(cadastro.cpf_cnpj)}` : '';
+    const referente = [lancamento.aluno, lancamento.descricao].filter(Boolean).join(' - ') || '-';
+    let cursorY = 60;
+
+    doc.setFontSize(18);
+    doc.text(`RECIBO N. ${baixa.id}`, marginLeft, cursorY);
+    doc.text(formatCurrency(baixa.valor_pago), marginLeft + largura, cursorY, { align: 'right' });
+
+    doc.setFontSize(11);
+    const corpo = lancamento.tipo === 'Entrada'
+      ? `Recebemos de ${nome}${documento} a importancia de ${formatCurrency(baixa.valor_pago)}, referente a ${referente}, com vencimento em ${formatDate(lancamento.data)}.`
+      : `Recebi(emos) de ${lancamento.unidade || '-'} a importancia de ${formatCurrency(baixa.valor_pago)}, referente a ${referente}, com vencimento em ${formatDate(lancamento.data)}.`;
+    cursorY += 40;
+    doc.text(doc.splitTextToSize(corpo, largura), marginLeft, cursorY);
+    cursorY += 60;
+
+    [
+      Number(baixa.juros) + Number(baixa.multa) > 0 && `Multa e juros: ${formatCurrency(Number(baixa.juros) + Number(baixa.multa))}`,
+      Number(baixa.desconto) + Number(baixa.desc_pontual) > 0 && `Descontos: ${formatCurrency(Number(baixa.desconto) + Number(baixa.desc_pontual))}`,
+      `Pagamento em ${formatDate(baixa.data_pagamento)}${baixa.conta_bancaria?.descricao ? ` - ${baixa.conta_bancaria.descricao}` : ''}`,
+      lancamento.tipo === 'Saida' && formatDadosPagamento(cadastro) && `Dados para pagamento: ${formatDadosPagamento(cadastro)}`,
+      formatEndereco(cadastro) && `Endereco: ${formatEndereco(cadastro)}`,
+    ].filter(Boolean).forEach((linha) => {
+      doc.text(doc.splitTextToSize(linha, largura), marginLeft, cursorY);
+      cursorY += 18;
+    });
+
+    cursorY += 60;
+    doc.line(marginLeft, cursorY, marginLeft + 280, cursorY);
+    doc.text(lancamento.tipo === 'Entrada' ? lancamento.unidade || '' : `${nome}${documento}`, marginLeft, cursorY + 16);
+
+    doc.save(`recibo_${baixa.id}.pdf`);
+  };
+
+  const handleCancelarLancamento = async () => {
+    setSaving(true);
+    try {
+      await cancelarLancamento(lancamento, { motivo: cancelamento.motivo, userId: user?.id });
+      toast({ title: 'Lançamento cancelado', description: 'O lançamento não entra mais nos totais.' });
+      setResultados((prev) => prev.filter((item) => item.id !== lancamento.id));
+      await abrirLancamento(lancamento.id);
+    } catch (error) {
+      toast({ title: 'Erro ao cancelar lançamento', description: error.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const tituloLancamento = () => {
+    if (lancamento.status === 'Cancelado') return 'Lançamento cancelado';
+    if (lancamento.status === 'Pago') return 'Lançamento quitado';
+    return 'Registrar baixa';
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>Baixa - SysFina</title>
+        <meta name="description" content="Registro de baixas de lançamentos com juros, multa e desconto." />
+      </Helmet>
+
+      <div className="flex items-center gap-4">
+        <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/financeiro')}>
+          <ArrowLeft className="h-5 w-5" />
+          <span className="sr-only">Voltar</span>
+        </Button>
+        <div className="flex flex-col">
+          <h1 className="text-3xl font-bold gradient-text">Baixa</h1>
+          <span className="text-sm text-gray-300">Localize um lançamento em aberto e registre o pagamento, total ou parcial.</span>
+        </div>
+      </div>
+
+      <Card className="glass-card">
+        <CardHeader>
+          <CardTitle className="text-white">Lançamentos em aberto</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <form onSubmit={handleBuscar} className="flex flex-col gap-2 md:flex-row md:items-end">
+            <div className="flex-1">
+              <Label htmlFor="baixa-busca" className="text-gray-300">Cliente, fornecedor, aluno, descrição ou valor</Label>
+              <Input
+                id="baixa-busca"
+                value={busca}
+                onChange={(e) => setBusca(e.target.value)}
+                placeholder="Ex.: Maria Souza ou 350,00"
+                className="bg-white/10 border-white/20 text-white"
+              />
+            </div>
+            <div className="w-full md:w-48">
+              <Label className="text-gray-300">Tipo</Label>
+              <Select value={tipo} onValueChange={setTipo}>
+                <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={TODOS_TIPOS}>Todos</SelectItem>
+                  <SelectItem value="Entrada">A receber</SelectItem>
+                  <SelectItem value="Saida">A pagar</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <Button type="submit" disabled={buscando}>
+              <Search className="w-4 h-4 mr-2" />
+              {buscando ? 'Buscando...' : 'Buscar'}
+            </Button>
+          </form>
+
+          {resultados.length === 0 ? (
+            <p className="text-sm text-gray-500">Nenhum lançamento listado. Faça uma busca para começar.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-gray-300">
+                <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                  <tr>
+                    <th className="px-4 py-2">Vencimento</th>
+                    <th className="px-4 py-2">Tipo</th>
+                    <th className="px-4 py-2">Cliente/Fornecedor</th>
+                    <th className="px-4 py-2">Descrição</th>
+                    <th className="px-4 py-2">Unidade</th>
+                    <th className="px-4 py-2">Status</th>
+                    <th className="px-4 py-2 text-right">Valor</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {resultados.map((item) => (
+                    <tr
+                      key={item.id}
+                      className={`border-b border-gray-700 cursor-pointer hover:bg-white/5 ${lancamento?.id === item.id ? 'bg-blue-500/10' : ''}`}
+                      onClick={() => selecionarLancamento(item)}
+                    >
+                      <td className="px-4 py-2 whitespace-nowrap">{formatDate(item.data)}</td>
+                      <td className="px-4 py-2">{item.tipo}</td>
+                      <td className="px-4 py-2 text-white">{[item.cliente_fornecedor, item.aluno].filter(Boolean).join(' · ')}</td>
+                      <td className="px-4 py-2">{item.descricao}</td>
+                      <td className="px-4 py-2">{item.unidade}</td>
+                      <td className="px-4 py-2">{item.status}</td>
+                      <td className={`px-4 py-2 text-right font-mono ${item.tipo === 'Entrada' ? 'text-green-400' : 'text-red-400'}`}>
+                        {formatCurrency(item.valor)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {lancamento && (
+        <Card className="glass-card">
+          <CardHeader>
+            <div className="flex flex-col gap-2 md:flex-row md:items-start md:justify-between">
+              <div className="space-y-1.5">
+                <CardTitle className="text-white">{tituloLancamento()}</CardTitle>
+                <p className="text-sm text-gray-400">
+                  {[lancamento.cliente_fornecedor, lancamento.aluno, lancamento.descricao].filter(Boolean).join(' · ')}
+                  {' · '}Vencimento {formatDate(lancamento.data)} · Valor original {formatCurrency(lancamento.valor)}
+                  {aberto && baixasAtivas.length > 0 && ` · Saldo em aberto ${formatCurrency(saldo)}`}
+                </p>
+              </div>
+              {aberto && baixasAtivas.length === 0 && !cancelamento && (
+                <Button variant="outline" size="sm" onClick={() => setCancelamento({ motivo: '' })} disabled={saving}>
+                  <Ban className="w-4 h-4 mr-2" />
+                  Cancelar lançamento
+                </Button>
+              )}
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {lancamento.status === 'Cancelado' && (
+              <p className="text-sm text-yellow-400">
+                Cancelado{lancamento.cancelado_em && ` em ${format(new Date(lancamento.cancelado_em), 'dd/MM/yyyy HH:mm')}`}: {lancamento.motivo_cancelamento}
+              </p>
+            )}
+            {cancelamento && (
+              <div className="space-y-3 rounded-lg border border-red-500/30 bg-red-500/5 p-4">
+                <Label htmlFor="cancelamento-motivo" className="text-gray-300">Motivo do cancelamento</Label>
+                <Textarea
+                  id="cancelamento-motivo"
+                  value={cancelamento.motivo}
+                  onChange={(e) => setCancelamento({ motivo: e.target.value })}
+                  placeholder="Ex.: lançamento em duplicidade"
+                />
+                <div className="flex justify-end gap-2">
+                  <Button variant="outline" onClick={() => setCancelamento(null)} disabled={saving}>Voltar</Button>
+                  <Button variant="destructive" onClick={handleCancelarLancamento} disabled={saving || !cancelamento.motivo.trim()}>
+                    {saving ? 'Cancelando...' : 'Confirmar cancelamento'}
+                  </Button>
+                </div>
+              </div>
+            )}
+            {baixasAnteriores.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-gray-300">
+                  <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                    <tr>
+                      <th className="px-4 py-2">Pagamento</th>
+                      <th className="px-4 py-2">Conta</th>
+                      <th className="px-4 py-2 text-right">Juros + multa</th>
+                      <th className="px-4 py-2 text-right">Descontos</th>
+                      <th className="px-4 py-2 text-right">Valor pago</th>
+                      <th className="px-4 py-2">Estorno</th>
+                      <th className="px-4 py-2 text-right">Recibo</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {baixasAnteriores.map((baixa) => (
+                      <tr key={baixa.id} className={`border-b border-gray-700 ${estornada(baixa) ? 'opacity-60' : ''}`}>
+                        <td className="px-4 py-2 whitespace-nowrap">{formatDate(baixa.data_pagamento)}</td>
+                        <td className="px-4 py-2">{baixa.conta_bancaria?.descricao || (baixa.automatica ? 'Sem baixa registrada' : '-')}</td>
+                        <td className="px-4 py-2 text-right font-mono">{formatCurrency(Number(baixa.juros) + Number(baixa.multa))}</td>
+                        <td className="px-4 py-2 text-right font-mono">{formatCurrency(Number(baixa.desconto) + Number(baixa.desc_pontual))}</td>
+                        <td className={`px-4 py-2 text-right font-mono text-white ${estornada(baixa) ? 'line-through' : ''}`}>{formatCurrency(baixa.valor_pago)}</td>
+                        <td className="px-4 py-2">
+                          {estornada(baixa) ? (
+                            <span className="text-xs text-yellow-400">
+                              {formatDate(baixa.estorno.data)}: {baixa.estorno.motivo}
+                            </span>
+                          ) : lancamento.status !== 'Cancelado' && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => setEstorno({ baixa, data: hoje(), motivo: '' })}
+                              disabled={saving}
+                            >
+                              <Undo2 className="w-4 h-4 mr-1" />
+                              Estornar
+                            </Button>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-right">
+                          {!estornada(baixa) && (
+                            <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => handleRecibo(baixa)} title="Gerar recibo">
+                              <Receipt className="h-4 w-4" />
+                              <span className="sr-only">Gerar recibo</span>
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {estorno && (
+              <div className="space-y-3 rounded-lg border border-yellow-500/30 bg-yellow-500/5 p-4">
+                <p className="text-sm text-gray-300">
+                  Estornar a baixa de {formatCurrency(estorno.baixa.valor_pago)} paga em {formatDate(estorno.baixa.data_pagamento)}
+                  {estorno.baixa.conta_bancaria?.descricao && `; o movimento contrário entra em ${estorno.baixa.conta_bancaria.descricao}`}.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="estorno-data" className="text-gray-300">Data do estorno</Label>
+                    <Input
+                      id="estorno-data"
+                      type="date"
+                      value={estorno.data}
+                      onChange={(e) => setEstorno((prev) => ({ ...prev, data: e.target.value }))}
+                    />
+                  </div>
+                  <div className="space-y-2 md:col-span-2">
+                    <Label htmlFor="estorno-motivo" className="text-gray-300">Motivo</Label>
+                    <Input
+                      id="estorno-motivo"
+                      value={estorno.motivo}
+                      onChange={(e) => setEstorno((prev) => ({ ...prev, motivo: e.target.value }))}
+                      placeholder="Ex.: pagamento lançado no título errado"
+                    />
+                  </div>
+                </div>
+                <div className="flex justify-end gap-2">
+                  <Button variant="outline" onClick={() => setEstorno(null)} disabled={saving}>Voltar</Button>
+                  <Button variant="destructive" onClick={handleEstornar} disabled={saving || !estorno.motivo.trim()}>
+                    {saving ? 'Estornando...' : 'Confirmar estorno'}
+                  </Button>
+                </div>
+              </div>
+            )}
+            {aberto && (<>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="baixa-data" className="text-gray-300">Data do pagamento</Label>
+                  <Input id="baixa-data" type="date" value={form.dataPagamento} onChange={updateForm('dataPagamento')} />
+                </div>
+                <div className="space-y-2 md:col-span-2">
+                  <Label className="text-gray-300">Conta bancária</Label>
+                  <Select value={form.contaBancariaId} onValueChange={(value) => setForm((prev) => ({ ...prev, contaBancariaId: value }))}>
+                    <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                      <SelectValue placeholder={contas.length ? 'Selecione a conta' : 'Cadastre uma conta em Cadastros'} />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {contas.map((conta) => (
+                        <SelectItem key={conta.id} value={String(conta.id)}>
+                          {[conta.descricao, conta.banco, conta.agencia && `Ag. ${conta.agencia}`, conta.conta && `C/C ${conta.conta}`].filter(Boolean).join(' · ')}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="baixa-juros" className="text-gray-300">Juros</Label>
+                  <Input
+                    id="baixa-juros"
+                    inputMode="decimal"
+                    placeholder="0,00"
+                    value={form.juros}
+                    onChange={(e) => {
+                      setEncargosEditados(true);
+                      updateForm('juros')(e);
+                    }}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="baixa-multa" className="text-gray-300">Multa</Label>
+                  <Input
+                    id="baixa-multa"
+                    inputMode="decimal"
+                    placeholder="0,00"
+                    value={form.multa}
+                    onChange={(e) => {
+                      setEncargosEditados(true);
+                      updateForm('multa')(e);
+                    }}
+                  />
+                </div>
+                {regra && encargos.dias > 0 && (
+                  <p className="text-xs text-gray-400 md:col-span-3 -mt-2">
+                    {encargos.dias} dia(s) de atraso em {formatDate(form.dataPagamento)}. Regra de {regra.unidade}: multa {Number(regra.multa_percentual)}%
+                    {' '}e juros de {Number(regra.juros_mensal_percentual)}% ao mês pro rata die
+                    {Number(regra.carencia_dias) > 0 && `, carência de ${regra.carencia_dias} dia(s)`}. Valor atualizado: {formatCurrency(encargos.total)}.
+                  </p>
+                )}
+                <div className="space-y-2">
+                  <Label htmlFor="baixa-desconto" className="text-gray-300">Desconto</Label>
+                  <Input id="baixa-desconto" inputMode="decimal" placeholder="0,00" value={form.desconto} onChange={updateForm('desconto')} />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="baixa-desc-pontual" className="text-gray-300">Desconto de pontualidade</Label>
+                  <Input
+                    id="baixa-desc-pontual"
+                    inputMode="decimal"
+                    placeholder="0,00"
+                    value={form.descPontual}
+                    onChange={(e) => {
+                      setDescontoEditado(true);
+                      updateForm('descPontual')(e);
+                    }}
+                  />
+                  {Number(lancamento.desc_pontual) > 0 && prazoDesconto && baixasAtivas.length === 0 && (
+                    <p className={`text-xs ${descontoSugerido > 0 ? 'text-gray-400' : 'text-yellow-400'}`}>
+                      {descontoSugerido > 0
+                        ? `Desconto de ${formatCurrency(lancamento.desc_pontual)} válido até ${formatDate(prazoDesconto)}.`
+                        : `Prazo do desconto encerrado em ${formatDate(prazoDesconto)}.`}
+                    </p>
+                  )}
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="baixa-valor-pago" className="text-gray-300">Valor pago</Label>
+                  <Input
+                    id="baixa-valor-pago"
+                    inputMode="decimal"
+                    value={valorEditado ? form.valorPago : formatValorCampo(valorCalculado)}
+                    onChange={(e) => {
+                      setValorEditado(true);
+                      setForm((prev) => ({ ...prev, valorPago: e.target.value }));
+                    }}
+                  />
+                  {valorEditado && Number.isFinite(valorPago) && Math.abs(valorPago - valorCalculado) >= 0.01 && (
+                    <p className="text-xs text-yellow-400">
+                      Calculado: {formatCurrency(valorCalculado)}
+                      {valorPago < valorCalculado && ` · baixa parcial, restam ${formatCurrency(saldoRestante)}`}
+                    </p>
+                  )}
+                </div>
+                <div className="space-y-2 md:col-span-3">
+                  <Label htmlFor="baixa-obs" className="text-gray-300">Observação</Label>
+                  <Textarea id="baixa-obs" value={form.obs} onChange={updateForm('obs')} />
+                </div>
+              </div>
+              <div className="flex justify-end gap-4">
+                <Button variant="outline" onClick={() => setLancamento(null)} disabled={saving}>
+                  Cancelar
+                </Button>
+                <Button onClick={handleSubmit} disabled={saving}>
+                  <CheckCircle className="w-4 h-4 mr-2" />
+                  {saving ? 'Registrando...' : `Confirmar baixa de ${formatCurrency(Number.isFinite(valorPago) ? valorPago : 0)}`}
+                </Button>
+              </div>
+            </>)}
+          </CardContent>
+        </Card>
+      )}
+    </motion.div>
+  );
+};
+
+export default Baixa;
@@ -0,0 +1,584 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, CheckCircle, FileDown, Plus, RotateCcw, Save, Search, Trash2, X } from 'lucide-react';
+import { format } from 'date-fns';
+import jsPDF from 'jspdf';
+import 'jspdf-autotable';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Textarea } from '@/components/ui/textarea';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/contexts/SupabaseAuthContext';
+import { supabase } from '@/lib/customSupabaseClient';
+import { formatCpfCnpj, formatDadosPagamento } from '@/lib/documentos';
+import { saldoAberto } from '@/lib/saldoAberto';
+import { anexarSaldos } from '@/services/baixaService';
+import {
+  aprovarBordero,
+  atualizarBordero,
+  carregarBordero,
+  estornarBordero,
+  excluirBordero,
+  formatNumeroBordero,
+  salvarItens,
+  validarItens,
+} from '@/services/borderoService';
+import { buscarCadastrosPorNome, chaveNome } from '@/services/clienteFornecedorService';
+import { listarContasBancarias } from '@/services/contaBancariaService';
+
+const STATUS_LABEL = { aberto: 'Em aberto', aprovado: 'Aprovado', estornado: 'Estornado' };
+const CAMPOS_VALOR = ['valor_pago', 'juros', 'multa', 'desconto'];
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'dd/MM/yyyy') : '-');
+
+const parseValor = (value) => {
+  const texto = String(value ?? '').trim();
+  if (!texto) return 0;
+  const numero = Number(texto.includes(',') ? texto.replace(/\./g, '').replace(',', '.') : texto);
+  return Number.isFinite(numero) ? numero : NaN;
+};
+
+const formatValorCampo = (value) => Number(value || 0).toFixed(2).replace('.', ',');
+
+// Os valores ficam como texto enquanto sao editados na tabela.
+const itemEditavel = (item) => ({
+  lancamento_id: String(item.lancamento_id),
+  baixa_id: item.baixa_id ?? null,
+  ...Object.fromEntries(CAMPOS_VALOR.map((campo) => [campo, formatValorCampo(item[campo])])),
+});
+
+const itemNumerico = (item) => ({
+  ...item,
+  ...Object.fromEntries(CAMPOS_VALOR.map((campo) => [campo, parseValor(item[campo])])),
+});
+
+const descreverLancamento = (lancamento) =>
+  [lancamento?.cliente_fornecedor, lancamento?.aluno, lancamento?.descricao].filter(Boolean).join(' · ') || '-';
+
+const BorderoDetalhe = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const [bordero, setBordero] = useState(null);
+  const [cabecalho, setCabecalho] = useState({ dataPagamento: '', contaBancariaId: '', obs: '' });
+  const [itens, setItens] = useState([]);
+  const [lancamentos, setLancamentos] = useState(new Map());
+  const [contas, setContas] = useState([]);
+  const [busca, setBusca] = useState('');
+  const [resultados, setResultados] = useState([]);
+  const [problemas, setProblemas] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(false);
+  const [estorno, setEstorno] = useState(null);
+
+  const editavel = bordero?.status === 'aberto';
+
+  const loadBordero = useCallback(async () => {
+    setLoading(true);
+    try {
+      const dados = await carregarBordero(id);
+      setBordero(dados.bordero);
+      setCabecalho({
+        dataPagamento: dados.bordero.data_pagamento,
+        contaBancariaId: dados.bordero.conta_bancaria_id ? String(dados.bordero.conta_bancaria_id) : '',
+        obs: dados.bordero.obs || '',
+      });
+      setItens(dados.itens.map(itemEditavel));
+      setLancamentos(new Map(dados.lancamentos.map((lancamento) => [String(lancamento.id), lancamento])));
+      setProblemas([]);
+    } catch (error) {
+      toast({ title: 'Erro ao carregar borderô', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [id, toast]);
+
+  useEffect(() => {
+    loadBordero();
+    listarContasBancarias()
+      .then(setContas)
+      .catch((error) => toast({ title: 'Erro ao carregar contas bancárias', description: error.message, variant: 'destructive' }));
+  }, [loadBordero, toast]);
+
+  const handleBuscar = async (event) => {
+    event.preventDefault();
+    const termo = busca.trim().replace(/[%,()]/g, ' ');
+
+    let query = supabase
+      .from('lancamentos')
+      .select('id, tipo, data, cliente_fornecedor, aluno, descricao, valor, desc_pontual, unidade, status')
+      .eq('tipo', bordero.tipo)
+      .or('status.is.null,status.not.in.(Pago,Cancelado)')
+      .order('data', { ascending: true })
+      .limit(50);
+    if (termo) {
+      query = query.or(`cliente_fornecedor.ilike.%${termo}%,aluno.ilike.%${termo}%,descricao.ilike.%${termo}%`);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      toast({ title: 'Erro ao buscar lançamentos', description: error.message, variant: 'destructive' });
+      return;
+    }
+    try {
+      setResultados(await anexarSaldos(data || []));
+    } catch (saldoError) {
+      toast({ title: 'Erro ao carregar baixas', description: saldoError.message, variant: 'destructive' });
+    }
+  };
+
+  const incluidos = useMemo(() => new Set(itens.map((item) => item.lancamento_id)), [itens]);
+
+  const handleAdicionar = (lancamento) => {
+    const chave = String(lancamento.id);
+    setLancamentos((prev) => new Map(prev).set(chave, lancamento));
+    setItens((prev) => [...prev, itemEditavel({ lancamento_id: chave, valor_pago: saldoAberto(lancamento) })]);
+  };
+
+  const handleAdicionarTodos = () => {
+    resultados.filter((lancamento) => !incluidos.has(String(lancamento.id))).forEach(handleAdicionar);
+  };
+
+  const updateItem = (lancamentoId, campo, value) => {
+    setItens((prev) => prev.map((item) => (item.lancamento_id === lancamentoId ? { ...item, [campo]: value } : item)));
+  };
+
+  const removeItem = (lancamentoId) => {
+    setItens((prev) => prev.filter((item) => item.lancamento_id !== lancamentoId));
+  };
+
+  const itensNumericos = itens.map(itemNumerico);
+  const totais = CAMPOS_VALOR.reduce(
+    (acc, campo) => ({ ...acc, [campo]: itensNumericos.reduce((total, item) => total + (Number.isFinite(item[campo]) ? item[campo] : 0), 0) }),
+    {}
+  );
+  const problemasPorItem = new Map(problemas.map(({ item, motivo }) => [String(item.lancamento_id), motivo]));
+
+  const salvar = async () => {
+    if (itensNumericos.some((item) => CAMPOS_VALOR.some((campo) => !Number.isFinite(item[campo]) || item[campo] < 0))) {
+      throw new Error('Informe valores numéricos não negativos em todos os itens.');
+    }
+    if (!cabecalho.dataPagamento || !cabecalho.contaBancariaId) {
+      throw new Error('Informe a data do pagamento e a conta bancária.');
+    }
+    await atualizarBordero(bordero.id, {
+      dataPagamento: cabecalho.dataPagamento,
+      contaBancariaId: Number(cabecalho.contaBancariaId),
+      obs: cabecalho.obs.trim(),
+    });
+    await salvarItens(bordero.id, itensNumericos);
+  };
+
+  const executar = async (acao, mensagemSucesso) => {
+    setProcessing(true);
+    try {
+      await acao();
+      toast({ title: 'Sucesso!', description: mensagemSucesso });
+      await loadBordero();
+    } catch (error) {
+      if (error.problemas) {
+        setProblemas(error.problemas);
+      }
+      toast({ title: 'Erro', description: error.message, variant: 'destructive' });
+    } finally {
+      setProcessing(false);
+      setEstorno(null);
+    }
+  };
+
+  const handleSalvar = () => executar(salvar, 'Borderô salvo.');
+
+  const handleAprovar = () => {
+    const pendencias = validarItens(itensNumericos, Array.from(lancamentos.values()));
+    if (pendencias.length > 0) {
+      setProblemas(pendencias);
+      toast({ title: 'Erro de Validação', description: `${pendencias.length} item(ns) não podem ser baixados.`, variant: 'destructive' });
+      return;
+    }
+    executar(async () => {
+      await salvar();
+      await aprovarBordero({ ...bordero, data_pagamento: cabecalho.dataPagamento, conta_bancaria_id: Number(cabecalho.contaBancariaId) }, { userId: user?.id });
+    }, `Borderô aprovado: ${itens.length} lançamento(s) baixados.`);
+  };
+
+  const handleEstornar = () => executar(
+    () => estornarBordero(bordero, { data: estorno.data, motivo: estorno.motivo, userId: user?.id }),
+    'Borderô estornado e lançamentos reabertos.'
+  );
+
+  const handleExcluir = async () => {
+    setProcessing(true);
+    try {
+      await excluirBordero(bordero.id);
+      toast({ title: 'Sucesso!', description: 'Borderô excluído.' });
+      navigate('/financeiro/borderos');
+    } catch (error) {
+      toast({ title: 'Erro ao excluir borderô', description: error.message, variant: 'destructive' });
+      setProcessing(false);
+    }
+  };
+
+  // Nos borderos de pagamento sai tambem como pagar cada fornecedor.
+  const handleGeneratePdf = async () => {
+    let cadastros = new Map();
+    try {
+      cadastros = await buscarCadastrosPorNome(
+        itensNumericos.map((item) => lancamentos.get(item.lancamento_id)?.cliente_fornecedor),
+        bordero.tipo,
+      );
+    } catch (error) {
+      toast({ title: 'Erro ao carregar cadastros', description: error.message, variant: 'destructive' });
+      return;
+    }
+    const pagamento = bordero.tipo === 'Saida';
+
+    const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+    const marginLeft = 40;
+    const conta = contas.find((item) => String(item.id) === cabecalho.contaBancariaId) || bordero.conta_bancaria;
+    let cursorY = 50;
+
+    doc.setFontSize(18);
+    doc.text(`Bordero de Baixa ${formatNumeroBordero(bordero.numero)}`, marginLeft, cursorY);
+
+    doc.setFontSize(11);
+    [
+      `Tipo: ${bordero.tipo === 'Entrada' ? 'Contas a receber' : 'Contas a pagar'}`,
+      `Emissao: ${formatDate(bordero.data_emissao)}    Pagamento: ${formatDate(cabecalho.dataPagamento)}`,
+      `Conta: ${[conta?.descricao, conta?.banco, conta?.agencia && `Ag. ${conta.agencia}`, conta?.conta && `C/C ${conta.conta}`].filter(Boolean).join(' - ') || '-'}`,
+      `Situacao: ${STATUS_LABEL[bordero.status] || bordero.status}`,
+    ].forEach((linha) => {
+      cursorY += 16;
+      doc.text(linha, marginLeft, cursorY);
+    });
+
+    doc.autoTable({
+      startY: cursorY + 16,
+      head: [['Nome', 'CPF/CNPJ', ...(pagamento ? ['Pagamento'] : []), 'Descricao', 'Vencimento', 'Unidade', 'Valor', 'Juros', 'Multa', 'Desconto', 'Valor Pago']],
+      body: itensNumericos.map((item) => {
+        const lancamento = lancamentos.get(item.lancamento_id);
+        const cadastro = cadastros.get(chaveNome(lancamento?.cliente_fornecedor));
+        return [
+          lancamento?.cliente_fornecedor || '-',
+          cadastro?.cpf_cnpj ? formatCpfCnpj(cadastro.cpf_cnpj) : '-',
+          ...(pagamento ? [formatDadosPagamento(cadastro) || '-'] : []),
+          [lancamento?.aluno, lancamento?.descricao].filter(Boolean).join(' - ') || '-',
+          formatDate(lancamento?.data),
+          lancamento?.unidade || '-',
+          formatCurrency(lancamento?.valor),
+          formatCurrency(item.juros),
+          formatCurrency(item.multa),
+          formatCurrency(item.desconto),
+          formatCurrency(item.valor_pago),
+        ];
+      }),
+      foot: [['Total', '', ...(pagamento ? [''] : []), '', '', '', '', formatCurrency(totais.juros), formatCurrency(totais.multa), formatCurrency(totais.desconto), formatCurrency(totais.valor_pago)]],
+      theme: 'grid',
+      styles: { fontSize: 9, cellPadding: 5 },
+      headStyles: { fillColor: [37, 99, 235] },
+      footStyles: { fillColor: [226, 232, 240], textColor: [15, 23, 42] },
+      columnStyles: Object.fromEntries(
+        [0, 1, 2, 3, 4].map((coluna) => [coluna + (pagamento ? 6 : 5), { halign: 'right' }]),
+      ),
+    });
+
+    if (cabecalho.obs) {
+      doc.text(`Observacao: ${cabecalho.obs}`, marginLeft, doc.lastAutoTable.finalY + 24);
+    }
+
+    doc.save(`bordero_${formatNumeroBordero(bordero.numero)}.pdf`);
+  };
+
+  if (loading && !bordero) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (!bordero) {
+    return (
+      <div className="text-center py-12 space-y-4">
+        <div className="text-gray-400 text-lg">Borderô não encontrado.</div>
+        <Button variant="outline" onClick={() => navigate('/financeiro/borderos')}>Voltar aos borderôs</Button>
+      </div>
+    );
+  }
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>{`Borderô ${formatNumeroBordero(bordero.numero)} - SysFina`}</title>
+        <meta name="description" content="Itens e aprovação do borderô de baixa." />
+      </Helmet>
+
+      <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/financeiro/borderos')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Borderô {formatNumeroBordero(bordero.numero)}</h1>
+            <span className="text-sm text-gray-300">
+              {bordero.tipo === 'Entrada' ? 'Contas a receber' : 'Contas a pagar'} · Emitido em {formatDate(bordero.data_emissao)}
+              {' · '}{STATUS_LABEL[bordero.status] || bordero.status}
+            </span>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" onClick={handleGeneratePdf} disabled={itens.length === 0}>
+            <FileDown className="w-4 h-4 mr-2" />
+            PDF
+          </Button>
+          {editavel && (
+            <>
+              <Button variant="outline" onClick={handleExcluir} disabled={processing}>
+                <Trash2 className="w-4 h-4 mr-2" />
+                Excluir
+              </Button>
+              <Button variant="outline" onClick={handleSalvar} disabled={processing}>
+                <Save className="w-4 h-4 mr-2" />
+                Salvar
+              </Button>
+              <Button onClick={handleAprovar} disabled={processing || itens.length === 0}>
+                <CheckCircle className="w-4 h-4 mr-2" />
+                {processing ? 'Processando...' : 'Aprovar e baixar'}
+              </Button>
+            </>
+          )}
+          {bordero.status === 'aprovado' && !estorno && (
+            <Button variant="outline" onClick={() => setEstorno({ data: format(new Date(), 'yyyy-MM-dd'), motivo: '' })} disabled={processing}>
+              <RotateCcw className="w-4 h-4 mr-2" />
+              Estornar
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {estorno && (
+        <Card className="glass-card border-yellow-500/30">
+          <CardContent className="p-6 space-y-4">
+            <p className="text-sm text-gray-300">
+              As {itens.length} baixa(s) do borderô continuam registradas e recebem um estorno; o movimento contrário entra na conta do borderô na data informada.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="bordero-estorno-data" className="text-gray-300">Data do estorno</Label>
+                <Input
+                  id="bordero-estorno-data"
+                  type="date"
+                  value={estorno.data}
+                  onChange={(e) => setEstorno((prev) => ({ ...prev, data: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2 md:col-span-2">
+                <Label htmlFor="bordero-estorno-motivo" className="text-gray-300">Motivo</Label>
+                <Input
+                  id="bordero-estorno-motivo"
+                  value={estorno.motivo}
+                  onChange={(e) => setEstorno((prev) => ({ ...prev, motivo: e.target.value }))}
+                  placeholder="Ex.: pagamento devolvido pelo banco"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={() => setEstorno(null)} disabled={processing}>
+                <X className="w-4 h-4 mr-2" />
+                Cancelar
+              </Button>
+              <Button variant="destructive" onClick={handleEstornar} disabled={processing || !estorno.data || !estorno.motivo.trim()}>
+                <RotateCcw className="w-4 h-4 mr-2" />
+                {processing ? 'Estornando...' : `Confirmar estorno de ${itens.length} baixa(s)`}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card className="glass-card">
+        <CardContent className="p-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="bordero-data-pagamento" className="text-gray-300">Data do pagamento</Label>
+              <Input
+                id="bordero-data-pagamento"
+                type="date"
+                value={cabecalho.dataPagamento}
+                disabled={!editavel}
+                onChange={(e) => setCabecalho((prev) => ({ ...prev, dataPagamento: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label className="text-gray-300">Conta bancária</Label>
+              <Select
+                value={cabecalho.contaBancariaId}
+                disabled={!editavel}
+                onValueChange={(value) => setCabecalho((prev) => ({ ...prev, contaBancariaId: value }))}
+              >
+                <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                  <SelectValue placeholder={bordero.conta_bancaria?.descricao || 'Selecione a conta'} />
+                </SelectTrigger>
+                <SelectContent>
+                  {contas.map((conta) => (
+                    <SelectItem key={conta.id} value={String(conta.id)}>{conta.descricao}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="bordero-obs" className="text-gray-300">Observação</Label>
+              <Textarea
+                id="bordero-obs"
+                rows={1}
+                value={cabecalho.obs}
+                disabled={!editavel}
+                onChange={(e) => setCabecalho((prev) => ({ ...prev, obs: e.target.value }))}
+              />
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {editavel && (
+        <Card className="glass-card">
+          <CardHeader>
+            <CardTitle className="text-white">Adicionar lançamentos</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <form onSubmit={handleBuscar} className="flex flex-col gap-2 md:flex-row">
+              <Input
+                value={busca}
+                onChange={(e) => setBusca(e.target.value)}
+                placeholder="Cliente, fornecedor, aluno ou descrição"
+                className="bg-white/10 border-white/20 text-white"
+              />
+              <Button type="submit">
+                <Search className="w-4 h-4 mr-2" />
+                Buscar
+              </Button>
+              <Button type="button" variant="outline" onClick={handleAdicionarTodos} disabled={resultados.length === 0}>
+                <Plus className="w-4 h-4 mr-2" />
+                Adicionar todos
+              </Button>
+            </form>
+            {resultados.length > 0 && (
+              <div className="overflow-x-auto max-h-80">
+                <table className="w-full text-sm text-left text-gray-300">
+                  <tbody>
+                    {resultados.map((lancamento) => (
+                      <tr key={lancamento.id} className="border-b border-gray-700">
+                        <td className="px-4 py-2 whitespace-nowrap">{formatDate(lancamento.data)}</td>
+                        <td className="px-4 py-2 text-white">{descreverLancamento(lancamento)}</td>
+                        <td className="px-4 py-2">{lancamento.unidade}</td>
+                        <td className="px-4 py-2 text-right font-mono">{formatCurrency(saldoAberto(lancamento))}</td>
+                        <td className="px-4 py-2 text-right">
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handleAdicionar(lancamento)}
+                            disabled={incluidos.has(String(lancamento.id))}
+                          >
+                            {incluidos.has(String(lancamento.id)) ? 'Incluído' : 'Adicionar'}
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <Card className="glass-card">
+        <CardHeader>
+          <CardTitle className="text-white">Itens ({itens.length})</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {itens.length === 0 ? (
+            <p className="text-sm text-gray-500">Nenhum lançamento no borderô.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-gray-300">
+                <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                  <tr>
+                    <th className="px-4 py-2">Vencimento</th>
+                    <th className="px-4 py-2">Lançamento</th>
+                    <th className="px-4 py-2 text-right">{editavel ? 'Saldo' : 'Valor'}</th>
+                    <th className="px-4 py-2 text-right">Juros</th>
+                    <th className="px-4 py-2 text-right">Multa</th>
+                    <th className="px-4 py-2 text-right">Desconto</th>
+                    <th className="px-4 py-2 text-right">Valor pago</th>
+                    {editavel && <th className="px-4 py-2"></th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {itens.map((item) => {
+                    const lancamento = lancamentos.get(item.lancamento_id);
+                    const problema = problemasPorItem.get(item.lancamento_id);
+                    return (
+                      <tr key={item.lancamento_id} className={`border-b border-gray-700 ${problema ? 'bg-red-500/10' : ''}`}>
+                        <td className="px-4 py-2 whitespace-nowrap">{formatDate(lancamento?.data)}</td>
+                        <td className="px-4 py-2">
+                          <div className="text-white">{descreverLancamento(lancamento)}</div>
+                          {problema && <div className="text-xs text-red-400">{problema}</div>}
+                        </td>
+                        <td className="px-4 py-2 text-right font-mono">
+                          {lancamento && editavel ? formatCurrency(saldoAberto(lancamento)) : formatCurrency(lancamento?.valor)}
+                        </td>
+                        {['juros', 'multa', 'desconto', 'valor_pago'].map((campo) => (
+                          <td key={campo} className="px-4 py-2 text-right">
+                            {editavel ? (
+                              <Input
+                                inputMode="decimal"
+                                value={item[campo]}
+                                onChange={(e) => updateItem(item.lancamento_id, campo, e.target.value)}
+                                className="w-28 ml-auto text-right bg-white/10 border-white/20 text-white"
+                              />
+                            ) : (
+                              <span className="font-mono">{formatCurrency(parseValor(item[campo]))}</span>
+                            )}
+                          </td>
+                        ))}
+                        {editavel && (
+                          <td className="px-4 py-2 text-right">
+                            <Button size="icon" variant="ghost" onClick={() => removeItem(item.lancamento_id)}>
+                              <Trash2 className="w-4 h-4" />
+                              <span className="sr-only">Remover</span>
+                            </Button>
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+                <tfoot>
+                  <tr className="font-semibold text-white">
+                    <td className="px-4 py-2" colSpan={3}>Total</td>
+                    <td className="px-4 py-2 text-right font-mono">{formatCurrency(totais.juros)}</td>
+                    <td className="px-4 py-2 text-right font-mono">{formatCurrency(totais.multa)}</td>
+                    <td className="px-4 py-2 text-right font-mono">{formatCurrency(totais.desconto)}</td>
+                    <td className="px-4 py-2 text-right font-mono">{formatCurrency(totais.valor_pago)}</td>
+                    {editavel && <td></td>}
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default BorderoDetalhe;
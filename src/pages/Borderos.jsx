@@ -0,0 +1,209 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Plus, RefreshCw } from 'lucide-react';
+import { format } from 'date-fns';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/contexts/SupabaseAuthContext';
+import { criarBordero, formatNumeroBordero, listarBorderos } from '@/services/borderoService';
+import { listarContasBancarias } from '@/services/contaBancariaService';
+
+const STATUS_BORDERO = {
+  aberto: { label: 'Em aberto', className: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30' },
+  aprovado: { label: 'Aprovado', className: 'bg-green-500/20 text-green-400 border-green-500/30' },
+  estornado: { label: 'Estornado', className: 'bg-gray-500/20 text-gray-400 border-gray-500/30' },
+};
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'dd/MM/yyyy') : '-');
+
+const Borderos = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const [borderos, setBorderos] = useState([]);
+  const [contas, setContas] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [novo, setNovo] = useState({
+    tipo: 'Entrada',
+    dataPagamento: format(new Date(), 'yyyy-MM-dd'),
+    contaBancariaId: '',
+  });
+
+  const loadBorderos = useCallback(async () => {
+    setLoading(true);
+    try {
+      setBorderos(await listarBorderos());
+    } catch (error) {
+      toast({ title: 'Erro ao carregar borderôs', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    loadBorderos();
+    listarContasBancarias()
+      .then(setContas)
+      .catch((error) => toast({ title: 'Erro ao carregar contas bancárias', description: error.message, variant: 'destructive' }));
+  }, [loadBorderos, toast]);
+
+  const handleCriar = async () => {
+    if (!novo.dataPagamento || !novo.contaBancariaId) {
+      toast({ title: 'Erro de Validação', description: 'Informe a data do pagamento e a conta bancária.', variant: 'destructive' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const bordero = await criarBordero({
+        tipo: novo.tipo,
+        dataPagamento: novo.dataPagamento,
+        contaBancariaId: Number(novo.contaBancariaId),
+        userId: user?.id,
+      });
+      navigate(`/financeiro/borderos/${bordero.id}`);
+    } catch (error) {
+      toast({ title: 'Erro ao criar borderô', description: error.message, variant: 'destructive' });
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>Borderôs de Baixa - SysFina</title>
+        <meta name="description" content="Borderôs para baixa de lançamentos em lote." />
+      </Helmet>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/financeiro')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Borderô de Baixa</h1>
+            <span className="text-sm text-gray-300">Agrupe lançamentos em aberto e baixe todos de uma vez na aprovação.</span>
+          </div>
+        </div>
+        <Button variant="outline" onClick={loadBorderos} disabled={loading}>
+          <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Atualizar
+        </Button>
+      </div>
+
+      <Card className="glass-card">
+        <CardHeader>
+          <CardTitle className="text-white">Novo borderô</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div className="space-y-2">
+              <Label className="text-gray-300">Tipo</Label>
+              <Select value={novo.tipo} onValueChange={(value) => setNovo((prev) => ({ ...prev, tipo: value }))}>
+                <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="Entrada">Contas a receber</SelectItem>
+                  <SelectItem value="Saida">Contas a pagar</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="bordero-data" className="text-gray-300">Data do pagamento</Label>
+              <Input
+                id="bordero-data"
+                type="date"
+                value={novo.dataPagamento}
+                onChange={(e) => setNovo((prev) => ({ ...prev, dataPagamento: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label className="text-gray-300">Conta bancária</Label>
+              <Select value={novo.contaBancariaId} onValueChange={(value) => setNovo((prev) => ({ ...prev, contaBancariaId: value }))}>
+                <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                  <SelectValue placeholder={contas.length ? 'Selecione a conta' : 'Cadastre uma conta em Cadastros'} />
+                </SelectTrigger>
+                <SelectContent>
+                  {contas.map((conta) => (
+                    <SelectItem key={conta.id} value={String(conta.id)}>{conta.descricao}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button onClick={handleCriar} disabled={saving}>
+              <Plus className="w-4 h-4 mr-2" />
+              {saving ? 'Criando...' : 'Criar borderô'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card className="glass-card">
+        <CardHeader>
+          <CardTitle className="text-white">Borderôs</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {borderos.length === 0 ? (
+            <p className="text-sm text-gray-500">{loading ? 'Carregando...' : 'Nenhum borderô criado.'}</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-gray-300">
+                <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                  <tr>
+                    <th className="px-4 py-2">Número</th>
+                    <th className="px-4 py-2">Emissão</th>
+                    <th className="px-4 py-2">Tipo</th>
+                    <th className="px-4 py-2">Pagamento</th>
+                    <th className="px-4 py-2">Conta</th>
+                    <th className="px-4 py-2 text-right">Itens</th>
+                    <th className="px-4 py-2 text-right">Total pago</th>
+                    <th className="px-4 py-2">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {borderos.map((bordero) => {
+                    const status = STATUS_BORDERO[bordero.status] || STATUS_BORDERO.aberto;
+                    const itens = bordero.itens || [];
+                    return (
+                      <tr
+                        key={bordero.id}
+                        className="border-b border-gray-700 cursor-pointer hover:bg-white/5"
+                        onClick={() => navigate(`/financeiro/borderos/${bordero.id}`)}
+                      >
+                        <td className="px-4 py-2 font-mono text-white">{formatNumeroBordero(bordero.numero)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">{formatDate(bordero.data_emissao)}</td>
+                        <td className="px-4 py-2">{bordero.tipo === 'Entrada' ? 'Receber' : 'Pagar'}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">{formatDate(bordero.data_pagamento)}</td>
+                        <td className="px-4 py-2">{bordero.conta_bancaria?.descricao || '-'}</td>
+                        <td className="px-4 py-2 text-right">{itens.length}</td>
+                        <td className="px-4 py-2 text-right font-mono">
+                          {formatCurrency(itens.reduce((total, item) => total + Number(item.valor_pago || 0), 0))}
+                        </td>
+                        <td className="px-4 py-2">
+                          <span className={`px-3 py-1 rounded-full text-xs font-medium border ${status.className}`}>{status.label}</span>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default Borderos;
@@ -1,29 +1,57 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
 import { motion } from 'framer-motion';
-import { ArrowLeft, Users, Building2, Home, PenLine } from 'lucide-react';
+import { ArrowLeft, Users, Building2, Home, PenLine, Landmark, Percent, CalendarCheck, Trash2, Link2, UserCog } from 'lucide-react';
 
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { useToast } from '@/components/ui/use-toast';
 import { supabase } from '@/lib/customSupabaseClient';
+import ClienteFornecedorForm from '@/components/cadastros/ClienteFornecedorForm';
+import ClientesFornecedoresGrid from '@/components/cadastros/ClientesFornecedoresGrid';
+import UnidadesCadastro from '@/components/cadastros/UnidadesCadastro';
 import LancamentoForm from '@/components/forms/LancamentoForm';
+import { excluirRegraDescontoPontual, listarRegrasDescontoPontual, salvarRegraDescontoPontual } from '@/services/descontoPontualService';
+import { listarRegrasEncargos, salvarRegraEncargos } from '@/services/encargoService';
+import { listarUnidades } from '@/services/unidadeService';
+
+const contaBancariaVazia = () => ({
+  descricao: '',
+  banco: '',
+  agencia: '',
+  conta: '',
+  unidade: '',
+  saldoInicial: '',
+  dataSaldoInicial: new Date().toISOString().slice(0, 10),
+});
+
+const regraEncargosVazia = { unidade: '', multa: '', juros: '', carencia: '' };
+const regraPontualidadeVazia = { id: null, unidade: '', plano: '', diaLimite: '' };
+const formatPercentual = (value) => String(Number(value || 0)).replace('.', ',');
+const parseNumero = (value) => Number(String(value || '0').replace(',', '.'));
 
 const Cadastros = () => {
   const navigate = useNavigate();
   const { toast } = useToast();
   const [activeCard, setActiveCard] = useState('cliente');
 
-  const [clienteDescricao, setClienteDescricao] = useState('');
-  const [fornecedorDescricao, setFornecedorDescricao] = useState('');
-  const [unidadeDescricao, setUnidadeDescricao] = useState('');
+  const [unidades, setUnidades] = useState([]);
+  const [contaBancaria, setContaBancaria] = useState(contaBancariaVazia);
+  const [regrasEncargos, setRegrasEncargos] = useState([]);
+  const [regraEncargos, setRegraEncargos] = useState(regraEncargosVazia);
+  const [regrasPontualidade, setRegrasPontualidade] = useState([]);
+  const [regraPontualidade, setRegraPontualidade] = useState(regraPontualidadeVazia);
 
-  const [clienteLoading, setClienteLoading] = useState(false);
-  const [fornecedorLoading, setFornecedorLoading] = useState(false);
-  const [unidadeLoading, setUnidadeLoading] = useState(false);
+  const [cadastrosVersao, setCadastrosVersao] = useState(0);
+  const [cadastroEmEdicao, setCadastroEmEdicao] = useState(null);
+
+  const [contaBancariaLoading, setContaBancariaLoading] = useState(false);
+  const [encargosLoading, setEncargosLoading] = useState(false);
+  const [pontualidadeLoading, setPontualidadeLoading] = useState(false);
 
   const cardOptions = [
     {
@@ -44,6 +72,24 @@ const Cadastros = () => {
       description: 'Controlar unidades de atendimento.',
       icon: Home,
     },
+    {
+      id: 'conta-bancaria',
+      title: 'Conta Bancária',
+      description: 'Contas usadas no registro das baixas.',
+      icon: Landmark,
+    },
+    {
+      id: 'encargos',
+      title: 'Multa e Juros',
+      description: 'Encargos de atraso das contas a receber por unidade.',
+      icon: Percent,
+    },
+    {
+      id: 'pontualidade',
+      title: 'Desconto Pontualidade',
+      description: 'Prazo do desconto de pontualidade por unidade e plano.',
+      icon: CalendarCheck,
+    },
     {
       id: 'lancamento',
       title: 'Lançamento',
@@ -52,6 +98,27 @@ const Cadastros = () => {
     },
   ];
 
+  useEffect(() => {
+    if (!['conta-bancaria', 'encargos', 'pontualidade'].includes(activeCard)) return;
+    listarUnidades()
+      .then(setUnidades)
+      .catch((error) => toast({ title: 'Erro ao carregar unidades', description: error.message, variant: 'destructive' }));
+  }, [activeCard, toast]);
+
+  useEffect(() => {
+    if (activeCard !== 'encargos') return;
+    listarRegrasEncargos()
+      .then(setRegrasEncargos)
+      .catch((error) => toast({ title: 'Erro ao carregar regras', description: error.message, variant: 'destructive' }));
+  }, [activeCard, toast]);
+
+  useEffect(() => {
+    if (activeCard !== 'pontualidade') return;
+    listarRegrasDescontoPontual()
+      .then(setRegrasPontualidade)
+      .catch((error) => toast({ title: 'Erro ao carregar regras', description: error.message, variant: 'destructive' }));
+  }, [activeCard, toast]);
+
   const handleSuccess = (message) => {
     toast({ title: 'Sucesso!', description: message });
   };
@@ -64,98 +131,220 @@ const Cadastros = () => {
     });
   };
 
-  const saveCliente = async () => {
-    const descricao = clienteDescricao.trim();
-    if (!descricao) {
-      handleError('Informe o nome do cliente.');
+  const saveContaBancaria = async () => {
+    const dados = Object.fromEntries(Object.entries(contaBancaria).map(([campo, valor]) => [campo, valor.trim()]));
+    if (!dados.descricao) {
+      handleError('Informe a descrição da conta bancária.');
+      return;
+    }
+    const saldoInicial = Number((dados.saldoInicial || '0').replace(/\./g, '').replace(',', '.'));
+    if (!Number.isFinite(saldoInicial) || !dados.dataSaldoInicial) {
+      handleError('Informe o saldo inicial e a data desse saldo.');
       return;
     }
 
-    setClienteLoading(true);
+    setContaBancariaLoading(true);
     const { error } = await supabase
-      .from('clientes_fornecedores')
-      .insert([{ tipo: 'Cliente', descricao }]);
-
-    setClienteLoading(false);
+      .from('contas_bancarias')
+      .insert([{
+        descricao: dados.descricao,
+        banco: dados.banco || null,
+        agencia: dados.agencia || null,
+        conta: dados.conta || null,
+        unidade: dados.unidade || null,
+        saldo_inicial: saldoInicial,
+        data_saldo_inicial: dados.dataSaldoInicial,
+      }]);
+
+    setContaBancariaLoading(false);
 
     if (error) {
       handleError(error.message || 'Tente novamente.');
       return;
     }
 
-    handleSuccess('Cliente cadastrado com sucesso.');
-    setClienteDescricao('');
+    handleSuccess('Conta bancária cadastrada com sucesso.');
+    setContaBancaria(contaBancariaVazia());
+  };
+
+  const selecionarUnidadeEncargos = (unidade) => {
+    const regra = regrasEncargos.find((item) => item.unidade === unidade);
+    setRegraEncargos(regra
+      ? {
+        unidade,
+        multa: formatPercentual(regra.multa_percentual),
+        juros: formatPercentual(regra.juros_mensal_percentual),
+        carencia: String(regra.carencia_dias),
+      }
+      : { ...regraEncargosVazia, unidade });
   };
 
-  const saveFornecedor = async () => {
-    const descricao = fornecedorDescricao.trim();
-    if (!descricao) {
-      handleError('Informe o nome do fornecedor.');
+  const saveRegraEncargos = async () => {
+    const multaPercentual = parseNumero(regraEncargos.multa);
+    const jurosMensalPercentual = parseNumero(regraEncargos.juros);
+    const carenciaDias = Number(regraEncargos.carencia || 0);
+    if (!regraEncargos.unidade) {
+      handleError('Selecione a unidade.');
       return;
     }
-
-    setFornecedorLoading(true);
-    const { error } = await supabase
-      .from('clientes_fornecedores')
-      .insert([{ tipo: 'Fornecedor', descricao }]);
-
-    setFornecedorLoading(false);
-
-    if (error) {
-      handleError(error.message || 'Tente novamente.');
+    if (![multaPercentual, jurosMensalPercentual].every((value) => Number.isFinite(value) && value >= 0)
+      || !Number.isInteger(carenciaDias) || carenciaDias < 0) {
+      handleError('Informe percentuais e dias de carência válidos.');
       return;
     }
 
-    handleSuccess('Fornecedor cadastrado com sucesso.');
-    setFornecedorDescricao('');
+    setEncargosLoading(true);
+    try {
+      await salvarRegraEncargos({ unidade: regraEncargos.unidade, multaPercentual, jurosMensalPercentual, carenciaDias });
+      setRegrasEncargos(await listarRegrasEncargos());
+      handleSuccess(`Multa e juros de ${regraEncargos.unidade} salvos com sucesso.`);
+    } catch (error) {
+      handleError(error.message);
+    } finally {
+      setEncargosLoading(false);
+    }
   };
 
-  const saveUnidade = async () => {
-    const descricao = unidadeDescricao.trim();
-    if (!descricao) {
-      handleError('Informe o nome da unidade.');
+  const saveRegraPontualidade = async () => {
+    const diaLimite = Number(regraPontualidade.diaLimite);
+    if (!regraPontualidade.unidade) {
+      handleError('Selecione a unidade.');
       return;
     }
-
-    setUnidadeLoading(true);
-    const { error } = await supabase
-      .from('unidades')
-      .insert([{ descricao }]);
-
-    setUnidadeLoading(false);
-
-    if (error) {
-      handleError(error.message || 'Tente novamente.');
+    if (!Number.isInteger(diaLimite) || diaLimite < 1 || diaLimite > 31) {
+      handleError('Informe o dia limite entre 1 e 31.');
       return;
     }
 
-    handleSuccess('Unidade cadastrada com sucesso.');
-    setUnidadeDescricao('');
+    setPontualidadeLoading(true);
+    try {
+      await salvarRegraDescontoPontual({
+        id: regraPontualidade.id,
+        unidade: regraPontualidade.unidade,
+        plano: regraPontualidade.plano.trim(),
+        diaLimite,
+      });
+      setRegrasPontualidade(await listarRegrasDescontoPontual());
+      setRegraPontualidade(regraPontualidadeVazia);
+      handleSuccess('Regra de desconto de pontualidade salva com sucesso.');
+    } catch (error) {
+      handleError(error.message);
+    } finally {
+      setPontualidadeLoading(false);
+    }
+  };
+
+  const removerRegraPontualidade = async (regra) => {
+    setPontualidadeLoading(true);
+    try {
+      await excluirRegraDescontoPontual(regra.id);
+      setRegrasPontualidade(await listarRegrasDescontoPontual());
+      if (regraPontualidade.id === regra.id) setRegraPontualidade(regraPontualidadeVazia);
+    } catch (error) {
+      handleError(error.message);
+    } finally {
+      setPontualidadeLoading(false);
+    }
   };
 
   const renderForm = () => {
-    if (activeCard === 'cliente') {
+    if (activeCard === 'cliente' || activeCard === 'fornecedor') {
+      return (
+        <ClienteFornecedorForm
+          tipo={activeCard === 'cliente' ? 'Cliente' : 'Fornecedor'}
+          registroId={cadastroEmEdicao}
+          onSalvo={() => {
+            setCadastroEmEdicao(null);
+            setCadastrosVersao((versao) => versao + 1);
+          }}
+          onCancelarEdicao={() => setCadastroEmEdicao(null)}
+        />
+      );
+    }
+
+    if (activeCard === 'unidade') {
+      return <UnidadesCadastro />;
+    }
+
+    if (activeCard === 'conta-bancaria') {
+      const updateContaBancaria = (campo) => (event) => setContaBancaria((prev) => ({ ...prev, [campo]: event.target.value }));
       return (
         <Card className="glass-card">
           <CardHeader>
-            <CardTitle className="text-white">Cadastro de Cliente</CardTitle>
+            <CardTitle className="text-white">Cadastro de Conta Bancária</CardTitle>
           </CardHeader>
           <CardContent className="space-y-6">
-            <div className="space-y-2">
-              <Label htmlFor="cliente-descricao" className="text-gray-300">Nome do cliente</Label>
-              <Input
-                id="cliente-descricao"
-                placeholder="Ex.: Maria Souza"
-                value={clienteDescricao}
-                onChange={(event) => setClienteDescricao(event.target.value)}
-              />
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="conta-descricao" className="text-gray-300">Descrição</Label>
+                <Input
+                  id="conta-descricao"
+                  placeholder="Ex.: Itaú Angra"
+                  value={contaBancaria.descricao}
+                  onChange={updateContaBancaria('descricao')}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="conta-unidade" className="text-gray-300">Unidade</Label>
+                <Select
+                  value={contaBancaria.unidade}
+                  onValueChange={(unidade) => setContaBancaria((prev) => ({ ...prev, unidade }))}
+                >
+                  <SelectTrigger id="conta-unidade" className="bg-white/10 border-white/20 text-white">
+                    <SelectValue placeholder="Selecione a unidade" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {unidades.map((unidade) => (
+                      <SelectItem key={unidade.id} value={unidade.descricao}>{unidade.descricao}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="conta-banco" className="text-gray-300">Banco</Label>
+                <Input
+                  id="conta-banco"
+                  placeholder="Ex.: 341 - Itaú"
+                  value={contaBancaria.banco}
+                  onChange={updateContaBancaria('banco')}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="conta-agencia" className="text-gray-300">Agência</Label>
+                  <Input id="conta-agencia" value={contaBancaria.agencia} onChange={updateContaBancaria('agencia')} />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="conta-numero" className="text-gray-300">Conta</Label>
+                  <Input id="conta-numero" value={contaBancaria.conta} onChange={updateContaBancaria('conta')} />
+                </div>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="conta-saldo-inicial" className="text-gray-300">Saldo inicial</Label>
+                <Input
+                  id="conta-saldo-inicial"
+                  inputMode="decimal"
+                  placeholder="0,00"
+                  value={contaBancaria.saldoInicial}
+                  onChange={updateContaBancaria('saldoInicial')}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="conta-data-saldo" className="text-gray-300">Saldo em</Label>
+                <Input
+                  id="conta-data-saldo"
+                  type="date"
+                  value={contaBancaria.dataSaldoInicial}
+                  onChange={updateContaBancaria('dataSaldoInicial')}
+                />
+              </div>
             </div>
             <div className="flex justify-end gap-4 pt-4">
-              <Button variant="outline" onClick={() => setClienteDescricao('')} disabled={clienteLoading}>
+              <Button variant="outline" onClick={() => setContaBancaria(contaBancariaVazia())} disabled={contaBancariaLoading}>
                 Limpar
               </Button>
-              <Button onClick={saveCliente} disabled={clienteLoading}>
-                {clienteLoading ? 'Salvando...' : 'Salvar Cliente'}
+              <Button onClick={saveContaBancaria} disabled={contaBancariaLoading}>
+                {contaBancariaLoading ? 'Salvando...' : 'Salvar Conta'}
               </Button>
             </div>
           </CardContent>
@@ -163,28 +352,57 @@ const Cadastros = () => {
       );
     }
 
-    if (activeCard === 'fornecedor') {
+    if (activeCard === 'encargos') {
+      const updateRegra = (campo) => (event) => setRegraEncargos((prev) => ({ ...prev, [campo]: event.target.value }));
       return (
         <Card className="glass-card">
           <CardHeader>
-            <CardTitle className="text-white">Cadastro de Fornecedor</CardTitle>
+            <CardTitle className="text-white">Multa e Juros por Unidade</CardTitle>
           </CardHeader>
           <CardContent className="space-y-6">
-            <div className="space-y-2">
-              <Label htmlFor="fornecedor-descricao" className="text-gray-300">Nome do fornecedor</Label>
-              <Input
-                id="fornecedor-descricao"
-                placeholder="Ex.: Distribuidora XPTO"
-                value={fornecedorDescricao}
-                onChange={(event) => setFornecedorDescricao(event.target.value)}
-              />
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="space-y-2">
+                <Label className="text-gray-300">Unidade</Label>
+                <Select value={regraEncargos.unidade} onValueChange={selecionarUnidadeEncargos}>
+                  <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                    <SelectValue placeholder="Selecione a unidade" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {unidades.map((unidade) => (
+                      <SelectItem key={unidade.id} value={unidade.descricao}>{unidade.descricao}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="encargos-multa" className="text-gray-300">Multa (%)</Label>
+                <Input id="encargos-multa" inputMode="decimal" placeholder="2,00" value={regraEncargos.multa} onChange={updateRegra('multa')} />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="encargos-juros" className="text-gray-300">Juros de mora (% ao mês)</Label>
+                <Input id="encargos-juros" inputMode="decimal" placeholder="1,00" value={regraEncargos.juros} onChange={updateRegra('juros')} />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="encargos-carencia" className="text-gray-300">Carência (dias)</Label>
+                <Input id="encargos-carencia" inputMode="numeric" placeholder="0" value={regraEncargos.carencia} onChange={updateRegra('carencia')} />
+              </div>
             </div>
+            {regrasEncargos.length > 0 && (
+              <div className="space-y-1 text-sm text-gray-400">
+                {regrasEncargos.map((regra) => (
+                  <p key={regra.id}>
+                    {regra.unidade}: multa {formatPercentual(regra.multa_percentual)}% · juros {formatPercentual(regra.juros_mensal_percentual)}% a.m.
+                    {regra.carencia_dias > 0 && ` · carência de ${regra.carencia_dias} dia(s)`}
+                  </p>
+                ))}
+              </div>
+            )}
             <div className="flex justify-end gap-4 pt-4">
-              <Button variant="outline" onClick={() => setFornecedorDescricao('')} disabled={fornecedorLoading}>
+              <Button variant="outline" onClick={() => setRegraEncargos(regraEncargosVazia)} disabled={encargosLoading}>
                 Limpar
               </Button>
-              <Button onClick={saveFornecedor} disabled={fornecedorLoading}>
-                {fornecedorLoading ? 'Salvando...' : 'Salvar Fornecedor'}
+              <Button onClick={saveRegraEncargos} disabled={encargosLoading}>
+                {encargosLoading ? 'Salvando...' : 'Salvar Regra'}
               </Button>
             </div>
           </CardContent>
@@ -192,28 +410,90 @@ const Cadastros = () => {
       );
     }
 
-    if (activeCard === 'unidade') {
+    if (activeCard === 'pontualidade') {
       return (
         <Card className="glass-card">
           <CardHeader>
-            <CardTitle className="text-white">Cadastro de Unidade</CardTitle>
+            <CardTitle className="text-white">Desconto de Pontualidade</CardTitle>
           </CardHeader>
           <CardContent className="space-y-6">
-            <div className="space-y-2">
-              <Label htmlFor="unidade-descricao" className="text-gray-300">Nome da unidade</Label>
-              <Input
-                id="unidade-descricao"
-                placeholder="Ex.: CNA Angra dos Reis"
-                value={unidadeDescricao}
-                onChange={(event) => setUnidadeDescricao(event.target.value)}
-              />
+            <p className="text-sm text-gray-400">
+              O desconto de cada lançamento (Desc. Pontual) vale até o dia limite do mês do vencimento. Sem regra, vale até o vencimento.
+              O plano é procurado na descrição e na observação (categoria da planilha); em branco, a regra vale para toda a unidade.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label className="text-gray-300">Unidade</Label>
+                <Select
+                  value={regraPontualidade.unidade}
+                  onValueChange={(unidade) => setRegraPontualidade((prev) => ({ ...prev, unidade }))}
+                >
+                  <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                    <SelectValue placeholder="Selecione a unidade" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {unidades.map((unidade) => (
+                      <SelectItem key={unidade.id} value={unidade.descricao}>{unidade.descricao}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="pontualidade-plano" className="text-gray-300">Plano</Label>
+                <Input
+                  id="pontualidade-plano"
+                  placeholder="Todos os planos"
+                  value={regraPontualidade.plano}
+                  onChange={(event) => setRegraPontualidade((prev) => ({ ...prev, plano: event.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="pontualidade-dia" className="text-gray-300">Pago até o dia</Label>
+                <Input
+                  id="pontualidade-dia"
+                  inputMode="numeric"
+                  placeholder="Ex.: 5"
+                  value={regraPontualidade.diaLimite}
+                  onChange={(event) => setRegraPontualidade((prev) => ({ ...prev, diaLimite: event.target.value }))}
+                />
+              </div>
             </div>
+            {regrasPontualidade.length > 0 && (
+              <div className="space-y-1 text-sm text-gray-400">
+                {regrasPontualidade.map((regra) => (
+                  <div key={regra.id} className="flex items-center justify-between gap-2">
+                    <button
+                      type="button"
+                      className="text-left hover:text-white"
+                      onClick={() => setRegraPontualidade({
+                        id: regra.id,
+                        unidade: regra.unidade,
+                        plano: regra.plano || '',
+                        diaLimite: String(regra.dia_limite),
+                      })}
+                    >
+                      {regra.unidade} · {regra.plano || 'todos os planos'}: desconto se pago até o dia {regra.dia_limite}
+                    </button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-8 w-8"
+                      onClick={() => removerRegraPontualidade(regra)}
+                      disabled={pontualidadeLoading}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                      <span className="sr-only">Excluir regra</span>
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
             <div className="flex justify-end gap-4 pt-4">
-              <Button variant="outline" onClick={() => setUnidadeDescricao('')} disabled={unidadeLoading}>
+              <Button variant="outline" onClick={() => setRegraPontualidade(regraPontualidadeVazia)} disabled={pontualidadeLoading}>
                 Limpar
               </Button>
-              <Button onClick={saveUnidade} disabled={unidadeLoading}>
-                {unidadeLoading ? 'Salvando...' : 'Salvar Unidade'}
+              <Button onClick={saveRegraPontualidade} disabled={pontualidadeLoading}>
+                {pontualidadeLoading ? 'Salvando...' : regraPontualidade.id ? 'Atualizar Regra' : 'Salvar Regra'}
               </Button>
             </div>
           </CardContent>
@@ -240,7 +520,7 @@ const Cadastros = () => {
     >
       <Helmet>
         <title>Cadastros - SysFina</title>
-        <meta name="description" content="Central de cadastros de clientes, fornecedores e unidades." />
+        <meta name="description" content="Central de cadastros de clientes, fornecedores, unidades e contas bancárias." />
       </Helmet>
 
       <div className="flex items-center justify-between">
@@ -254,6 +534,16 @@ const Cadastros = () => {
             <span className="text-sm text-gray-300">Escolha o tipo de cadastro para continuar.</span>
           </div>
         </div>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={() => navigate('/cadastros/duplicados')}>
+            <UserCog className="w-4 h-4 mr-2" />
+            Duplicados
+          </Button>
+          <Button variant="outline" onClick={() => navigate('/cadastros/vinculos')}>
+            <Link2 className="w-4 h-4 mr-2" />
+            Vincular lançamentos
+          </Button>
+        </div>
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -264,7 +554,10 @@ const Cadastros = () => {
             <Card
               key={card.id}
               className={`glass-card cursor-pointer transition-all ${isActive ? 'border-blue-500 shadow-lg shadow-blue-500/20' : 'border-transparent hover:border-white/20'}`}
-              onClick={() => setActiveCard(card.id)}
+              onClick={() => {
+                setActiveCard(card.id);
+                setCadastroEmEdicao(null);
+              }}
             >
               <CardContent className="p-6 space-y-4">
                 <div className="flex items-center gap-3">
@@ -283,6 +576,17 @@ const Cadastros = () => {
       </div>
 
       {renderForm()}
+
+      {(activeCard === 'cliente' || activeCard === 'fornecedor') && (
+        <ClientesFornecedoresGrid
+          tipo={activeCard === 'cliente' ? 'Cliente' : 'Fornecedor'}
+          versao={cadastrosVersao}
+          onEditarCadastro={(registro) => {
+            setCadastroEmEdicao(registro.id);
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+          }}
+        />
+      )}
     </motion.div>
   );
 };
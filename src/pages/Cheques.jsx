@@ -0,0 +1,499 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Plus, RefreshCw, Search } from 'lucide-react';
+import { format } from 'date-fns';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/contexts/SupabaseAuthContext';
+import { supabase } from '@/lib/customSupabaseClient';
+import { proximasSituacoes } from '@/lib/cheques';
+import { compensarCheque, depositarCheque, devolverCheque, listarAlineas, listarCheques, registrarCheque } from '@/services/chequeService';
+import { listarContasBancarias } from '@/services/contaBancariaService';
+
+const TODOS = 'todos';
+const CAMPOS_LANCAMENTO = 'id, tipo, data, cliente_fornecedor, aluno, descricao, valor, desc_pontual, unidade, status';
+
+const STATUS_CHEQUE = {
+  custodia: { label: 'Em custódia', className: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30' },
+  depositado: { label: 'Depositado', className: 'bg-blue-500/20 text-blue-400 border-blue-500/30' },
+  compensado: { label: 'Compensado', className: 'bg-green-500/20 text-green-400 border-green-500/30' },
+  devolvido: { label: 'Devolvido', className: 'bg-red-500/20 text-red-400 border-red-500/30' },
+};
+
+const ACOES = {
+  depositado: { label: 'Depositar', labelDevolvido: 'Reapresentar', executar: depositarCheque },
+  compensado: { label: 'Compensar', executar: compensarCheque },
+  devolvido: { label: 'Devolver', executar: devolverCheque },
+};
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'dd/MM/yyyy') : '-');
+const parseValor = (value) => Number(String(value || '').replace(/\./g, '').replace(',', '.'));
+const hoje = () => format(new Date(), 'yyyy-MM-dd');
+
+const chequeVazio = () => ({
+  banco: '',
+  agencia: '',
+  conta: '',
+  numero: '',
+  emitente: '',
+  valor: '',
+  dataEmissao: hoje(),
+  bomPara: hoje(),
+  contaBancariaId: '',
+  obs: '',
+});
+
+const Cheques = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const [cheques, setCheques] = useState([]);
+  const [contas, setContas] = useState([]);
+  const [alineas, setAlineas] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [filtroStatus, setFiltroStatus] = useState(TODOS);
+  const [filtroTipo, setFiltroTipo] = useState(TODOS);
+  const [tipo, setTipo] = useState('recebido');
+  const [busca, setBusca] = useState('');
+  const [resultados, setResultados] = useState([]);
+  const [lancamento, setLancamento] = useState(null);
+  const [form, setForm] = useState(chequeVazio);
+  const [acao, setAcao] = useState(null);
+
+  const loadCheques = useCallback(async () => {
+    setLoading(true);
+    try {
+      setCheques(await listarCheques({
+        status: filtroStatus === TODOS ? undefined : filtroStatus,
+        tipo: filtroTipo === TODOS ? undefined : filtroTipo,
+        comLancamentos: true,
+      }));
+    } catch (error) {
+      toast({ title: 'Erro ao carregar cheques', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [filtroStatus, filtroTipo, toast]);
+
+  useEffect(() => {
+    loadCheques();
+  }, [loadCheques]);
+
+  useEffect(() => {
+    Promise.all([listarContasBancarias(), listarAlineas()])
+      .then(([contasData, alineasData]) => {
+        setContas(contasData);
+        setAlineas(alineasData);
+      })
+      .catch((error) => toast({ title: 'Erro ao carregar cadastros', description: error.message, variant: 'destructive' }));
+  }, [toast]);
+
+  const handleBuscar = async (event) => {
+    event?.preventDefault();
+    const termo = busca.trim().replace(/[%,()]/g, ' ');
+
+    let query = supabase
+      .from('lancamentos')
+      .select(CAMPOS_LANCAMENTO)
+      .eq('tipo', tipo === 'recebido' ? 'Entrada' : 'Saida')
+      .or('status.is.null,status.not.in.(Pago,Cancelado)')
+      .order('data', { ascending: true })
+      .limit(50);
+    if (termo) {
+      const pattern = `%${termo}%`;
+      query = query.or(`cliente_fornecedor.ilike.${pattern},aluno.ilike.${pattern},descricao.ilike.${pattern}`);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      toast({ title: 'Erro ao buscar lançamentos', description: error.message, variant: 'destructive' });
+      return;
+    }
+    setResultados(data || []);
+  };
+
+  const selecionarLancamento = (item) => {
+    setLancamento(item);
+    setForm((prev) => ({
+      ...chequeVazio(),
+      contaBancariaId: prev.contaBancariaId,
+      emitente: tipo === 'recebido' ? item.cliente_fornecedor || '' : '',
+      valor: Number(item.valor || 0).toFixed(2).replace('.', ','),
+      bomPara: item.data || hoje(),
+    }));
+  };
+
+  const updateForm = (campo) => (event) => setForm((prev) => ({ ...prev, [campo]: event.target.value }));
+
+  const handleRegistrar = async () => {
+    const valor = parseValor(form.valor);
+    if (!lancamento || !form.banco.trim() || !form.numero.trim() || !form.bomPara || !(valor > 0)) {
+      toast({ title: 'Erro de Validação', description: 'Informe o lançamento, banco, número, valor e bom para.', variant: 'destructive' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await registrarCheque(lancamento, {
+        tipo,
+        banco: form.banco.trim(),
+        agencia: form.agencia.trim(),
+        conta: form.conta.trim(),
+        numero: form.numero.trim(),
+        emitente: form.emitente.trim(),
+        valor,
+        dataEmissao: form.dataEmissao,
+        bomPara: form.bomPara,
+        contaBancariaId: form.contaBancariaId ? Number(form.contaBancariaId) : null,
+        obs: form.obs.trim(),
+        userId: user?.id,
+      });
+      toast({ title: 'Cheque registrado', description: `Cheque ${form.numero} em custódia, bom para ${formatDate(form.bomPara)}.` });
+      setLancamento(null);
+      setResultados([]);
+      setForm(chequeVazio());
+      loadCheques();
+    } catch (error) {
+      toast({ title: 'Erro ao registrar cheque', description: error.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const abrirAcao = (cheque, status) => {
+    setAcao({
+      cheque,
+      status,
+      data: hoje(),
+      contaBancariaId: cheque.conta_bancaria_id ? String(cheque.conta_bancaria_id) : '',
+      alineaCodigo: '',
+    });
+  };
+
+  const handleConfirmarAcao = async () => {
+    setSaving(true);
+    try {
+      await ACOES[acao.status].executar(acao.cheque, {
+        data: acao.data,
+        contaBancariaId: acao.contaBancariaId ? Number(acao.contaBancariaId) : null,
+        alineaCodigo: acao.alineaCodigo || null,
+        userId: user?.id,
+      }, alineas);
+      toast({ title: 'Cheque atualizado', description: `Cheque ${acao.cheque.numero}: ${STATUS_CHEQUE[acao.status].label.toLowerCase()}.` });
+      setAcao(null);
+      loadCheques();
+    } catch (error) {
+      toast({ title: 'Erro ao atualizar cheque', description: error.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderContaSelect = (value, onValueChange) => (
+    <Select value={value} onValueChange={onValueChange}>
+      <SelectTrigger className="bg-white/10 border-white/20 text-white">
+        <SelectValue placeholder={contas.length ? 'Selecione a conta' : 'Cadastre uma conta em Cadastros'} />
+      </SelectTrigger>
+      <SelectContent>
+        {contas.map((conta) => (
+          <SelectItem key={conta.id} value={String(conta.id)}>{conta.descricao}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>Cheques - SysFina</title>
+        <meta name="description" content="Controle de cheques recebidos e emitidos." />
+      </Helmet>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/financeiro')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Cheques</h1>
+            <span className="text-sm text-gray-300">Custódia, depósito, compensação e devolução de cheques recebidos e emitidos.</span>
+          </div>
+        </div>
+        <Button variant="outline" onClick={loadCheques} disabled={loading}>
+          <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Atualizar
+        </Button>
+      </div>
+
+      <Card className="glass-card">
+        <CardHeader>
+          <CardTitle className="text-white">Novo cheque</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <form onSubmit={handleBuscar} className="flex flex-col gap-2 md:flex-row md:items-end">
+            <div className="w-full md:w-48">
+              <Label className="text-gray-300">Tipo</Label>
+              <Select
+                value={tipo}
+                onValueChange={(value) => {
+                  setTipo(value);
+                  setResultados([]);
+                  setLancamento(null);
+                }}
+              >
+                <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="recebido">Recebido</SelectItem>
+                  <SelectItem value="emitido">Emitido</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex-1">
+              <Label htmlFor="cheque-busca" className="text-gray-300">
+                {tipo === 'recebido' ? 'Entrada em aberto' : 'Saída em aberto'} (cliente, fornecedor, aluno ou descrição)
+              </Label>
+              <Input id="cheque-busca" value={busca} onChange={(e) => setBusca(e.target.value)} />
+            </div>
+            <Button type="submit" variant="outline">
+              <Search className="w-4 h-4 mr-2" />
+              Buscar
+            </Button>
+          </form>
+
+          {resultados.length > 0 && !lancamento && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-gray-300">
+                <tbody>
+                  {resultados.map((item) => (
+                    <tr key={item.id} className="border-b border-gray-700 cursor-pointer hover:bg-white/5" onClick={() => selecionarLancamento(item)}>
+                      <td className="px-4 py-2 whitespace-nowrap">{formatDate(item.data)}</td>
+                      <td className="px-4 py-2 text-white">{[item.cliente_fornecedor, item.aluno].filter(Boolean).join(' · ')}</td>
+                      <td className="px-4 py-2">{item.descricao}</td>
+                      <td className="px-4 py-2">{item.unidade}</td>
+                      <td className="px-4 py-2 text-right font-mono">{formatCurrency(item.valor)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {lancamento && (
+            <>
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-gray-300">
+                  {[lancamento.cliente_fornecedor, lancamento.aluno, lancamento.descricao].filter(Boolean).join(' · ')}
+                  {' · '}Vencimento {formatDate(lancamento.data)} · {formatCurrency(lancamento.valor)}
+                </span>
+                <Button variant="ghost" size="sm" onClick={() => setLancamento(null)}>Trocar lançamento</Button>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="cheque-banco" className="text-gray-300">Banco</Label>
+                  <Input id="cheque-banco" placeholder="001" value={form.banco} onChange={updateForm('banco')} />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="cheque-agencia" className="text-gray-300">Agência</Label>
+                  <Input id="cheque-agencia" value={form.agencia} onChange={updateForm('agencia')} />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="cheque-conta" className="text-gray-300">Conta</Label>
+                  <Input id="cheque-conta" value={form.conta} onChange={updateForm('conta')} />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="cheque-numero" className="text-gray-300">Número do cheque</Label>
+                  <Input id="cheque-numero" value={form.numero} onChange={updateForm('numero')} />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="cheque-emitente" className="text-gray-300">Emitente</Label>
+                  <Input id="cheque-emitente" value={form.emitente} onChange={updateForm('emitente')} />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="cheque-valor" className="text-gray-300">Valor</Label>
+                  <Input id="cheque-valor" inputMode="decimal" value={form.valor} onChange={updateForm('valor')} />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="cheque-emissao" className="text-gray-300">Emissão</Label>
+                  <Input id="cheque-emissao" type="date" value={form.dataEmissao} onChange={updateForm('dataEmissao')} />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="cheque-bom-para" className="text-gray-300">Bom para</Label>
+                  <Input id="cheque-bom-para" type="date" value={form.bomPara} onChange={updateForm('bomPara')} />
+                </div>
+                {tipo === 'emitido' && (
+                  <div className="space-y-2">
+                    <Label className="text-gray-300">Conta emitente</Label>
+                    {renderContaSelect(form.contaBancariaId, (value) => setForm((prev) => ({ ...prev, contaBancariaId: value })))}
+                  </div>
+                )}
+                <div className="space-y-2 col-span-2">
+                  <Label htmlFor="cheque-obs" className="text-gray-300">Observação</Label>
+                  <Input id="cheque-obs" value={form.obs} onChange={updateForm('obs')} />
+                </div>
+              </div>
+              <div className="flex justify-end">
+                <Button onClick={handleRegistrar} disabled={saving}>
+                  <Plus className="w-4 h-4 mr-2" />
+                  {saving ? 'Registrando...' : 'Registrar cheque'}
+                </Button>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="glass-card">
+        <CardHeader className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <CardTitle className="text-white">Cheques</CardTitle>
+          <div className="flex gap-2">
+            <Select value={filtroTipo} onValueChange={setFiltroTipo}>
+              <SelectTrigger className="w-40 bg-white/10 border-white/20 text-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={TODOS}>Todos os tipos</SelectItem>
+                <SelectItem value="recebido">Recebidos</SelectItem>
+                <SelectItem value="emitido">Emitidos</SelectItem>
+              </SelectContent>
+            </Select>
+            <Select value={filtroStatus} onValueChange={setFiltroStatus}>
+              <SelectTrigger className="w-44 bg-white/10 border-white/20 text-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={TODOS}>Todas as situações</SelectItem>
+                {Object.entries(STATUS_CHEQUE).map(([value, { label }]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {cheques.length === 0 ? (
+            <p className="text-sm text-gray-500">{loading ? 'Carregando...' : 'Nenhum cheque encontrado.'}</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-gray-300">
+                <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                  <tr>
+                    <th className="px-4 py-2">Bom para</th>
+                    <th className="px-4 py-2">Tipo</th>
+                    <th className="px-4 py-2">Cheque</th>
+                    <th className="px-4 py-2">Emitente</th>
+                    <th className="px-4 py-2">Lançamento</th>
+                    <th className="px-4 py-2">Conta</th>
+                    <th className="px-4 py-2 text-right">Valor</th>
+                    <th className="px-4 py-2">Situação</th>
+                    <th className="px-4 py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {cheques.map((cheque) => {
+                    const status = STATUS_CHEQUE[cheque.status];
+                    const emAcao = acao?.cheque.id === cheque.id;
+                    return (
+                      <React.Fragment key={cheque.id}>
+                        <tr className="border-b border-gray-700">
+                          <td className="px-4 py-2 whitespace-nowrap">{formatDate(cheque.bom_para)}</td>
+                          <td className="px-4 py-2">{cheque.tipo === 'recebido' ? 'Recebido' : 'Emitido'}</td>
+                          <td className="px-4 py-2 whitespace-nowrap">
+                            Nº {cheque.numero}
+                            <span className="block text-xs text-gray-500">
+                              {[`Bco ${cheque.banco}`, cheque.agencia && `Ag. ${cheque.agencia}`, cheque.conta && `C/C ${cheque.conta}`].filter(Boolean).join(' · ')}
+                            </span>
+                          </td>
+                          <td className="px-4 py-2">{cheque.emitente || '-'}</td>
+                          <td className="px-4 py-2">
+                            {cheque.lancamento
+                              ? [cheque.lancamento.cliente_fornecedor, cheque.lancamento.descricao].filter(Boolean).join(' · ')
+                              : '-'}
+                          </td>
+                          <td className="px-4 py-2">{cheque.conta_bancaria?.descricao || '-'}</td>
+                          <td className="px-4 py-2 text-right font-mono">{formatCurrency(cheque.valor)}</td>
+                          <td className="px-4 py-2">
+                            <span className={`px-3 py-1 rounded-full text-xs font-medium border ${status.className}`}>{status.label}</span>
+                            {cheque.status === 'devolvido' && cheque.alinea_codigo && (
+                              <span className="block text-xs text-gray-500 mt-1">
+                                Alínea {cheque.alinea_codigo}{cheque.alinea?.descricao ? ` - ${cheque.alinea.descricao}` : ''}
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-4 py-2 text-right whitespace-nowrap space-x-1">
+                            {proximasSituacoes(cheque, alineas).map((proxima) => (
+                              <Button key={proxima} variant="outline" size="sm" onClick={() => abrirAcao(cheque, proxima)} disabled={saving}>
+                                {cheque.status === 'devolvido' ? ACOES[proxima].labelDevolvido : ACOES[proxima].label}
+                              </Button>
+                            ))}
+                          </td>
+                        </tr>
+                        {emAcao && (
+                          <tr className="bg-white/5">
+                            <td colSpan="9" className="px-4 py-3">
+                              <div className="flex flex-col md:flex-row gap-4 md:items-end">
+                                <div className="space-y-2">
+                                  <Label htmlFor="cheque-acao-data" className="text-gray-300">Data</Label>
+                                  <Input
+                                    id="cheque-acao-data"
+                                    type="date"
+                                    value={acao.data}
+                                    onChange={(e) => setAcao((prev) => ({ ...prev, data: e.target.value }))}
+                                  />
+                                </div>
+                                {acao.status === 'depositado' && (
+                                  <div className="space-y-2 md:w-64">
+                                    <Label className="text-gray-300">Conta do depósito</Label>
+                                    {renderContaSelect(acao.contaBancariaId, (value) => setAcao((prev) => ({ ...prev, contaBancariaId: value })))}
+                                  </div>
+                                )}
+                                {acao.status === 'devolvido' && (
+                                  <div className="space-y-2 md:w-96">
+                                    <Label className="text-gray-300">Alínea</Label>
+                                    <Select value={acao.alineaCodigo} onValueChange={(value) => setAcao((prev) => ({ ...prev, alineaCodigo: value }))}>
+                                      <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                                        <SelectValue placeholder="Selecione a alínea" />
+                                      </SelectTrigger>
+                                      <SelectContent>
+                                        {alineas.map((alinea) => (
+                                          <SelectItem key={alinea.codigo} value={alinea.codigo}>{alinea.codigo} - {alinea.descricao}</SelectItem>
+                                        ))}
+                                      </SelectContent>
+                                    </Select>
+                                  </div>
+                                )}
+                                <div className="flex gap-2">
+                                  <Button variant="outline" onClick={() => setAcao(null)} disabled={saving}>Cancelar</Button>
+                                  <Button onClick={handleConfirmarAcao} disabled={saving}>
+                                    {saving ? 'Salvando...' : `Confirmar: ${STATUS_CHEQUE[acao.status].label.toLowerCase()}`}
+                                  </Button>
+                                </div>
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default Cheques;
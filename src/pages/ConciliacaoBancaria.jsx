@@ -0,0 +1,454 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Link2, Lock, RefreshCw, Unlink, Upload, Wand2 } from 'lucide-react';
+import { endOfMonth, format, startOfMonth } from 'date-fns';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/contexts/SupabaseAuthContext';
+import { conciliarAutomaticamente, indexarConciliacoes, resumirPeriodo, valorConciliado } from '@/lib/conciliacaoBancaria';
+import { lerArquivoOfx } from '@/lib/ofx';
+import { listarContasBancarias, listarMovimentos } from '@/services/contaBancariaService';
+import {
+  conciliar,
+  conciliarPares,
+  criarLancamentoDaLinha,
+  desfazerConciliacao,
+  excluirLinhaExtrato,
+  fecharPeriodo,
+  importarLinhasExtrato,
+  listarConciliacoes,
+  listarLinhasExtrato,
+  listarPeriodos,
+  reabrirPeriodo,
+} from '@/services/conciliacaoService';
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'dd/MM/yyyy') : '-');
+const valorClassName = (value) => (Number(value) < 0 ? 'text-red-400' : 'text-green-400');
+
+const ConciliacaoBancaria = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const fileInputRef = useRef(null);
+  const [contas, setContas] = useState([]);
+  const [contaId, setContaId] = useState('');
+  const [periodo, setPeriodo] = useState(() => ({
+    inicio: format(startOfMonth(new Date()), 'yyyy-MM-dd'),
+    fim: format(endOfMonth(new Date()), 'yyyy-MM-dd'),
+  }));
+  const [linhas, setLinhas] = useState([]);
+  const [movimentos, setMovimentos] = useState([]);
+  const [conciliacoes, setConciliacoes] = useState([]);
+  const [periodos, setPeriodos] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [linhaSelecionada, setLinhaSelecionada] = useState(null);
+  const [movimentosSelecionados, setMovimentosSelecionados] = useState([]);
+  const [novoLancamento, setNovoLancamento] = useState(null);
+
+  const conta = contas.find((item) => String(item.id) === contaId);
+
+  useEffect(() => {
+    listarContasBancarias()
+      .then((data) => {
+        setContas(data);
+        setContaId((atual) => atual || (data[0] ? String(data[0].id) : ''));
+      })
+      .catch((error) => toast({ title: 'Erro ao carregar contas bancárias', description: error.message, variant: 'destructive' }));
+  }, [toast]);
+
+  const loadDados = useCallback(async () => {
+    if (!contaId || !periodo.inicio || !periodo.fim) return;
+    setLoading(true);
+    try {
+      const [linhasData, movimentosData, conciliacoesData, periodosData] = await Promise.all([
+        listarLinhasExtrato(Number(contaId), periodo),
+        listarMovimentos({ contaIds: [Number(contaId)] }),
+        listarConciliacoes(Number(contaId)),
+        listarPeriodos(Number(contaId)),
+      ]);
+      setLinhas(linhasData);
+      setMovimentos(movimentosData);
+      setConciliacoes(conciliacoesData);
+      setPeriodos(periodosData);
+      setLinhaSelecionada(null);
+      setMovimentosSelecionados([]);
+      setNovoLancamento(null);
+    } catch (error) {
+      toast({ title: 'Erro ao carregar conciliação', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [contaId, periodo, toast]);
+
+  useEffect(() => {
+    loadDados();
+  }, [loadDados]);
+
+  const { porLinha, movimentosConciliados } = useMemo(() => indexarConciliacoes(conciliacoes), [conciliacoes]);
+  const movimentosDoPeriodo = useMemo(
+    () => movimentos.filter((movimento) => movimento.data >= periodo.inicio && movimento.data <= periodo.fim),
+    [movimentos, periodo],
+  );
+  const resumo = useMemo(
+    () => resumirPeriodo(linhas, movimentosDoPeriodo, conciliacoes),
+    [linhas, movimentosDoPeriodo, conciliacoes],
+  );
+  const periodoFechado = periodos.find((item) => !item.reaberto_em && item.inicio <= periodo.fim && item.fim >= periodo.inicio);
+  const somaSelecionada = valorConciliado(movimentos.filter((movimento) => movimentosSelecionados.includes(movimento.id)));
+
+  const executar = async (acao, sucesso) => {
+    setSaving(true);
+    try {
+      const descricao = await acao();
+      if (sucesso) {
+        toast({ title: sucesso, description: typeof descricao === 'string' ? descricao : undefined });
+      }
+      await loadDados();
+    } catch (error) {
+      toast({ title: 'Erro na conciliação', description: error.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file || !conta) return;
+
+    await executar(async () => {
+      const extrato = await lerArquivoOfx(file);
+      const importadas = await importarLinhasExtrato(conta.id, extrato.transacoes, { userId: user?.id });
+      return `${importadas} nova(s) linha(s) de ${extrato.transacoes.length} no arquivo.`;
+    }, 'Extrato importado');
+  };
+
+  const handleAutomatico = () => executar(async () => {
+    const linhasPendentes = linhas.filter((linha) => !porLinha.has(String(linha.id)));
+    const movimentosPendentes = movimentos.filter((movimento) => !movimentosConciliados.has(String(movimento.id)));
+    const pares = conciliarAutomaticamente(linhasPendentes, movimentosPendentes);
+    await conciliarPares(pares, { userId: user?.id });
+    return `${pares.length} linha(s) conciliada(s) por valor e data.`;
+  }, 'Conciliação automática');
+
+  const handleConciliar = () => {
+    const selecionados = movimentos.filter((movimento) => movimentosSelecionados.includes(movimento.id));
+    return executar(() => conciliar(linhaSelecionada, selecionados, { userId: user?.id }), 'Linha conciliada');
+  };
+
+  const handleCriarLancamento = () => {
+    if (!novoLancamento.clienteFornecedor.trim() || !novoLancamento.descricao.trim()) {
+      toast({ title: 'Erro de Validação', description: 'Informe o cliente/fornecedor e a descrição.', variant: 'destructive' });
+      return;
+    }
+    executar(() => criarLancamentoDaLinha(linhaSelecionada, conta, {
+      clienteFornecedor: novoLancamento.clienteFornecedor.trim(),
+      descricao: novoLancamento.descricao.trim(),
+      userId: user?.id,
+    }), 'Lançamento criado e conciliado');
+  };
+
+  const toggleMovimento = (id) => {
+    setMovimentosSelecionados((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  const selecionarLinha = (linha) => {
+    setLinhaSelecionada((atual) => (atual?.id === linha.id ? null : linha));
+    setNovoLancamento(null);
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>Conciliação Bancária - SysFina</title>
+        <meta name="description" content="Conciliação do extrato do banco com as baixas e transferências." />
+      </Helmet>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/financeiro')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Conciliação Bancária</h1>
+            <span className="text-sm text-gray-300">Confronte o extrato do banco com as baixas e transferências de cada conta.</span>
+          </div>
+        </div>
+        <Button variant="outline" onClick={loadDados} disabled={loading || !contaId}>
+          <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Atualizar
+        </Button>
+      </div>
+
+      <Card className="glass-card">
+        <CardContent className="pt-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div className="space-y-2">
+              <Label className="text-gray-300">Conta bancária</Label>
+              <Select value={contaId} onValueChange={setContaId}>
+                <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                  <SelectValue placeholder={contas.length ? 'Selecione a conta' : 'Cadastre uma conta em Cadastros'} />
+                </SelectTrigger>
+                <SelectContent>
+                  {contas.map((item) => (
+                    <SelectItem key={item.id} value={String(item.id)}>{item.descricao}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="conciliacao-inicio" className="text-gray-300">De</Label>
+              <Input
+                id="conciliacao-inicio"
+                type="date"
+                value={periodo.inicio}
+                onChange={(e) => setPeriodo((prev) => ({ ...prev, inicio: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="conciliacao-fim" className="text-gray-300">Até</Label>
+              <Input
+                id="conciliacao-fim"
+                type="date"
+                value={periodo.fim}
+                onChange={(e) => setPeriodo((prev) => ({ ...prev, fim: e.target.value }))}
+              />
+            </div>
+            <div>
+              <input ref={fileInputRef} type="file" accept=".ofx" className="hidden" onChange={handleFileChange} />
+              <Button variant="outline" className="w-full" onClick={() => fileInputRef.current?.click()} disabled={saving || !conta || Boolean(periodoFechado)}>
+                <Upload className="w-4 h-4 mr-2" />
+                Importar extrato OFX
+              </Button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <p className="text-gray-400">Total do extrato</p>
+              <p className={`font-mono ${valorClassName(resumo.totalExtrato)}`}>{formatCurrency(resumo.totalExtrato)}</p>
+            </div>
+            <div>
+              <p className="text-gray-400">Total dos movimentos</p>
+              <p className={`font-mono ${valorClassName(resumo.totalMovimentos)}`}>{formatCurrency(resumo.totalMovimentos)}</p>
+            </div>
+            <div>
+              <p className="text-gray-400">Diferença</p>
+              <p className={`font-mono ${resumo.diferenca === 0 ? 'text-white' : 'text-yellow-400'}`}>{formatCurrency(resumo.diferenca)}</p>
+            </div>
+            <div>
+              <p className="text-gray-400">Pendentes</p>
+              <p className="text-white">{resumo.linhasPendentes.length} linha(s) · {resumo.movimentosPendentes.length} movimento(s)</p>
+            </div>
+          </div>
+
+          {periodoFechado ? (
+            <p className="text-sm text-green-400 flex items-center gap-2">
+              <Lock className="w-4 h-4" />
+              Período conciliado de {formatDate(periodoFechado.inicio)} a {formatDate(periodoFechado.fim)}. As baixas desse período não podem ser alteradas.
+            </p>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              <Button variant="outline" onClick={handleAutomatico} disabled={saving || !conta}>
+                <Wand2 className="w-4 h-4 mr-2" />
+                Conciliar automaticamente
+              </Button>
+              <Button
+                onClick={() => executar(() => fecharPeriodo(conta, { ...periodo, userId: user?.id }), 'Período conciliado')}
+                disabled={saving || !conta || !resumo.fechavel}
+              >
+                <Lock className="w-4 h-4 mr-2" />
+                Fechar período como conciliado
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card className="glass-card">
+          <CardHeader>
+            <CardTitle className="text-white">Extrato do banco</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {linhas.length === 0 ? (
+              <p className="text-sm text-gray-500">{loading ? 'Carregando...' : 'Nenhuma linha de extrato no período. Importe o OFX da conta.'}</p>
+            ) : linhas.map((linha) => {
+              const pares = porLinha.get(String(linha.id)) || [];
+              const selecionada = linhaSelecionada?.id === linha.id;
+              return (
+                <div
+                  key={linha.id}
+                  className={`rounded-md border p-3 text-sm cursor-pointer ${selecionada ? 'border-blue-500 bg-blue-500/10' : 'border-white/10 hover:bg-white/5'}`}
+                  onClick={() => pares.length === 0 && !periodoFechado && selecionarLinha(linha)}
+                >
+                  <div className="flex justify-between gap-4">
+                    <span className="text-gray-400 whitespace-nowrap">{formatDate(linha.data)}</span>
+                    <span className="flex-1 text-gray-200">{linha.historico || '-'}</span>
+                    <span className={`font-mono ${valorClassName(linha.valor)}`}>{formatCurrency(linha.valor)}</span>
+                  </div>
+                  {pares.length > 0 && (
+                    <div className="flex items-center justify-between mt-2 text-xs">
+                      <span className="text-green-400">
+                        Conciliada com {pares.length} movimento(s){pares.some((par) => par.automatica) ? ' (automática)' : ''}
+                      </span>
+                      {!periodoFechado && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={(e) => { e.stopPropagation(); executar(() => desfazerConciliacao(linha.id), 'Conciliação desfeita'); }}
+                          disabled={saving}
+                        >
+                          <Unlink className="w-3 h-3 mr-1" />
+                          Desfazer
+                        </Button>
+                      )}
+                    </div>
+                  )}
+                  {selecionada && (
+                    <div className="flex flex-wrap gap-2 mt-3" onClick={(e) => e.stopPropagation()}>
+                      <Button size="sm" onClick={handleConciliar} disabled={saving || movimentosSelecionados.length === 0}>
+                        <Link2 className="w-3 h-3 mr-1" />
+                        Conciliar com {movimentosSelecionados.length} movimento(s) ({formatCurrency(somaSelecionada)})
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => setNovoLancamento({ clienteFornecedor: '', descricao: linha.historico || '' })}
+                        disabled={saving}
+                      >
+                        Criar lançamento
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => executar(() => excluirLinhaExtrato(linha.id), 'Linha excluída')}
+                        disabled={saving}
+                      >
+                        Excluir linha
+                      </Button>
+                    </div>
+                  )}
+                  {selecionada && novoLancamento && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mt-3 items-end" onClick={(e) => e.stopPropagation()}>
+                      <div className="space-y-1">
+                        <Label className="text-gray-300 text-xs">{Number(linha.valor) > 0 ? 'Cliente' : 'Fornecedor'}</Label>
+                        <Input
+                          value={novoLancamento.clienteFornecedor}
+                          onChange={(e) => setNovoLancamento((prev) => ({ ...prev, clienteFornecedor: e.target.value }))}
+                        />
+                      </div>
+                      <div className="space-y-1">
+                        <Label className="text-gray-300 text-xs">Descrição</Label>
+                        <Input
+                          value={novoLancamento.descricao}
+                          onChange={(e) => setNovoLancamento((prev) => ({ ...prev, descricao: e.target.value }))}
+                        />
+                      </div>
+                      <Button size="sm" onClick={handleCriarLancamento} disabled={saving}>
+                        {saving ? 'Salvando...' : `Criar ${Number(linha.valor) > 0 ? 'Entrada' : 'Saída'} baixada`}
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </CardContent>
+        </Card>
+
+        <Card className="glass-card">
+          <CardHeader>
+            <CardTitle className="text-white">Movimentos do app</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {movimentosDoPeriodo.length === 0 ? (
+              <p className="text-sm text-gray-500">{loading ? 'Carregando...' : 'Nenhuma baixa ou transferência no período.'}</p>
+            ) : movimentosDoPeriodo.map((movimento) => {
+              const conciliado = movimentosConciliados.has(String(movimento.id));
+              const selecionado = movimentosSelecionados.includes(movimento.id);
+              return (
+                <label
+                  key={movimento.id}
+                  className={`flex items-center gap-3 rounded-md border p-3 text-sm ${conciliado ? 'border-white/5 opacity-60' : 'border-white/10 cursor-pointer hover:bg-white/5'}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={conciliado || selecionado}
+                    disabled={conciliado || !linhaSelecionada}
+                    onChange={() => toggleMovimento(movimento.id)}
+                  />
+                  <span className="text-gray-400 whitespace-nowrap">{formatDate(movimento.data)}</span>
+                  <span className="flex-1 text-gray-200">
+                    {movimento.historico || '-'}
+                    {movimento.origem === 'transferencia' && <span className="ml-2 text-xs text-blue-300">Transferência</span>}
+                    {movimento.origem === 'estorno' && <span className="ml-2 text-xs text-yellow-300">Estorno</span>}
+                  </span>
+                  <span className={`font-mono ${valorClassName(movimento.valor)}`}>{formatCurrency(movimento.valor)}</span>
+                </label>
+              );
+            })}
+          </CardContent>
+        </Card>
+      </div>
+
+      {periodos.length > 0 && (
+        <Card className="glass-card">
+          <CardHeader>
+            <CardTitle className="text-white">Períodos conciliados</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-gray-300">
+                <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                  <tr>
+                    <th className="px-4 py-2">Período</th>
+                    <th className="px-4 py-2 text-right">Saldo final</th>
+                    <th className="px-4 py-2">Fechado em</th>
+                    <th className="px-4 py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {periodos.map((item) => (
+                    <tr key={item.id} className="border-b border-gray-700">
+                      <td className="px-4 py-2">{formatDate(item.inicio)} a {formatDate(item.fim)}</td>
+                      <td className="px-4 py-2 text-right font-mono">{formatCurrency(item.saldo_final)}</td>
+                      <td className="px-4 py-2">{format(new Date(item.fechado_em), 'dd/MM/yyyy HH:mm')}</td>
+                      <td className="px-4 py-2 text-right">
+                        {item.reaberto_em ? (
+                          <span className="text-xs text-gray-400">
+                            Reaberto em {format(new Date(item.reaberto_em), 'dd/MM/yyyy HH:mm')}
+                          </span>
+                        ) : (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => executar(() => reabrirPeriodo(item.id, { userId: user?.id }), 'Período reaberto')}
+                            disabled={saving}
+                          >
+                            Reabrir
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </motion.div>
+  );
+};
+
+export default ConciliacaoBancaria;
@@ -0,0 +1,368 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, CheckCircle, FileUp } from 'lucide-react';
+import { addDays, format } from 'date-fns';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/contexts/SupabaseAuthContext';
+import { supabase } from '@/lib/customSupabaseClient';
+import { lerArquivoOfx } from '@/lib/ofx';
+import { JANELA_DIAS_PADRAO, sugerirBaixas } from '@/lib/conciliacaoOfx';
+import { descontoPontualImplicito } from '@/lib/saldoAberto';
+import { registrarBaixa } from '@/services/baixaService';
+import { listarContasBancarias } from '@/services/contaBancariaService';
+
+const SEM_BAIXA = '__sem_baixa__';
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'dd/MM/yyyy') : '-');
+
+const descreverLancamento = (lancamento) => [
+  lancamento.cliente_fornecedor,
+  lancamento.aluno,
+  formatDate(lancamento.data),
+  formatCurrency(lancamento.valor),
+].filter(Boolean).join(' · ');
+
+const somenteDigitos = (value) => String(value ?? '').replace(/\D/g, '').replace(/^0+/, '');
+
+// Conta cadastrada com o mesmo numero de conta do extrato, se houver.
+const contaDoExtrato = (contas, extrato) => {
+  const numero = somenteDigitos(extrato.conta);
+  if (!numero) return null;
+  return contas.find((conta) => {
+    const cadastrada = somenteDigitos(conta.conta);
+    return cadastrada && (cadastrada === numero || cadastrada.slice(0, -1) === numero || numero.slice(0, -1) === cadastrada);
+  }) ?? null;
+};
+
+const ConciliacaoOfx = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const fileInputRef = useRef(null);
+  const [extrato, setExtrato] = useState(null);
+  const [nomeArquivo, setNomeArquivo] = useState('');
+  const [janelaDias, setJanelaDias] = useState(JANELA_DIAS_PADRAO);
+  const [lancamentos, setLancamentos] = useState([]);
+  const [sugestoes, setSugestoes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [contas, setContas] = useState([]);
+  const [contaBancariaId, setContaBancariaId] = useState('');
+
+  useEffect(() => {
+    listarContasBancarias()
+      .then(setContas)
+      .catch((error) => toast({ title: 'Erro ao carregar contas bancárias', description: error.message, variant: 'destructive' }));
+  }, [toast]);
+
+  const loadLancamentos = useCallback(async () => {
+    if (!extrato || extrato.transacoes.length === 0) {
+      setLancamentos([]);
+      return;
+    }
+    const datas = extrato.transacoes.map(({ data }) => data).sort();
+    const inicio = format(addDays(new Date(`${datas[0]}T00:00:00`), -janelaDias), 'yyyy-MM-dd');
+    const fim = format(addDays(new Date(`${datas[datas.length - 1]}T00:00:00`), janelaDias), 'yyyy-MM-dd');
+
+    setLoading(true);
+    const { data, error } = await supabase
+      .from('lancamentos')
+      .select('id, tipo, data, cliente_fornecedor, aluno, descricao, valor, desc_pontual, unidade, status')
+      .not('status', 'in', '(Pago,Cancelado)')
+      .gte('data', inicio)
+      .lte('data', fim);
+    setLoading(false);
+
+    if (error) {
+      toast({ title: 'Erro ao buscar lançamentos', description: error.message, variant: 'destructive' });
+      return;
+    }
+    setLancamentos(data || []);
+  }, [extrato, janelaDias, toast]);
+
+  useEffect(() => {
+    loadLancamentos();
+  }, [loadLancamentos]);
+
+  useEffect(() => {
+    setSugestoes(extrato ? sugerirBaixas(extrato.transacoes, lancamentos, { janelaDias }) : []);
+  }, [extrato, lancamentos, janelaDias]);
+
+  const lancamentosPorId = useMemo(() => new Map(lancamentos.map((item) => [item.id, item])), [lancamentos]);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const lido = await lerArquivoOfx(file);
+      setExtrato(lido);
+      setNomeArquivo(file.name);
+      const conta = contaDoExtrato(contas, lido);
+      if (conta) {
+        setContaBancariaId(String(conta.id));
+      }
+    } catch (error) {
+      console.error('Erro ao ler arquivo OFX', error);
+      toast({ title: 'Erro ao ler arquivo', description: error.message, variant: 'destructive' });
+    }
+  };
+
+  const updateSugestao = (transacaoId, changes) => {
+    setSugestoes((prev) => prev.map((item) => (item.transacao.id === transacaoId ? { ...item, ...changes } : item)));
+  };
+
+  const handleLancamentoChange = (transacaoId, candidatos, value) => {
+    const lancamentoId = candidatos.find(({ lancamento }) => String(lancamento.id) === value)?.lancamento.id ?? null;
+    updateSugestao(transacaoId, { lancamentoId, selecionado: lancamentoId !== null });
+  };
+
+  const selecionadas = sugestoes.filter((item) => item.selecionado && item.lancamentoId !== null);
+  const lancamentosRepetidos = selecionadas.length !== new Set(selecionadas.map((item) => item.lancamentoId)).size;
+  const semCorrespondencia = sugestoes.filter((item) => item.candidatos.length === 0);
+  const comCorrespondencia = sugestoes.filter((item) => item.candidatos.length > 0);
+
+  const handleConfirm = async () => {
+    if (lancamentosRepetidos) {
+      toast({
+        title: 'Erro de Validação',
+        description: 'O mesmo lançamento foi escolhido para mais de uma transação.',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    if (!contaBancariaId) {
+      toast({ title: 'Erro de Validação', description: 'Selecione a conta bancária do extrato.', variant: 'destructive' });
+      return;
+    }
+
+    setSaving(true);
+    let baixados = 0;
+    try {
+      for (const { transacao, lancamentoId } of selecionadas) {
+        const lancamento = lancamentosPorId.get(lancamentoId);
+        await registrarBaixa(lancamento, {
+          dataPagamento: transacao.data,
+          valorPago: transacao.valor,
+          juros: 0,
+          multa: 0,
+          desconto: 0,
+          descPontual: descontoPontualImplicito(lancamento, transacao.valor),
+          contaBancariaId: Number(contaBancariaId),
+          obs: ['Extrato OFX', transacao.nome, transacao.memo].filter(Boolean).join(' - '),
+          userId: user?.id,
+        });
+        baixados += 1;
+      }
+      toast({ title: 'Sucesso!', description: `${baixados} lançamento(s) baixados pelo extrato.` });
+    } catch (error) {
+      toast({
+        title: 'Erro ao registrar baixas',
+        description: `${baixados} baixa(s) registradas antes do erro: ${error.message}`,
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+      loadLancamentos();
+    }
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>Extrato OFX - SysFina</title>
+        <meta name="description" content="Baixa de lançamentos a partir do extrato bancário em OFX." />
+      </Helmet>
+
+      <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/financeiro')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Extrato Bancário (OFX)</h1>
+            <span className="text-sm text-gray-300">Relacione créditos e débitos do extrato aos lançamentos em aberto e confirme as baixas.</span>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="w-56">
+            <Label className="text-xs text-gray-400">Conta bancária</Label>
+            <Select value={contaBancariaId} onValueChange={setContaBancariaId}>
+              <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                <SelectValue placeholder="Selecione a conta" />
+              </SelectTrigger>
+              <SelectContent>
+                {contas.map((conta) => (
+                  <SelectItem key={conta.id} value={String(conta.id)}>{conta.descricao}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="w-32">
+            <Label htmlFor="janela-dias" className="text-xs text-gray-400">Janela (dias)</Label>
+            <Input
+              id="janela-dias"
+              type="number"
+              min="0"
+              max="60"
+              value={janelaDias}
+              onChange={(e) => setJanelaDias(Math.max(0, Number(e.target.value) || 0))}
+              className="bg-white/10 border-white/20 text-white"
+            />
+          </div>
+          <input ref={fileInputRef} type="file" accept=".ofx" className="hidden" onChange={handleFileChange} />
+          <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={saving}>
+            <FileUp className="w-4 h-4 mr-2" />
+            {extrato ? 'Trocar extrato' : 'Escolher extrato'}
+          </Button>
+          <Button onClick={handleConfirm} disabled={selecionadas.length === 0 || loading || saving}>
+            <CheckCircle className="w-4 h-4 mr-2" />
+            {saving ? 'Baixando...' : `Confirmar baixas (${selecionadas.length})`}
+          </Button>
+        </div>
+      </div>
+
+      {!extrato && (
+        <Card className="glass-card">
+          <CardContent className="p-4 text-sm text-gray-300">
+            Escolha um arquivo .ofx exportado do internet banking (Itaú, Bradesco, Banco do Brasil, Caixa). Cada crédito é
+            comparado às contas a receber e cada débito às contas a pagar em aberto, pelo valor, pela data dentro da janela
+            e pela semelhança do nome.
+          </CardContent>
+        </Card>
+      )}
+
+      {extrato && (
+        <Card className="glass-card">
+          <CardContent className="p-4 text-sm text-gray-300">
+            <span className="font-mono text-white">{nomeArquivo}</span>
+            {' · '}Banco {extrato.banco || '-'} · Agência {extrato.agencia || '-'} · Conta {extrato.conta || '-'}
+            {' · '}{formatDate(extrato.inicio)} a {formatDate(extrato.fim)}
+            {' · '}{extrato.transacoes.length} transação(ões), {comCorrespondencia.length} com sugestão de baixa.
+          </CardContent>
+        </Card>
+      )}
+
+      {loading && (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      )}
+
+      {extrato && !loading && (
+        <>
+          <Card className="glass-card">
+            <CardHeader>
+              <CardTitle className="text-white">Sugestões de baixa</CardTitle>
+              <p className="text-sm text-gray-400">
+                Marcadas automaticamente quando o nome confere. Revise o lançamento escolhido antes de confirmar.
+              </p>
+            </CardHeader>
+            <CardContent>
+              {comCorrespondencia.length === 0 ? (
+                <p className="text-sm text-gray-500">Nenhuma transação corresponde a lançamentos em aberto.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left text-gray-300">
+                    <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                      <tr>
+                        <th className="px-4 py-2"></th>
+                        <th className="px-4 py-2">Data</th>
+                        <th className="px-4 py-2">Histórico</th>
+                        <th className="px-4 py-2 text-right">Valor</th>
+                        <th className="px-4 py-2">Lançamento</th>
+                        <th className="px-4 py-2 text-right">Nome</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comCorrespondencia.map(({ transacao, candidatos, lancamentoId, selecionado }) => {
+                        const escolhido = lancamentosPorId.get(lancamentoId);
+                        const candidato = candidatos.find((item) => item.lancamento.id === lancamentoId);
+                        return (
+                          <tr key={transacao.id} className="border-b border-gray-700">
+                            <td className="px-4 py-2">
+                              <input
+                                type="checkbox"
+                                className="h-4 w-4 accent-blue-500"
+                                checked={selecionado}
+                                disabled={!escolhido}
+                                onChange={(e) => updateSugestao(transacao.id, { selecionado: e.target.checked })}
+                              />
+                            </td>
+                            <td className="px-4 py-2 whitespace-nowrap">{formatDate(transacao.data)}</td>
+                            <td className="px-4 py-2 text-white">{[transacao.nome, transacao.memo].filter(Boolean).join(' · ')}</td>
+                            <td className={`px-4 py-2 text-right font-mono ${transacao.tipo === 'credito' ? 'text-green-400' : 'text-red-400'}`}>
+                              {transacao.tipo === 'credito' ? '' : '-'}{formatCurrency(transacao.valor)}
+                            </td>
+                            <td className="px-4 py-2">
+                              <Select
+                                value={lancamentoId === null ? SEM_BAIXA : String(lancamentoId)}
+                                onValueChange={(value) => handleLancamentoChange(transacao.id, candidatos, value)}
+                              >
+                                <SelectTrigger className="w-full md:w-96 bg-white/10 border-white/20 text-white">
+                                  <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                  <SelectItem value={SEM_BAIXA}>— Não baixar —</SelectItem>
+                                  {candidatos.map(({ lancamento }) => (
+                                    <SelectItem key={lancamento.id} value={String(lancamento.id)}>{descreverLancamento(lancamento)}</SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                            </td>
+                            <td className="px-4 py-2 text-right font-mono">
+                              {candidato ? `${Math.round(candidato.nome * 100)}%` : '-'}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card className="glass-card">
+            <CardHeader>
+              <CardTitle className="text-white">Sem correspondência</CardTitle>
+              <p className="text-sm text-gray-400">Transações sem lançamento em aberto de mesmo valor dentro da janela de dias.</p>
+            </CardHeader>
+            <CardContent>
+              {semCorrespondencia.length === 0 ? (
+                <p className="text-sm text-gray-500">Nenhum registro.</p>
+              ) : (
+                <table className="w-full text-sm text-left text-gray-300">
+                  <tbody>
+                    {semCorrespondencia.map(({ transacao }) => (
+                      <tr key={transacao.id} className="border-b border-gray-700">
+                        <td className="px-4 py-2 whitespace-nowrap">{formatDate(transacao.data)}</td>
+                        <td className="px-4 py-2">{[transacao.nome, transacao.memo].filter(Boolean).join(' · ')}</td>
+                        <td className={`px-4 py-2 text-right font-mono ${transacao.tipo === 'credito' ? 'text-green-400' : 'text-red-400'}`}>
+                          {transacao.tipo === 'credito' ? '' : '-'}{formatCurrency(transacao.valor)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default ConciliacaoOfx;
@@ -0,0 +1,211 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, RefreshCw } from 'lucide-react';
+import { addDays, endOfMonth, format, startOfMonth } from 'date-fns';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useToast } from '@/components/ui/use-toast';
+import { montarExtrato, saldoConsolidadoEm, saldoEm } from '@/lib/saldoConta';
+import { listarContasBancarias, listarMovimentos } from '@/services/contaBancariaService';
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'dd/MM/yyyy') : '-');
+const valorClassName = (value) => (Number(value) < 0 ? 'text-red-400' : 'text-green-400');
+
+const ContasBancarias = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [contas, setContas] = useState([]);
+  const [movimentos, setMovimentos] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [contaId, setContaId] = useState(null);
+  const [periodo, setPeriodo] = useState(() => ({
+    inicio: format(startOfMonth(new Date()), 'yyyy-MM-dd'),
+    fim: format(endOfMonth(new Date()), 'yyyy-MM-dd'),
+  }));
+
+  const loadDados = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [contasData, movimentosData] = await Promise.all([
+        listarContasBancarias({ apenasAtivas: false }),
+        listarMovimentos(),
+      ]);
+      setContas(contasData);
+      setMovimentos(movimentosData);
+      setContaId((atual) => atual ?? contasData[0]?.id ?? null);
+    } catch (error) {
+      toast({ title: 'Erro ao carregar contas bancárias', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    loadDados();
+  }, [loadDados]);
+
+  // Saldo atual inclui os movimentos de hoje.
+  const amanha = format(addDays(new Date(), 1), 'yyyy-MM-dd');
+  const saldoTotal = saldoConsolidadoEm(contas.filter((conta) => conta.ativo !== false), movimentos, amanha);
+
+  const conta = contas.find((item) => item.id === contaId);
+  const extrato = useMemo(() => {
+    if (!conta || !periodo.inicio || !periodo.fim || periodo.inicio > periodo.fim) return null;
+    return montarExtrato(conta, movimentos, periodo);
+  }, [conta, movimentos, periodo]);
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>Contas Bancárias - SysFina</title>
+        <meta name="description" content="Saldo e extrato das contas bancárias." />
+      </Helmet>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/financeiro')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Contas Bancárias</h1>
+            <span className="text-sm text-gray-300">
+              Saldo consolidado: <span className={`font-mono ${valorClassName(saldoTotal)}`}>{formatCurrency(saldoTotal)}</span>
+            </span>
+          </div>
+        </div>
+        <Button variant="outline" onClick={loadDados} disabled={loading}>
+          <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Atualizar
+        </Button>
+      </div>
+
+      {contas.length === 0 ? (
+        <Card className="glass-card">
+          <CardContent className="pt-6">
+            <p className="text-sm text-gray-500">
+              {loading ? 'Carregando...' : 'Nenhuma conta bancária cadastrada. Cadastre as contas em Cadastros.'}
+            </p>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {contas.map((item) => {
+            const saldo = saldoEm(item, movimentos, amanha);
+            const selecionada = item.id === contaId;
+            return (
+              <Card
+                key={item.id}
+                className={`glass-card cursor-pointer transition-colors ${selecionada ? 'border-blue-500' : 'hover:bg-white/5'}`}
+                onClick={() => setContaId(item.id)}
+              >
+                <CardContent className="pt-6 space-y-1">
+                  <div className="flex items-center justify-between">
+                    <span className="text-white font-semibold">{item.descricao}</span>
+                    {item.ativo === false && <span className="text-xs text-gray-500">Inativa</span>}
+                  </div>
+                  <p className="text-xs text-gray-400">
+                    {[item.unidade, item.banco, item.agencia && `Ag. ${item.agencia}`, item.conta && `C/C ${item.conta}`]
+                      .filter(Boolean)
+                      .join(' · ') || '-'}
+                  </p>
+                  <p className={`text-2xl font-bold font-mono ${valorClassName(saldo)}`}>{formatCurrency(saldo)}</p>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      {conta && (
+        <Card className="glass-card">
+          <CardHeader>
+            <CardTitle className="text-white">Extrato - {conta.descricao}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="extrato-inicio" className="text-gray-300">De</Label>
+                <Input
+                  id="extrato-inicio"
+                  type="date"
+                  value={periodo.inicio}
+                  onChange={(e) => setPeriodo((prev) => ({ ...prev, inicio: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="extrato-fim" className="text-gray-300">Até</Label>
+                <Input
+                  id="extrato-fim"
+                  type="date"
+                  value={periodo.fim}
+                  onChange={(e) => setPeriodo((prev) => ({ ...prev, fim: e.target.value }))}
+                />
+              </div>
+            </div>
+
+            {!extrato ? (
+              <p className="text-sm text-gray-500">Informe um período válido.</p>
+            ) : (
+              <>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div>
+                    <p className="text-gray-400">Saldo anterior</p>
+                    <p className={`font-mono ${valorClassName(extrato.saldoAnterior)}`}>{formatCurrency(extrato.saldoAnterior)}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400">Créditos</p>
+                    <p className="font-mono text-green-400">{formatCurrency(extrato.creditos)}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400">Débitos</p>
+                    <p className="font-mono text-red-400">{formatCurrency(-extrato.debitos)}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400">Saldo final</p>
+                    <p className={`font-mono ${valorClassName(extrato.saldoFinal)}`}>{formatCurrency(extrato.saldoFinal)}</p>
+                  </div>
+                </div>
+
+                {extrato.linhas.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nenhum movimento no período.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left text-gray-300">
+                      <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                        <tr>
+                          <th className="px-4 py-2">Data</th>
+                          <th className="px-4 py-2">Histórico</th>
+                          <th className="px-4 py-2 text-right">Valor</th>
+                          <th className="px-4 py-2 text-right">Saldo</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {extrato.linhas.map((linha) => (
+                          <tr key={linha.id} className="border-b border-gray-700">
+                            <td className="px-4 py-2 whitespace-nowrap">{formatDate(linha.data)}</td>
+                            <td className="px-4 py-2">{linha.historico || '-'}</td>
+                            <td className={`px-4 py-2 text-right font-mono ${valorClassName(linha.valor)}`}>{formatCurrency(linha.valor)}</td>
+                            <td className="px-4 py-2 text-right font-mono">{formatCurrency(linha.saldo)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </motion.div>
+  );
+};
+
+export default ContasBancarias;
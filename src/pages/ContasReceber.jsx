@@ -2,20 +2,30 @@ import React, { useState, useEffect, useMemo } from 'react';
     import { motion } from 'framer-motion';
     import { Helmet } from 'react-helmet';
     import { useNavigate } from 'react-router-dom';
-import { Calendar, Filter, User, DollarSign, AlertTriangle, ArrowLeft, CheckCircle, Settings } from 'lucide-react';
+import { Calendar, Filter, User, DollarSign, AlertTriangle, ArrowLeft, CheckCircle, Settings, Undo2 } from 'lucide-react';
     import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
     import { Button } from '@/components/ui/button';
     import { Input } from '@/components/ui/input';
     import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
     import { supabase } from '@/lib/customSupabaseClient';
+    import { descontoPontualVigente, prazoDescontoPontual, regraDePontualidade } from '@/lib/descontoPontual';
+    import { calcularEncargos, regraDaUnidade } from '@/lib/encargos';
+    import { saldoAberto } from '@/lib/saldoAberto';
+    import { anexarSaldos } from '@/services/baixaService';
+    import { listarRegrasDescontoPontual } from '@/services/descontoPontualService';
+    import { listarRegrasEncargos } from '@/services/encargoService';
+    import { listarUnidades } from '@/services/unidadeService';
     import { useToast } from '@/components/ui/use-toast';
-    import { format as formatDateFns } from 'date-fns';
     
     const ContasReceber = () => {
       const navigate = useNavigate();
       const { toast } = useToast();
       const [contas, setContas] = useState([]);
       const [loading, setLoading] = useState(false);
+      const [regras, setRegras] = useState([]);
+      const [regrasPontualidade, setRegrasPontualidade] = useState([]);
+      const [unidades, setUnidades] = useState([]);
+      const [dataAtualizacao, setDataAtualizacao] = useState(() => new Date().toISOString().slice(0, 10));
       const [filters, setFilters] = useState({
         cliente: '',
         status: 'todos',
@@ -33,12 +43,33 @@ import { Calendar, Filter, User, DollarSign, AlertTriangle, ArrowLeft, CheckCirc
         const { data, error } = await supabase
           .from('lancamentos')
           .select('*')
-          .eq('tipo', 'Entrada');
+          .eq('tipo', 'Entrada')
+          .or('status.is.null,status.neq.Cancelado');
     
         if (error) {
           toast({ title: 'Erro ao carregar dados', description: error.message, variant: 'destructive' });
         } else {
-          setContas(data || []);
+          try {
+            setContas(await anexarSaldos(data || []));
+          } catch (saldoError) {
+            toast({ title: 'Erro ao carregar baixas', description: saldoError.message, variant: 'destructive' });
+            setContas(data || []);
+          }
+        }
+        try {
+          setRegras(await listarRegrasEncargos());
+        } catch (regrasError) {
+          toast({ title: 'Erro ao carregar multa e juros', description: regrasError.message, variant: 'destructive' });
+        }
+        try {
+          setRegrasPontualidade(await listarRegrasDescontoPontual());
+        } catch (regrasError) {
+          toast({ title: 'Erro ao carregar descontos de pontualidade', description: regrasError.message, variant: 'destructive' });
+        }
+        try {
+          setUnidades(await listarUnidades({ apenasAtivas: false }));
+        } catch (unidadesError) {
+          toast({ title: 'Erro ao carregar unidades', description: unidadesError.message, variant: 'destructive' });
         }
         setLoading(false);
       };
@@ -75,6 +106,12 @@ import { Calendar, Filter, User, DollarSign, AlertTriangle, ArrowLeft, CheckCirc
         return filtered.sort((a, b) => new Date(a.data) - new Date(b.data));
       }, [contas, filters]);
     
+      // Titulos em aberto mostram o saldo (valor menos as baixas parciais).
+      const valorExibido = (conta) => (conta.status === 'Pago' ? conta.valor : saldoAberto(conta));
+    
+      // Saldo com multa e juros de mora ate a data escolhida nos filtros.
+      const encargosDe = (conta) => calcularEncargos(conta, regraDaUnidade(regras, conta.unidade), dataAtualizacao);
+
       const formatCurrency = (value) => (value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
       const formatDate = (dateString) => new Date(dateString + 'T00:00:00').toLocaleDateString('pt-BR', { timeZone: 'UTC' });
     
@@ -95,15 +132,13 @@ import { Calendar, Filter, User, DollarSign, AlertTriangle, ArrowLeft, CheckCirc
         }, {});
       }, [filteredContas]);
     
+      // Unidades ativas sempre aparecem; as inativas so quando ainda tem saldo.
       const calculateTotalsByUnit = (contas) => {
-        const totals = {
-          'CNA Angra dos Reis': 0,
-          'CNA Mangaratiba': 0,
-          'Casa': 0,
-        };
+        const totals = Object.fromEntries(unidades.filter(unidade => unidade.ativo).map(unidade => [unidade.descricao, 0]));
+        const cadastradas = new Set(unidades.map(unidade => unidade.descricao));
         contas.forEach(conta => {
-          if (totals.hasOwnProperty(conta.unidade)) {
-            totals[conta.unidade] += conta.valor;
+          if (cadastradas.has(conta.unidade)) {
+            totals[conta.unidade] = (totals[conta.unidade] || 0) + saldoAberto(conta);
           }
         });
         return totals;
@@ -116,15 +151,9 @@ import { Calendar, Filter, User, DollarSign, AlertTriangle, ArrowLeft, CheckCirc
       const totalAbertoPorUnidade = calculateTotalsByUnit(totalAberto);
       const totalAtrasadoPorUnidade = calculateTotalsByUnit(totalAtrasado);
     
-      const handleMarkAsPaid = async (id) => {
-        const today = formatDateFns(new Date(), 'yyyy-MM-dd');
-        const { error } = await supabase.from('lancamentos').update({ status: 'Pago', datapag: today }).eq('id', id);
-        if (error) {
-          toast({ title: 'Erro', description: 'Não foi possível atualizar o status.', variant: 'destructive' });
-        } else {
-          toast({ title: 'Sucesso!', description: 'Lançamento marcado como recebido.' });
-          loadData();
-        }
+      // A baixa registra data, valor pago, juros, multa, descontos e conta bancaria.
+      const handleMarkAsPaid = (id) => {
+        navigate(`/financeiro/baixa?lancamento=${id}`);
       };
     
       return (
@@ -146,20 +175,21 @@ import { Calendar, Filter, User, DollarSign, AlertTriangle, ArrowLeft, CheckCirc
     
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <Card className="glass-card"><CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2"><CardTitle className="text-sm font-medium text-gray-300">Total Filtrado</CardTitle><DollarSign className="w-4 h-4 text-blue-400" /></CardHeader><CardContent><div className="text-2xl font-bold text-blue-400">{formatCurrency(totalGeral)}</div></CardContent></Card>
-            <Card className="glass-card"><CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2"><CardTitle className="text-sm font-medium text-gray-300">Em Aberto</CardTitle><Calendar className="w-4 h-4 text-yellow-400" /></CardHeader><CardContent><div className="text-2xl font-bold text-yellow-400">{formatCurrency(totalAberto.reduce((s, c) => s + c.valor, 0))}</div><div className="mt-2 space-y-1 text-xs text-gray-400">{Object.entries(totalAbertoPorUnidade).map(([unit, val]) => <div key={unit} className="flex justify-between"><span>{unit}:</span><span className="font-semibold">{formatCurrency(val)}</span></div>)}</div></CardContent></Card>
-            <Card className="glass-card"><CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2"><CardTitle className="text-sm font-medium text-gray-300">Atrasado</CardTitle><AlertTriangle className="w-4 h-4 text-red-400" /></CardHeader><CardContent><div className="text-2xl font-bold text-red-400">{formatCurrency(totalAtrasado.reduce((s, c) => s + c.valor, 0))}</div><div className="mt-2 space-y-1 text-xs text-gray-400">{Object.entries(totalAtrasadoPorUnidade).map(([unit, val]) => <div key={unit} className="flex justify-between"><span>{unit}:</span><span className="font-semibold">{formatCurrency(val)}</span></div>)}</div></CardContent></Card>
+            <Card className="glass-card"><CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2"><CardTitle className="text-sm font-medium text-gray-300">Em Aberto</CardTitle><Calendar className="w-4 h-4 text-yellow-400" /></CardHeader><CardContent><div className="text-2xl font-bold text-yellow-400">{formatCurrency(totalAberto.reduce((s, c) => s + saldoAberto(c), 0))}</div><div className="mt-2 space-y-1 text-xs text-gray-400">{Object.entries(totalAbertoPorUnidade).map(([unit, val]) => <div key={unit} className="flex justify-between"><span>{unit}:</span><span className="font-semibold">{formatCurrency(val)}</span></div>)}</div></CardContent></Card>
+            <Card className="glass-card"><CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2"><CardTitle className="text-sm font-medium text-gray-300">Atrasado</CardTitle><AlertTriangle className="w-4 h-4 text-red-400" /></CardHeader><CardContent><div className="text-2xl font-bold text-red-400">{formatCurrency(totalAtrasado.reduce((s, c) => s + saldoAberto(c), 0))}</div><div className="text-xs text-gray-400">Atualizado em {formatDate(dataAtualizacao)}: <span className="font-semibold text-red-300">{formatCurrency(totalAtrasado.reduce((s, c) => s + encargosDe(c).total, 0))}</span></div><div className="mt-2 space-y-1 text-xs text-gray-400">{Object.entries(totalAtrasadoPorUnidade).map(([unit, val]) => <div key={unit} className="flex justify-between"><span>{unit}:</span><span className="font-semibold">{formatCurrency(val)}</span></div>)}</div></CardContent></Card>
           </div>
     
           <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.3 }}>
             <Card className="glass-card">
               <CardHeader><CardTitle className="text-white flex items-center gap-2"><Filter className="w-5 h-5" />Filtros</CardTitle></CardHeader>
               <CardContent>
-                <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
                   <div><label className="text-sm text-gray-300 mb-2 block">Cliente</label><Input placeholder="Buscar cliente..." value={filters.cliente} onChange={(e) => setFilters({ ...filters, cliente: e.target.value })} className="bg-white/10 border-white/20 text-white" /></div>
                   <div><label className="text-sm text-gray-300 mb-2 block">Status</label><Select value={filters.status} onValueChange={(value) => setFilters({ ...filters, status: value })}><SelectTrigger className="bg-white/10 border-white/20 text-white"><SelectValue /></SelectTrigger><SelectContent><SelectItem value="todos">Todos</SelectItem><SelectItem value="aberto">Em Aberto</SelectItem><SelectItem value="atrasado">Atrasado</SelectItem><SelectItem value="pago">Pago</SelectItem></SelectContent></Select></div>
-                  <div><label className="text-sm text-gray-300 mb-2 block">Unidade</label><Select value={filters.unidade} onValueChange={(value) => setFilters({ ...filters, unidade: value })}><SelectTrigger className="bg-white/10 border-white/20 text-white"><SelectValue /></SelectTrigger><SelectContent><SelectItem value="todas">Todas</SelectItem><SelectItem value="CNA Angra dos Reis">CNA Angra dos Reis</SelectItem><SelectItem value="CNA Mangaratiba">CNA Mangaratiba</SelectItem><SelectItem value="Casa">Casa</SelectItem></SelectContent></Select></div>
+                  <div><label className="text-sm text-gray-300 mb-2 block">Unidade</label><Select value={filters.unidade} onValueChange={(value) => setFilters({ ...filters, unidade: value })}><SelectTrigger className="bg-white/10 border-white/20 text-white"><SelectValue /></SelectTrigger><SelectContent><SelectItem value="todas">Todas</SelectItem>{unidades.map(unidade => <SelectItem key={unidade.id} value={unidade.descricao}>{unidade.descricao}</SelectItem>)}</SelectContent></Select></div>
                   <div><label className="text-sm text-gray-300 mb-2 block">Data Início</label><Input type="date" value={filters.dataInicio} onChange={(e) => setFilters({ ...filters, dataInicio: e.target.value })} className="bg-white/10 border-white/20 text-white" /></div>
                   <div><label className="text-sm text-gray-300 mb-2 block">Data Fim</label><Input type="date" value={filters.dataFim} onChange={(e) => setFilters({ ...filters, dataFim: e.target.value })} className="bg-white/10 border-white/20 text-white" /></div>
+                  <div><label className="text-sm text-gray-300 mb-2 block">Atualizar para</label><Input type="date" value={dataAtualizacao} onChange={(e) => setDataAtualizacao(e.target.value)} className="bg-white/10 border-white/20 text-white" /></div>
                 </div>
               </CardContent>
             </Card>
@@ -169,11 +199,13 @@ import { Calendar, Filter, User, DollarSign, AlertTriangle, ArrowLeft, CheckCirc
             {loading ? <div className="flex justify-center items-center h-64"><div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-blue-500"></div></div>
               : Object.entries(groupedContas).map(([date, contasData], index) => (
                 <Card key={date} className="glass-card">
-                  <CardHeader><div className="flex justify-between items-center"><CardTitle className="text-white flex items-center gap-2"><Calendar className="w-5 h-5" />{formatDate(date)}</CardTitle><div className="text-lg font-bold text-green-400">{formatCurrency(contasData.reduce((s, c) => s + c.valor, 0))}</div></div></CardHeader>
+                  <CardHeader><div className="flex justify-between items-center"><CardTitle className="text-white flex items-center gap-2"><Calendar className="w-5 h-5" />{formatDate(date)}</CardTitle><div className="text-lg font-bold text-green-400">{formatCurrency(contasData.reduce((s, c) => s + valorExibido(c), 0))}</div></div></CardHeader>
                   <CardContent>
                     <div className="space-y-3">
                       {contasData.map((conta) => {
                         const status = getStatus(conta);
+                        const encargos = encargosDe(conta);
+                        const descontoPontual = descontoPontualVigente(conta, regrasPontualidade, dataAtualizacao);
                         return (
                           <motion.div key={conta.id} initial={{ opacity: 0, x: -20 }} animate={{ opacity: 1, x: 0 }} transition={{ delay: index * 0.1 }} className="flex flex-col md:flex-row justify-between items-start md:items-center p-4 rounded-lg bg-white/5 border border-white/10">
                             <div className="flex items-center gap-3 mb-2 md:mb-0">
@@ -181,13 +213,34 @@ import { Calendar, Filter, User, DollarSign, AlertTriangle, ArrowLeft, CheckCirc
                                 <User className="w-4 h-4 text-green-400" />
                               </div>
                               <div>
-                                <h3 className="font-medium text-white">{conta.cliente_fornecedor}</h3>
+                                <h3 className="font-medium text-white">
+                                  {conta.cliente_fornecedor}
+                                  {conta.orfao_importacao && (
+                                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium border bg-orange-500/20 text-orange-400 border-orange-500/30">Fora da planilha</span>
+                                  )}
+                                  {conta.status === 'Parcial' && (
+                                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium border bg-blue-500/20 text-blue-400 border-blue-500/30">Parcial</span>
+                                  )}
+                                </h3>
                                 <p className="text-sm text-gray-400">{conta.descricao}</p>
                               </div>
                             </div>
                             <div className="flex items-center gap-4">
                               <span className={`px-3 py-1 rounded-full text-xs font-medium border ${getStatusColor(status)}`}>{getStatusLabel(status)}</span>
-                              <div className="text-lg font-bold text-green-400">{formatCurrency(conta.valor)}</div>
+                              <div className="text-right">
+                                <div className="text-lg font-bold text-green-400">{formatCurrency(valorExibido(conta))}</div>
+                                {conta.status === 'Parcial' && <div className="text-xs text-gray-400">de {formatCurrency(conta.valor)}</div>}
+                                {descontoPontual > 0 && (
+                                  <div className="text-xs text-blue-300">
+                                    Até {formatDate(prazoDescontoPontual(conta, regraDePontualidade(regrasPontualidade, conta)))}: {formatCurrency(saldoAberto(conta) - descontoPontual)} com desconto de pontualidade
+                                  </div>
+                                )}
+                                {encargos.total > encargos.principal && (
+                                  <div className="text-xs text-red-300">
+                                    Atualizado: {formatCurrency(encargos.total)} (multa {formatCurrency(encargos.multa)} + juros {formatCurrency(encargos.juros)})
+                                  </div>
+                                )}
+                              </div>
                               <Settings className="w-4 h-4 text-gray-400" />
                               {status !== 'pago' && (
                                 <Button
@@ -200,6 +253,16 @@ import { Calendar, Filter, User, DollarSign, AlertTriangle, ArrowLeft, CheckCirc
                                   Recebido
                                 </Button>
                               )}
+                              {status === 'pago' && (
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  onClick={() => navigate(`/financeiro/baixa?lancamento=${conta.id}`)}
+                                >
+                                  <Undo2 className="w-4 h-4 mr-2" />
+                                  Estornar
+                                </Button>
+                              )}
                             </div>
                           </motion.div>
                         );
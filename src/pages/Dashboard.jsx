@@ -2,36 +2,61 @@ import React, { useState, useEffect } from 'react';
     import { motion } from 'framer-motion';
     import { useNavigate } from 'react-router-dom';
     import { Helmet } from 'react-helmet';
-    import { TrendingUp, TrendingDown, DollarSign, Download, LayoutDashboard, PlusCircle, UserPlus, FileText, LogOut, ArrowRight, ArrowLeft, Wallet } from 'lucide-react';
+    import { TrendingUp, TrendingDown, DollarSign, Download, LayoutDashboard, PlusCircle, UserPlus, FileText, LogOut, ArrowRight, ArrowLeft, Wallet, Upload } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
     import { useToast } from '@/components/ui/use-toast';
     import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
     import { supabase } from '@/lib/customSupabaseClient';
+    import { valorEsperado } from '@/lib/descontoPontual';
+    import { saldoAberto } from '@/lib/saldoAberto';
     import { useAuth } from '@/contexts/SupabaseAuthContext';
+    import { anexarSaldos } from '@/services/baixaService';
+    import { listarRegrasDescontoPontual } from '@/services/descontoPontualService';
+    import { ultimaSincronizacao } from '@/services/importacaoService';
     
+    const syncStatus = {
+      em_andamento: { label: 'Em andamento', color: 'text-blue-400' },
+      concluido: { label: 'Concluída', color: 'text-green-400' },
+      recusado: { label: 'Recusada', color: 'text-yellow-400' },
+      erro: { label: 'Erro', color: 'text-red-400' },
+      desfeito: { label: 'Desfeita', color: 'text-gray-300' },
+    };
+
     const Dashboard = () => {
       const navigate = useNavigate();
       const { toast } = useToast();
       const { user, signOut } = useAuth();
       const [data, setData] = useState({ lancamentos: [] });
       const [loading, setLoading] = useState(false);
-      const [importLoading, setImportLoading] = useState(false);
       const [chartData, setChartData] = useState([]);
       const [monthsSpan, setMonthsSpan] = useState(6);
+      const [sincronizacao, setSincronizacao] = useState(null);
+      const [regrasPontualidade, setRegrasPontualidade] = useState([]);
     
       useEffect(() => {
         loadDataFromSupabase();
+        ultimaSincronizacao()
+          .then(setSincronizacao)
+          .catch((error) => console.error('Erro ao carregar última sincronização', error));
+        listarRegrasDescontoPontual()
+          .then(setRegrasPontualidade)
+          .catch((error) => console.error('Erro ao carregar regras de desconto de pontualidade', error));
       }, []);
     
       const loadDataFromSupabase = async () => {
         setLoading(true);
-        const { data: lancamentos, error } = await supabase.from('lancamentos').select('*');
+        const { data: lancamentos, error } = await supabase.from('lancamentos').select('*').or('status.is.null,status.neq.Cancelado');
         if (error) {
           toast({ title: "Erro ao carregar dados", description: error.message, variant: "destructive" });
         } else {
-          setData({ lancamentos: lancamentos || [] });
+          // Saldo em aberto e status Parcial vem das baixas, como no Fluxo de Caixa.
+          try {
+            setData({ lancamentos: await anexarSaldos(lancamentos || []) });
+          } catch (saldoError) {
+            toast({ title: "Erro ao carregar dados", description: saldoError.message, variant: "destructive" });
+          }
         }
         setLoading(false);
       };
@@ -46,21 +71,21 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
           
           const monthPagar = financialData.lancamentos
             .filter(conta => {
-              if (conta.tipo !== 'Saida' || conta.status !== 'A Vencer') return false;
+              if (conta.tipo !== 'Saida' || !aVencer(conta)) return false;
               const vencimento = new Date(conta.data + 'T00:00:00');
               return vencimento.getUTCMonth() === date.getMonth() && 
                      vencimento.getUTCFullYear() === date.getFullYear();
             })
-            .reduce((sum, conta) => sum + conta.valor, 0);
+            .reduce((sum, conta) => sum + saldoAberto(conta), 0);
           
           const monthReceber = financialData.lancamentos
             .filter(conta => {
-              if (conta.tipo !== 'Entrada' || conta.status !== 'A Vencer') return false;
+              if (conta.tipo !== 'Entrada' || !aVencer(conta)) return false;
               const vencimento = new Date(conta.data + 'T00:00:00');
               return vencimento.getUTCMonth() === date.getMonth() && 
                      vencimento.getUTCFullYear() === date.getFullYear();
             })
-            .reduce((sum, conta) => sum + conta.valor, 0);
+            .reduce((sum, conta) => sum + valorPrevisto(conta), 0);
           
           months.push({
             month: monthName,
@@ -74,45 +99,11 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
     
       useEffect(() => {
         generateChartData({ lancamentos: data.lancamentos }, monthsSpan);
-      }, [data.lancamentos, monthsSpan]);
+      }, [data.lancamentos, monthsSpan, regrasPontualidade]);
     
-      const handleImportData = async () => {
-        setImportLoading(true);
-        try {
-          toast({ title: "Iniciando importaÃ§Ã£o...", description: "Buscando dados das planilhas.", variant: "default" });
-          
-          const { data: functionData, error: functionError } = await supabase.functions.invoke('import-google-sheets', {
-            body: {},
-          });
+      // Parcial segue a vencer pelo saldo restante.
+      const aVencer = (conta) => conta.status === 'A Vencer' || conta.status === 'Parcial';
 
-          if (functionError) throw functionError;
-    
-          toast({
-            title: "Sucesso!",
-            description: functionData.message || "Dados importados e sincronizados!",
-          });
-    
-          await loadDataFromSupabase();
-    
-        } catch (error) {
-          console.error("Erro na importaÃ§Ã£o: ", error);
-          let description = "Ocorreu um erro durante a importaÃ§Ã£o.";
-          if (error.message.includes("non-2xx")) {
-            description = "A funÃ§Ã£o de importaÃ§Ã£o falhou no servidor. Verifique os logs da funÃ§Ã£o no Supabase.";
-          } else if (error.message) {
-            description = error.message;
-          }
-          
-          toast({
-            title: "Erro na importaÃ§Ã£o",
-            description: description,
-            variant: "destructive",
-          });
-        } finally {
-          setImportLoading(false);
-        }
-      };
-    
       const formatCurrency = (value) => {
         return (value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
       };
@@ -120,19 +111,24 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
       const hoje = new Date();
       hoje.setHours(0, 0, 0, 0);
       const hojeStr = hoje.toISOString().split('T')[0];
+
+      // Entradas em aberto pelo valor esperado: saldo restante com o desconto de pontualidade enquanto ele vale.
+      const valorPrevisto = (conta) => valorEsperado(conta, regrasPontualidade, hojeStr);
+      // Recebido/pago: titulo quitado pelo valor, parcial pelo que as baixas ja amortizaram.
+      const valorQuitado = (conta) => (conta.status === 'Pago' ? Number(conta.valor || 0) : Number(conta.valor_baixado || 0));
     
-      const receberAberto = data.lancamentos.filter(c => c.tipo === 'Entrada' && c.status !== 'Pago' && c.data >= hojeStr).reduce((sum, c) => sum + c.valor, 0);
-      const receberAtrasado = data.lancamentos.filter(c => c.tipo === 'Entrada' && c.status !== 'Pago' && c.data < hojeStr).reduce((sum, c) => sum + c.valor, 0);
-      const recebido = data.lancamentos.filter(c => c.tipo === 'Entrada' && c.status === 'Pago').reduce((sum, c) => sum + c.valor, 0);
+      const receberAberto = data.lancamentos.filter(c => c.tipo === 'Entrada' && c.status !== 'Pago' && c.data >= hojeStr).reduce((sum, c) => sum + valorPrevisto(c), 0);
+      const receberAtrasado = data.lancamentos.filter(c => c.tipo === 'Entrada' && c.status !== 'Pago' && c.data < hojeStr).reduce((sum, c) => sum + valorPrevisto(c), 0);
+      const recebido = data.lancamentos.filter(c => c.tipo === 'Entrada').reduce((sum, c) => sum + valorQuitado(c), 0);
       const totalReceberPendente = receberAberto + receberAtrasado;
     
-      const pagarAberto = data.lancamentos.filter(c => c.tipo === 'Saida' && c.status !== 'Pago' && c.data >= hojeStr).reduce((sum, c) => sum + c.valor, 0);
-      const pagarAtrasado = data.lancamentos.filter(c => c.tipo === 'Saida' && c.status !== 'Pago' && c.data < hojeStr).reduce((sum, c) => sum + c.valor, 0);
-      const pago = data.lancamentos.filter(c => c.tipo === 'Saida' && c.status === 'Pago').reduce((sum, c) => sum + c.valor, 0);
+      const pagarAberto = data.lancamentos.filter(c => c.tipo === 'Saida' && c.status !== 'Pago' && c.data >= hojeStr).reduce((sum, c) => sum + saldoAberto(c), 0);
+      const pagarAtrasado = data.lancamentos.filter(c => c.tipo === 'Saida' && c.status !== 'Pago' && c.data < hojeStr).reduce((sum, c) => sum + saldoAberto(c), 0);
+      const pago = data.lancamentos.filter(c => c.tipo === 'Saida').reduce((sum, c) => sum + valorQuitado(c), 0);
       const totalPagarPendente = pagarAberto + pagarAtrasado;
       
-      const entradasAVencer = data.lancamentos.filter(c => c.tipo === 'Entrada' && c.status === 'A Vencer').reduce((sum, c) => sum + c.valor, 0);
-      const saidasAVencer = data.lancamentos.filter(c => c.tipo === 'Saida' && c.status === 'A Vencer').reduce((sum, c) => sum + c.valor, 0);
+      const entradasAVencer = data.lancamentos.filter(c => c.tipo === 'Entrada' && aVencer(c)).reduce((sum, c) => sum + valorPrevisto(c), 0);
+      const saidasAVencer = data.lancamentos.filter(c => c.tipo === 'Saida' && aVencer(c)).reduce((sum, c) => sum + saldoAberto(c), 0);
       const resultadoOperacional = entradasAVencer - saidasAVencer;
     
       const summaryCards = [
@@ -178,7 +174,8 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
         { label: "Financeiro", path: "/financeiro", icon: PlusCircle },
         { label: "Cadastro", path: "/cadastros", icon: UserPlus },
         { label: "Relat\u00f3rios", path: "/relatorios", icon: FileText },
-        { label: "Integra\u00e7\u00e3o", action: handleImportData, icon: Download, loadingLabel: "Integrando..." },
+        { label: "Integra\u00e7\u00e3o", path: "/integracao", icon: Download },
+        { label: "Importar Arquivo", path: "/integracao/arquivo", icon: Upload },
       ];
     
       return (
@@ -199,6 +196,18 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
                     <span className="text-sm italic text-gray-300">CAEDcj v1.1.0 by Defiant</span>
                 </div>
                 <p className="text-gray-400 mt-1">Bem-vindo, {user?.email}!</p>
+                <p className="text-xs text-gray-400 mt-1">
+                    Última sincronização automática:{' '}
+                    {sincronizacao ? (
+                        <>
+                            {new Date(sincronizacao.iniciado_em).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}
+                            {' · '}
+                            <span className={syncStatus[sincronizacao.status]?.color ?? 'text-gray-300'}>
+                                {syncStatus[sincronizacao.status]?.label ?? sincronizacao.status}
+                            </span>
+                        </>
+                    ) : 'nunca'}
+                </p>
             </div>
             <Button onClick={signOut} variant="outline" size="sm">
                 <LogOut className="w-4 h-4 mr-2" />
@@ -216,17 +225,15 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
                     {navButtons.map((item, index) => {
                         const Icon = item.icon;
                         const action = item.path ? () => navigate(item.path) : item.action;
-                        const isDisabled = item.label === "Integra\u00e7\u00e3o" && importLoading;
                         return (
                             <Button 
                                 key={index} 
                                 onClick={action}
                                 variant="ghost"
                                 className="flex-grow sm:flex-grow-0 text-gray-300 hover:bg-white/10 hover:text-white"
-                                disabled={isDisabled}
                             >
-                                <Icon className={`w-4 h-4 mr-2 ${isDisabled ? 'animate-spin' : ''}`} />
-                                <span>{isDisabled ? item.loadingLabel : item.label}</span>
+                                <Icon className="w-4 h-4 mr-2" />
+                                <span>{item.label}</span>
                             </Button>
                         );
                     })}
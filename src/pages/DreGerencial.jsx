@@ -8,6 +8,7 @@ import React, { useState, useEffect, useRef } from 'react';
     import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
     import { useToast } from '@/components/ui/use-toast';
     import { supabase } from '@/lib/customSupabaseClient';
+    import { listarBaixasDoPeriodo } from '@/services/baixaService';
     import { format, startOfMonth, endOfMonth, eachMonthOfInterval } from 'date-fns';
     import { ptBR } from 'date-fns/locale';
     import jsPDF from 'jspdf';
@@ -59,31 +60,47 @@ import React, { useState, useEffect, useRef } from 'react';
             const firstDay = startOfMonth(new Date(year, month - 1));
             const lastDay = endOfMonth(new Date(year, month - 1));
 
-            const { data, error } = await supabase
-                .from('lancamentos')
-                .select('tipo, valor, obs')
-                .eq('status', 'Pago')
-                .gte('datapag', format(firstDay, 'yyyy-MM-dd'))
-                .lte('datapag', format(lastDay, 'yyyy-MM-dd'));
-
-            setLoading(false);
-            if (error) {
-                toast({ title: "Erro ao buscar dados", description: error.message, variant: "destructive" });
+            const inicio = format(firstDay, 'yyyy-MM-dd');
+            const fim = format(lastDay, 'yyyy-MM-dd');
+            let baixas = [];
+            try {
+                baixas = await listarBaixasDoPeriodo({ inicio, fim });
+            } catch (baixasError) {
+                setLoading(false);
+                toast({ title: "Erro ao buscar baixas", description: baixasError.message, variant: "destructive" });
                 return;
             }
 
-            const receitaBruta = data.filter(d => d.tipo === 'Entrada').reduce((acc, item) => acc + item.valor, 0);
-            const custos = data.filter(d => d.tipo === 'Saida' && d.obs?.toLowerCase().includes('custo')).reduce((acc, item) => acc + item.valor, 0);
-            const despesas = data.filter(d => d.tipo === 'Saida' && !d.obs?.toLowerCase().includes('custo')).reduce((acc, item) => acc + item.valor, 0);
+            setLoading(false);
+
+            // Cada baixa do mes se divide em principal (linhas operacionais) e
+            // multa e juros (linhas financeiras); pagamentos parciais entram no
+            // mes em que foram pagos.
+            const encargosDe = (tipo) => baixas
+                .filter(b => b.tipo === tipo)
+                .reduce((acc, b) => acc + Number(b.juros || 0) + Number(b.multa || 0), 0);
+            const principalDe = (filtro) => baixas
+                .filter(filtro)
+                .reduce((acc, b) => acc + Number(b.valor_pago || 0) - Number(b.juros || 0) - Number(b.multa || 0), 0);
+            const ehCusto = (b) => Boolean(b.obs?.toLowerCase().includes('custo'));
+
+            const receitasFinanceiras = encargosDe('Entrada');
+            const despesasFinanceiras = encargosDe('Saida');
+
+            const receitaBruta = principalDe(b => b.tipo === 'Entrada');
+            const custos = principalDe(b => b.tipo === 'Saida' && ehCusto(b));
+            const despesas = principalDe(b => b.tipo === 'Saida' && !ehCusto(b));
             
             const lucroBruto = receitaBruta - custos;
-            const resultado = lucroBruto - despesas;
+            const resultado = lucroBruto - despesas + receitasFinanceiras - despesasFinanceiras;
 
             setReportData({
                 receitaBruta,
                 custos,
                 lucroBruto,
                 despesas,
+                receitasFinanceiras,
+                despesasFinanceiras,
                 resultado,
                 competencia: format(new Date(year, month - 1), 'MMMM/yyyy', { locale: ptBR })
             });
@@ -165,6 +182,8 @@ import React, { useState, useEffect, useRef } from 'react';
                                     <tr className="total-row"><td>(=) Lucro Bruto</td><td className="text-right font-mono">{formatCurrency(reportData.lucroBruto)}</td></tr>
                                     <tr><td>(-) Custos</td><td className="text-right font-mono">{formatCurrency(reportData.custos, true)}</td></tr>
                                     <tr><td>(-) Despesas Operacionais</td><td className="text-right font-mono">{formatCurrency(reportData.despesas, true)}</td></tr>
+                                    <tr><td>(+) Receitas Financeiras (multa e juros)</td><td className="text-right font-mono">{formatCurrency(reportData.receitasFinanceiras)}</td></tr>
+                                    <tr><td>(-) Despesas Financeiras (multa e juros)</td><td className="text-right font-mono">{formatCurrency(reportData.despesasFinanceiras, true)}</td></tr>
                                     <tr className={`total-row ${reportData.resultado >= 0 ? 'text-green-600' : 'text-red-600'}`}>
                                         <td>(=) Resultado Líquido do Período</td>
                                         <td className="text-right font-mono">{formatCurrency(reportData.resultado, true)}</td>
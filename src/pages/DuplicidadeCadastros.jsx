@@ -0,0 +1,293 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, ChevronLeft, ChevronRight, Merge } from 'lucide-react';
+import { format } from 'date-fns';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/contexts/SupabaseAuthContext';
+import { formatCpfCnpj } from '@/lib/documentos';
+import { MOTIVOS, agruparDuplicados, sugerirSobrevivente } from '@/lib/duplicidadeCadastro';
+import { carregarDadosDuplicidade, listarMesclagens, mesclarClientesFornecedores } from '@/services/duplicidadeService';
+
+const GRUPOS_POR_PAGINA = 20;
+const TODOS_TIPOS = 'todos';
+
+const chaveGrupo = (grupo) => grupo.cadastros.map((cadastro) => cadastro.id).sort((a, b) => a - b).join('-');
+const formatDateTime = (value) => (value ? format(new Date(value), 'dd/MM/yyyy HH:mm') : '-');
+
+// Agrupa cadastros provavelmente duplicados e mescla cada grupo num cadastro
+// mantido, que recebe os lancamentos dos demais.
+const DuplicidadeCadastros = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const [cadastros, setCadastros] = useState([]);
+  const [alunos, setAlunos] = useState([]);
+  const [mesclagens, setMesclagens] = useState([]);
+  const [tipo, setTipo] = useState(TODOS_TIPOS);
+  const [escolhas, setEscolhas] = useState({});
+  const [confirmando, setConfirmando] = useState(null);
+  const [pagina, setPagina] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(false);
+
+  const carregar = useCallback(async () => {
+    setLoading(true);
+    try {
+      const dados = await carregarDadosDuplicidade();
+      setCadastros(dados.cadastros);
+      setAlunos(dados.alunos);
+      setMesclagens(await listarMesclagens());
+      setEscolhas({});
+    } catch (error) {
+      toast({ title: 'Erro ao carregar cadastros', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    carregar();
+  }, [carregar]);
+
+  useEffect(() => {
+    setPagina(1);
+  }, [tipo]);
+
+  const grupos = useMemo(() => agruparDuplicados(cadastros, alunos)
+    .filter((grupo) => tipo === TODOS_TIPOS || grupo.tipo === tipo)
+    .map((grupo) => ({ ...grupo, chave: chaveGrupo(grupo) })), [cadastros, alunos, tipo]);
+  const totalPaginas = Math.max(1, Math.ceil(grupos.length / GRUPOS_POR_PAGINA));
+  const gruposDaPagina = grupos.slice((pagina - 1) * GRUPOS_POR_PAGINA, pagina * GRUPOS_POR_PAGINA);
+  const nomesPorId = useMemo(() => new Map(cadastros.map((cadastro) => [cadastro.id, cadastro.descricao])), [cadastros]);
+
+  // Por padrao todos os cadastros do grupo entram na mesclagem.
+  const escolhaDo = (grupo) => escolhas[grupo.chave] ?? { sobreviventeId: sugerirSobrevivente(grupo).id, fora: [] };
+
+  const alterarEscolha = (grupo, alteracoes) => {
+    setConfirmando(null);
+    setEscolhas((atual) => ({ ...atual, [grupo.chave]: { ...escolhaDo(grupo), ...alteracoes } }));
+  };
+
+  const mesclados = (grupo) => {
+    const escolha = escolhaDo(grupo);
+    return grupo.cadastros.filter((cadastro) => cadastro.id !== escolha.sobreviventeId && !escolha.fora.includes(cadastro.id));
+  };
+
+  const handleMesclar = async (grupo) => {
+    const escolha = escolhaDo(grupo);
+    setProcessing(true);
+    try {
+      await mesclarClientesFornecedores({
+        sobreviventeId: escolha.sobreviventeId,
+        duplicadosIds: mesclados(grupo).map((cadastro) => cadastro.id),
+        userId: user?.id,
+      });
+      toast({ title: 'Sucesso!', description: `Cadastros mesclados em ${nomesPorId.get(escolha.sobreviventeId)}.` });
+      setConfirmando(null);
+      await carregar();
+    } catch (error) {
+      toast({ title: 'Erro ao mesclar cadastros', description: error.message, variant: 'destructive' });
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-8"
+    >
+      <Helmet>
+        <title>Cadastros Duplicados - SysFina</title>
+        <meta name="description" content="Encontra e mescla clientes e fornecedores cadastrados mais de uma vez." />
+      </Helmet>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/cadastros')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Cadastros Duplicados</h1>
+            <span className="text-sm text-gray-300">Mesmo nome sem acentos, mesmo CPF/CNPJ ou aluno em comum.</span>
+          </div>
+        </div>
+        <div className="w-48">
+          <Select value={tipo} onValueChange={setTipo}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={TODOS_TIPOS}>Todos os tipos</SelectItem>
+              <SelectItem value="Cliente">Clientes</SelectItem>
+              <SelectItem value="Fornecedor">Fornecedores</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : grupos.length === 0 ? (
+        <Card className="glass-card">
+          <CardContent className="p-6 text-center text-gray-400">Nenhum cadastro duplicado encontrado.</CardContent>
+        </Card>
+      ) : gruposDaPagina.map((grupo) => {
+        const escolha = escolhaDo(grupo);
+        const selecionados = mesclados(grupo);
+        const lancamentosMovidos = selecionados.reduce((total, cadastro) => total + Number(cadastro.lancamentos || 0), 0);
+        return (
+          <Card key={grupo.chave} className="glass-card">
+            <CardHeader>
+              <CardTitle className="text-white text-lg">
+                {grupo.cadastros.length} {grupo.tipo === 'Cliente' ? 'clientes' : 'fornecedores'}
+                <span className="ml-3 text-sm font-normal text-gray-400">
+                  {grupo.motivos.map((motivo) => MOTIVOS[motivo]).join(' · ')}
+                </span>
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-gray-300">
+                  <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                    <tr>
+                      <th className="px-4 py-2">Manter</th>
+                      <th className="px-4 py-2">Mesclar</th>
+                      <th className="px-4 py-2">Nome</th>
+                      <th className="px-4 py-2">CPF/CNPJ</th>
+                      <th className="px-4 py-2">Cidade</th>
+                      <th className="px-4 py-2 text-right">Lançamentos</th>
+                      <th className="px-4 py-2">Situação</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {grupo.cadastros.map((cadastro) => {
+                      const mantido = cadastro.id === escolha.sobreviventeId;
+                      return (
+                        <tr key={cadastro.id} className={`border-b border-gray-700 ${mantido ? 'bg-blue-500/10' : ''}`}>
+                          <td className="px-4 py-2">
+                            <input
+                              type="radio"
+                              name={`manter-${grupo.chave}`}
+                              checked={mantido}
+                              onChange={() => alterarEscolha(grupo, {
+                                sobreviventeId: cadastro.id,
+                                fora: escolha.fora.filter((id) => id !== cadastro.id),
+                              })}
+                              disabled={processing}
+                            />
+                          </td>
+                          <td className="px-4 py-2">
+                            <input
+                              type="checkbox"
+                              checked={!mantido && !escolha.fora.includes(cadastro.id)}
+                              onChange={(event) => alterarEscolha(grupo, {
+                                fora: event.target.checked
+                                  ? escolha.fora.filter((id) => id !== cadastro.id)
+                                  : [...escolha.fora, cadastro.id],
+                              })}
+                              disabled={processing || mantido}
+                            />
+                          </td>
+                          <td className="px-4 py-2 text-white">{cadastro.descricao}</td>
+                          <td className="px-4 py-2 font-mono">{cadastro.cpf_cnpj ? formatCpfCnpj(cadastro.cpf_cnpj) : '-'}</td>
+                          <td className="px-4 py-2">{[cadastro.cidade, cadastro.uf].filter(Boolean).join('/') || '-'}</td>
+                          <td className="px-4 py-2 text-right font-mono">{cadastro.lancamentos}</td>
+                          <td className="px-4 py-2">{cadastro.ativo ? 'Ativo' : 'Inativo'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              {confirmando === grupo.chave ? (
+                <div className="flex flex-col gap-3 rounded-lg border border-red-500/40 bg-red-500/10 p-4 md:flex-row md:items-center md:justify-between">
+                  <span className="text-sm text-gray-200">
+                    {lancamentosMovidos} lançamento(s) passarão para {nomesPorId.get(escolha.sobreviventeId)} e {selecionados.length} cadastro(s) serão excluídos.
+                  </span>
+                  <div className="flex gap-2">
+                    <Button variant="outline" onClick={() => setConfirmando(null)} disabled={processing}>
+                      Cancelar
+                    </Button>
+                    <Button variant="destructive" onClick={() => handleMesclar(grupo)} disabled={processing}>
+                      {processing ? 'Mesclando...' : 'Confirmar mesclagem'}
+                    </Button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex justify-end">
+                  <Button onClick={() => setConfirmando(grupo.chave)} disabled={processing || selecionados.length === 0}>
+                    <Merge className="w-4 h-4 mr-2" />
+                    Mesclar {selecionados.length} cadastro(s)
+                  </Button>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        );
+      })}
+
+      {grupos.length > GRUPOS_POR_PAGINA && (
+        <div className="flex items-center justify-end gap-2 text-sm text-gray-400">
+          <Button size="icon" variant="outline" className="h-8 w-8" onClick={() => setPagina((atual) => atual - 1)} disabled={pagina <= 1}>
+            <ChevronLeft className="h-4 w-4" />
+            <span className="sr-only">Página anterior</span>
+          </Button>
+          <span>Página {pagina} de {totalPaginas}</span>
+          <Button size="icon" variant="outline" className="h-8 w-8" onClick={() => setPagina((atual) => atual + 1)} disabled={pagina >= totalPaginas}>
+            <ChevronRight className="h-4 w-4" />
+            <span className="sr-only">Próxima página</span>
+          </Button>
+        </div>
+      )}
+
+      <Card className="glass-card">
+        <CardHeader>
+          <CardTitle className="text-white">Histórico de mesclagens</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left text-gray-300">
+              <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                <tr>
+                  <th className="px-4 py-2">Data</th>
+                  <th className="px-4 py-2">Cadastro mesclado</th>
+                  <th className="px-4 py-2">Mantido</th>
+                  <th className="px-4 py-2 text-right">Lançamentos movidos</th>
+                </tr>
+              </thead>
+              <tbody>
+                {mesclagens.length === 0 ? (
+                  <tr><td colSpan="4" className="px-4 py-6 text-center text-gray-400">Nenhuma mesclagem registrada.</td></tr>
+                ) : mesclagens.map((mesclagem) => (
+                  <tr key={mesclagem.id} className="border-b border-gray-700">
+                    <td className="px-4 py-2 whitespace-nowrap">{formatDateTime(mesclagem.created_at)}</td>
+                    <td className="px-4 py-2 text-white">
+                      {mesclagem.mesclado?.descricao}
+                      {mesclagem.mesclado?.cpf_cnpj && <span className="ml-2 text-xs text-gray-400">{formatCpfCnpj(mesclagem.mesclado.cpf_cnpj)}</span>}
+                    </td>
+                    <td className="px-4 py-2">{nomesPorId.get(mesclagem.sobrevivente_id) || `#${mesclagem.sobrevivente_id}`}</td>
+                    <td className="px-4 py-2 text-right font-mono">{mesclagem.lancamento_ids?.length || 0}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default DuplicidadeCadastros;
@@ -2,7 +2,7 @@ import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
 import { motion } from 'framer-motion';
-import { ArrowLeft, Wallet, Receipt } from 'lucide-react';
+import { ArrowLeft, Wallet, Receipt, History, Landmark, FileText, Banknote, ArrowRightLeft, ListChecks, ScrollText } from 'lucide-react';
 
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
@@ -17,17 +17,72 @@ const Financeiro = () => {
       title: 'Baixa',
       description: 'Registrar baixas financeiras rapidamente.',
       icon: Wallet,
-      implemented: false,
+      path: '/financeiro/baixa',
+      implemented: true,
     },
     {
       title: 'Bordero de Baixa',
       description: 'Organize e consolide baixas em borderos.',
       icon: Receipt,
-      implemented: false,
+      path: '/financeiro/borderos',
+      implemented: true,
+    },
+    {
+      title: 'Contas Bancárias',
+      description: 'Saldo atual e extrato de cada conta bancária.',
+      icon: Banknote,
+      path: '/financeiro/contas',
+      implemented: true,
+    },
+    {
+      title: 'Transferências',
+      description: 'Transfira valores entre contas e unidades.',
+      icon: ArrowRightLeft,
+      path: '/financeiro/transferencias',
+      implemented: true,
+    },
+    {
+      title: 'Conciliação Bancária',
+      description: 'Concilie o extrato do banco com baixas e transferências.',
+      icon: ListChecks,
+      path: '/financeiro/conciliacao',
+      implemented: true,
+    },
+    {
+      title: 'Cheques',
+      description: 'Cheques recebidos e emitidos, do depósito à compensação.',
+      icon: ScrollText,
+      path: '/financeiro/cheques',
+      implemented: true,
+    },
+    {
+      title: 'Extrato Bancário (OFX)',
+      description: 'Baixe lançamentos em lote a partir do extrato do banco.',
+      icon: Landmark,
+      path: '/financeiro/ofx',
+      implemented: true,
+    },
+    {
+      title: 'Retorno de Cobrança (CNAB)',
+      description: 'Baixe boletos liquidados a partir do retorno CNAB 240/400.',
+      icon: FileText,
+      path: '/financeiro/cnab',
+      implemented: true,
+    },
+    {
+      title: 'Histórico de Importações',
+      description: 'Consulte as importações das planilhas e as linhas rejeitadas.',
+      icon: History,
+      path: '/financeiro/importacoes',
+      implemented: true,
     },
   ];
 
-  const handleCardClick = (implemented) => {
+  const handleCardClick = ({ implemented, path }) => {
+    if (implemented && path) {
+      navigate(path);
+      return;
+    }
     if (!implemented) {
       toast({
         title: 'Em breve!',
@@ -64,7 +119,7 @@ const Financeiro = () => {
             <Card
               key={card.title}
               className={`glass-card cursor-pointer transition-colors ${card.implemented ? 'hover:border-blue-500' : 'hover:border-white/10'}`}
-              onClick={() => handleCardClick(card.implemented)}
+              onClick={() => handleCardClick(card)}
             >
               <CardContent className="p-6 flex flex-col gap-4">
                 <div className="flex items-center gap-3">
@@ -17,14 +17,28 @@ import React, { useState, useEffect, useMemo } from 'react';
       ResponsiveContainer
     } from 'recharts';
     import { supabase } from '@/lib/customSupabaseClient';
+    import { saldoAberto } from '@/lib/saldoAberto';
+    import { aplicarChequesPrevistos, STATUS_EM_ABERTO } from '@/lib/cheques';
+    import { aplicarDescontosPontuais } from '@/lib/descontoPontual';
+    import { saldoConsolidadoEm } from '@/lib/saldoConta';
+    import { anexarSaldos } from '@/services/baixaService';
+    import { listarCheques } from '@/services/chequeService';
+    import { listarContasBancarias, listarMovimentos } from '@/services/contaBancariaService';
+    import { listarRegrasDescontoPontual } from '@/services/descontoPontualService';
+    import { listarUnidades } from '@/services/unidadeService';
     import { useToast } from '@/components/ui/use-toast';
-    import { startOfMonth, endOfMonth, format, eachDayOfInterval } from 'date-fns';
+    import { startOfMonth, endOfMonth, format, eachDayOfInterval, addDays } from 'date-fns';
     import { cn } from '@/lib/utils';
 
     const FluxoCaixa = () => {
       const navigate = useNavigate();
       const { toast } = useToast();
       const [allData, setAllData] = useState([]);
+      const [contas, setContas] = useState([]);
+      const [movimentos, setMovimentos] = useState([]);
+      const [cheques, setCheques] = useState([]);
+      const [regrasPontualidade, setRegrasPontualidade] = useState([]);
+      const [unidades, setUnidades] = useState([]);
       const [currentDate, setCurrentDate] = useState(new Date());
       const [loading, setLoading] = useState(false);
       const [unidadeFiltro, setUnidadeFiltro] = useState('todas');
@@ -37,11 +51,41 @@ import React, { useState, useEffect, useMemo } from 'react';
 
       const loadData = async () => {
         setLoading(true);
-        const { data, error } = await supabase.from('lancamentos').select('*');
+        const { data, error } = await supabase.from('lancamentos').select('*').or('status.is.null,status.neq.Cancelado');
         if (error) {
           toast({ title: "Erro ao buscar dados", description: error.message, variant: "destructive"});
         } else {
-          setAllData(data || []);
+          try {
+            setAllData(await anexarSaldos(data || []));
+          } catch (saldoError) {
+            toast({ title: "Erro ao carregar baixas", description: saldoError.message, variant: "destructive"});
+            setAllData(data || []);
+          }
+        }
+        try {
+          const [contasData, movimentosData] = await Promise.all([
+            listarContasBancarias({ apenasAtivas: false }),
+            listarMovimentos({ colunas: 'id, conta_bancaria_id, data, valor, origem, historico, transferencia_id' }),
+          ]);
+          setContas(contasData);
+          setMovimentos(movimentosData);
+        } catch (contasError) {
+          toast({ title: "Erro ao carregar saldos bancários", description: contasError.message, variant: "destructive"});
+        }
+        try {
+          setCheques(await listarCheques({ status: STATUS_EM_ABERTO }));
+        } catch (chequesError) {
+          toast({ title: "Erro ao carregar cheques", description: chequesError.message, variant: "destructive"});
+        }
+        try {
+          setRegrasPontualidade(await listarRegrasDescontoPontual());
+        } catch (regrasError) {
+          toast({ title: "Erro ao carregar descontos de pontualidade", description: regrasError.message, variant: "destructive"});
+        }
+        try {
+          setUnidades(await listarUnidades({ apenasAtivas: false }));
+        } catch (unidadesError) {
+          toast({ title: "Erro ao carregar unidades", description: unidadesError.message, variant: "destructive"});
         }
         setLoading(false);
       };
@@ -64,6 +108,46 @@ import React, { useState, useEffect, useMemo } from 'react';
         return (value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
       };
 
+      // Meses passados partem do saldo real no dia 1; o mes atual e os futuros
+      // partem do saldo de hoje, ja que os atrasados entram no dia 00.
+      const dataSaldoInicial = useMemo(() => {
+        const inicioMes = format(startOfMonth(currentDate), 'yyyy-MM-dd');
+        const mesAtual = format(startOfMonth(new Date()), 'yyyy-MM-dd');
+        return inicioMes < mesAtual ? inicioMes : format(addDays(new Date(), 1), 'yyyy-MM-dd');
+      }, [currentDate]);
+
+      const contasFiltradas = useMemo(() => (
+        unidadeFiltro === 'todas' ? contas : contas.filter(conta => conta.unidade === unidadeFiltro)
+      ), [contas, unidadeFiltro]);
+
+      const saldoInicial = useMemo(
+        () => saldoConsolidadoEm(contasFiltradas, movimentos, dataSaldoInicial),
+        [contasFiltradas, movimentos, dataSaldoInicial]
+      );
+
+      // Transferencias agendadas que ainda nao estao no saldo inicial. As que
+      // ficam entre duas contas do filtro se anulam e nao aparecem.
+      const transferenciasPrevistas = useMemo(() => {
+        const contaIds = new Set(contasFiltradas.map(conta => String(conta.id)));
+        const lados = movimentos.filter(movimento => movimento.origem === 'transferencia'
+          && movimento.data >= dataSaldoInicial
+          && contaIds.has(String(movimento.conta_bancaria_id)));
+        const ladosPorTransferencia = lados.reduce((acc, movimento) => {
+          acc[movimento.transferencia_id] = (acc[movimento.transferencia_id] || 0) + 1;
+          return acc;
+        }, {});
+
+        return lados
+          .filter(movimento => ladosPorTransferencia[movimento.transferencia_id] === 1)
+          .map(movimento => ({
+            id: movimento.id,
+            tipo: Number(movimento.valor) > 0 ? 'Entrada' : 'Saida',
+            data: movimento.data,
+            valor: Math.abs(Number(movimento.valor)),
+            cliente_fornecedor: movimento.historico,
+          }));
+      }, [contasFiltradas, movimentos, dataSaldoInicial]);
+
       const monthData = useMemo(() => {
         const year = currentDate.getFullYear();
         const month = currentDate.getMonth();
@@ -78,9 +162,15 @@ import React, { useState, useEffect, useMemo } from 'react';
           details: { receber: [], pagar: [] }
         }));
 
-        const filteredByUnit = unidadeFiltro === 'todas' 
-          ? allData 
-          : allData.filter(item => item.unidade === unidadeFiltro);
+        // Titulos com desconto de pontualidade ainda valido entram pelo valor
+        // com desconto; cheques pre-datados entram no bom para, no lugar do vencimento.
+        const esperados = aplicarDescontosPontuais(allData, regrasPontualidade, format(new Date(), 'yyyy-MM-dd'));
+        const { lancamentos, previstos } = aplicarChequesPrevistos(esperados, cheques);
+        const previstosComCheques = [...lancamentos, ...previstos];
+        const filteredByUnit = [
+          ...(unidadeFiltro === 'todas' ? previstosComCheques : previstosComCheques.filter(item => item.unidade === unidadeFiltro)),
+          ...transferenciasPrevistas,
+        ];
 
         const atrasadosLancamentos = filteredByUnit.filter(item => {
           if (item.status === 'Pago') return false;
@@ -90,8 +180,8 @@ import React, { useState, useEffect, useMemo } from 'react';
 
         const dia00 = {
           dia: '00',
-          receber: atrasadosLancamentos.filter(i => i.tipo === 'Entrada').reduce((acc, i) => acc + i.valor, 0),
-          pagar: atrasadosLancamentos.filter(i => i.tipo === 'Saida').reduce((acc, i) => acc + i.valor, 0),
+          receber: atrasadosLancamentos.filter(i => i.tipo === 'Entrada').reduce((acc, i) => acc + saldoAberto(i), 0),
+          pagar: atrasadosLancamentos.filter(i => i.tipo === 'Saida').reduce((acc, i) => acc + saldoAberto(i), 0),
           details: {
             receber: atrasadosLancamentos.filter(i => i.tipo === 'Entrada'),
             pagar: atrasadosLancamentos.filter(i => i.tipo === 'Saida')
@@ -109,10 +199,10 @@ import React, { useState, useEffect, useMemo } from 'react';
           const dayIndex = vencimento.getUTCDate() - 1;
           if (fluxo[dayIndex]) {
             if (item.tipo === 'Entrada') {
-              fluxo[dayIndex].receber += item.valor;
+              fluxo[dayIndex].receber += saldoAberto(item);
               fluxo[dayIndex].details.receber.push(item);
             } else {
-              fluxo[dayIndex].pagar += item.valor;
+              fluxo[dayIndex].pagar += saldoAberto(item);
               fluxo[dayIndex].details.pagar.push(item);
             }
           }
@@ -120,13 +210,13 @@ import React, { useState, useEffect, useMemo } from 'react';
 
         const fullFluxo = [dia00, ...fluxo];
 
-        let saldoAcumulado = 0;
+        let saldoAcumulado = saldoInicial;
         return fullFluxo.map(dia => {
           const saldoDia = dia.receber - dia.pagar;
           saldoAcumulado += saldoDia;
           return { ...dia, saldoDia, saldoAcumulado };
         });
-      }, [allData, currentDate, unidadeFiltro]);
+      }, [allData, cheques, regrasPontualidade, currentDate, unidadeFiltro, saldoInicial, transferenciasPrevistas]);
 
       const chartData = monthData.map(d => ({
         name: d.dia,
@@ -179,9 +269,9 @@ import React, { useState, useEffect, useMemo } from 'react';
                   </SelectTrigger>
                   <SelectContent>
                     <SelectItem value="todas">Todas as Unidades</SelectItem>
-                    <SelectItem value="CNA Angra dos Reis">CNA Angra dos Reis</SelectItem>
-                    <SelectItem value="CNA Mangaratiba">CNA Mangaratiba</SelectItem>
-                    <SelectItem value="Casa">Casa</SelectItem>
+                    {unidades.map(unidade => (
+                      <SelectItem key={unidade.id} value={unidade.descricao}>{unidade.descricao}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
                 <Select value={viewType} onValueChange={setViewType}>
@@ -199,6 +289,9 @@ import React, { useState, useEffect, useMemo } from 'react';
             <Card className="bg-slate-800/60 border-slate-700 text-white backdrop-blur-sm">
               <CardHeader>
                 <CardTitle>Detalhes do Mês</CardTitle>
+                <p className="text-sm text-gray-400">
+                  Saldo inicial em contas: <span className={cn('font-mono', saldoInicial >= 0 ? 'text-white' : 'text-red-500')}>{formatCurrency(saldoInicial)}</span>
+                </p>
               </CardHeader>
               <CardContent>
                 <div className="overflow-x-auto">
@@ -254,7 +347,7 @@ import React, { useState, useEffect, useMemo } from 'react';
                                       {dia.details.receber.length > 0 ? dia.details.receber.map(item => (
                                         <div key={item.id} className="flex justify-between text-sm py-1">
                                           <span>{item.cliente_fornecedor}</span>
-                                          <span className="font-mono">{formatCurrency(item.valor)}</span>
+                                          <span className="font-mono">{formatCurrency(saldoAberto(item))}</span>
                                         </div>
                                       )) : <p className="text-xs text-slate-400">Nenhuma entrada.</p>}
                                     </div>
@@ -263,7 +356,7 @@ import React, { useState, useEffect, useMemo } from 'react';
                                       {dia.details.pagar.length > 0 ? dia.details.pagar.map(item => (
                                         <div key={item.id} className="flex justify-between text-sm py-1">
                                           <span>{item.cliente_fornecedor}</span>
-                                          <span className="font-mono">{formatCurrency(item.valor)}</span>
+                                          <span className="font-mono">{formatCurrency(saldoAberto(item))}</span>
                                         </div>
                                       )) : <p className="text-xs text-slate-400">Nenhuma saída.</p>}
                                     </div>
@@ -8,6 +8,7 @@ import React, { useState, useEffect, useMemo } from 'react';
     import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
     import { supabase } from '@/lib/customSupabaseClient';
     import { useToast } from '@/components/ui/use-toast';
+    import { listarUnidades } from '@/services/unidadeService';
     import { startOfMonth, endOfMonth, format, eachDayOfInterval } from 'date-fns';
     import jsPDF from 'jspdf';
     import 'jspdf-autotable';
@@ -17,6 +18,7 @@ import React, { useState, useEffect, useMemo } from 'react';
       const navigate = useNavigate();
       const { toast } = useToast();
       const [allData, setAllData] = useState([]);
+      const [unidades, setUnidades] = useState([]);
       const [currentDate, setCurrentDate] = useState(new Date());
       const [loading, setLoading] = useState(false);
       const [unidadeFiltro, setUnidadeFiltro] = useState('todas');
@@ -29,12 +31,17 @@ import React, { useState, useEffect, useMemo } from 'react';
 
       const loadData = async () => {
         setLoading(true);
-        const { data, error } = await supabase.from('lancamentos').select('*');
+        const { data, error } = await supabase.from('lancamentos').select('*').or('status.is.null,status.neq.Cancelado');
         if (error) {
           toast({ title: "Erro ao buscar dados", description: error.message, variant: "destructive"});
         } else {
           setAllData(data || []);
         }
+        try {
+          setUnidades(await listarUnidades({ apenasAtivas: false }));
+        } catch (unidadesError) {
+          toast({ title: "Erro ao carregar unidades", description: unidadesError.message, variant: "destructive"});
+        }
         setLoading(false);
       };
 
@@ -206,9 +213,9 @@ import React, { useState, useEffect, useMemo } from 'react';
                   </SelectTrigger>
                   <SelectContent>
                     <SelectItem value="todas">Todas as Unidades</SelectItem>
-                    <SelectItem value="CNA Angra dos Reis">CNA Angra dos Reis</SelectItem>
-                    <SelectItem value="CNA Mangaratiba">CNA Mangaratiba</SelectItem>
-                    <SelectItem value="Casa">Casa</SelectItem>
+                    {unidades.map(unidade => (
+                      <SelectItem key={unidade.id} value={unidade.descricao}>{unidade.descricao}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
                 <Select value={viewType} onValueChange={setViewType}>
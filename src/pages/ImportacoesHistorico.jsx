@@ -0,0 +1,330 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { AlertTriangle, ArrowLeft, ChevronDown, ChevronRight, Download, RefreshCw, Undo2 } from 'lucide-react';
+import { format } from 'date-fns';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { downloadCsv } from '@/lib/csv';
+import {
+  FONTES_IMPORTACAO,
+  desfazerImportacao,
+  listarExecucoes,
+  previewDesfazerImportacao,
+} from '@/services/importacaoService';
+
+const TODAS = 'todas';
+
+const statusLabels = {
+  em_andamento: { label: 'Em andamento', color: 'bg-blue-500/20 text-blue-300' },
+  concluido: { label: 'Concluída', color: 'bg-green-500/20 text-green-300' },
+  recusado: { label: 'Recusada', color: 'bg-yellow-500/20 text-yellow-300' },
+  erro: { label: 'Erro', color: 'bg-red-500/20 text-red-300' },
+  desfeito: { label: 'Desfeita', color: 'bg-gray-500/20 text-gray-300' },
+};
+
+const statusDesfaziveis = new Set(['concluido', 'erro']);
+
+const origemLabels = {
+  manual: 'Manual',
+  agendado: 'Agendada',
+  upload: 'Arquivo',
+};
+
+const fonteLabels = Object.fromEntries(FONTES_IMPORTACAO.map(({ value, label }) => [value, label]));
+
+const formatDateTime = (value) => (value ? format(new Date(value), 'dd/MM/yyyy HH:mm') : '-');
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '-' : String(value));
+
+const ConflitosDesfazer = ({ conflitos }) => (
+  <div className="space-y-2">
+    <p className="flex items-center gap-2 text-sm text-yellow-300">
+      <AlertTriangle className="w-4 h-4" />
+      Lançamentos alterados depois desta importação. Reverta essas alterações para poder desfazê-la.
+    </p>
+    <div className="max-h-72 overflow-auto">
+      <table className="w-full text-xs text-left text-gray-300">
+        <thead className="text-gray-400 uppercase">
+          <tr>
+            <th className="py-1 pr-4">Lançamento</th>
+            <th className="py-1 pr-4">Motivo</th>
+            <th className="py-1 pr-4">Campo</th>
+            <th className="py-1 pr-4">Deixado pela importação</th>
+            <th className="py-1">Atual</th>
+          </tr>
+        </thead>
+        <tbody>
+          {conflitos.flatMap(({ lancamento_id: id, motivo, campos, resumo }) => {
+            const descricao = [resumo.cliente_fornecedor, resumo.aluno, resumo.parcel].filter(Boolean).join(' / ') || `#${id}`;
+            const linhas = campos.length > 0 ? campos : [{ campo: '-', esperado: null, atual: null }];
+            return linhas.map(({ campo, esperado, atual }) => (
+              <tr key={`${id}-${campo}`} className="border-b border-gray-700/50">
+                <td className="py-1 pr-4 text-white">{descricao}</td>
+                <td className="py-1 pr-4 text-yellow-300">{motivo}</td>
+                <td className="py-1 pr-4">{campo}</td>
+                <td className="py-1 pr-4">{formatValue(esperado)}</td>
+                <td className="py-1">{formatValue(atual)}</td>
+              </tr>
+            ));
+          })}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+const ImportacoesHistorico = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [fonte, setFonte] = useState(TODAS);
+  const [execucoes, setExecucoes] = useState([]);
+  const [expandida, setExpandida] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [desfazer, setDesfazer] = useState(null);
+
+  const loadExecucoes = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await listarExecucoes({ fonte: fonte === TODAS ? undefined : fonte });
+      setExecucoes(data);
+    } catch (error) {
+      console.error('Erro ao carregar histórico de importações', error);
+      toast({ title: 'Erro ao carregar histórico', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [fonte, toast]);
+
+  useEffect(() => {
+    loadExecucoes();
+  }, [loadExecucoes]);
+
+  const handleExpand = (id) => {
+    setExpandida(expandida === id ? null : id);
+    setDesfazer(null);
+  };
+
+  const handlePreviewDesfazer = async (execucao) => {
+    setDesfazer({ execucaoId: execucao.id, loading: true });
+    try {
+      const data = await previewDesfazerImportacao(execucao.id);
+      setDesfazer({ execucaoId: execucao.id, preview: data });
+    } catch (error) {
+      if (error.payload?.conflitos?.length > 0) {
+        setDesfazer({ execucaoId: execucao.id, conflitos: error.payload.conflitos });
+        return;
+      }
+      setDesfazer(null);
+      toast({ title: 'Erro ao desfazer importação', description: error.message, variant: 'destructive' });
+    }
+  };
+
+  const handleConfirmDesfazer = async () => {
+    setDesfazer((prev) => ({ ...prev, loading: true }));
+    try {
+      const result = await desfazerImportacao(desfazer.execucaoId);
+      toast({ title: 'Sucesso!', description: result.message });
+      setDesfazer(null);
+      loadExecucoes();
+    } catch (error) {
+      if (error.payload?.conflitos?.length > 0) {
+        setDesfazer((prev) => ({ execucaoId: prev.execucaoId, conflitos: error.payload.conflitos }));
+        return;
+      }
+      setDesfazer((prev) => ({ ...prev, loading: false }));
+      toast({ title: 'Erro ao desfazer importação', description: error.message, variant: 'destructive' });
+    }
+  };
+
+  const handleDownload = (execucao) => {
+    const rows = (execucao.rejeicoes || []).map(({ linha, motivo, conteudo }) => [
+      linha,
+      motivo,
+      ...(conteudo || []),
+    ]);
+    const colunas = Math.max(0, ...rows.map((row) => row.length - 2));
+    const headers = ['Linha', 'Motivo', ...Array.from({ length: colunas }, (_, index) => `Coluna ${index + 1}`)];
+    const data = format(new Date(execucao.iniciado_em), 'yyyy-MM-dd_HHmm');
+    downloadCsv(`rejeicoes_${execucao.fonte}_${data}.csv`, headers, rows);
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>Histórico de Importações - SysFina</title>
+        <meta name="description" content="Execuções da importação das planilhas e linhas rejeitadas." />
+      </Helmet>
+
+      <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/financeiro')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Histórico de Importações</h1>
+            <span className="text-sm text-gray-300">Quem importou, quando, o que mudou e quais linhas foram rejeitadas.</span>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Select value={fonte} onValueChange={setFonte} disabled={loading}>
+            <SelectTrigger className="w-48 bg-white/10 border-white/20 text-white">
+              <SelectValue placeholder="Planilha" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={TODAS}>Todas as planilhas</SelectItem>
+              {FONTES_IMPORTACAO.map(({ value, label }) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" onClick={loadExecucoes} disabled={loading}>
+            <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+            Atualizar
+          </Button>
+        </div>
+      </div>
+
+      <Card className="glass-card">
+        <CardHeader>
+          <CardTitle className="text-white">Execuções</CardTitle>
+          <p className="text-sm text-gray-400">As pré-visualizações não são registradas; apenas importações confirmadas ou agendadas.</p>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex justify-center items-center h-32">
+              <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+            </div>
+          ) : execucoes.length === 0 ? (
+            <p className="text-sm text-gray-500">Nenhuma importação registrada.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-gray-300">
+                <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                  <tr>
+                    <th className="px-4 py-2"></th>
+                    <th className="px-4 py-2">Data</th>
+                    <th className="px-4 py-2">Planilha</th>
+                    <th className="px-4 py-2">Origem</th>
+                    <th className="px-4 py-2">Usuário</th>
+                    <th className="px-4 py-2">Status</th>
+                    <th className="px-4 py-2 text-right">Novos</th>
+                    <th className="px-4 py-2 text-right">Alterados</th>
+                    <th className="px-4 py-2 text-right">Fora da planilha</th>
+                    <th className="px-4 py-2 text-right">Rejeitados</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {execucoes.map((execucao) => {
+                    const aberta = expandida === execucao.id;
+                    const status = statusLabels[execucao.status] ?? { label: execucao.status, color: 'bg-white/10 text-gray-300' };
+                    const desfazendo = desfazer?.execucaoId === execucao.id ? desfazer : null;
+                    return (
+                      <React.Fragment key={execucao.id}>
+                        <tr
+                          className="border-b border-gray-700 cursor-pointer hover:bg-white/5"
+                          onClick={() => handleExpand(execucao.id)}
+                        >
+                          <td className="px-4 py-2">
+                            {aberta ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                          </td>
+                          <td className="px-4 py-2 whitespace-nowrap">{formatDateTime(execucao.iniciado_em)}</td>
+                          <td className="px-4 py-2">{fonteLabels[execucao.fonte] ?? execucao.fonte}</td>
+                          <td className="px-4 py-2" title={execucao.arquivo || undefined}>{origemLabels[execucao.origem] ?? execucao.origem}</td>
+                          <td className="px-4 py-2">{execucao.usuario_email || '-'}</td>
+                          <td className="px-4 py-2">
+                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${status.color}`}>{status.label}</span>
+                          </td>
+                          <td className="px-4 py-2 text-right font-mono">{execucao.inseridos}</td>
+                          <td className="px-4 py-2 text-right font-mono">{execucao.atualizados}</td>
+                          <td className="px-4 py-2 text-right font-mono">{execucao.orfaos}</td>
+                          <td className="px-4 py-2 text-right font-mono text-red-300">{execucao.rejeitados}</td>
+                        </tr>
+                        {aberta && (
+                          <tr className="border-b border-gray-700 bg-white/5">
+                            <td colSpan={10} className="px-4 py-3 space-y-3">
+                              {execucao.mensagem && <p className="text-gray-300">{execucao.mensagem}</p>}
+                              <p className="text-xs text-gray-400">
+                                {execucao.arquivo && `Arquivo ${execucao.arquivo} · `}
+                                Finalizada em {formatDateTime(execucao.finalizado_em)} · {execucao.inalterados} inalterados
+                                {execucao.conflitos > 0 && ` · ${execucao.conflitos} pagamentos ignorados (lançamentos cancelados ou estornados)`}
+                                {execucao.desfeito_em && ` · Desfeita em ${formatDateTime(execucao.desfeito_em)} por ${execucao.desfeito_por_email || '-'}`}
+                              </p>
+                              {statusDesfaziveis.has(execucao.status) && !desfazendo?.preview && (
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  onClick={() => handlePreviewDesfazer(execucao)}
+                                  disabled={desfazendo?.loading}
+                                >
+                                  <Undo2 className="w-4 h-4 mr-2" />
+                                  {desfazendo?.loading ? 'Verificando...' : 'Desfazer importação'}
+                                </Button>
+                              )}
+                              {desfazendo?.preview && (
+                                <div className="flex flex-wrap items-center gap-2 p-3 rounded-lg border border-yellow-500/30 text-yellow-200">
+                                  <span className="mr-2">
+                                    Serão removidos {desfazendo.preview.removidos} lançamentos inseridos e restaurados
+                                    {' '}{desfazendo.preview.restaurados} lançamentos alterados por esta importação.
+                                  </span>
+                                  <Button size="sm" onClick={handleConfirmDesfazer} disabled={desfazendo.loading}>
+                                    {desfazendo.loading ? 'Desfazendo...' : 'Confirmar desfazer'}
+                                  </Button>
+                                  <Button size="sm" variant="outline" onClick={() => setDesfazer(null)} disabled={desfazendo.loading}>
+                                    Cancelar
+                                  </Button>
+                                </div>
+                              )}
+                              {desfazendo?.conflitos && <ConflitosDesfazer conflitos={desfazendo.conflitos} />}
+                              {execucao.rejeicoes?.length > 0 ? (
+                                <>
+                                  <Button size="sm" variant="outline" onClick={() => handleDownload(execucao)}>
+                                    <Download className="w-4 h-4 mr-2" />
+                                    Rejeições (CSV)
+                                  </Button>
+                                  <div className="max-h-72 overflow-auto">
+                                    <table className="w-full text-xs text-left text-gray-300">
+                                      <thead className="text-gray-400 uppercase">
+                                        <tr>
+                                          <th className="py-1 pr-4">Linha</th>
+                                          <th className="py-1 pr-4">Motivo</th>
+                                          <th className="py-1">Conteúdo</th>
+                                        </tr>
+                                      </thead>
+                                      <tbody>
+                                        {execucao.rejeicoes.map((item) => (
+                                          <tr key={item.linha}>
+                                            <td className="py-1 pr-4 font-mono">{item.linha}</td>
+                                            <td className="py-1 pr-4 text-red-300">{item.motivo}</td>
+                                            <td className="py-1 text-gray-400 truncate max-w-md">{(item.conteudo || []).filter(Boolean).join(' | ')}</td>
+                                          </tr>
+                                        ))}
+                                      </tbody>
+                                    </table>
+                                  </div>
+                                </>
+                              ) : (
+                                <p className="text-xs text-gray-500">Nenhuma linha rejeitada.</p>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default ImportacoesHistorico;
@@ -0,0 +1,368 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { AlertTriangle, ArrowLeft, CheckCircle, Columns, FileUp, RefreshCw, X } from 'lucide-react';
+import { format } from 'date-fns';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { EXTENSOES_IMPORTACAO, lerArquivoImportacao } from '@/lib/arquivoImportacao';
+import { FONTES_IMPORTACAO, confirmarImportacao, previewImportacao } from '@/services/importacaoService';
+
+const fieldLabels = {
+  data: 'Vencimento',
+  cliente_fornecedor: 'Cliente/Fornecedor',
+  descricao: 'Descrição',
+  valor: 'Valor',
+  unidade: 'Unidade',
+  aluno: 'Aluno',
+  parcel: 'Parcela',
+  desc_pontual: 'Desc. Pontual',
+  status: 'Status',
+  datapag: 'Data Pagamento',
+  orfao_importacao: 'Fora da planilha',
+};
+
+const currencyFields = new Set(['valor', 'desc_pontual']);
+const dateFields = new Set(['data', 'datapag']);
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  const parsed = new Date(`${value}T00:00:00`);
+  return Number.isNaN(parsed.getTime()) ? value : format(parsed, 'dd/MM/yyyy');
+};
+
+const formatField = (campo, value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (currencyFields.has(campo)) return formatCurrency(value);
+  if (dateFields.has(campo)) return formatDate(value);
+  if (typeof value === 'boolean') return value ? 'Sim' : 'Não';
+  return String(value);
+};
+
+const summaryItems = [
+  { key: 'inseridos', label: 'Novos', color: 'text-green-400' },
+  { key: 'atualizados', label: 'Alterados', color: 'text-blue-400' },
+  { key: 'orfaos', label: 'Fora da planilha', color: 'text-orange-400' },
+  { key: 'conflitos', label: 'Pagamentos ignorados', color: 'text-yellow-400' },
+  { key: 'rejeitados', label: 'Rejeitados', color: 'text-red-400' },
+  { key: 'inalterados', label: 'Inalterados', color: 'text-gray-300' },
+];
+
+const DiffSection = ({ title, description, count, children }) => (
+  <Card className="glass-card">
+    <CardHeader>
+      <CardTitle className="text-white flex items-center justify-between">
+        <span>{title}</span>
+        <span className="text-sm font-medium text-gray-400">{count} registro(s)</span>
+      </CardTitle>
+      <p className="text-sm text-gray-400">{description}</p>
+    </CardHeader>
+    <CardContent>
+      {count === 0 ? (
+        <p className="text-sm text-gray-500">Nenhum registro.</p>
+      ) : (
+        <div className="max-h-96 overflow-auto">{children}</div>
+      )}
+    </CardContent>
+  </Card>
+);
+
+const LancamentoTable = ({ items }) => (
+  <table className="w-full text-sm text-left text-gray-300">
+    <thead className="text-xs text-gray-400 uppercase bg-white/5">
+      <tr>
+        <th className="px-4 py-2">Cliente/Fornecedor</th>
+        <th className="px-4 py-2">Aluno</th>
+        <th className="px-4 py-2">Parcela</th>
+        <th className="px-4 py-2">Vencimento</th>
+        <th className="px-4 py-2">Unidade</th>
+        <th className="px-4 py-2 text-right">Valor</th>
+      </tr>
+    </thead>
+    <tbody>
+      {items.map((item, index) => (
+        <tr key={item.id ?? index} className="border-b border-gray-700">
+          <td className="px-4 py-2 text-white">{item.cliente_fornecedor || '-'}</td>
+          <td className="px-4 py-2">{item.aluno || '-'}</td>
+          <td className="px-4 py-2">{item.parcel || '-'}</td>
+          <td className="px-4 py-2">{formatDate(item.data)}</td>
+          <td className="px-4 py-2">{item.unidade || '-'}</td>
+          <td className="px-4 py-2 text-right font-mono">{formatCurrency(item.valor)}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// `modo="arquivo"` le um CSV/XLSX exportado no lugar da planilha do Google.
+const Integracao = ({ modo = 'planilha' }) => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const fileInputRef = useRef(null);
+  const [fonte, setFonte] = useState('recebimentos');
+  const [arquivo, setArquivo] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const porArquivo = modo === 'arquivo';
+
+  const loadPreview = useCallback(async () => {
+    setPreview(null);
+    if (porArquivo && !arquivo) return;
+    setLoading(true);
+    try {
+      const data = await previewImportacao(fonte, arquivo);
+      setPreview(data);
+    } catch (error) {
+      console.error('Erro na pré-visualização da importação', error);
+      toast({ title: 'Erro na pré-visualização', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [fonte, arquivo, porArquivo, toast]);
+
+  useEffect(() => {
+    loadPreview();
+  }, [loadPreview]);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      setArquivo({ nome: file.name, values: await lerArquivoImportacao(file) });
+    } catch (error) {
+      console.error('Erro ao ler arquivo de importação', error);
+      toast({ title: 'Erro ao ler arquivo', description: error.message, variant: 'destructive' });
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!preview) return;
+    setConfirming(true);
+    try {
+      const result = await confirmarImportacao(fonte, preview.assinatura, arquivo);
+      toast({ title: 'Sucesso!', description: result.message || 'Dados importados e sincronizados!' });
+      navigate('/');
+    } catch (error) {
+      console.error('Erro na importação', error);
+      toast({ title: 'Erro na importação', description: error.message, variant: 'destructive' });
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  const diff = preview?.diff;
+  const hasChanges = Boolean(preview) && (preview.inseridos + preview.atualizados + preview.orfaos) > 0;
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>Integração - SysFina</title>
+        <meta name="description" content="Revisão da importação das planilhas de recebimentos e pagamentos antes de aplicar as alterações." />
+      </Helmet>
+
+      <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">{porArquivo ? 'Importar Arquivo' : 'Integração'}</h1>
+            <span className="text-sm text-gray-300">
+              {porArquivo
+                ? 'Envie um CSV ou XLSX exportado da planilha e revise as alterações antes de confirmar.'
+                : 'Revise as alterações da planilha antes de confirmar a importação.'}
+            </span>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Select value={fonte} onValueChange={setFonte} disabled={loading || confirming}>
+            <SelectTrigger className="w-48 bg-white/10 border-white/20 text-white">
+              <SelectValue placeholder="Planilha" />
+            </SelectTrigger>
+            <SelectContent>
+              {FONTES_IMPORTACAO.map(({ value, label }) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {porArquivo && (
+            <>
+              <input ref={fileInputRef} type="file" accept={EXTENSOES_IMPORTACAO} className="hidden" onChange={handleFileChange} />
+              <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={loading || confirming}>
+                <FileUp className="w-4 h-4 mr-2" />
+                {arquivo ? 'Trocar arquivo' : 'Escolher arquivo'}
+              </Button>
+            </>
+          )}
+          <Button variant="outline" onClick={() => navigate('/integracao/mapeamento')} disabled={confirming}>
+            <Columns className="w-4 h-4 mr-2" />
+            Mapeamento
+          </Button>
+          <Button variant="outline" onClick={loadPreview} disabled={(porArquivo && !arquivo) || loading || confirming}>
+            <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+            Atualizar
+          </Button>
+          <Button variant="outline" onClick={() => navigate('/')} disabled={confirming}>
+            <X className="w-4 h-4 mr-2" />
+            Cancelar
+          </Button>
+          <Button onClick={handleConfirm} disabled={!hasChanges || loading || confirming}>
+            <CheckCircle className="w-4 h-4 mr-2" />
+            {confirming ? 'Importando...' : 'Confirmar importação'}
+          </Button>
+        </div>
+      </div>
+
+      {porArquivo && !loading && (
+        <Card className="glass-card">
+          <CardContent className="p-4 text-sm text-gray-300">
+            {arquivo
+              ? <>Arquivo <span className="font-mono text-white">{arquivo.nome}</span> com {arquivo.values.length - 1} linha(s) de dados.</>
+              : 'Escolha um arquivo .csv ou .xlsx com o mesmo layout da planilha selecionada (cabeçalho na primeira linha). Valores no formato 1.234,56 e datas dd/MM/aaaa.'}
+          </CardContent>
+        </Card>
+      )}
+
+      {loading && (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      )}
+
+      {preview && !loading && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+            {summaryItems.map(({ key, label, color }) => (
+              <Card key={key} className="glass-card">
+                <CardContent className="p-4">
+                  <p className="text-sm text-gray-400">{label}</p>
+                  <p className={`text-2xl font-bold ${color}`}>{preview[key] ?? 0}</p>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          {(preview.mapeamento?.origem === 'sugestao' || preview.mapeamento?.avisos?.length > 0) && (
+            <Card className="glass-card border-yellow-500/30">
+              <CardContent className="p-4 space-y-1 text-sm text-yellow-300">
+                {preview.mapeamento.origem === 'sugestao' && (
+                  <p className="flex items-center gap-2">
+                    <AlertTriangle className="w-4 h-4" />
+                    Sem mapeamento de colunas salvo para esta planilha: colunas localizadas pelos cabeçalhos sugeridos
+                    {' '}({Object.values(preview.mapeamento.colunas || {}).filter(Boolean).join(', ')}).
+                  </p>
+                )}
+                {preview.mapeamento.avisos?.map((aviso) => (
+                  <p key={aviso} className="flex items-center gap-2">
+                    <AlertTriangle className="w-4 h-4" />
+                    {aviso}
+                  </p>
+                ))}
+              </CardContent>
+            </Card>
+          )}
+
+          {!hasChanges && (
+            <p className="text-center text-gray-400">A planilha já está sincronizada. Não há alterações para aplicar.</p>
+          )}
+
+          <DiffSection title="Novos" description="Linhas da planilha que serão inseridas como lançamentos." count={diff.novos.length}>
+            <LancamentoTable items={diff.novos} />
+          </DiffSection>
+
+          <DiffSection title="Alterados" description="Lançamentos existentes que terão campos atualizados." count={diff.alterados.length}>
+            <div className="space-y-3">
+              {diff.alterados.map((item) => (
+                <div key={item.id} className="p-3 rounded-lg bg-white/5 border border-white/10">
+                  <div className="flex flex-wrap justify-between gap-2 text-sm">
+                    <span className="font-medium text-white">{item.cliente_fornecedor}{item.aluno ? ` / ${item.aluno}` : ''}</span>
+                    <span className="text-gray-400">{item.parcel || '-'} · {formatDate(item.data)} · {item.unidade || '-'}</span>
+                  </div>
+                  <table className="mt-2 w-full text-xs text-left text-gray-300">
+                    <thead className="text-gray-400 uppercase">
+                      <tr>
+                        <th className="py-1 pr-4">Campo</th>
+                        <th className="py-1 pr-4">Antes</th>
+                        <th className="py-1">Depois</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {item.campos.map(({ campo, antes, depois }) => (
+                        <tr key={campo}>
+                          <td className="py-1 pr-4">{fieldLabels[campo] ?? campo}</td>
+                          <td className="py-1 pr-4 text-red-300 line-through">{formatField(campo, antes)}</td>
+                          <td className="py-1 text-green-300">{formatField(campo, depois)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </div>
+          </DiffSection>
+
+          <DiffSection title="Fora da planilha" description="Lançamentos importados que não existem mais na planilha. Serão apenas sinalizados, nunca apagados." count={diff.removidos.length}>
+            <LancamentoTable items={diff.removidos} />
+          </DiffSection>
+
+          <DiffSection title="Pagamentos ignorados" description="A planilha traz data de pagamento para lançamentos cancelados ou reabertos por estorno no app. Eles não serão quitados de novo." count={diff.conflitos?.length ?? 0}>
+            <table className="w-full text-sm text-left text-gray-300">
+              <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                <tr>
+                  <th className="px-4 py-2">Cliente/Fornecedor</th>
+                  <th className="px-4 py-2">Parcela</th>
+                  <th className="px-4 py-2">Vencimento</th>
+                  <th className="px-4 py-2">Pagamento na planilha</th>
+                  <th className="px-4 py-2">Motivo</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(diff.conflitos || []).map((item) => (
+                  <tr key={item.id} className="border-b border-gray-700">
+                    <td className="px-4 py-2 text-white">{item.cliente_fornecedor || '-'}{item.aluno ? ` / ${item.aluno}` : ''}</td>
+                    <td className="px-4 py-2">{item.parcel || '-'}</td>
+                    <td className="px-4 py-2">{formatDate(item.data)}</td>
+                    <td className="px-4 py-2">{formatDate(item.datapag)}</td>
+                    <td className="px-4 py-2 text-yellow-300">{item.motivo}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </DiffSection>
+
+          <DiffSection title="Rejeitados" description="Linhas da planilha ignoradas pela validação." count={diff.rejeitados.length}>
+            <table className="w-full text-sm text-left text-gray-300">
+              <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                <tr>
+                  <th className="px-4 py-2">Linha</th>
+                  <th className="px-4 py-2">Motivo</th>
+                  <th className="px-4 py-2">Conteúdo</th>
+                </tr>
+              </thead>
+              <tbody>
+                {diff.rejeitados.map((item) => (
+                  <tr key={item.linha} className="border-b border-gray-700">
+                    <td className="px-4 py-2 font-mono">{item.linha}</td>
+                    <td className="px-4 py-2 text-red-300">{item.motivo}</td>
+                    <td className="px-4 py-2 text-gray-400 truncate max-w-md">{item.conteudo.filter(Boolean).join(' | ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </DiffSection>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default Integracao;
@@ -0,0 +1,192 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, RefreshCw, Save } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/contexts/SupabaseAuthContext';
+import { FONTES_IMPORTACAO, carregarMapeamento, salvarMapeamento } from '@/services/importacaoService';
+
+const NAO_IMPORTAR = '__nenhum__';
+
+const MapeamentoColunas = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const [fonte, setFonte] = useState('recebimentos');
+  const [perfil, setPerfil] = useState(null);
+  const [colunas, setColunas] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadMapeamento = useCallback(async () => {
+    setLoading(true);
+    setPerfil(null);
+    try {
+      const data = await carregarMapeamento(fonte);
+      setPerfil(data);
+      setColunas(data.colunas || {});
+    } catch (error) {
+      console.error('Erro ao carregar mapeamento de colunas', error);
+      toast({ title: 'Erro ao carregar mapeamento', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [fonte, toast]);
+
+  useEffect(() => {
+    loadMapeamento();
+  }, [loadMapeamento]);
+
+  const cabecalhos = useMemo(
+    () => [...new Set((perfil?.cabecalho || []).map((nome) => nome.trim()).filter(Boolean))],
+    [perfil]
+  );
+
+  // O nome repetido nao identifica a coluna; a importacao o recusa.
+  const repetidos = useMemo(() => new Set(perfil?.cabecalhosRepetidos || []), [perfil]);
+
+  const obrigatoriosPendentes = (perfil?.campos || [])
+    .filter(({ campo, obrigatorio }) => obrigatorio && !colunas[campo]);
+
+  const handleChange = (campo, value) => {
+    setColunas((prev) => ({ ...prev, [campo]: value === NAO_IMPORTAR ? null : value }));
+  };
+
+  const handleSave = async () => {
+    if (obrigatoriosPendentes.length > 0) {
+      toast({
+        title: 'Erro de Validação',
+        description: `Mapeie os campos obrigatórios: ${obrigatoriosPendentes.map(({ rotulo }) => rotulo).join(', ')}.`,
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await salvarMapeamento({
+        fonte,
+        sheetId: perfil.sheetId,
+        range: perfil.range,
+        colunas,
+        userId: user?.id,
+      });
+      toast({ title: 'Sucesso!', description: 'Mapeamento de colunas salvo.' });
+      setPerfil((prev) => ({ ...prev, perfilSalvo: true }));
+    } catch (error) {
+      toast({ title: 'Erro ao salvar', description: error.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>Mapeamento de Colunas - SysFina</title>
+        <meta name="description" content="Configuração das colunas das planilhas importadas." />
+      </Helmet>
+
+      <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/integracao')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Mapeamento de Colunas</h1>
+            <span className="text-sm text-gray-300">Associe os cabeçalhos da planilha aos campos dos lançamentos.</span>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Select value={fonte} onValueChange={setFonte} disabled={loading || saving}>
+            <SelectTrigger className="w-48 bg-white/10 border-white/20 text-white">
+              <SelectValue placeholder="Planilha" />
+            </SelectTrigger>
+            <SelectContent>
+              {FONTES_IMPORTACAO.map(({ value, label }) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" onClick={loadMapeamento} disabled={loading || saving}>
+            <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+            Reler cabeçalhos
+          </Button>
+          <Button onClick={handleSave} disabled={!perfil || loading || saving}>
+            <Save className="w-4 h-4 mr-2" />
+            {saving ? 'Salvando...' : 'Salvar Mapeamento'}
+          </Button>
+        </div>
+      </div>
+
+      {loading && (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      )}
+
+      {perfil && !loading && (
+        <Card className="glass-card">
+          <CardHeader>
+            <CardTitle className="text-white">Colunas da planilha</CardTitle>
+            <p className="text-sm text-gray-400">
+              Planilha <span className="font-mono">{perfil.sheetId}</span>, intervalo <span className="font-mono">{perfil.range}</span>.
+              {' '}
+              {perfil.perfilSalvo
+                ? 'A importação localiza cada coluna pelo nome do cabeçalho e é recusada se um cabeçalho obrigatório sumir.'
+                : 'Nenhum mapeamento salvo: a importação usa posições fixas de coluna. Confira a sugestão abaixo e salve.'}
+            </p>
+          </CardHeader>
+          <CardContent>
+            <table className="w-full text-sm text-left text-gray-300">
+              <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                <tr>
+                  <th className="px-4 py-2">Campo</th>
+                  <th className="px-4 py-2">Cabeçalho na planilha</th>
+                </tr>
+              </thead>
+              <tbody>
+                {perfil.campos.map(({ campo, rotulo, obrigatorio }) => {
+                  const atual = colunas[campo];
+                  const ausente = atual && !cabecalhos.includes(atual);
+                  return (
+                    <tr key={campo} className="border-b border-gray-700">
+                      <td className="px-4 py-2 text-white">
+                        {rotulo}
+                        {obrigatorio && <span className="ml-1 text-red-400">*</span>}
+                      </td>
+                      <td className="px-4 py-2">
+                        <Select value={atual || NAO_IMPORTAR} onValueChange={(value) => handleChange(campo, value)}>
+                          <SelectTrigger className="w-full md:w-96 bg-white/10 border-white/20 text-white">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value={NAO_IMPORTAR}>— Não importar —</SelectItem>
+                            {ausente && <SelectItem value={atual}>{atual} (ausente na planilha)</SelectItem>}
+                            {cabecalhos.map((nome) => (
+                              <SelectItem key={nome} value={nome} disabled={repetidos.has(nome)}>
+                                {nome}{repetidos.has(nome) ? ' (repetido na planilha)' : ''}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </CardContent>
+        </Card>
+      )}
+    </motion.div>
+  );
+};
+
+export default MapeamentoColunas;
@@ -9,6 +9,12 @@ import React, { useState, useEffect, useMemo, useRef } from 'react';
     import { Input } from '@/components/ui/input';
     import { useToast } from '@/components/ui/use-toast';
     import { supabase } from '@/lib/customSupabaseClient';
+    import { formatCpfCnpj, formatDadosPagamento } from '@/lib/documentos';
+    import { calcularEncargos, regraDaUnidade } from '@/lib/encargos';
+    import { anexarSaldos } from '@/services/baixaService';
+    import { buscarCadastrosPorNome, chaveNome } from '@/services/clienteFornecedorService';
+    import { listarRegrasEncargos } from '@/services/encargoService';
+    import { listarUnidades } from '@/services/unidadeService';
     import { format } from 'date-fns';
     import jsPDF from 'jspdf';
     import 'jspdf-autotable';
@@ -18,6 +24,9 @@ import React, { useState, useEffect, useMemo, useRef } from 'react';
         const { toast } = useToast();
         const [contas, setContas] = useState([]);
         const [loading, setLoading] = useState(false);
+        const [regras, setRegras] = useState([]);
+        const [unidades, setUnidades] = useState([]);
+        const [dataAtualizacao, setDataAtualizacao] = useState(() => format(new Date(), 'yyyy-MM-dd'));
         const [filters, setFilters] = useState({
             tipo: 'todos',
             status: 'todos',
@@ -35,15 +44,32 @@ import React, { useState, useEffect, useMemo, useRef } from 'react';
         const loadData = async () => {
             setLoading(true);
             const { data, error } = await supabase.from('lancamentos').select('*');
-            setLoading(false);
             if (error) {
                 toast({ title: "Erro ao carregar dados", description: error.message, variant: "destructive" });
             } else {
-                setContas(data || []);
+                try {
+                    setContas(await anexarSaldos(data || []));
+                    setRegras(await listarRegrasEncargos());
+                } catch (saldoError) {
+                    toast({ title: "Erro ao carregar baixas e encargos", description: saldoError.message, variant: "destructive" });
+                    setContas(data || []);
+                }
             }
+            try {
+                setUnidades(await listarUnidades({ apenasAtivas: false }));
+            } catch (unidadesError) {
+                toast({ title: "Erro ao carregar unidades", description: unidadesError.message, variant: "destructive" });
+            }
+            setLoading(false);
         };
 
+        // Em aberto: saldo com multa e juros ate `dataAtualizacao` (Saidas so o saldo).
+        const valorAtualizado = (conta) => (conta.status === 'Pago' || conta.status === 'Cancelado'
+            ? null
+            : calcularEncargos(conta, regraDaUnidade(regras, conta.unidade), dataAtualizacao).total);
+
         const getStatus = (conta) => {
+            if (conta.status === 'Cancelado') return 'cancelado';
             if (conta.status === 'Pago') return 'pago';
             const hoje = new Date();
             hoje.setHours(0, 0, 0, 0);
@@ -54,7 +80,10 @@ import React, { useState, useEffect, useMemo, useRef } from 'react';
         const filteredAndSortedContas = useMemo(() => {
             let filtered = [...contas];
             if (filters.tipo !== 'todos') filtered = filtered.filter(c => c.tipo === filters.tipo);
-            if (filters.status !== 'todos') filtered = filtered.filter(c => getStatus(c) === filters.status);
+            // Cancelados so aparecem no filtro proprio e nunca entram nos totais.
+            filtered = filters.status === 'todos'
+                ? filtered.filter(c => getStatus(c) !== 'cancelado')
+                : filtered.filter(c => getStatus(c) === filters.status);
             if (filters.unidade !== 'todas') filtered = filtered.filter(c => c.unidade === filters.unidade);
             if (filters.dataInicio) filtered = filtered.filter(c => new Date(c.data + 'T00:00:00') >= new Date(filters.dataInicio + 'T00:00:00'));
             if (filters.dataFim) filtered = filtered.filter(c => new Date(c.data + 'T00:00:00') <= new Date(filters.dataFim + 'T00:00:00'));
@@ -84,13 +113,30 @@ import React, { useState, useEffect, useMemo, useRef } from 'react';
         const formatCurrency = (value) => (value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
         const formatDate = (dateString) => dateString ? format(new Date(dateString + 'T00:00:00'), 'dd/MM/yyyy') : '-';
 
-        const handleDownloadPdf = () => {
-            const doc = new jsPDF();
-            doc.text("Relatório de Contas", 14, 16);
+        // Com o filtro de Saidas o PDF vira o relatorio de fornecedores, com os dados para pagamento.
+        const handleDownloadPdf = async () => {
+            let cadastros;
+            try {
+                const [clientes, fornecedores] = await Promise.all(['Entrada', 'Saida'].map(tipo =>
+                    buscarCadastrosPorNome(filteredAndSortedContas.filter(c => c.tipo === tipo).map(c => c.cliente_fornecedor), tipo)));
+                cadastros = { Entrada: clientes, Saida: fornecedores };
+            } catch (error) {
+                toast({ title: "Erro ao carregar cadastros", description: error.message, variant: "destructive" });
+                return;
+            }
+            const cadastroDa = (c) => cadastros[c.tipo]?.get(chaveNome(c.cliente_fornecedor));
+            const fornecedores = filters.tipo === 'Saida';
+
+            const doc = new jsPDF({ orientation: fornecedores ? 'landscape' : 'portrait' });
+            doc.text(fornecedores ? "Relatório de Contas - Fornecedores" : "Relatório de Contas", 14, 16);
             doc.autoTable({
-                head: [['Data', 'Tipo', 'Cliente/Fornecedor', 'Descrição', 'Unidade', 'Status', 'Valor']],
+                head: [['Data', 'Tipo', 'Cliente/Fornecedor', 'CPF/CNPJ', ...(fornecedores ? ['Pagamento'] : []), 'Descrição', 'Unidade', 'Status', 'Valor', `Atualizado em ${formatDate(dataAtualizacao)}`]],
                 body: filteredAndSortedContas.map(c => [
-                    formatDate(c.data), c.tipo, c.cliente_fornecedor, c.descricao, c.unidade, getStatus(c), formatCurrency(c.valor)
+                    formatDate(c.data), c.tipo, c.cliente_fornecedor,
+                    cadastroDa(c)?.cpf_cnpj ? formatCpfCnpj(cadastroDa(c).cpf_cnpj) : '-',
+                    ...(fornecedores ? [formatDadosPagamento(cadastroDa(c)) || '-'] : []),
+                    c.descricao, c.unidade, getStatus(c), formatCurrency(c.valor),
+                    valorAtualizado(c) === null ? '-' : formatCurrency(valorAtualizado(c))
                 ]),
                 startY: 20,
                 theme: 'grid',
@@ -133,12 +179,13 @@ import React, { useState, useEffect, useMemo, useRef } from 'react';
                 </div>
                 <Card className="glass-card">
                     <CardHeader><CardTitle className="text-white flex items-center gap-2"><Filter className="w-5 h-5" />Filtros</CardTitle></CardHeader>
-                    <CardContent className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4">
+                    <CardContent className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
                         <Select value={filters.tipo} onValueChange={(v) => setFilters(f => ({ ...f, tipo: v }))}><SelectTrigger><SelectValue /></SelectTrigger><SelectContent><SelectItem value="todos">Todos os Tipos</SelectItem><SelectItem value="Entrada">Entrada</SelectItem><SelectItem value="Saida">Saída</SelectItem></SelectContent></Select>
-                        <Select value={filters.status} onValueChange={(v) => setFilters(f => ({ ...f, status: v }))}><SelectTrigger><SelectValue /></SelectTrigger><SelectContent><SelectItem value="todos">Todos Status</SelectItem><SelectItem value="aberto">Em Aberto</SelectItem><SelectItem value="atrasado">Atrasado</SelectItem><SelectItem value="pago">Pago</SelectItem></SelectContent></Select>
-                        <Select value={filters.unidade} onValueChange={(v) => setFilters(f => ({ ...f, unidade: v }))}><SelectTrigger><SelectValue /></SelectTrigger><SelectContent><SelectItem value="todas">Todas Unidades</SelectItem><SelectItem value="CNA Angra dos Reis">CNA Angra dos Reis</SelectItem><SelectItem value="CNA Mangaratiba">CNA Mangaratiba</SelectItem><SelectItem value="Casa">Casa</SelectItem></SelectContent></Select>
+                        <Select value={filters.status} onValueChange={(v) => setFilters(f => ({ ...f, status: v }))}><SelectTrigger><SelectValue /></SelectTrigger><SelectContent><SelectItem value="todos">Todos Status</SelectItem><SelectItem value="aberto">Em Aberto</SelectItem><SelectItem value="atrasado">Atrasado</SelectItem><SelectItem value="pago">Pago</SelectItem><SelectItem value="cancelado">Cancelado</SelectItem></SelectContent></Select>
+                        <Select value={filters.unidade} onValueChange={(v) => setFilters(f => ({ ...f, unidade: v }))}><SelectTrigger><SelectValue /></SelectTrigger><SelectContent><SelectItem value="todas">Todas Unidades</SelectItem>{unidades.map(unidade => <SelectItem key={unidade.id} value={unidade.descricao}>{unidade.descricao}</SelectItem>)}</SelectContent></Select>
                         <Input type="date" value={filters.dataInicio} onChange={(e) => setFilters(f => ({ ...f, dataInicio: e.target.value }))} />
                         <Input type="date" value={filters.dataFim} onChange={(e) => setFilters(f => ({ ...f, dataFim: e.target.value }))} />
+                        <Input type="date" title="Atualizar para" value={dataAtualizacao} onChange={(e) => setDataAtualizacao(e.target.value)} />
                     </CardContent>
                 </Card>
                 <Card className="glass-card">
@@ -154,10 +201,11 @@ import React, { useState, useEffect, useMemo, useRef } from 'react';
                                         <th scope="col" className="px-6 py-3 cursor-pointer" onClick={() => requestSort('unidade')}><div className="flex items-center">Unidade <SortIcon columnKey="unidade" /></div></th>
                                         <th scope="col" className="px-6 py-3">Status</th>
                                         <th scope="col" className="px-6 py-3 text-right cursor-pointer" onClick={() => requestSort('valor')}><div className="flex items-center justify-end">Valor <SortIcon columnKey="valor" /></div></th>
+                                        <th scope="col" className="px-6 py-3 text-right">Atualizado em {formatDate(dataAtualizacao)}</th>
                                     </tr>
                                 </thead>
                                 <tbody>
-                                    {loading ? (<tr><td colSpan="7" className="text-center p-8"><div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500 mx-auto"></div></td></tr>)
+                                    {loading ? (<tr><td colSpan="8" className="text-center p-8"><div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500 mx-auto"></div></td></tr>)
                                     : filteredAndSortedContas.map(conta => (
                                         <tr key={conta.id} className="border-b border-gray-700 hover:bg-white/10">
                                             <td className="px-6 py-4">{formatDate(conta.data)}</td>
@@ -165,15 +213,17 @@ import React, { useState, useEffect, useMemo, useRef } from 'react';
                                             <td className="px-6 py-4 font-medium text-white">{conta.cliente_fornecedor}</td>
                                             <td className="px-6 py-4">{conta.descricao}</td>
                                             <td className="px-6 py-4">{conta.unidade}</td>
-                                            <td className="px-6 py-4">{getStatus(conta)}</td>
+                                            <td className="px-6 py-4" title={conta.motivo_cancelamento || undefined}>{getStatus(conta)}</td>
                                             <td className={`px-6 py-4 text-right font-mono ${conta.tipo === 'Entrada' ? 'text-green-400' : 'text-red-400'}`}>{formatCurrency(conta.valor)}</td>
+                                            <td className="px-6 py-4 text-right font-mono">{valorAtualizado(conta) === null ? '-' : formatCurrency(valorAtualizado(conta))}</td>
                                         </tr>
                                     ))}
                                 </tbody>
                                 <tfoot>
                                     <tr className="font-semibold text-white bg-white/5">
                                         <td colSpan="6" className="px-6 py-3 text-right">Total</td>
-                                        <td className="px-6 py-3 text-right font-mono">{formatCurrency(filteredAndSortedContas.reduce((acc, c) => acc + (c.tipo === 'Entrada' ? c.valor : -c.valor), 0))}</td>
+                                        <td className="px-6 py-3 text-right font-mono">{formatCurrency(filteredAndSortedContas.filter(c => c.status !== 'Cancelado').reduce((acc, c) => acc + (c.tipo === 'Entrada' ? c.valor : -c.valor), 0))}</td>
+                                        <td className="px-6 py-3 text-right font-mono">{formatCurrency(filteredAndSortedContas.reduce((acc, c) => acc + (c.tipo === 'Entrada' ? 1 : -1) * (valorAtualizado(c) ?? 0), 0))}</td>
                                     </tr>
                                 </tfoot>
                             </table>
@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
 import { motion } from 'framer-motion';
@@ -8,26 +8,18 @@ import { Button } from '@/components/ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { useToast } from '@/components/ui/use-toast';
 import { supabase } from '@/lib/customSupabaseClient';
+import { valorEsperado } from '@/lib/descontoPontual';
+import { anexarSaldos } from '@/services/baixaService';
+import { listarRegrasDescontoPontual } from '@/services/descontoPontualService';
+import { listarUnidades } from '@/services/unidadeService';
 import { endOfMonth, format } from 'date-fns';
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
 
-const unitOptions = [
-  { value: 'todas', label: 'Todas' },
-  { value: 'angra', label: 'Angra dos Reis' },
-  { value: 'mangaratiba', label: 'Mangaratiba' },
-  { value: 'casa', label: 'Casa' },
-];
-
-const unitFilterMap = {
-  angra: 'Angra dos Reis',
-  mangaratiba: 'Mangaratiba',
-  casa: 'Casa',
-};
-
 const RelatorioFechamento = () => {
   const navigate = useNavigate();
   const { toast } = useToast();
+  const [unidades, setUnidades] = useState([]);
   const [selectedUnit, setSelectedUnit] = useState('todas');
   const [entries, setEntries] = useState([]);
   const [exits, setExits] = useState([]);
@@ -46,7 +38,13 @@ const RelatorioFechamento = () => {
     return Number.isNaN(parsed.getTime()) ? '-' : format(parsed, 'dd/MM/yyyy');
   };
 
-  const unitLabel = unitOptions.find((option) => option.value === selectedUnit)?.label ?? 'Todas';
+  useEffect(() => {
+    listarUnidades({ apenasAtivas: false })
+      .then(setUnidades)
+      .catch((error) => toast({ title: 'Erro ao carregar unidades', description: error.message, variant: 'destructive' }));
+  }, [toast]);
+
+  const unitLabel = selectedUnit === 'todas' ? 'Todas' : selectedUnit;
 
   const totalEntries = useMemo(
     () => entries.reduce((sum, item) => sum + Number(item.valor || 0), 0),
@@ -70,44 +68,46 @@ const RelatorioFechamento = () => {
 
       let entriesQuery = supabase
         .from('lancamentos')
-        .select('id, cliente_fornecedor, data, unidade, valor, tipo, status')
+        .select('id, cliente_fornecedor, data, unidade, descricao, obs, valor, desc_pontual, tipo, status')
         .eq('tipo', 'Entrada')
         .lte('data', endOfCurrentMonthIso)
-        .or('status.is.null,status.neq.Pago');
+        .or('status.is.null,status.not.in.(Pago,Cancelado)');
 
       let exitsQuery = supabase
         .from('lancamentos')
-        .select('id, cliente_fornecedor, data, unidade, valor, tipo, status')
+        .select('id, cliente_fornecedor, data, unidade, descricao, obs, valor, desc_pontual, tipo, status')
         .eq('tipo', 'Saida')
         .lte('data', endOfCurrentMonthIso)
-        .or('status.is.null,status.neq.Pago');
+        .or('status.is.null,status.not.in.(Pago,Cancelado)');
 
       if (selectedUnit !== 'todas') {
-        const searchTerm = unitFilterMap[selectedUnit];
-        const pattern = `%${searchTerm}%`;
-        entriesQuery = entriesQuery.ilike('unidade', pattern);
-        exitsQuery = exitsQuery.ilike('unidade', pattern);
+        entriesQuery = entriesQuery.eq('unidade', selectedUnit);
+        exitsQuery = exitsQuery.eq('unidade', selectedUnit);
       }
 
-      const [{ data: rawEntries, error: entriesError }, { data: rawExits, error: exitsError }] = await Promise.all([
+      const [{ data: rawEntries, error: entriesError }, { data: rawExits, error: exitsError }, regrasPontualidade] = await Promise.all([
         entriesQuery,
         exitsQuery,
+        listarRegrasDescontoPontual(),
       ]);
 
       if (entriesError) throw entriesError;
       if (exitsError) throw exitsError;
 
-      const sanitize = (list) =>
-        (list || [])
+      // `valor` passa a ser o valor esperado: o saldo em aberto, descontadas as
+      // baixas parciais e o desconto de pontualidade ainda valido hoje.
+      const hoje = format(new Date(), 'yyyy-MM-dd');
+      const sanitize = async (list) =>
+        (await anexarSaldos(list || []))
           .filter((item) => item.status !== 'Pago')
           .map((item) => ({
             ...item,
-            valor: Number(item.valor || 0),
+            valor: valorEsperado(item, regrasPontualidade, hoje),
           }))
           .sort((a, b) => new Date(`${a.data}T00:00:00`) - new Date(`${b.data}T00:00:00`));
 
-      setEntries(sanitize(rawEntries));
-      setExits(sanitize(rawExits));
+      setEntries(await sanitize(rawEntries));
+      setExits(await sanitize(rawExits));
       setGeneratedAt(new Date());
       setReportGenerated(true);
     } catch (error) {
@@ -230,9 +230,12 @@ const RelatorioFechamento = () => {
                 <SelectValue placeholder="Selecione a unidade" />
               </SelectTrigger>
               <SelectContent className="bg-white text-slate-900">
-                {unitOptions.map(({ value, label }) => (
-                  <SelectItem key={value} value={value} className="text-slate-900 focus:bg-blue-50">
-                    {label}
+                <SelectItem value="todas" className="text-slate-900 focus:bg-blue-50">
+                  Todas
+                </SelectItem>
+                {unidades.map((unidade) => (
+                  <SelectItem key={unidade.id} value={unidade.descricao} className="text-slate-900 focus:bg-blue-50">
+                    {unidade.descricao}
                   </SelectItem>
                 ))}
               </SelectContent>
@@ -0,0 +1,401 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Check, CheckCircle, FileUp } from 'lucide-react';
+import { format } from 'date-fns';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/contexts/SupabaseAuthContext';
+import { supabase } from '@/lib/customSupabaseClient';
+import { conciliarRetorno, lerArquivoCnab } from '@/lib/cnab';
+import { descontoPontualImplicito } from '@/lib/saldoAberto';
+import { excluirBaixas, registrarBaixa } from '@/services/baixaService';
+import { listarContasBancarias } from '@/services/contaBancariaService';
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'dd/MM/yyyy') : '-');
+
+const PAGE_SIZE = 1000;
+
+// Entradas com nosso numero, paginadas: o PostgREST devolve no maximo 1000
+// linhas por consulta.
+const buscarCandidatos = async () => {
+  const lancamentos = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('lancamentos')
+      .select('id, cliente_fornecedor, aluno, parcel, valor, desc_pontual, status, nosso_numero')
+      .eq('tipo', 'Entrada')
+      .or('status.is.null,status.neq.Cancelado')
+      .not('nosso_numero', 'is', null)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    lancamentos.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return lancamentos;
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const toItem = (retornoId, situacao, { registro, lancamento, motivo = null }) => ({
+  retorno_id: retornoId,
+  linha: registro.linha,
+  nosso_numero: registro.nossoNumero,
+  ocorrencia: registro.ocorrencia,
+  situacao,
+  motivo,
+  lancamento_id: lancamento ? lancamento.id : null,
+  valor_titulo: registro.valorTitulo,
+  valor_pago: registro.valorPago,
+  juros: registro.juros,
+  desconto: registro.desconto,
+  data_pagamento: registro.dataPagamento,
+  data_credito: registro.dataCredito,
+});
+
+const RegistrosTable = ({ items, showMotivo = false }) => (
+  <table className="w-full text-sm text-left text-gray-300">
+    <thead className="text-xs text-gray-400 uppercase bg-white/5">
+      <tr>
+        <th className="px-4 py-2">Linha</th>
+        <th className="px-4 py-2">Nosso Número</th>
+        <th className="px-4 py-2">Lançamento</th>
+        <th className="px-4 py-2">Pagamento</th>
+        <th className="px-4 py-2 text-right">Título</th>
+        <th className="px-4 py-2 text-right">Juros</th>
+        <th className="px-4 py-2 text-right">Desconto</th>
+        <th className="px-4 py-2 text-right">Pago</th>
+        {showMotivo && <th className="px-4 py-2">Motivo</th>}
+      </tr>
+    </thead>
+    <tbody>
+      {items.map(({ registro, lancamento, motivo }) => (
+        <tr key={registro.linha} className="border-b border-gray-700">
+          <td className="px-4 py-2 font-mono">{registro.linha}</td>
+          <td className="px-4 py-2 font-mono">{registro.nossoNumero}</td>
+          <td className="px-4 py-2 text-white">
+            {lancamento ? [lancamento.cliente_fornecedor, lancamento.aluno, lancamento.parcel].filter(Boolean).join(' / ') : '-'}
+          </td>
+          <td className="px-4 py-2">{formatDate(registro.dataPagamento)}</td>
+          <td className="px-4 py-2 text-right font-mono">{formatCurrency(registro.valorTitulo)}</td>
+          <td className="px-4 py-2 text-right font-mono">{formatCurrency(registro.juros)}</td>
+          <td className="px-4 py-2 text-right font-mono">{formatCurrency(registro.desconto)}</td>
+          <td className="px-4 py-2 text-right font-mono text-green-400">{formatCurrency(registro.valorPago)}</td>
+          {showMotivo && <td className="px-4 py-2 text-red-300">{motivo}</td>}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const RetornoCnab = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const fileInputRef = useRef(null);
+  const [arquivo, setArquivo] = useState(null);
+  const [resultado, setResultado] = useState(null);
+  const [pendentes, setPendentes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [contas, setContas] = useState([]);
+  const [contaBancariaId, setContaBancariaId] = useState('');
+
+  const loadPendentes = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('cnab_retorno_itens')
+      .select('*, cnab_retornos(arquivo, processado_em)')
+      .eq('situacao', 'excecao')
+      .is('resolvido_em', null)
+      .order('id', { ascending: false });
+    if (error) {
+      toast({ title: 'Erro ao carregar exceções', description: error.message, variant: 'destructive' });
+      return;
+    }
+    setPendentes(data || []);
+  }, [toast]);
+
+  useEffect(() => {
+    loadPendentes();
+    listarContasBancarias()
+      .then(setContas)
+      .catch((error) => toast({ title: 'Erro ao carregar contas bancárias', description: error.message, variant: 'destructive' }));
+  }, [loadPendentes, toast]);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setLoading(true);
+    setArquivo(null);
+    setResultado(null);
+    try {
+      const retorno = await lerArquivoCnab(file);
+
+      const { data: processado, error: hashError } = await supabase
+        .from('cnab_retornos')
+        .select('processado_em')
+        .eq('hash', retorno.hash)
+        .maybeSingle();
+      if (hashError) throw hashError;
+      if (processado) {
+        throw new Error(`Este arquivo já foi processado em ${format(new Date(processado.processado_em), 'dd/MM/yyyy HH:mm')}.`);
+      }
+
+      const lancamentos = await buscarCandidatos();
+
+      setArquivo({ nome: file.name, ...retorno });
+      const contasDoBanco = contas.filter((conta) => String(conta.banco ?? '').trim().startsWith(retorno.banco));
+      if (contasDoBanco.length === 1) {
+        setContaBancariaId(String(contasDoBanco[0].id));
+      }
+      setResultado(conciliarRetorno(retorno.registros, lancamentos || []));
+    } catch (error) {
+      console.error('Erro ao ler arquivo de retorno', error);
+      toast({ title: 'Erro no arquivo de retorno', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleProcess = async () => {
+    if (!contaBancariaId) {
+      toast({ title: 'Erro de Validação', description: 'Selecione a conta bancária do retorno.', variant: 'destructive' });
+      return;
+    }
+
+    setSaving(true);
+    let retorno = null;
+    const baixaIds = [];
+    try {
+      // O cabecalho vai primeiro: o hash unico impede que o mesmo arquivo seja
+      // processado duas vezes ao mesmo tempo. Se algo falhar depois, ele e as
+      // baixas ja gravadas sao desfeitos abaixo.
+      const { data: cabecalho, error } = await supabase
+        .from('cnab_retornos')
+        .insert([{
+          arquivo: arquivo.nome,
+          hash: arquivo.hash,
+          layout: arquivo.layout,
+          banco: arquivo.banco,
+          usuario_id: user?.id ?? null,
+          liquidados: resultado.liquidar.length,
+          excecoes: resultado.excecoes.length,
+          ignorados: resultado.ignorados,
+        }])
+        .select('id')
+        .single();
+      if (error) throw error;
+      retorno = cabecalho;
+
+      for (const { registro, lancamento } of resultado.liquidar) {
+        const amortizado = registro.valorPago - registro.juros + registro.desconto;
+        const baixa = await registrarBaixa(lancamento, {
+          dataPagamento: registro.dataPagamento,
+          valorPago: registro.valorPago,
+          juros: registro.juros,
+          multa: 0,
+          desconto: registro.desconto,
+          descPontual: descontoPontualImplicito(lancamento, amortizado),
+          contaBancariaId: Number(contaBancariaId),
+          obs: `Retorno CNAB ${arquivo.nome} - nosso número ${registro.nossoNumero}`,
+          userId: user?.id,
+        });
+        baixaIds.push(baixa.id);
+      }
+
+      const itens = [
+        ...resultado.liquidar.map((item) => toItem(retorno.id, 'liquidado', item)),
+        ...resultado.excecoes.map((item) => toItem(retorno.id, 'excecao', item)),
+      ];
+      for (const lote of chunk(itens, 500)) {
+        const { error: itensError } = await supabase.from('cnab_retorno_itens').insert(lote);
+        if (itensError) throw itensError;
+      }
+
+      toast({
+        title: 'Sucesso!',
+        description: `${resultado.liquidar.length} título(s) baixados e ${resultado.excecoes.length} exceção(ões) registradas.`,
+      });
+      setArquivo(null);
+      setResultado(null);
+      loadPendentes();
+    } catch (error) {
+      let falhaAoDesfazer = '';
+      if (retorno) {
+        try {
+          await excluirBaixas(baixaIds);
+          const { error: deleteError } = await supabase.from('cnab_retornos').delete().eq('id', retorno.id);
+          if (deleteError) throw deleteError;
+        } catch (rollbackError) {
+          console.error('Erro ao desfazer o processamento do retorno', rollbackError);
+          falhaAoDesfazer = ` O processamento não pôde ser desfeito (${rollbackError.message}): ` +
+            `confira as ${baixaIds.length} baixa(s) já gravadas do arquivo ${arquivo.nome}.`;
+        }
+      }
+      toast({ title: 'Erro ao processar retorno', description: `${error.message}${falhaAoDesfazer}`, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleResolver = async (id) => {
+    const { error } = await supabase
+      .from('cnab_retorno_itens')
+      .update({ resolvido_em: new Date().toISOString(), resolvido_por: user?.id ?? null })
+      .eq('id', id);
+    if (error) {
+      toast({ title: 'Erro', description: 'Não foi possível marcar a exceção como resolvida.', variant: 'destructive' });
+      return;
+    }
+    setPendentes((prev) => prev.filter((item) => item.id !== id));
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>Retorno CNAB - SysFina</title>
+        <meta name="description" content="Baixa de boletos a partir dos arquivos de retorno CNAB 240/400." />
+      </Helmet>
+
+      <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/financeiro')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Retorno de Cobrança (CNAB)</h1>
+            <span className="text-sm text-gray-300">Baixe os boletos liquidados pelo nosso número do arquivo de retorno do banco.</span>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Select value={contaBancariaId} onValueChange={setContaBancariaId}>
+            <SelectTrigger className="w-56 bg-white/10 border-white/20 text-white">
+              <SelectValue placeholder="Conta bancária" />
+            </SelectTrigger>
+            <SelectContent>
+              {contas.map((conta) => (
+                <SelectItem key={conta.id} value={String(conta.id)}>{conta.descricao}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <input ref={fileInputRef} type="file" accept=".ret,.txt,.crt" className="hidden" onChange={handleFileChange} />
+          <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={loading || saving}>
+            <FileUp className="w-4 h-4 mr-2" />
+            {arquivo ? 'Trocar arquivo' : 'Escolher retorno'}
+          </Button>
+          <Button onClick={handleProcess} disabled={!resultado || loading || saving}>
+            <CheckCircle className="w-4 h-4 mr-2" />
+            {saving ? 'Processando...' : 'Processar retorno'}
+          </Button>
+        </div>
+      </div>
+
+      {loading && (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      )}
+
+      {arquivo && resultado && !loading && (
+        <>
+          <Card className="glass-card">
+            <CardContent className="p-4 text-sm text-gray-300">
+              <span className="font-mono text-white">{arquivo.nome}</span>
+              {' · '}CNAB {arquivo.layout} · {arquivo.nomeBanco}
+              {' · '}{resultado.liquidar.length} a baixar, {resultado.excecoes.length} exceção(ões),
+              {' '}{resultado.ignorados} registro(s) sem liquidação ignorados.
+            </CardContent>
+          </Card>
+
+          <Card className="glass-card">
+            <CardHeader>
+              <CardTitle className="text-white">A baixar</CardTitle>
+              <p className="text-sm text-gray-400">Lançamentos de Entrada que serão marcados como pagos na data do pagamento.</p>
+            </CardHeader>
+            <CardContent>
+              {resultado.liquidar.length === 0
+                ? <p className="text-sm text-gray-500">Nenhum registro.</p>
+                : <div className="max-h-96 overflow-auto"><RegistrosTable items={resultado.liquidar} /></div>}
+            </CardContent>
+          </Card>
+
+          <Card className="glass-card">
+            <CardHeader>
+              <CardTitle className="text-white">Exceções</CardTitle>
+              <p className="text-sm text-gray-400">Liquidações que não puderam ser baixadas. Ficam registradas para análise.</p>
+            </CardHeader>
+            <CardContent>
+              {resultado.excecoes.length === 0
+                ? <p className="text-sm text-gray-500">Nenhum registro.</p>
+                : <div className="max-h-96 overflow-auto"><RegistrosTable items={resultado.excecoes} showMotivo /></div>}
+            </CardContent>
+          </Card>
+        </>
+      )}
+
+      <Card className="glass-card">
+        <CardHeader>
+          <CardTitle className="text-white flex items-center justify-between">
+            <span>Exceções pendentes</span>
+            <span className="text-sm font-medium text-gray-400">{pendentes.length} registro(s)</span>
+          </CardTitle>
+          <p className="text-sm text-gray-400">Registros de retornos anteriores aguardando tratamento manual.</p>
+        </CardHeader>
+        <CardContent>
+          {pendentes.length === 0 ? (
+            <p className="text-sm text-gray-500">Nenhuma exceção pendente.</p>
+          ) : (
+            <div className="max-h-96 overflow-auto">
+              <table className="w-full text-sm text-left text-gray-300">
+                <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                  <tr>
+                    <th className="px-4 py-2">Arquivo</th>
+                    <th className="px-4 py-2">Nosso Número</th>
+                    <th className="px-4 py-2">Pagamento</th>
+                    <th className="px-4 py-2 text-right">Pago</th>
+                    <th className="px-4 py-2">Motivo</th>
+                    <th className="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pendentes.map((item) => (
+                    <tr key={item.id} className="border-b border-gray-700">
+                      <td className="px-4 py-2">{item.cnab_retornos?.arquivo || '-'} (linha {item.linha})</td>
+                      <td className="px-4 py-2 font-mono">{item.nosso_numero}</td>
+                      <td className="px-4 py-2">{formatDate(item.data_pagamento)}</td>
+                      <td className="px-4 py-2 text-right font-mono">{formatCurrency(item.valor_pago)}</td>
+                      <td className="px-4 py-2 text-red-300">{item.motivo}</td>
+                      <td className="px-4 py-2 text-right">
+                        <Button size="sm" variant="outline" onClick={() => handleResolver(item.id)}>
+                          <Check className="w-4 h-4 mr-2" />
+                          Resolvida
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default RetornoCnab;
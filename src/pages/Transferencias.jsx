@@ -0,0 +1,238 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, ArrowRightLeft, RefreshCw, Trash2 } from 'lucide-react';
+import { format } from 'date-fns';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/contexts/SupabaseAuthContext';
+import { listarContasBancarias } from '@/services/contaBancariaService';
+import { excluirTransferencia, listarTransferencias, registrarTransferencia } from '@/services/transferenciaService';
+
+const formatCurrency = (value) => Number(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'dd/MM/yyyy') : '-');
+const parseValor = (value) => Number(String(value || '').replace(/\./g, '').replace(',', '.'));
+const descreverConta = (conta) => (conta ? [conta.descricao, conta.unidade].filter(Boolean).join(' - ') : '-');
+
+const novaTransferencia = () => ({
+  data: format(new Date(), 'yyyy-MM-dd'),
+  valor: '',
+  contaOrigemId: '',
+  contaDestinoId: '',
+  obs: '',
+});
+
+const Transferencias = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const [contas, setContas] = useState([]);
+  const [transferencias, setTransferencias] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(novaTransferencia);
+  const [confirmandoExclusao, setConfirmandoExclusao] = useState(null);
+
+  const loadTransferencias = useCallback(async () => {
+    setLoading(true);
+    try {
+      setTransferencias(await listarTransferencias());
+    } catch (error) {
+      toast({ title: 'Erro ao carregar transferências', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    loadTransferencias();
+    listarContasBancarias()
+      .then(setContas)
+      .catch((error) => toast({ title: 'Erro ao carregar contas bancárias', description: error.message, variant: 'destructive' }));
+  }, [loadTransferencias, toast]);
+
+  const updateForm = (campo) => (value) => setForm((prev) => ({ ...prev, [campo]: value }));
+
+  const handleRegistrar = async () => {
+    setSaving(true);
+    try {
+      await registrarTransferencia({
+        data: form.data,
+        valor: parseValor(form.valor),
+        contaOrigemId: form.contaOrigemId ? Number(form.contaOrigemId) : null,
+        contaDestinoId: form.contaDestinoId ? Number(form.contaDestinoId) : null,
+        obs: form.obs.trim(),
+        userId: user?.id,
+      });
+      toast({ title: 'Transferência registrada', description: `${formatCurrency(parseValor(form.valor))} em ${formatDate(form.data)}.` });
+      setForm(novaTransferencia());
+      loadTransferencias();
+    } catch (error) {
+      toast({ title: 'Erro ao registrar transferência', description: error.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExcluir = async (id) => {
+    setSaving(true);
+    try {
+      await excluirTransferencia(id);
+      toast({ title: 'Transferência excluída' });
+      setConfirmandoExclusao(null);
+      loadTransferencias();
+    } catch (error) {
+      toast({ title: 'Erro ao excluir transferência', description: error.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderContaSelect = (campo, placeholder) => (
+    <Select value={form[campo]} onValueChange={updateForm(campo)}>
+      <SelectTrigger className="bg-white/10 border-white/20 text-white">
+        <SelectValue placeholder={contas.length ? placeholder : 'Cadastre uma conta em Cadastros'} />
+      </SelectTrigger>
+      <SelectContent>
+        {contas.map((conta) => (
+          <SelectItem key={conta.id} value={String(conta.id)}>{descreverConta(conta)}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+      <Helmet>
+        <title>Transferências - SysFina</title>
+        <meta name="description" content="Transferências entre contas bancárias e unidades." />
+      </Helmet>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/financeiro')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Transferências</h1>
+            <span className="text-sm text-gray-300">Movimente dinheiro entre contas e unidades sem lançar receitas ou despesas.</span>
+          </div>
+        </div>
+        <Button variant="outline" onClick={loadTransferencias} disabled={loading}>
+          <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Atualizar
+        </Button>
+      </div>
+
+      <Card className="glass-card">
+        <CardHeader>
+          <CardTitle className="text-white">Nova transferência</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div className="space-y-2">
+              <Label className="text-gray-300">Conta de origem</Label>
+              {renderContaSelect('contaOrigemId', 'Selecione a origem')}
+            </div>
+            <div className="space-y-2">
+              <Label className="text-gray-300">Conta de destino</Label>
+              {renderContaSelect('contaDestinoId', 'Selecione o destino')}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="transferencia-data" className="text-gray-300">Data</Label>
+              <Input
+                id="transferencia-data"
+                type="date"
+                value={form.data}
+                onChange={(e) => updateForm('data')(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="transferencia-valor" className="text-gray-300">Valor</Label>
+              <Input
+                id="transferencia-valor"
+                inputMode="decimal"
+                placeholder="0,00"
+                value={form.valor}
+                onChange={(e) => updateForm('valor')(e.target.value)}
+              />
+            </div>
+          </div>
+          <div className="flex flex-col md:flex-row gap-4 md:items-end">
+            <div className="space-y-2 flex-1">
+              <Label htmlFor="transferencia-obs" className="text-gray-300">Observação</Label>
+              <Input id="transferencia-obs" value={form.obs} onChange={(e) => updateForm('obs')(e.target.value)} />
+            </div>
+            <Button onClick={handleRegistrar} disabled={saving}>
+              <ArrowRightLeft className="w-4 h-4 mr-2" />
+              {saving ? 'Registrando...' : 'Registrar transferência'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card className="glass-card">
+        <CardHeader>
+          <CardTitle className="text-white">Transferências recentes</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {transferencias.length === 0 ? (
+            <p className="text-sm text-gray-500">{loading ? 'Carregando...' : 'Nenhuma transferência registrada.'}</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-gray-300">
+                <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                  <tr>
+                    <th className="px-4 py-2">Data</th>
+                    <th className="px-4 py-2">Origem</th>
+                    <th className="px-4 py-2">Destino</th>
+                    <th className="px-4 py-2">Observação</th>
+                    <th className="px-4 py-2 text-right">Valor</th>
+                    <th className="px-4 py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {transferencias.map((transferencia) => (
+                    <tr key={transferencia.id} className="border-b border-gray-700">
+                      <td className="px-4 py-2 whitespace-nowrap">{formatDate(transferencia.data)}</td>
+                      <td className="px-4 py-2">{descreverConta(transferencia.conta_origem)}</td>
+                      <td className="px-4 py-2">{descreverConta(transferencia.conta_destino)}</td>
+                      <td className="px-4 py-2">{transferencia.obs || '-'}</td>
+                      <td className="px-4 py-2 text-right font-mono">{formatCurrency(transferencia.valor)}</td>
+                      <td className="px-4 py-2 text-right whitespace-nowrap">
+                        {confirmandoExclusao === transferencia.id ? (
+                          <div className="flex justify-end gap-2">
+                            <Button variant="outline" size="sm" onClick={() => setConfirmandoExclusao(null)} disabled={saving}>
+                              Cancelar
+                            </Button>
+                            <Button variant="destructive" size="sm" onClick={() => handleExcluir(transferencia.id)} disabled={saving}>
+                              Confirmar exclusão
+                            </Button>
+                          </div>
+                        ) : (
+                          <Button variant="ghost" size="icon" onClick={() => setConfirmandoExclusao(transferencia.id)} disabled={saving}>
+                            <Trash2 className="w-4 h-4 text-red-400" />
+                            <span className="sr-only">Excluir</span>
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default Transferencias;
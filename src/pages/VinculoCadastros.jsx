@@ -0,0 +1,278 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { ArrowLeft, ChevronLeft, ChevronRight, Link2 } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import ClienteFornecedorCombobox from '@/components/forms/ClienteFornecedorCombobox';
+import { sugerirCadastros } from '@/lib/vinculoCadastro';
+import { salvarClienteFornecedor } from '@/services/clienteFornecedorService';
+import { listarUnidades } from '@/services/unidadeService';
+import {
+  listarCadastrosAtivos,
+  listarNomesSemVinculo,
+  listarUnidadesSemVinculo,
+  vincularNome,
+  vincularUnidade,
+} from '@/services/vinculoCadastroService';
+
+const TIPO_CADASTRO = { Entrada: 'Cliente', Saida: 'Fornecedor' };
+const POR_PAGINA = 50;
+const NOVO = 'novo';
+const OUTRO = 'outro';
+
+const formatPercentual = (value) => `${Math.round(value * 100)}%`;
+const chaveLinha = (linha) => `${linha.tipo ?? 'unidade'}|${linha.nome}`;
+
+// Ferramenta de migracao dos nomes digitados ou importados para os cadastros:
+// cada grafia sem vinculo recebe sugestoes por semelhanca e so e ligada depois
+// que o usuario confirma. Nomes identicos a um unico cadastro ja o banco liga.
+const VinculoCadastros = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [aba, setAba] = useState('nomes');
+  const [nomes, setNomes] = useState([]);
+  const [cadastros, setCadastros] = useState([]);
+  const [unidadesSemVinculo, setUnidadesSemVinculo] = useState([]);
+  const [unidades, setUnidades] = useState([]);
+  const [escolhas, setEscolhas] = useState({});
+  const [pagina, setPagina] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(false);
+
+  const carregar = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [nomesData, cadastrosData, unidadesSemVinculoData, unidadesData] = await Promise.all([
+        listarNomesSemVinculo(),
+        listarCadastrosAtivos(),
+        listarUnidadesSemVinculo(),
+        listarUnidades({ apenasAtivas: false }),
+      ]);
+      setNomes(nomesData);
+      setCadastros(cadastrosData);
+      setUnidadesSemVinculo(unidadesSemVinculoData);
+      setUnidades(unidadesData);
+      setEscolhas({});
+    } catch (error) {
+      toast({ title: 'Erro ao carregar vínculos', description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    carregar();
+  }, [carregar]);
+
+  useEffect(() => {
+    setPagina(1);
+  }, [aba]);
+
+  const linhas = aba === 'nomes' ? nomes : unidadesSemVinculo;
+  const totalPaginas = Math.max(1, Math.ceil(linhas.length / POR_PAGINA));
+
+  // Sugestoes so da pagina visivel: a comparacao percorre todos os cadastros.
+  const linhasDaPagina = useMemo(() => linhas
+    .slice((pagina - 1) * POR_PAGINA, pagina * POR_PAGINA)
+    .map((linha) => {
+      const candidatos = aba === 'nomes'
+        ? cadastros.filter((cadastro) => cadastro.tipo === TIPO_CADASTRO[linha.tipo])
+        : unidades;
+      const { sugestoes, exato } = sugerirCadastros(linha.nome, candidatos);
+      const sugerido = exato || sugestoes[0]?.cadastro || null;
+      return { ...linha, chave: chaveLinha(linha), sugestoes, exato, sugerido };
+    }), [linhas, pagina, aba, cadastros, unidades]);
+
+  // Sem escolha do usuario vale a sugestao; so o cadastro identico vem confirmado.
+  const escolhaDa = (linha) => escolhas[linha.chave] ?? {
+    opcao: linha.sugerido ? String(linha.sugerido.id) : aba === 'nomes' ? NOVO : '',
+    manual: null,
+    confirmado: Boolean(linha.exato),
+  };
+
+  const alterarEscolha = (linha, alteracoes) =>
+    setEscolhas((atual) => ({ ...atual, [linha.chave]: { ...escolhaDa(linha), ...alteracoes } }));
+
+  const confirmadas = linhasDaPagina.filter((linha) => {
+    const escolha = escolhaDa(linha);
+    return escolha.confirmado && (escolha.opcao === OUTRO ? escolha.manual : escolha.opcao);
+  });
+
+  const handleVincular = async () => {
+    setProcessing(true);
+    let vinculados = 0;
+    try {
+      for (const linha of confirmadas) {
+        const escolha = escolhaDa(linha);
+        if (aba === 'unidades') {
+          vinculados += await vincularUnidade({ nome: linha.nome, unidadeId: Number(escolha.opcao) });
+          continue;
+        }
+        let cadastroId = escolha.opcao === OUTRO ? escolha.manual.id : Number(escolha.opcao);
+        if (escolha.opcao === NOVO) {
+          const novo = await salvarClienteFornecedor({ tipo: TIPO_CADASTRO[linha.tipo], descricao: linha.nome });
+          cadastroId = novo.id;
+        }
+        vinculados += await vincularNome({ tipo: linha.tipo, nome: linha.nome, cadastroId });
+      }
+      toast({ title: 'Sucesso!', description: `${vinculados} lançamento(s) vinculado(s).` });
+    } catch (error) {
+      toast({
+        title: 'Erro ao vincular',
+        description: `${error.message} ${vinculados} lançamento(s) já tinham sido vinculados.`,
+        variant: 'destructive',
+      });
+    } finally {
+      setProcessing(false);
+      await carregar();
+    }
+  };
+
+  const renderOpcoes = (linha) => (
+    <SelectContent>
+      {linha.sugestoes.map(({ cadastro, similaridade }) => (
+        <SelectItem key={cadastro.id} value={String(cadastro.id)}>
+          {cadastro.descricao} ({formatPercentual(similaridade)})
+        </SelectItem>
+      ))}
+      {aba === 'nomes' ? (
+        <>
+          <SelectItem value={OUTRO}>Buscar outro cadastro...</SelectItem>
+          <SelectItem value={NOVO}>Cadastrar este nome</SelectItem>
+        </>
+      ) : unidades
+        .filter((unidade) => !linha.sugestoes.some(({ cadastro }) => cadastro.id === unidade.id))
+        .map((unidade) => (
+          <SelectItem key={unidade.id} value={String(unidade.id)}>{unidade.descricao}</SelectItem>
+        ))}
+    </SelectContent>
+  );
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-8"
+    >
+      <Helmet>
+        <title>Vincular Cadastros - SysFina</title>
+        <meta name="description" content="Vincula os nomes dos lançamentos aos cadastros de clientes, fornecedores e unidades." />
+      </Helmet>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" className="h-10 w-10" onClick={() => navigate('/cadastros')}>
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Voltar</span>
+          </Button>
+          <div className="flex flex-col">
+            <h1 className="text-3xl font-bold gradient-text">Vincular Cadastros</h1>
+            <span className="text-sm text-gray-300">Confirme o cadastro de cada nome digitado ou importado nos lançamentos.</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <Button variant={aba === 'nomes' ? 'default' : 'outline'} onClick={() => setAba('nomes')}>
+          Clientes e fornecedores ({nomes.length})
+        </Button>
+        <Button variant={aba === 'unidades' ? 'default' : 'outline'} onClick={() => setAba('unidades')}>
+          Unidades ({unidadesSemVinculo.length})
+        </Button>
+      </div>
+
+      <Card className="glass-card">
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle className="text-white">
+            {aba === 'nomes' ? 'Nomes sem cadastro' : 'Unidades sem cadastro'}
+          </CardTitle>
+          <Button onClick={handleVincular} disabled={processing || confirmadas.length === 0}>
+            <Link2 className="w-4 h-4 mr-2" />
+            {processing ? 'Vinculando...' : `Vincular confirmados (${confirmadas.length})`}
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left text-gray-300">
+              <thead className="text-xs text-gray-400 uppercase bg-white/5">
+                <tr>
+                  <th className="px-4 py-2">Confirmar</th>
+                  <th className="px-4 py-2">Nome no lançamento</th>
+                  {aba === 'nomes' && <th className="px-4 py-2">Tipo</th>}
+                  <th className="px-4 py-2 text-right">Lançamentos</th>
+                  <th className="px-4 py-2">Cadastro</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr><td colSpan="5" className="px-4 py-6 text-center text-gray-400">Carregando...</td></tr>
+                ) : linhasDaPagina.length === 0 ? (
+                  <tr><td colSpan="5" className="px-4 py-6 text-center text-gray-400">Todos os lançamentos estão vinculados.</td></tr>
+                ) : linhasDaPagina.map((linha) => {
+                  const escolha = escolhaDa(linha);
+                  return (
+                    <tr key={linha.chave} className="border-b border-gray-700">
+                      <td className="px-4 py-2">
+                        <input
+                          type="checkbox"
+                          checked={escolha.confirmado}
+                          onChange={(event) => alterarEscolha(linha, { confirmado: event.target.checked })}
+                          disabled={processing}
+                        />
+                      </td>
+                      <td className="px-4 py-2 text-white">{linha.nome}</td>
+                      {aba === 'nomes' && <td className="px-4 py-2">{TIPO_CADASTRO[linha.tipo]}</td>}
+                      <td className="px-4 py-2 text-right font-mono">{linha.lancamentos}</td>
+                      <td className="px-4 py-2 min-w-[18rem] space-y-2">
+                        <Select
+                          value={escolha.opcao}
+                          onValueChange={(opcao) => alterarEscolha(linha, { opcao, manual: null })}
+                          disabled={processing}
+                        >
+                          <SelectTrigger>
+                            <SelectValue placeholder="Selecione" />
+                          </SelectTrigger>
+                          {renderOpcoes(linha)}
+                        </Select>
+                        {escolha.opcao === OUTRO && (
+                          <ClienteFornecedorCombobox
+                            tipo={TIPO_CADASTRO[linha.tipo]}
+                            value={escolha.manual}
+                            onChange={(manual) => alterarEscolha(linha, { manual })}
+                            disabled={processing}
+                          />
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex items-center justify-between text-sm text-gray-400">
+            <span>{linhas.length} nome(s) sem cadastro</span>
+            <div className="flex items-center gap-2">
+              <Button size="icon" variant="outline" className="h-8 w-8" onClick={() => setPagina((atual) => atual - 1)} disabled={pagina <= 1 || loading}>
+                <ChevronLeft className="h-4 w-4" />
+                <span className="sr-only">Página anterior</span>
+              </Button>
+              <span>Página {pagina} de {totalPaginas}</span>
+              <Button size="icon" variant="outline" className="h-8 w-8" onClick={() => setPagina((atual) => atual + 1)} disabled={pagina >= totalPaginas || loading}>
+                <ChevronRight className="h-4 w-4" />
+                <span className="sr-only">Próxima página</span>
+              </Button>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default VinculoCadastros;
@@ -0,0 +1,215 @@
+import { supabase } from '@/lib/customSupabaseClient';
+import { aplicarSaldos, calcularSaldo, estornada } from '@/lib/saldoAberto';
+
+const arredondar = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Valor a pagar: o valor original menos os descontos, mais juros e multa.
+export const calcularValorPago = ({ valor, juros = 0, multa = 0, desconto = 0, descPontual = 0 }) =>
+  arredondar(Number(valor || 0) - Number(desconto || 0) - Number(descPontual || 0) + Number(juros || 0) + Number(multa || 0));
+
+const LOTE_IDS = 200;
+const PAGE_SIZE = 1000;
+
+export const listarBaixas = async (lancamentoIds) => {
+  const ids = [...new Set(lancamentoIds.map(String))];
+  const baixas = [];
+
+  for (let i = 0; i < ids.length; i += LOTE_IDS) {
+    const { data, error } = await supabase
+      .from('baixas')
+      .select('*, conta_bancaria:contas_bancarias (descricao), estorno:estornos (id, data, motivo, usuario_id, created_at)')
+      .in('lancamento_id', ids.slice(i, i + LOTE_IDS))
+      .order('data_pagamento');
+    if (error) {
+      throw new Error(error.message || 'Não foi possível carregar as baixas.');
+    }
+    baixas.push(...(data || []));
+  }
+
+  return baixas;
+};
+
+// Baixas pagas no periodo com o `tipo` e a `obs` do lancamento, para separar
+// principal e encargos recebidos dos pagos. Baixas estornadas ficam de fora.
+export const listarBaixasDoPeriodo = async ({ inicio, fim }) => {
+  const doPeriodo = [];
+  let from = 0;
+
+  for (;;) {
+    const { data, error } = await supabase
+      .from('baixas')
+      .select('id, lancamento_id, data_pagamento, valor_pago, juros, multa, estorno:estornos (id)')
+      .gte('data_pagamento', inicio)
+      .lte('data_pagamento', fim)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      throw new Error(error.message || 'Não foi possível carregar as baixas do período.');
+    }
+    doPeriodo.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+    from += PAGE_SIZE;
+  }
+
+  const baixas = doPeriodo.filter((baixa) => !estornada(baixa));
+  const ids = [...new Set(baixas.map((baixa) => String(baixa.lancamento_id)))];
+  const porId = new Map();
+  for (let i = 0; i < ids.length; i += LOTE_IDS) {
+    const { data: lancamentos, error: lancamentosError } = await supabase
+      .from('lancamentos')
+      .select('id, tipo, obs')
+      .in('id', ids.slice(i, i + LOTE_IDS));
+    if (lancamentosError) {
+      throw new Error(lancamentosError.message || 'Não foi possível carregar os lançamentos das baixas.');
+    }
+    (lancamentos || []).forEach((lancamento) => porId.set(String(lancamento.id), lancamento));
+  }
+
+  return baixas.map((baixa) => {
+    const lancamento = porId.get(String(baixa.lancamento_id));
+    return { ...baixa, tipo: lancamento?.tipo || null, obs: lancamento?.obs || null };
+  });
+};
+
+// Completa os lancamentos com `saldo`, `valor_baixado` e status derivado; so os
+// titulos ainda nao pagos precisam das baixas.
+export const anexarSaldos = async (lancamentos) => {
+  const abertos = lancamentos.filter((lancamento) => lancamento.status !== 'Pago').map((lancamento) => lancamento.id);
+  const baixas = abertos.length ? await listarBaixas(abertos) : [];
+  return aplicarSaldos(lancamentos, baixas);
+};
+
+// Recalcula status e `datapag` do lancamento pelas baixas nao estornadas: sem
+// baixas volta a 'A Vencer', quitado fica com a data da ultima baixa.
+// Lancamentos cancelados nao mudam de situacao.
+export const atualizarSituacao = async (lancamento) => {
+  if (lancamento.status === 'Cancelado') {
+    return { valorBaixado: 0, saldo: 0, status: 'Cancelado' };
+  }
+  const baixas = (await listarBaixas([lancamento.id])).filter((baixa) => !estornada(baixa));
+  const saldo = calcularSaldo({ ...lancamento, status: 'A Vencer' }, baixas);
+  const datapag = saldo.status === 'Pago' ? baixas[baixas.length - 1].data_pagamento : null;
+
+  const { error } = await supabase
+    .from('lancamentos')
+    .update({ status: saldo.status, datapag })
+    .eq('id', lancamento.id);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível atualizar o lançamento.');
+  }
+  return saldo;
+};
+
+// Grava a baixa com os valores pagos e recalcula a situacao do lancamento:
+// quitado vira 'Pago', senao 'Parcial'. O `valor` original nao e alterado.
+export const registrarBaixa = async (lancamento, { dataPagamento, valorPago, juros, multa, desconto, descPontual, contaBancariaId, obs, userId }) => {
+  if (lancamento.status === 'Cancelado') {
+    throw new Error('Lançamentos cancelados não podem receber baixas.');
+  }
+
+  const { data: baixa, error } = await supabase
+    .from('baixas')
+    .insert([{
+      lancamento_id: lancamento.id,
+      data_pagamento: dataPagamento,
+      valor_pago: arredondar(valorPago),
+      juros: arredondar(juros),
+      multa: arredondar(multa),
+      desconto: arredondar(desconto),
+      desc_pontual: arredondar(descPontual),
+      conta_bancaria_id: contaBancariaId ?? null,
+      obs: obs || null,
+      usuario_id: userId ?? null,
+    }])
+    .select('*')
+    .single();
+  if (error) {
+    throw new Error(error.message || 'Não foi possível registrar a baixa.');
+  }
+
+  try {
+    const { saldo, status } = await atualizarSituacao(lancamento);
+    return { ...baixa, saldo, status };
+  } catch (updateError) {
+    await supabase.from('baixas').delete().eq('id', baixa.id);
+    throw updateError;
+  }
+};
+
+// Remove as baixas e reabre os lancamentos afetados conforme o que sobrou.
+export const excluirBaixas = async (baixaIds) => {
+  if (baixaIds.length === 0) return;
+
+  const { data: baixas, error: selectError } = await supabase
+    .from('baixas')
+    .select('id, lancamento_id')
+    .in('id', baixaIds);
+  if (selectError) {
+    throw new Error(selectError.message || 'Não foi possível carregar as baixas.');
+  }
+
+  const { error } = await supabase.from('baixas').delete().in('id', baixaIds);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível excluir as baixas.');
+  }
+
+  const lancamentoIds = [...new Set((baixas || []).map((baixa) => baixa.lancamento_id))];
+  if (lancamentoIds.length === 0) return;
+
+  const { data: lancamentos, error: lancamentosError } = await supabase
+    .from('lancamentos')
+    .select('id, valor, status')
+    .in('id', lancamentoIds);
+  if (lancamentosError) {
+    throw new Error(lancamentosError.message || 'Não foi possível carregar os lançamentos.');
+  }
+
+  for (const lancamento of lancamentos || []) {
+    await atualizarSituacao(lancamento);
+  }
+};
+
+// Estorna a baixa sem apaga-la: o estorno lanca o movimento contrario na conta,
+// na data informada, e o lancamento volta a ficar em aberto pelo que sobrou.
+// Usado direto pela devolucao de cheques compensados.
+export const registrarEstorno = async (baixa, lancamento, { data, motivo, userId }) => {
+  if (estornada(baixa)) {
+    throw new Error('Esta baixa já foi estornada.');
+  }
+  if (!data || !motivo?.trim()) {
+    throw new Error('Informe a data e o motivo do estorno.');
+  }
+
+  const { data: estorno, error } = await supabase
+    .from('estornos')
+    .insert([{ baixa_id: baixa.id, data, motivo: motivo.trim(), usuario_id: userId ?? null }])
+    .select('*')
+    .single();
+  if (error) {
+    throw new Error(error.message || 'Não foi possível estornar a baixa.');
+  }
+
+  try {
+    return { ...estorno, ...(await atualizarSituacao(lancamento)) };
+  } catch (updateError) {
+    await supabase.from('estornos').delete().eq('id', estorno.id);
+    throw updateError;
+  }
+};
+
+// Baixas de cheques se desfazem pela devolucao do cheque.
+export const estornarBaixa = async (baixa, lancamento, opcoes) => {
+  const { data: cheques, error: chequesError } = await supabase
+    .from('cheques')
+    .select('id, numero')
+    .eq('baixa_id', baixa.id)
+    .limit(1);
+  if (chequesError) {
+    throw new Error(chequesError.message || 'Não foi possível verificar os cheques da baixa.');
+  }
+  if (cheques?.length) {
+    throw new Error(`A baixa veio do cheque ${cheques[0].numero}; registre a devolução do cheque.`);
+  }
+
+  return registrarEstorno(baixa, lancamento, opcoes);
+};
@@ -0,0 +1,264 @@
+import { supabase } from '@/lib/customSupabaseClient';
+import { estornada, valorAmortizado } from '@/lib/saldoAberto';
+import { anexarSaldos, atualizarSituacao, estornarBaixa, excluirBaixas, listarBaixas, registrarBaixa } from '@/services/baixaService';
+
+const CAMPOS_LANCAMENTO = 'id, tipo, data, cliente_fornecedor, aluno, descricao, valor, desc_pontual, unidade, status';
+
+export const formatNumeroBordero = (numero) => String(numero ?? '').padStart(6, '0');
+
+export const listarBorderos = async ({ limite = 100 } = {}) => {
+  const { data, error } = await supabase
+    .from('borderos')
+    .select('*, conta_bancaria:contas_bancarias (descricao), itens:bordero_itens (valor_pago)')
+    .order('numero', { ascending: false })
+    .limit(limite);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar os borderôs.');
+  }
+  return data || [];
+};
+
+export const criarBordero = async ({ tipo, dataPagamento, contaBancariaId, obs, userId }) => {
+  const { data, error } = await supabase
+    .from('borderos')
+    .insert([{
+      tipo,
+      data_pagamento: dataPagamento,
+      conta_bancaria_id: contaBancariaId ?? null,
+      obs: obs || null,
+      criado_por: userId ?? null,
+    }])
+    .select('*')
+    .single();
+  if (error) {
+    throw new Error(error.message || 'Não foi possível criar o borderô.');
+  }
+  return data;
+};
+
+const buscarLancamentosDosItens = async (itens) => {
+  if (itens.length === 0) return [];
+  const { data, error } = await supabase
+    .from('lancamentos')
+    .select(CAMPOS_LANCAMENTO)
+    .in('id', itens.map((item) => item.lancamento_id));
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar os lançamentos do borderô.');
+  }
+  return anexarSaldos(data || []);
+};
+
+// Cabecalho, itens e os lancamentos dos itens ja com o saldo em aberto.
+export const carregarBordero = async (id) => {
+  const { data: bordero, error } = await supabase
+    .from('borderos')
+    .select('*, conta_bancaria:contas_bancarias (descricao, banco, agencia, conta)')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar o borderô.');
+  }
+  if (!bordero) {
+    throw new Error('Borderô não encontrado.');
+  }
+
+  const { data: itens, error: itensError } = await supabase
+    .from('bordero_itens')
+    .select('*')
+    .eq('bordero_id', id)
+    .order('id');
+  if (itensError) {
+    throw new Error(itensError.message || 'Não foi possível carregar os itens do borderô.');
+  }
+
+  const lancamentos = await buscarLancamentosDosItens(itens || []);
+  return { bordero, itens: itens || [], lancamentos };
+};
+
+export const atualizarBordero = async (id, { dataPagamento, contaBancariaId, obs }) => {
+  const { error } = await supabase
+    .from('borderos')
+    .update({ data_pagamento: dataPagamento, conta_bancaria_id: contaBancariaId ?? null, obs: obs || null })
+    .eq('id', id)
+    .eq('status', 'aberto');
+  if (error) {
+    throw new Error(error.message || 'Não foi possível salvar o borderô.');
+  }
+};
+
+// Substitui os itens de um borderô em aberto pelos informados.
+export const salvarItens = async (borderoId, itens) => {
+  const { error: deleteError } = await supabase
+    .from('bordero_itens')
+    .delete()
+    .eq('bordero_id', borderoId);
+  if (deleteError) {
+    throw new Error(deleteError.message || 'Não foi possível atualizar os itens do borderô.');
+  }
+  if (itens.length === 0) return;
+
+  const { error } = await supabase
+    .from('bordero_itens')
+    .insert(itens.map((item) => ({
+      bordero_id: borderoId,
+      lancamento_id: String(item.lancamento_id),
+      valor_pago: item.valor_pago,
+      juros: item.juros,
+      multa: item.multa,
+      desconto: item.desconto,
+    })));
+  if (error) {
+    throw new Error(error.message || 'Não foi possível salvar os itens do borderô.');
+  }
+};
+
+export const excluirBordero = async (id) => {
+  const { error } = await supabase
+    .from('borderos')
+    .delete()
+    .eq('id', id)
+    .eq('status', 'aberto');
+  if (error) {
+    throw new Error(error.message || 'Não foi possível excluir o borderô.');
+  }
+};
+
+// Confere os itens contra o saldo atual de cada lancamento antes de aprovar.
+export const validarItens = (itens, lancamentos) => {
+  const porId = new Map(lancamentos.map((lancamento) => [String(lancamento.id), lancamento]));
+  const problemas = [];
+
+  itens.forEach((item) => {
+    const lancamento = porId.get(String(item.lancamento_id));
+    if (!lancamento) {
+      problemas.push({ item, motivo: 'Lançamento não encontrado.' });
+    } else if (lancamento.status === 'Pago') {
+      problemas.push({ item, motivo: 'Lançamento já está pago.' });
+    } else if (valorAmortizado(item) <= 0) {
+      problemas.push({ item, motivo: 'Item não abate nada do saldo.' });
+    } else if (valorAmortizado(item) - lancamento.saldo > 0.005) {
+      problemas.push({ item, motivo: 'Valor excede o saldo em aberto.' });
+    }
+  });
+
+  return problemas;
+};
+
+// Baixa todos os itens de uma vez. Se algum falhar, as baixas ja gravadas sao
+// excluidas e o borderô continua em aberto.
+export const aprovarBordero = async (bordero, { userId } = {}) => {
+  if (bordero.status !== 'aberto') {
+    throw new Error('Somente borderôs em aberto podem ser aprovados.');
+  }
+  const { itens, lancamentos } = await carregarBordero(bordero.id);
+  if (itens.length === 0) {
+    throw new Error('O borderô não tem itens.');
+  }
+  const problemas = validarItens(itens, lancamentos);
+  if (problemas.length > 0) {
+    const failure = new Error(`${problemas.length} item(ns) não podem ser baixados.`);
+    failure.problemas = problemas;
+    throw failure;
+  }
+
+  const porId = new Map(lancamentos.map((lancamento) => [String(lancamento.id), lancamento]));
+  const baixaIds = [];
+  try {
+    for (const item of itens) {
+      const baixa = await registrarBaixa(porId.get(String(item.lancamento_id)), {
+        dataPagamento: bordero.data_pagamento,
+        valorPago: item.valor_pago,
+        juros: item.juros,
+        multa: item.multa,
+        desconto: item.desconto,
+        descPontual: 0,
+        contaBancariaId: bordero.conta_bancaria_id,
+        obs: `Borderô ${formatNumeroBordero(bordero.numero)}`,
+        userId,
+      });
+      baixaIds.push(baixa.id);
+
+      const { error } = await supabase.from('bordero_itens').update({ baixa_id: baixa.id }).eq('id', item.id);
+      if (error) {
+        throw new Error(error.message || 'Não foi possível vincular a baixa ao item.');
+      }
+    }
+
+    const { error } = await supabase
+      .from('borderos')
+      .update({ status: 'aprovado', aprovado_em: new Date().toISOString(), aprovado_por: userId ?? null })
+      .eq('id', bordero.id);
+    if (error) {
+      throw new Error(error.message || 'Não foi possível aprovar o borderô.');
+    }
+  } catch (error) {
+    await excluirBaixas(baixaIds).catch((rollbackError) => console.error('Erro ao desfazer baixas do borderô', rollbackError));
+    throw error;
+  }
+};
+
+// Estorna as baixas geradas pela aprovacao, na data e com o motivo informados,
+// e reabre os lancamentos. As baixas continuam registradas; se algum estorno
+// falhar, os ja gravados sao removidos e o borderô continua aprovado.
+export const estornarBordero = async (bordero, { data, motivo, userId } = {}) => {
+  if (bordero.status !== 'aprovado') {
+    throw new Error('Somente borderôs aprovados podem ser estornados.');
+  }
+  if (!data || !motivo?.trim()) {
+    throw new Error('Informe a data e o motivo do estorno.');
+  }
+
+  const { data: itens, error: itensError } = await supabase
+    .from('bordero_itens')
+    .select('lancamento_id, baixa_id')
+    .eq('bordero_id', bordero.id);
+  if (itensError) {
+    throw new Error(itensError.message || 'Não foi possível carregar os itens do borderô.');
+  }
+
+  const baixaIds = new Set((itens || []).filter((item) => item.baixa_id !== null).map((item) => String(item.baixa_id)));
+  const lancamentoIds = (itens || []).map((item) => item.lancamento_id);
+  const baixas = lancamentoIds.length
+    ? (await listarBaixas(lancamentoIds)).filter((baixa) => baixaIds.has(String(baixa.id)) && !estornada(baixa))
+    : [];
+
+  const { data: lancamentos, error: lancamentosError } = baixas.length
+    ? await supabase.from('lancamentos').select('id, valor, status').in('id', baixas.map((baixa) => baixa.lancamento_id))
+    : { data: [], error: null };
+  if (lancamentosError) {
+    throw new Error(lancamentosError.message || 'Não foi possível carregar os lançamentos do borderô.');
+  }
+  const porId = new Map((lancamentos || []).map((lancamento) => [String(lancamento.id), lancamento]));
+
+  const estornos = [];
+  try {
+    for (const baixa of baixas) {
+      const lancamento = porId.get(String(baixa.lancamento_id));
+      const estorno = await estornarBaixa(baixa, lancamento, {
+        data,
+        motivo: `Borderô ${formatNumeroBordero(bordero.numero)}: ${motivo.trim()}`,
+        userId,
+      });
+      estornos.push({ id: estorno.id, lancamento });
+    }
+
+    const { error } = await supabase
+      .from('borderos')
+      .update({ status: 'estornado', estornado_em: new Date().toISOString(), estornado_por: userId ?? null })
+      .eq('id', bordero.id);
+    if (error) {
+      throw new Error(error.message || 'Não foi possível estornar o borderô.');
+    }
+  } catch (error) {
+    for (const { id, lancamento } of estornos) {
+      try {
+        const { error: deleteError } = await supabase.from('estornos').delete().eq('id', id);
+        if (deleteError) throw deleteError;
+        await atualizarSituacao(lancamento);
+      } catch (rollbackError) {
+        console.error('Erro ao desfazer estornos do borderô', rollbackError);
+      }
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,29 @@
+import { supabase } from '@/lib/customSupabaseClient';
+import { somenteDigitos } from '@/lib/documentos';
+
+export const listarUfs = async () => {
+  const { data, error } = await supabase
+    .from('ufs')
+    .select('sigla, nome')
+    .order('sigla');
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar as UFs.');
+  }
+  return data || [];
+};
+
+// Endereco do CEP na base local; null quando o CEP nao esta carregado.
+export const buscarEnderecoPorCep = async (cep) => {
+  const digitos = somenteDigitos(cep);
+  if (digitos.length !== 8) return null;
+
+  const { data, error } = await supabase
+    .from('ceps_enderecos')
+    .select('cep, logradouro, bairro, cidade, uf')
+    .eq('cep', digitos)
+    .maybeSingle();
+  if (error) {
+    throw new Error(error.message || 'Não foi possível consultar o CEP.');
+  }
+  return data;
+};
@@ -0,0 +1,243 @@
+import { supabase } from '@/lib/customSupabaseClient';
+import { podeMudarPara } from '@/lib/cheques';
+import { anexarSaldos, atualizarSituacao, excluirBaixas, listarBaixas, registrarBaixa, registrarEstorno } from '@/services/baixaService';
+
+const CAMPOS_LANCAMENTO = 'id, tipo, data, cliente_fornecedor, aluno, descricao, valor, desc_pontual, unidade, status';
+const TIPO_LANCAMENTO = { recebido: 'Entrada', emitido: 'Saida' };
+
+export const listarAlineas = async () => {
+  const { data, error } = await supabase
+    .from('cheque_alineas')
+    .select('*')
+    .order('codigo');
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar as alíneas.');
+  }
+  return data || [];
+};
+
+const anexarLancamentos = async (cheques) => {
+  const ids = [...new Set(cheques.map((cheque) => cheque.lancamento_id))];
+  if (ids.length === 0) return cheques;
+
+  const { data, error } = await supabase
+    .from('lancamentos')
+    .select(CAMPOS_LANCAMENTO)
+    .in('id', ids);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar os lançamentos dos cheques.');
+  }
+  const porId = new Map((data || []).map((lancamento) => [String(lancamento.id), lancamento]));
+  return cheques.map((cheque) => ({ ...cheque, lancamento: porId.get(String(cheque.lancamento_id)) || null }));
+};
+
+// `status` aceita uma situacao ou uma lista; `comLancamentos` traz o lancamento de cada cheque.
+export const listarCheques = async ({ status, tipo, comLancamentos = false } = {}) => {
+  let query = supabase
+    .from('cheques')
+    .select('*, conta_bancaria:contas_bancarias (descricao), alinea:cheque_alineas (descricao)')
+    .order('bom_para')
+    .order('id');
+  if (Array.isArray(status)) {
+    query = query.in('status', status);
+  } else if (status) {
+    query = query.eq('status', status);
+  }
+  if (tipo) {
+    query = query.eq('tipo', tipo);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar os cheques.');
+  }
+  return comLancamentos ? anexarLancamentos(data || []) : data || [];
+};
+
+const registrarEvento = async (chequeId, { status, data, contaBancariaId, alineaCodigo, userId }) => {
+  const { error } = await supabase
+    .from('cheque_eventos')
+    .insert([{
+      cheque_id: chequeId,
+      status,
+      data,
+      conta_bancaria_id: contaBancariaId ?? null,
+      alinea_codigo: alineaCodigo ?? null,
+      usuario_id: userId ?? null,
+    }]);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível registrar o histórico do cheque.');
+  }
+};
+
+export const registrarCheque = async (lancamento, {
+  tipo, banco, agencia, conta, numero, emitente, valor, dataEmissao, bomPara, contaBancariaId, obs, userId,
+}) => {
+  if (lancamento.tipo !== TIPO_LANCAMENTO[tipo]) {
+    throw new Error(tipo === 'recebido'
+      ? 'Cheques recebidos só podem ser vinculados a lançamentos de Entrada.'
+      : 'Cheques emitidos só podem ser vinculados a lançamentos de Saída.');
+  }
+  if (tipo === 'emitido' && !contaBancariaId) {
+    throw new Error('Informe a conta bancária de onde o cheque foi emitido.');
+  }
+
+  const { data, error } = await supabase
+    .from('cheques')
+    .insert([{
+      tipo,
+      lancamento_id: lancamento.id,
+      banco,
+      agencia: agencia || null,
+      conta: conta || null,
+      numero,
+      emitente: emitente || null,
+      valor,
+      data_emissao: dataEmissao,
+      bom_para: bomPara,
+      conta_bancaria_id: contaBancariaId ?? null,
+      obs: obs || null,
+      usuario_id: userId ?? null,
+    }])
+    .select('*')
+    .single();
+  if (error) {
+    throw new Error(error.message || 'Não foi possível registrar o cheque.');
+  }
+
+  await registrarEvento(data.id, { status: 'custodia', data: dataEmissao, contaBancariaId, userId });
+  return data;
+};
+
+// Atualiza a situacao somente se o cheque ainda estiver na situacao lida na tela.
+const mudarSituacao = async (cheque, status, campos) => {
+  const { data, error } = await supabase
+    .from('cheques')
+    .update({ ...campos, status, updated_at: new Date().toISOString() })
+    .eq('id', cheque.id)
+    .eq('status', cheque.status)
+    .select('id');
+  if (error) {
+    throw new Error(error.message || 'Não foi possível atualizar o cheque.');
+  }
+  if (!data || data.length === 0) {
+    throw new Error('O cheque foi alterado por outro usuário. Atualize a lista.');
+  }
+};
+
+const validarTransicao = (cheque, status, alineas) => {
+  if (!podeMudarPara(cheque, status, alineas)) {
+    throw new Error(cheque.status === 'devolvido'
+      ? 'A alínea da devolução não permite reapresentar o cheque.'
+      : 'Esta operação não é permitida na situação atual do cheque.');
+  }
+};
+
+// Deposito ou reapresentacao de um cheque devolvido.
+export const depositarCheque = async (cheque, { data, contaBancariaId, userId }, alineas = []) => {
+  validarTransicao(cheque, 'depositado', alineas);
+  if (!data || !contaBancariaId) {
+    throw new Error('Informe a data do depósito e a conta bancária.');
+  }
+
+  await mudarSituacao(cheque, 'depositado', { data_deposito: data, conta_bancaria_id: contaBancariaId });
+  await registrarEvento(cheque.id, { status: 'depositado', data, contaBancariaId, userId });
+};
+
+// Compensado, o cheque vira baixa do lancamento na conta do deposito (ou de
+// emissao). O que passar do saldo em aberto entra como juros.
+export const compensarCheque = async (cheque, { data, userId }, alineas = []) => {
+  validarTransicao(cheque, 'compensado', alineas);
+  if (!data) {
+    throw new Error('Informe a data da compensação.');
+  }
+
+  const { data: lancamentoData, error } = await supabase
+    .from('lancamentos')
+    .select(CAMPOS_LANCAMENTO)
+    .eq('id', cheque.lancamento_id)
+    .maybeSingle();
+  if (error || !lancamentoData) {
+    throw new Error(error?.message || 'Lançamento do cheque não encontrado.');
+  }
+  const [lancamento] = await anexarSaldos([lancamentoData]);
+  if (lancamento.status === 'Pago') {
+    throw new Error('O lançamento do cheque já está pago.');
+  }
+
+  const valor = Number(cheque.valor);
+  const baixa = await registrarBaixa(lancamento, {
+    dataPagamento: data,
+    valorPago: valor,
+    juros: Math.max(0, Math.round((valor - lancamento.saldo) * 100) / 100),
+    multa: 0,
+    desconto: 0,
+    descPontual: 0,
+    contaBancariaId: cheque.conta_bancaria_id,
+    obs: `Cheque ${cheque.numero}`,
+    userId,
+  });
+
+  try {
+    await mudarSituacao(cheque, 'compensado', { data_compensacao: data, baixa_id: baixa.id });
+  } catch (failure) {
+    await excluirBaixas([baixa.id]).catch((rollbackError) => console.error('Erro ao desfazer baixa do cheque', rollbackError));
+    throw failure;
+  }
+  await registrarEvento(cheque.id, { status: 'compensado', data, contaBancariaId: cheque.conta_bancaria_id, userId });
+};
+
+// Devolucao com alinea. Se o cheque ja tinha compensado, a baixa e estornada na
+// data da devolucao: ela e o credito na conta continuam no historico, o
+// estorno lanca o debito e o lancamento volta a ficar em aberto.
+export const devolverCheque = async (cheque, { data, alineaCodigo, userId }, alineas = []) => {
+  validarTransicao(cheque, 'devolvido', alineas);
+  if (!data || !alineaCodigo) {
+    throw new Error('Informe a data da devolução e a alínea.');
+  }
+
+  let estorno = null;
+  let lancamento = null;
+  if (cheque.baixa_id) {
+    const { data: lancamentoData, error } = await supabase
+      .from('lancamentos')
+      .select(CAMPOS_LANCAMENTO)
+      .eq('id', cheque.lancamento_id)
+      .maybeSingle();
+    if (error || !lancamentoData) {
+      throw new Error(error?.message || 'Lançamento do cheque não encontrado.');
+    }
+    lancamento = lancamentoData;
+
+    const baixa = (await listarBaixas([cheque.lancamento_id])).find((item) => String(item.id) === String(cheque.baixa_id));
+    if (!baixa) {
+      throw new Error('Baixa do cheque não encontrada.');
+    }
+    estorno = await registrarEstorno(baixa, lancamento, {
+      data,
+      motivo: `Devolução do cheque ${cheque.numero} (alínea ${alineaCodigo})`,
+      userId,
+    });
+  }
+
+  try {
+    await mudarSituacao(cheque, 'devolvido', {
+      data_devolucao: data,
+      alinea_codigo: alineaCodigo,
+      devolucoes: Number(cheque.devolucoes || 0) + 1,
+      baixa_id: null,
+    });
+  } catch (failure) {
+    if (estorno) {
+      const { error: rollbackError } = await supabase.from('estornos').delete().eq('id', estorno.id);
+      try {
+        if (rollbackError) throw rollbackError;
+        await atualizarSituacao(lancamento);
+      } catch (rollbackFailure) {
+        throw new Error(`${failure.message} O estorno da baixa do cheque não pôde ser desfeito: ${rollbackFailure.message}`);
+      }
+    }
+    throw failure;
+  }
+  await registrarEvento(cheque.id, { status: 'devolvido', data, alineaCodigo, contaBancariaId: cheque.conta_bancaria_id, userId });
+};
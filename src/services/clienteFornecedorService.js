@@ -0,0 +1,170 @@
+import { supabase } from '@/lib/customSupabaseClient';
+import { somenteDigitos, validarCadastro } from '@/lib/documentos';
+
+const TIPO_CADASTRO = { Entrada: 'Cliente', Saida: 'Fornecedor' };
+const LOTE_NOMES = 200;
+
+const CAMPOS_TEXTO = [
+  'inscricao_estadual', 'email', 'chave_pix', 'banco', 'agencia', 'conta',
+  'logradouro', 'numero', 'complemento', 'bairro', 'cidade',
+];
+const CAMPOS_DIGITOS = ['cpf_cnpj', 'telefone', 'celular', 'cep'];
+
+export const chaveNome = (nome) => String(nome ?? '').trim().toLowerCase();
+
+const escaparLike = (texto) => texto.replace(/[\\%_]/g, '\\$&');
+
+// Pagina do cadastro com a contagem de lancamentos vinculados pelo nome.
+export const listarClientesFornecedores = async ({ tipo, busca = '', incluirInativos = false, pagina = 1, porPagina = 20 }) => {
+  let query = supabase
+    .from('clientes_fornecedores_uso')
+    .select('*', { count: 'exact' })
+    .eq('tipo', tipo)
+    .order('descricao')
+    .range((pagina - 1) * porPagina, pagina * porPagina - 1);
+  // So numeros (com a pontuacao do documento) busca pelo CPF/CNPJ.
+  const termo = busca.trim();
+  if (/^[\d\s./-]{3,}$/.test(termo)) {
+    query = query.like('cpf_cnpj', `%${somenteDigitos(termo)}%`);
+  } else if (termo) {
+    query = query.ilike('descricao', `%${escaparLike(termo)}%`);
+  }
+  if (!incluirInativos) {
+    query = query.eq('ativo', true);
+  }
+
+  const { data, error, count } = await query;
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar o cadastro.');
+  }
+  return { registros: data || [], total: count || 0 };
+};
+
+export const carregarClienteFornecedor = async (id) => {
+  const { data, error } = await supabase
+    .from('clientes_fornecedores')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  if (error || !data) {
+    throw new Error(error?.message || 'Cadastro não encontrado.');
+  }
+  return data;
+};
+
+// Cadastros dos nomes usados nos lancamentos, por `chaveNome`. O vinculo ainda
+// e pelo nome gravado no lancamento.
+export const buscarCadastrosPorNome = async (nomes, tipoLancamento) => {
+  const unicos = [...new Set(nomes.map((nome) => String(nome ?? '').trim()).filter(Boolean))];
+  const cadastros = new Map();
+
+  for (let i = 0; i < unicos.length; i += LOTE_NOMES) {
+    const { data, error } = await supabase
+      .from('clientes_fornecedores')
+      .select('*')
+      .eq('tipo', TIPO_CADASTRO[tipoLancamento])
+      .in('descricao', unicos.slice(i, i + LOTE_NOMES));
+    if (error) {
+      throw new Error(error.message || 'Não foi possível carregar os cadastros.');
+    }
+    (data || []).forEach((cadastro) => cadastros.set(chaveNome(cadastro.descricao), cadastro));
+  }
+
+  return cadastros;
+};
+
+const normalizarCadastro = (cadastro) => ({
+  ...Object.fromEntries(CAMPOS_TEXTO.map((campo) => [campo, String(cadastro[campo] ?? '').trim() || null])),
+  ...Object.fromEntries(CAMPOS_DIGITOS.map((campo) => [campo, somenteDigitos(cadastro[campo]) || null])),
+  uf: String(cadastro.uf ?? '').trim().toUpperCase() || null,
+});
+
+// Inclui ou atualiza o cadastro completo. Mudando o nome de um cadastro
+// existente, os lancamentos acompanham (ver renomearClienteFornecedor).
+export const salvarClienteFornecedor = async (cadastro) => {
+  const erros = validarCadastro(cadastro);
+  if (erros.length) {
+    throw new Error(erros.join(' '));
+  }
+  const descricao = cadastro.descricao.trim();
+  const dados = normalizarCadastro(cadastro);
+
+  if (!cadastro.id) {
+    const { data, error } = await supabase
+      .from('clientes_fornecedores')
+      .insert([{ tipo: cadastro.tipo, descricao, ...dados }])
+      .select('*')
+      .single();
+    if (error) {
+      throw new Error(error.message || 'Não foi possível salvar o cadastro.');
+    }
+    return data;
+  }
+
+  const atual = await carregarClienteFornecedor(cadastro.id);
+  if (atual.descricao !== descricao) {
+    await renomearClienteFornecedor(atual, descricao);
+  }
+  const { data, error } = await supabase
+    .from('clientes_fornecedores')
+    .update({ ...dados, updated_at: new Date().toISOString() })
+    .eq('id', cadastro.id)
+    .select('*')
+    .single();
+  if (error) {
+    throw new Error(error.message || 'Não foi possível salvar o cadastro.');
+  }
+  return data;
+};
+
+// Renomeia o cadastro e os lancamentos que usam o nome antigo.
+export const renomearClienteFornecedor = async (registro, descricao) => {
+  const { error } = await supabase.rpc('renomear_cliente_fornecedor', {
+    registro_id: registro.id,
+    nova_descricao: descricao,
+  });
+  if (error) {
+    throw new Error(error.message || 'Não foi possível renomear o cadastro.');
+  }
+};
+
+export const definirClienteFornecedorAtivo = async (registro, ativo) => {
+  const { error } = await supabase
+    .from('clientes_fornecedores')
+    .update({ ativo })
+    .eq('id', registro.id);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível atualizar o cadastro.');
+  }
+};
+
+// Com lancamentos vinculados, o cadastro so pode ser inativado.
+export const excluirClienteFornecedor = async (registro) => {
+  if (Number(registro.lancamentos) > 0) {
+    throw new Error('O cadastro tem lançamentos vinculados; inative-o em vez de excluir.');
+  }
+  const { error } = await supabase
+    .from('clientes_fornecedores')
+    .delete()
+    .eq('id', registro.id);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível excluir o cadastro.');
+  }
+};
+
+// Impede lancamentos novos com um cliente ou fornecedor inativo.
+export const validarClienteFornecedorAtivo = async (nome, tipoLancamento) => {
+  const { data, error } = await supabase
+    .from('clientes_fornecedores')
+    .select('descricao, ativo')
+    .eq('tipo', TIPO_CADASTRO[tipoLancamento])
+    .ilike('descricao', escaparLike(nome.trim()))
+    .eq('ativo', false)
+    .limit(1);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível verificar o cadastro.');
+  }
+  if (data?.length) {
+    throw new Error(`${data[0].descricao} está inativo no cadastro e não pode ser usado em novos lançamentos.`);
+  }
+};
@@ -0,0 +1,236 @@
+import { addDays, format } from 'date-fns';
+
+import { supabase } from '@/lib/customSupabaseClient';
+import { mesmoValor, resumirPeriodo, valorConciliado } from '@/lib/conciliacaoBancaria';
+import { saldoEm } from '@/lib/saldoConta';
+import { excluirBaixas, registrarBaixa } from '@/services/baixaService';
+import { listarMovimentos } from '@/services/contaBancariaService';
+
+const diaSeguinte = (data) => format(addDays(new Date(`${data}T00:00:00`), 1), 'yyyy-MM-dd');
+
+export const listarLinhasExtrato = async (contaId, { inicio, fim }) => {
+  const { data, error } = await supabase
+    .from('extrato_linhas')
+    .select('*')
+    .eq('conta_bancaria_id', contaId)
+    .gte('data', inicio)
+    .lte('data', fim)
+    .order('data')
+    .order('id');
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar o extrato.');
+  }
+  return data || [];
+};
+
+// Grava as transacoes de um OFX ignorando as que ja foram importadas (FITID).
+export const importarLinhasExtrato = async (contaId, transacoes, { userId } = {}) => {
+  if (transacoes.length === 0) return 0;
+  const { data, error } = await supabase
+    .from('extrato_linhas')
+    .upsert(transacoes.map((transacao) => ({
+      conta_bancaria_id: contaId,
+      data: transacao.data,
+      valor: transacao.tipo === 'debito' ? -transacao.valor : transacao.valor,
+      historico: [transacao.nome, transacao.memo].filter(Boolean).join(' - ') || null,
+      documento: transacao.documento || null,
+      fitid: String(transacao.id),
+      usuario_id: userId ?? null,
+    })), { onConflict: 'conta_bancaria_id,fitid', ignoreDuplicates: true })
+    .select('id');
+  if (error) {
+    throw new Error(error.message || 'Não foi possível importar o extrato.');
+  }
+  return (data || []).length;
+};
+
+export const excluirLinhaExtrato = async (id) => {
+  const { error } = await supabase
+    .from('extrato_linhas')
+    .delete()
+    .eq('id', id);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível excluir a linha do extrato.');
+  }
+};
+
+export const listarConciliacoes = async (contaId) => {
+  const { data, error } = await supabase
+    .from('conciliacoes')
+    .select('*, linha:extrato_linhas!inner (conta_bancaria_id)')
+    .eq('linha.conta_bancaria_id', contaId);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar as conciliações.');
+  }
+  return data || [];
+};
+
+// Concilia uma linha com um ou mais movimentos (split); a soma dos movimentos
+// precisa fechar com o valor da linha.
+export const conciliar = async (linha, movimentos, { userId, automatica = false } = {}) => {
+  if (movimentos.length === 0) {
+    throw new Error('Selecione ao menos um movimento.');
+  }
+  if (!mesmoValor(valorConciliado(movimentos), linha.valor)) {
+    throw new Error('A soma dos movimentos selecionados difere do valor da linha do extrato.');
+  }
+
+  const { error } = await supabase
+    .from('conciliacoes')
+    .insert(movimentos.map((movimento) => ({
+      extrato_linha_id: linha.id,
+      movimento_id: movimento.id,
+      valor: movimento.valor,
+      automatica,
+      usuario_id: userId ?? null,
+    })));
+  if (error) {
+    throw new Error(error.message || 'Não foi possível conciliar a linha do extrato.');
+  }
+};
+
+export const conciliarPares = async (pares, { userId } = {}) => {
+  if (pares.length === 0) return;
+  const { error } = await supabase
+    .from('conciliacoes')
+    .insert(pares.map(({ linha, movimento }) => ({
+      extrato_linha_id: linha.id,
+      movimento_id: movimento.id,
+      valor: movimento.valor,
+      automatica: true,
+      usuario_id: userId ?? null,
+    })));
+  if (error) {
+    throw new Error(error.message || 'Não foi possível conciliar automaticamente.');
+  }
+};
+
+export const desfazerConciliacao = async (linhaId) => {
+  const { error } = await supabase
+    .from('conciliacoes')
+    .delete()
+    .eq('extrato_linha_id', linhaId);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível desfazer a conciliação.');
+  }
+};
+
+// Tarifas, rendimentos e outros valores que so aparecem no extrato: cria o
+// lancamento, baixa na conta na data da linha e ja concilia os dois.
+export const criarLancamentoDaLinha = async (linha, conta, { clienteFornecedor, descricao, userId }) => {
+  if (!conta.unidade) {
+    throw new Error('Informe a unidade da conta bancária em Cadastros.');
+  }
+  const valor = Math.abs(Number(linha.valor));
+
+  const { data: lancamento, error } = await supabase
+    .from('lancamentos')
+    .insert([{
+      data: linha.data,
+      tipo: Number(linha.valor) > 0 ? 'Entrada' : 'Saida',
+      unidade: conta.unidade,
+      cliente_fornecedor: clienteFornecedor,
+      descricao,
+      valor,
+      status: 'A Vencer',
+      obs: 'Criado na conciliação bancária',
+    }])
+    .select('id, tipo, valor, status')
+    .single();
+  if (error) {
+    throw new Error(error.message || 'Não foi possível criar o lançamento.');
+  }
+
+  let baixa = null;
+  try {
+    baixa = await registrarBaixa(lancamento, {
+      dataPagamento: linha.data,
+      valorPago: valor,
+      juros: 0,
+      multa: 0,
+      desconto: 0,
+      descPontual: 0,
+      contaBancariaId: conta.id,
+      obs: 'Conciliação bancária',
+      userId,
+    });
+    await conciliar(linha, [{ id: `baixa-${baixa.id}`, valor: linha.valor }], { userId });
+    return lancamento;
+  } catch (failure) {
+    // Desfaz a baixa, se chegou a ser gravada, e o lancamento. Se o desfazer
+    // falhar, o usuario precisa saber o que ficou gravado.
+    try {
+      await excluirBaixas(baixa ? [baixa.id] : []);
+      const { error: deleteError } = await supabase.from('lancamentos').delete().eq('id', lancamento.id);
+      if (deleteError) {
+        throw new Error(deleteError.message || 'Não foi possível excluir o lançamento.');
+      }
+    } catch (rollbackError) {
+      throw new Error(
+        `${failure.message} O lançamento ${lancamento.id} criado a partir da linha não pôde ser desfeito ` +
+          `(${rollbackError.message}); confira e exclua-o manualmente.`,
+      );
+    }
+    throw failure;
+  }
+};
+
+export const listarPeriodos = async (contaId) => {
+  const { data, error } = await supabase
+    .from('conciliacao_periodos')
+    .select('*')
+    .eq('conta_bancaria_id', contaId)
+    .order('inicio', { ascending: false });
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar os períodos conciliados.');
+  }
+  return data || [];
+};
+
+// Trava o periodo [inicio, fim] da conta depois de conferir que extrato e
+// movimentos estao conciliados por inteiro.
+export const fecharPeriodo = async (conta, { inicio, fim, userId }) => {
+  const periodos = await listarPeriodos(conta.id);
+  if (periodos.some((periodo) => !periodo.reaberto_em && periodo.inicio <= fim && periodo.fim >= inicio)) {
+    throw new Error('O período se sobrepõe a um período já conciliado.');
+  }
+
+  const [linhas, movimentos, conciliacoes] = await Promise.all([
+    listarLinhasExtrato(conta.id, { inicio, fim }),
+    listarMovimentos({ contaIds: [conta.id], colunas: 'id, conta_bancaria_id, data, valor' }),
+    listarConciliacoes(conta.id),
+  ]);
+  const resumo = resumirPeriodo(
+    linhas,
+    movimentos.filter((movimento) => movimento.data >= inicio && movimento.data <= fim),
+    conciliacoes,
+  );
+  if (!resumo.fechavel) {
+    throw new Error(`Há ${resumo.linhasPendentes.length} linha(s) do extrato e ${resumo.movimentosPendentes.length} movimento(s) sem conciliação.`);
+  }
+
+  const { error } = await supabase
+    .from('conciliacao_periodos')
+    .insert([{
+      conta_bancaria_id: conta.id,
+      inicio,
+      fim,
+      saldo_final: saldoEm(conta, movimentos, diaSeguinte(fim)),
+      fechado_por: userId ?? null,
+    }]);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível fechar o período.');
+  }
+};
+
+// O fechamento continua no historico, marcado como reaberto.
+export const reabrirPeriodo = async (id, { userId } = {}) => {
+  const { error } = await supabase
+    .from('conciliacao_periodos')
+    .update({ reaberto_em: new Date().toISOString(), reaberto_por: userId ?? null })
+    .eq('id', id)
+    .is('reaberto_em', null);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível reabrir o período.');
+  }
+};
@@ -0,0 +1,57 @@
+import { supabase } from '@/lib/customSupabaseClient';
+
+const PAGE_SIZE = 1000;
+
+export const listarContasBancarias = async ({ apenasAtivas = true } = {}) => {
+  let query = supabase
+    .from('contas_bancarias')
+    .select('*')
+    .order('descricao');
+  if (apenasAtivas) {
+    query = query.eq('ativo', true);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar as contas bancárias.');
+  }
+  return data || [];
+};
+
+// Movimentos da view `movimentos_conta` (credito positivo, debito negativo).
+// Sem `colunas`, traz tambem o historico para o extrato.
+export const listarMovimentos = async ({ contaIds, colunas = '*' } = {}) => {
+  const movimentos = [];
+  let from = 0;
+
+  for (;;) {
+    let query = supabase
+      .from('movimentos_conta')
+      .select(colunas)
+      .order('data')
+      .range(from, from + PAGE_SIZE - 1);
+    if (contaIds) {
+      query = query.in('conta_bancaria_id', contaIds);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(error.message || 'Não foi possível carregar os movimentos das contas.');
+    }
+    movimentos.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+    from += PAGE_SIZE;
+  }
+
+  return movimentos;
+};
+
+export const atualizarContaBancaria = async (id, dados) => {
+  const { error } = await supabase
+    .from('contas_bancarias')
+    .update(dados)
+    .eq('id', id);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível salvar a conta bancária.');
+  }
+};
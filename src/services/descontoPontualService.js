@@ -0,0 +1,39 @@
+import { supabase } from '@/lib/customSupabaseClient';
+
+export const listarRegrasDescontoPontual = async () => {
+  const { data, error } = await supabase
+    .from('regras_desconto_pontual')
+    .select('*')
+    .order('unidade')
+    .order('plano', { nullsFirst: true });
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar as regras de desconto de pontualidade.');
+  }
+  return data || [];
+};
+
+// Uma regra por unidade e plano; sem plano, vale para toda a unidade.
+export const salvarRegraDescontoPontual = async ({ id, unidade, plano, diaLimite }) => {
+  const dados = {
+    unidade,
+    plano: plano || null,
+    dia_limite: diaLimite,
+    updated_at: new Date().toISOString(),
+  };
+  const { error } = id
+    ? await supabase.from('regras_desconto_pontual').update(dados).eq('id', id)
+    : await supabase.from('regras_desconto_pontual').insert([dados]);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível salvar a regra de desconto de pontualidade.');
+  }
+};
+
+export const excluirRegraDescontoPontual = async (id) => {
+  const { error } = await supabase
+    .from('regras_desconto_pontual')
+    .delete()
+    .eq('id', id);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível excluir a regra de desconto de pontualidade.');
+  }
+};
@@ -0,0 +1,56 @@
+import { supabase } from '@/lib/customSupabaseClient';
+
+const PAGE_SIZE = 1000;
+
+const listarTudo = async (tabela, colunas, mensagem) => {
+  const registros = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(tabela)
+      .select(colunas)
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      throw new Error(error.message || mensagem);
+    }
+    registros.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return registros;
+  }
+};
+
+// Cadastros (ativos e inativos) com a contagem de lancamentos e os alunos de
+// cada um, para o agrupamento de duplicados.
+export const carregarDadosDuplicidade = async () => {
+  const [cadastros, alunos] = await Promise.all([
+    listarTudo('clientes_fornecedores_uso', '*', 'Não foi possível carregar os cadastros.'),
+    listarTudo('clientes_fornecedores_alunos', 'cliente_fornecedor_id, aluno', 'Não foi possível carregar os alunos dos cadastros.'),
+  ]);
+  return { cadastros, alunos };
+};
+
+// Os lancamentos dos duplicados passam ao sobrevivente e os duplicados sao
+// excluidos, com registro em `clientes_fornecedores_mesclagens`.
+export const mesclarClientesFornecedores = async ({ sobreviventeId, duplicadosIds, userId }) => {
+  if (!duplicadosIds.length) {
+    throw new Error('Selecione ao menos um cadastro para mesclar.');
+  }
+  const { error } = await supabase.rpc('mesclar_clientes_fornecedores', {
+    sobrevivente: sobreviventeId,
+    duplicados: duplicadosIds,
+    usuario: userId ?? null,
+  });
+  if (error) {
+    throw new Error(error.message || 'Não foi possível mesclar os cadastros.');
+  }
+};
+
+export const listarMesclagens = async ({ limite = 50 } = {}) => {
+  const { data, error } = await supabase
+    .from('clientes_fornecedores_mesclagens')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limite);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar o histórico de mesclagens.');
+  }
+  return data || [];
+};
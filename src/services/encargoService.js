@@ -0,0 +1,28 @@
+import { supabase } from '@/lib/customSupabaseClient';
+
+export const listarRegrasEncargos = async () => {
+  const { data, error } = await supabase
+    .from('regras_encargos')
+    .select('*')
+    .order('unidade');
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar as regras de multa e juros.');
+  }
+  return data || [];
+};
+
+// Uma regra por unidade: grava por cima da existente.
+export const salvarRegraEncargos = async ({ unidade, multaPercentual, jurosMensalPercentual, carenciaDias }) => {
+  const { error } = await supabase
+    .from('regras_encargos')
+    .upsert([{
+      unidade,
+      multa_percentual: multaPercentual,
+      juros_mensal_percentual: jurosMensalPercentual,
+      carencia_dias: carenciaDias,
+      updated_at: new Date().toISOString(),
+    }], { onConflict: 'unidade' });
+  if (error) {
+    throw new Error(error.message || 'Não foi possível salvar a regra de multa e juros.');
+  }
+};
@@ -0,0 +1,99 @@
+import { supabase } from '@/lib/customSupabaseClient';
+
+const IMPORT_FUNCTION = 'import-google-sheets';
+
+const readErrorPayload = async (error) => {
+  const response = error?.context;
+  if (response && typeof response.json === 'function') {
+    try {
+      return await response.json();
+    } catch {
+      // resposta sem corpo JSON
+    }
+  }
+  return null;
+};
+
+const extractErrorMessage = (error, payload) => {
+  if (payload?.message) {
+    return payload.message;
+  }
+  if (error?.message?.includes('non-2xx')) {
+    return 'A função de importação falhou no servidor. Verifique os logs da função no Supabase.';
+  }
+  return error?.message || 'Ocorreu um erro durante a importação.';
+};
+
+// O corpo da resposta de erro (ex.: `conflitos` do desfazer) fica em `error.payload`.
+const invokeImportacao = async (body) => {
+  const { data, error } = await supabase.functions.invoke(IMPORT_FUNCTION, { body });
+  if (error) {
+    const payload = await readErrorPayload(error);
+    const failure = new Error(extractErrorMessage(error, payload));
+    failure.payload = payload;
+    throw failure;
+  }
+  if (!data?.success) {
+    throw new Error(data?.message || 'Importação de dados falhou');
+  }
+  return data;
+};
+
+export const FONTES_IMPORTACAO = [
+  { value: 'recebimentos', label: 'Recebimentos', tipo: 'Entrada' },
+  { value: 'pagamentos', label: 'Pagamentos', tipo: 'Saida' },
+];
+
+// `arquivo` ({ nome, values }) substitui a leitura da planilha pelas linhas de um CSV/XLSX enviado.
+const bodyArquivo = (arquivo) => (arquivo ? { values: arquivo.values, arquivo: arquivo.nome } : {});
+
+export const previewImportacao = (fonte = 'recebimentos', arquivo = null) =>
+  invokeImportacao({ fonte, dryRun: true, ...bodyArquivo(arquivo) });
+
+export const confirmarImportacao = (fonte, assinatura, arquivo = null) =>
+  invokeImportacao({ fonte, assinatura, ...bodyArquivo(arquivo) });
+
+export const previewDesfazerImportacao = (execucaoId) => invokeImportacao({ acao: 'desfazer', execucaoId, dryRun: true });
+
+export const desfazerImportacao = (execucaoId) => invokeImportacao({ acao: 'desfazer', execucaoId });
+
+export const carregarMapeamento = (fonte) => invokeImportacao({ fonte, acao: 'mapeamento' });
+
+export const salvarMapeamento = async ({ fonte, sheetId, range, colunas, userId }) => {
+  const { error } = await supabase
+    .from('import_mapeamentos')
+    .upsert(
+      [{ fonte, sheet_id: sheetId, range, colunas, updated_at: new Date().toISOString(), updated_by: userId ?? null }],
+      { onConflict: 'fonte,sheet_id,range' }
+    );
+  if (error) {
+    throw new Error(error.message || 'Não foi possível salvar o mapeamento.');
+  }
+};
+
+export const listarExecucoes = async ({ fonte, origem, limite = 50 } = {}) => {
+  let query = supabase
+    .from('import_runs')
+    .select('*')
+    .order('iniciado_em', { ascending: false })
+    .limit(limite);
+
+  if (fonte) {
+    query = query.eq('fonte', fonte);
+  }
+  if (origem) {
+    query = query.eq('origem', origem);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar o histórico de importações.');
+  }
+  return data || [];
+};
+
+// Apenas execucoes do agendador; importacoes manuais ficam no historico.
+export const ultimaSincronizacao = async (fonte = 'recebimentos') => {
+  const [execucao] = await listarExecucoes({ fonte, origem: 'agendado', limite: 1 });
+  return execucao ?? null;
+};
@@ -0,0 +1,48 @@
+import { supabase } from '@/lib/customSupabaseClient';
+import { STATUS_EM_ABERTO } from '@/lib/cheques';
+import { estornada } from '@/lib/saldoAberto';
+import { listarBaixas } from '@/services/baixaService';
+
+// Cancela o lancamento mantendo a linha, com o motivo, o usuario e a hora. So
+// titulos sem baixas ativas nem cheques em aberto: as baixas devem ser
+// estornadas antes.
+export const cancelarLancamento = async (lancamento, { motivo, userId }) => {
+  if (lancamento.status === 'Cancelado') {
+    throw new Error('Este lançamento já está cancelado.');
+  }
+  if (!motivo?.trim()) {
+    throw new Error('Informe o motivo do cancelamento.');
+  }
+
+  const baixas = await listarBaixas([lancamento.id]);
+  if (lancamento.status === 'Pago' || baixas.some((baixa) => !estornada(baixa))) {
+    throw new Error('Estorne as baixas do lançamento antes de cancelá-lo.');
+  }
+
+  const { data: cheques, error: chequesError } = await supabase
+    .from('cheques')
+    .select('id')
+    .eq('lancamento_id', lancamento.id)
+    .in('status', STATUS_EM_ABERTO)
+    .limit(1);
+  if (chequesError) {
+    throw new Error(chequesError.message || 'Não foi possível verificar os cheques do lançamento.');
+  }
+  if (cheques?.length) {
+    throw new Error('O lançamento tem cheques em custódia ou depositados.');
+  }
+
+  const { error } = await supabase
+    .from('lancamentos')
+    .update({
+      status: 'Cancelado',
+      datapag: null,
+      motivo_cancelamento: motivo.trim(),
+      cancelado_em: new Date().toISOString(),
+      cancelado_por: userId ?? null,
+    })
+    .eq('id', lancamento.id);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível cancelar o lançamento.');
+  }
+};
@@ -0,0 +1,66 @@
+import { supabase } from '@/lib/customSupabaseClient';
+
+const CAMPOS_TRANSFERENCIA = `*,
+  conta_origem:contas_bancarias!transferencias_conta_origem_id_fkey (descricao, unidade),
+  conta_destino:contas_bancarias!transferencias_conta_destino_id_fkey (descricao, unidade)`;
+
+// Transferencias do periodo; sem `inicio`/`fim`, as mais recentes.
+export const listarTransferencias = async ({ inicio, fim, limite = 200 } = {}) => {
+  let query = supabase
+    .from('transferencias')
+    .select(CAMPOS_TRANSFERENCIA)
+    .order('data', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limite);
+  if (inicio) {
+    query = query.gte('data', inicio);
+  }
+  if (fim) {
+    query = query.lte('data', fim);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar as transferências.');
+  }
+  return data || [];
+};
+
+export const registrarTransferencia = async ({ data, valor, contaOrigemId, contaDestinoId, obs, userId }) => {
+  if (!data || !contaOrigemId || !contaDestinoId) {
+    throw new Error('Informe a data e as contas de origem e destino.');
+  }
+  if (String(contaOrigemId) === String(contaDestinoId)) {
+    throw new Error('A conta de destino deve ser diferente da conta de origem.');
+  }
+  if (!(Number(valor) > 0)) {
+    throw new Error('O valor da transferência deve ser maior que zero.');
+  }
+
+  const { data: transferencia, error } = await supabase
+    .from('transferencias')
+    .insert([{
+      data,
+      valor,
+      conta_origem_id: contaOrigemId,
+      conta_destino_id: contaDestinoId,
+      obs: obs || null,
+      usuario_id: userId ?? null,
+    }])
+    .select(CAMPOS_TRANSFERENCIA)
+    .single();
+  if (error) {
+    throw new Error(error.message || 'Não foi possível registrar a transferência.');
+  }
+  return transferencia;
+};
+
+export const excluirTransferencia = async (id) => {
+  const { error } = await supabase
+    .from('transferencias')
+    .delete()
+    .eq('id', id);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível excluir a transferência.');
+  }
+};
@@ -0,0 +1,84 @@
+import { supabase } from '@/lib/customSupabaseClient';
+import { somenteDigitos, validarCnpj } from '@/lib/documentos';
+
+// Formularios listam so as unidades ativas; filtros de relatorio usam todas,
+// para que o historico de uma unidade fechada continue consultavel.
+export const listarUnidades = async ({ apenasAtivas = true } = {}) => {
+  let query = supabase
+    .from('unidades')
+    .select('*')
+    .order('descricao');
+  if (apenasAtivas) {
+    query = query.eq('ativo', true);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar as unidades.');
+  }
+  return data || [];
+};
+
+// A troca de nome passa pela funcao do banco, que atualiza tambem lancamentos,
+// contas bancarias e regras que guardam o nome da unidade.
+export const salvarUnidade = async (unidade) => {
+  const descricao = (unidade.descricao || '').trim();
+  const cnpj = somenteDigitos(unidade.cnpj) || null;
+  if (!descricao) {
+    throw new Error('Informe o nome da unidade.');
+  }
+  if (cnpj && !validarCnpj(cnpj)) {
+    throw new Error('CNPJ inválido.');
+  }
+
+  if (!unidade.id) {
+    const { data, error } = await supabase
+      .from('unidades')
+      .insert([{ descricao, cnpj }])
+      .select('*')
+      .single();
+    if (error) {
+      throw new Error(error.message || 'Não foi possível salvar a unidade.');
+    }
+    return data;
+  }
+
+  const { data: atual, error: erroAtual } = await supabase
+    .from('unidades')
+    .select('descricao')
+    .eq('id', unidade.id)
+    .single();
+  if (erroAtual) {
+    throw new Error(erroAtual.message || 'Não foi possível carregar a unidade.');
+  }
+  if (atual.descricao !== descricao) {
+    const { error } = await supabase.rpc('renomear_unidade', {
+      registro_id: unidade.id,
+      nova_descricao: descricao,
+    });
+    if (error) {
+      throw new Error(error.message || 'Não foi possível renomear a unidade.');
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('unidades')
+    .update({ cnpj, updated_at: new Date().toISOString() })
+    .eq('id', unidade.id)
+    .select('*')
+    .single();
+  if (error) {
+    throw new Error(error.message || 'Não foi possível salvar a unidade.');
+  }
+  return data;
+};
+
+export const definirUnidadeAtiva = async (unidade, ativo) => {
+  const { error } = await supabase
+    .from('unidades')
+    .update({ ativo, updated_at: new Date().toISOString() })
+    .eq('id', unidade.id);
+  if (error) {
+    throw new Error(error.message || 'Não foi possível atualizar a unidade.');
+  }
+};
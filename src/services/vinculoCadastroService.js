@@ -0,0 +1,75 @@
+import { supabase } from '@/lib/customSupabaseClient';
+
+const PAGE_SIZE = 1000;
+
+// Nomes de cliente/fornecedor dos lancamentos ainda sem cadastro, com a
+// quantidade de lancamentos de cada grafia.
+export const listarNomesSemVinculo = async () => {
+  const { data, error } = await supabase
+    .from('lancamentos_nomes_sem_vinculo')
+    .select('*')
+    .order('lancamentos', { ascending: false })
+    .order('nome');
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar os nomes sem cadastro.');
+  }
+  return data || [];
+};
+
+export const listarUnidadesSemVinculo = async () => {
+  const { data, error } = await supabase
+    .from('lancamentos_unidades_sem_vinculo')
+    .select('*')
+    .order('lancamentos', { ascending: false });
+  if (error) {
+    throw new Error(error.message || 'Não foi possível carregar as unidades sem cadastro.');
+  }
+  return data || [];
+};
+
+// Todos os cadastros ativos, para comparar com os nomes sem vinculo.
+export const listarCadastrosAtivos = async () => {
+  const cadastros = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('clientes_fornecedores')
+      .select('id, tipo, descricao')
+      .eq('ativo', true)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      throw new Error(error.message || 'Não foi possível carregar os cadastros.');
+    }
+    cadastros.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return cadastros;
+  }
+};
+
+// Liga todos os lancamentos sem cadastro com esta grafia; o gatilho do banco
+// troca o nome pelo do cadastro. Retorna quantos lancamentos foram ligados.
+export const vincularNome = async ({ tipo, nome, cadastroId }) => {
+  const { data, error } = await supabase
+    .from('lancamentos')
+    .update({ cliente_fornecedor_id: cadastroId })
+    .is('cliente_fornecedor_id', null)
+    .eq('tipo', tipo)
+    .eq('cliente_fornecedor', nome)
+    .select('id');
+  if (error) {
+    throw new Error(error.message || 'Não foi possível vincular os lançamentos.');
+  }
+  return data?.length || 0;
+};
+
+export const vincularUnidade = async ({ nome, unidadeId }) => {
+  const { data, error } = await supabase
+    .from('lancamentos')
+    .update({ unidade_id: unidadeId })
+    .is('unidade_id', null)
+    .eq('unidade', nome)
+    .select('id');
+  if (error) {
+    throw new Error(error.message || 'Não foi possível vincular os lançamentos.');
+  }
+  return data?.length || 0;
+};
@@ -0,0 +1,97 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { camposAlterados, compararMudancas, conferirDependentes, mesmoValor, titulosReabertos } from "./desfazer.ts";
+
+const execucao = { id: 9, status: "concluido", iniciado_em: "2026-10-18T10:00:00Z" };
+
+const lancamento = (id, campos) => ({
+  id,
+  cliente_fornecedor: "Maria Souza",
+  aluno: "Ana",
+  parcel: "1/12",
+  data: "2026-11-10",
+  valor: "350.00",
+  status: "A Vencer",
+  datapag: null,
+  ...campos,
+});
+
+test("mesmoValor compara números do banco com os gravados e trata ausência como nulo", () => {
+  assert.equal(mesmoValor("350.00", 350), true);
+  assert.equal(mesmoValor(undefined, null), true);
+  assert.equal(mesmoValor(null, 0), false);
+  assert.equal(mesmoValor("Pago", "Pago"), true);
+});
+
+test("camposAlterados inclui os campos que os triggers mudaram, sem os técnicos", () => {
+  const existente = lancamento(1, { updated_at: "2026-10-01" });
+  const gravado = lancamento(1, { status: "Pago", datapag: "2026-11-05", valor: 350, updated_at: "2026-10-18" });
+
+  assert.deepEqual(camposAlterados(existente, gravado, { datapag: "2026-11-05" }), ["datapag", "status"]);
+});
+
+test("compararMudancas desfaz o que continua como a importação deixou e aponta o que mudou depois", () => {
+  const mudancas = [
+    { lancamento_id: 1, acao: "insercao", antes: null, depois: lancamento(1) },
+    { lancamento_id: 2, acao: "atualizacao", antes: { valor: 300 }, depois: { valor: 350 } },
+    { lancamento_id: 3, acao: "atualizacao", antes: { valor: 300 }, depois: { valor: 350 } },
+    { lancamento_id: 4, acao: "insercao", antes: null, depois: lancamento(4, { aluno: "Bia" }) },
+  ];
+  const atuais = new Map([
+    ["1", lancamento(1)],
+    ["2", lancamento(2)],
+    ["3", lancamento(3, { valor: "400.00" })],
+  ]);
+
+  const plano = compararMudancas(execucao, mudancas, atuais);
+
+  assert.deepEqual(plano.remover, ["1"]);
+  assert.deepEqual(plano.restaurar, [{ id: "2", valores: { valor: 300 } }]);
+  assert.deepEqual(
+    plano.conflitos.map(({ lancamento_id, motivo, campos, resumo }) => [lancamento_id, motivo, campos, resumo.aluno]),
+    [
+      ["3", "Alterado após a importação.", [{ campo: "valor", esperado: 350, atual: "400.00" }], "Ana"],
+      ["4", "Lançamento excluído após a importação.", [], "Bia"],
+    ],
+  );
+});
+
+test("conferirDependentes remove a baixa automática e bloqueia o que o app usou depois", () => {
+  const mudancas = [
+    { lancamento_id: 1, acao: "insercao", antes: null, depois: lancamento(1, { status: "Pago" }) },
+    { lancamento_id: 2, acao: "atualizacao", antes: { status: "A Vencer", datapag: null }, depois: { status: "Pago" } },
+    { lancamento_id: 3, acao: "atualizacao", antes: { status: "A Vencer", datapag: null }, depois: { status: "Pago" } },
+    { lancamento_id: 4, acao: "insercao", antes: null, depois: lancamento(4) },
+    { lancamento_id: 5, acao: "atualizacao", antes: { valor: 300 }, depois: { valor: 350 } },
+  ];
+  const atuais = new Map([
+    ["1", lancamento(1, { status: "Pago" })],
+    ["2", lancamento(2, { status: "Pago" })],
+    ["3", lancamento(3, { status: "Pago" })],
+    ["4", lancamento(4)],
+    ["5", lancamento(5)],
+  ]);
+  const plano = compararMudancas(execucao, mudancas, atuais);
+  assert.deepEqual(titulosReabertos(plano), ["2", "3"]);
+
+  const baixas = [
+    { id: 11, lancamento_id: 1, automatica: true, created_at: "2026-10-18T10:00:05Z", estorno: [] },
+    { id: 12, lancamento_id: 2, automatica: true, created_at: "2026-10-18T10:00:05Z", estorno: [] },
+    { id: 13, lancamento_id: 3, automatica: true, created_at: "2026-10-18T10:00:05Z", estorno: [{ id: 1 }] },
+    { id: 14, lancamento_id: 2, automatica: false, created_at: "2026-09-01T00:00:00Z", estorno: [] },
+  ];
+
+  conferirDependentes(plano, atuais, baixas, new Set(["4"]));
+
+  assert.deepEqual(plano.baixasAutomaticas, [11, 12]);
+  assert.deepEqual(plano.remover, ["1"]);
+  assert.deepEqual(plano.restaurar.map(({ id }) => id), ["2", "5"]);
+  assert.deepEqual(
+    plano.conflitos.map(({ lancamento_id, acao, motivo }) => [lancamento_id, acao, motivo]),
+    [
+      ["4", "insercao", "Recebeu baixa, borderô ou cheque após a importação."],
+      ["3", "atualizacao", "Recebeu baixa após a importação."],
+    ],
+  );
+});
@@ -0,0 +1,148 @@
+import { type Lancamento } from "./plano.ts";
+
+// Conferencias do desfazer de uma importacao, sem acesso ao banco: `index.ts`
+// carrega as mudancas registradas, os lancamentos atuais e suas baixas.
+
+type Acao = "insercao" | "atualizacao";
+
+export type Conflito = {
+  lancamento_id: string;
+  acao: Acao;
+  motivo: string;
+  campos: { campo: string; esperado: unknown; atual: unknown }[];
+  resumo: Lancamento;
+};
+
+export type PlanoDesfazer = {
+  execucao: Lancamento;
+  remover: string[];
+  restaurar: { id: string; valores: Lancamento }[];
+  baixasAutomaticas: unknown[];
+  conflitos: Conflito[];
+};
+
+export const mesmoValor = (atual: unknown, esperado: unknown): boolean => {
+  if ((atual ?? null) === null || (esperado ?? null) === null) {
+    return (atual ?? null) === (esperado ?? null);
+  }
+  if (typeof atual === "number" || typeof esperado === "number") {
+    return Number(atual) === Number(esperado);
+  }
+  return String(atual) === String(esperado);
+};
+
+const CAMPOS_TECNICOS = new Set(["id", "created_at", "updated_at"]);
+
+// Campos enviados pela importacao mais os que os triggers mudaram no banco.
+export const camposAlterados = (existente: Lancamento, gravado: Lancamento, alteracoes: Lancamento): string[] => [
+  ...new Set([
+    ...Object.keys(alteracoes),
+    ...Object.keys(gravado).filter(
+      (campo) => !CAMPOS_TECNICOS.has(campo) && !mesmoValor(gravado[campo], existente[campo]),
+    ),
+  ]),
+];
+
+const resumir = (lancamento: Lancamento): Lancamento => ({
+  cliente_fornecedor: lancamento.cliente_fornecedor ?? null,
+  aluno: lancamento.aluno ?? null,
+  parcel: lancamento.parcel ?? null,
+  data: lancamento.data ?? null,
+});
+
+// Confere se cada lancamento tocado pela execucao continua exatamente como a
+// importacao o deixou. Qualquer edicao posterior (manual ou de outra
+// importacao) vira conflito e impede o desfazer.
+export const compararMudancas = (
+  execucao: Lancamento,
+  mudancas: Lancamento[],
+  atuais: Map<string, Lancamento>,
+): PlanoDesfazer => {
+  const plano: PlanoDesfazer = { execucao, remover: [], restaurar: [], baixasAutomaticas: [], conflitos: [] };
+
+  for (const mudanca of mudancas) {
+    const id = String(mudanca.lancamento_id);
+    const acao = mudanca.acao as Acao;
+    const atual = atuais.get(id);
+    const depois = mudanca.depois as Lancamento;
+
+    if (!atual) {
+      plano.conflitos.push({
+        lancamento_id: id,
+        acao,
+        motivo: "Lançamento excluído após a importação.",
+        campos: [],
+        resumo: resumir(depois),
+      });
+      continue;
+    }
+
+    const campos = Object.entries(depois)
+      .filter(([campo, esperado]) => !mesmoValor(atual[campo], esperado))
+      .map(([campo, esperado]) => ({ campo, esperado, atual: atual[campo] ?? null }));
+
+    if (campos.length > 0) {
+      plano.conflitos.push({
+        lancamento_id: id,
+        acao,
+        motivo: "Alterado após a importação.",
+        campos,
+        resumo: resumir(atual),
+      });
+    } else if (acao === "insercao") {
+      plano.remover.push(id);
+    } else {
+      plano.restaurar.push({ id, valores: mudanca.antes as Lancamento });
+    }
+  }
+
+  return plano;
+};
+
+// Restaurar o status anterior de um titulo quitado pela importacao tambem
+// desfaz a baixa automatica que a quitacao gerou.
+export const titulosReabertos = (plano: PlanoDesfazer): string[] =>
+  plano.restaurar
+    .filter(({ valores }) => "status" in valores && valores.status !== "Pago")
+    .map(({ id }) => id);
+
+const baixaEstornada = (baixa: Lancamento): boolean =>
+  Array.isArray(baixa.estorno) ? baixa.estorno.length > 0 : Boolean(baixa.estorno);
+
+// Baixas criadas a partir da execucao: a automatica ainda ativa e desfeita
+// junto com a importacao; qualquer outra, ou uma automatica ja estornada, vem
+// de uso posterior do app e, como borderos e cheques, bloqueia o lancamento.
+export const conferirDependentes = (
+  plano: PlanoDesfazer,
+  atuais: Map<string, Lancamento>,
+  baixas: Lancamento[],
+  comDependentes: Set<string>,
+): PlanoDesfazer => {
+  const bloqueados = new Set(comDependentes);
+  const reabertos = titulosReabertos(plano);
+  const inicio = new Date(plano.execucao.iniciado_em as string).getTime();
+
+  for (const baixa of baixas) {
+    if (new Date(baixa.created_at as string).getTime() < inicio) continue;
+    if (baixa.automatica && !baixaEstornada(baixa)) {
+      plano.baixasAutomaticas.push(baixa.id);
+    } else {
+      bloqueados.add(String(baixa.lancamento_id));
+    }
+  }
+
+  for (const id of [...plano.remover, ...reabertos].filter((tocado) => bloqueados.has(tocado))) {
+    const inserido = plano.remover.includes(id);
+    plano.conflitos.push({
+      lancamento_id: id,
+      acao: inserido ? "insercao" : "atualizacao",
+      motivo: inserido ? "Recebeu baixa, borderô ou cheque após a importação." : "Recebeu baixa após a importação.",
+      campos: [],
+      resumo: resumir(atuais.get(id) as Lancamento),
+    });
+  }
+  plano.remover = plano.remover.filter((id) => !bloqueados.has(id));
+  plano.restaurar = plano.restaurar.filter(({ id }) => !bloqueados.has(id));
+
+  return plano;
+};
@@ -1,5 +1,30 @@
 import { serve } from "https://deno.land/std@0.224.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import {
+  CAMPOS_MAPEAVEIS,
+  cabecalhosRepetidos,
+  type CabecalhosEsperados,
+  type ColunasPerfil,
+  resolverLayout,
+  sugerirColunas,
+} from "./mapeamento.ts";
+import {
+  buildDiff,
+  buildLancamentos,
+  CAMPOS_PLANILHA,
+  type Lancamento,
+  planejarImportacao,
+  type PlanoImportacao,
+  type Rejeicao,
+  type SheetRow,
+} from "./plano.ts";
+import {
+  camposAlterados,
+  compararMudancas,
+  conferirDependentes,
+  type PlanoDesfazer,
+  titulosReabertos,
+} from "./desfazer.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -12,6 +37,9 @@ const googleApiKey = Deno.env.get("GOOGLE_API_KEY");
 const recebimentosSheetId = Deno.env.get("GOOGLE_SHEET_RECEBIMENTOS_ID");
 const recebimentosRange =
   Deno.env.get("GOOGLE_SHEET_RECEBIMENTOS_RANGE") ?? "A:V";
+const pagamentosSheetId = Deno.env.get("GOOGLE_SHEET_PAGAMENTOS_ID");
+const pagamentosRange =
+  Deno.env.get("GOOGLE_SHEET_PAGAMENTOS_RANGE") ?? "A:D";
 
 if (!supabaseUrl) {
   throw new Error("Environment variable SUPABASE_URL is not defined.");
@@ -36,38 +64,10 @@ const supabase = createClient(supabaseUrl, supabaseServiceRoleKey, {
   },
 });
 
-const parseCurrency = (value?: string): number => {
-  if (!value) return 0;
-  const normalized = value.replace(/\./g, "").replace(",", ".").replace(/[^\d.-]/g, "");
-  const parsed = Number.parseFloat(normalized);
-  return Number.isFinite(parsed) ? parsed : 0;
-};
-
-const parseDate = (value?: string): string | null => {
-  if (!value) return null;
-  const trimmed = value.trim();
-  if (!trimmed) return null;
-  const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(trimmed);
-  if (!match) return null;
-  const [, day, month, year] = match;
-  return `${year}-${month}-${day}`;
-};
-
-const buildObservacao = (categoria?: string, parcela?: string): string | null => {
-  const categoriaText = categoria?.trim();
-  const parcelaText = parcela?.trim();
-
-  if (categoriaText && parcelaText) {
-    return `${categoriaText} / ${parcelaText}`;
-  }
-
-  return categoriaText || parcelaText || null;
-};
-
-const fetchSheetData = async () => {
-  const encodedRange = encodeURIComponent(recebimentosRange);
+const fetchSheetData = async (sheetId: string, range: string) => {
+  const encodedRange = encodeURIComponent(range);
   const url = new URL(
-    `https://sheets.googleapis.com/v4/spreadsheets/${recebimentosSheetId}/values/${encodedRange}`,
+    `https://sheets.googleapis.com/v4/spreadsheets/${sheetId}/values/${encodedRange}`,
   );
   url.searchParams.set("key", googleApiKey);
 
@@ -88,52 +88,156 @@ const fetchSheetData = async () => {
   return payload.values as string[][];
 };
 
-type RecebimentoRow = string[] | undefined;
+type Fonte = {
+  id: "recebimentos" | "pagamentos";
+  tipo: "Entrada" | "Saida";
+  sheetId?: string;
+  range: string;
+  // Nomes de cabecalho das planilhas atuais: sem perfil salvo, as colunas sao
+  // localizadas por eles, nunca pela posicao.
+  cabecalhosPadrao: CabecalhosEsperados;
+};
 
-const buildLancamentosEntrada = (values: RecebimentoRow[]): Record<string, unknown>[] => {
-  if (!values || values.length <= 1) {
-    return [];
+const FONTES: Record<Fonte["id"], Fonte> = {
+  recebimentos: {
+    id: "recebimentos",
+    tipo: "Entrada",
+    sheetId: recebimentosSheetId,
+    range: recebimentosRange,
+    cabecalhosPadrao: {
+      cliente_fornecedor: ["Cliente", "Responsável", "Responsável financeiro"],
+      aluno: ["Aluno"],
+      data: ["Vencimento", "Data de vencimento"],
+      datapag: ["Data da baixa", "Data de pagamento", "Pagamento"],
+      categoria: ["Categoria"],
+      descricao: ["Descrição", "Histórico"],
+      parcel: ["Parcela"],
+      valor: ["Valor", "Valor original"],
+      desc_pontual: ["Desconto pontual", "Desconto de pontualidade", "Desc. pontual"],
+      unidade: ["Unidade"],
+    },
+  },
+  pagamentos: {
+    id: "pagamentos",
+    tipo: "Saida",
+    sheetId: pagamentosSheetId,
+    range: pagamentosRange,
+    cabecalhosPadrao: {
+      cliente_fornecedor: ["Fornecedor", "Favorecido"],
+      parcel: ["Parcela"],
+      data: ["Vencimento", "Data de vencimento"],
+      valor: ["Valor"],
+    },
+  },
+};
+
+const PAGE_SIZE = 1000;
+
+const fetchLancamentosExistentes = async (tipo: string): Promise<Lancamento[]> => {
+  const existentes: Lancamento[] = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("lancamentos")
+      .select(
+        "id, status, datapag, chave_importacao, orfao_importacao, cliente_fornecedor_id, unidade_id, " + CAMPOS_PLANILHA.join(", "),
+      )
+      .eq("tipo", tipo)
+      .order("id", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Falha ao carregar lançamentos existentes: ${error.message}`);
+    }
+
+    existentes.push(...(data ?? []));
+    if (!data || data.length < PAGE_SIZE) break;
   }
 
-  const rows = values.slice(1);
-  const registros: Record<string, unknown>[] = [];
+  return existentes;
+};
 
-  for (const row of rows) {
-    if (!row || row.length < 22) continue;
+// Lancamentos com alguma baixa estornada: o estorno reabriu o titulo no app e
+// a data de pagamento da planilha nao pode quita-lo de novo.
+const fetchIdsEstornados = async (): Promise<Set<string>> => {
+  const estornados = new Set<string>();
 
-    const valorOriginal = parseCurrency(row[14]);
-    const dataVencimento = parseDate(row[4]);
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("estornos")
+      .select("baixa:baixas (lancamento_id)")
+      .order("id", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
 
-    if (!dataVencimento || valorOriginal === 0) {
-      continue;
+    if (error) {
+      throw new Error(`Falha ao carregar estornos: ${error.message}`);
     }
 
-    const dataBaixa = parseDate(row[5]);
-    const status = dataBaixa ? "Pago" : "A Vencer";
+    for (const { baixa } of (data ?? []) as { baixa: { lancamento_id: unknown } | null }[]) {
+      if (baixa) estornados.add(String(baixa.lancamento_id));
+    }
+    if (!data || data.length < PAGE_SIZE) break;
+  }
 
-    const registro: Record<string, unknown> = {
-      data: dataVencimento,
-      tipo: "Entrada",
-      cliente_fornecedor: row[0]?.trim() || "Sem identificacao",
-      descricao: row[12]?.trim() || "",
-      valor: valorOriginal,
-      status,
-      unidade: row[21]?.trim() || null,
-      obs: buildObservacao(row[11], row[13]),
-      datapag: dataBaixa,
-      aluno: row[3]?.trim() || null,
-      parcel: row[13]?.trim() || null,
-    };
+  return estornados;
+};
 
-    const descPontual = parseCurrency(row[16]);
-    if (descPontual !== 0) {
-      registro.desc_pontual = descPontual;
+// Nomes que o banco vincularia a um cadastro inativo (o unico cadastro do tipo
+// com esse nome, sem diferenca de maiusculas). O gatilho de vinculo recusa
+// lancamentos novos com eles.
+const fetchNomesInativos = async (tipo: string): Promise<Set<string>> => {
+  const porNome = new Map<string, boolean[]>();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("clientes_fornecedores")
+      .select("descricao, ativo")
+      .eq("tipo", tipo === "Entrada" ? "Cliente" : "Fornecedor")
+      .order("id", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Falha ao carregar clientes/fornecedores: ${error.message}`);
     }
 
-    registros.push(registro);
+    for (const { descricao, ativo } of data ?? []) {
+      const nome = String(descricao ?? "").trim().toLowerCase();
+      porNome.set(nome, [...(porNome.get(nome) ?? []), Boolean(ativo)]);
+    }
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return new Set(
+    [...porNome.entries()].filter(([, ativos]) => ativos.length === 1 && !ativos[0]).map(([nome]) => nome),
+  );
+};
+
+const fetchPerfilMapeamento = async (fonte: Fonte): Promise<ColunasPerfil | null> => {
+  if (!fonte.sheetId) return null;
+
+  const { data, error } = await supabase
+    .from("import_mapeamentos")
+    .select("colunas")
+    .eq("fonte", fonte.id)
+    .eq("sheet_id", fonte.sheetId)
+    .eq("range", fonte.range)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Falha ao carregar o mapeamento de colunas: ${error.message}`);
   }
 
-  return registros;
+  return (data?.colunas as ColunasPerfil | undefined) ?? null;
+};
+
+// Assinatura do conteudo lido; a confirmacao so e aplicada se a planilha nao
+// mudou desde a pre-visualizacao.
+const buildAssinatura = async (values: SheetRow[]): Promise<string> => {
+  const bytes = new TextEncoder().encode(JSON.stringify(values));
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
 };
 
 const chunkArray = <T>(items: T[], size: number): T[][] => {
@@ -154,6 +258,388 @@ const jsonResponse = (payload: Record<string, unknown>, status = 200) =>
     },
   });
 
+const ORIGENS = new Set(["manual", "agendado"]);
+
+const MAX_LINHAS_ARQUIVO = 20000;
+
+class RequisicaoInvalida extends Error {}
+
+class ImportacaoEmAndamento extends Error {}
+
+type ArquivoEnviado = { nome: string; values: string[][] };
+
+// Upload de CSV/XLSX: o app envia as linhas ja convertidas para o formato da
+// Sheets API (`string[][]`, cabecalho na primeira linha), que seguem o mesmo
+// mapeamento, validacao e upsert da planilha.
+const lerArquivoEnviado = (body: Record<string, unknown>): ArquivoEnviado | null => {
+  if (body?.values === undefined) return null;
+
+  const values = body.values;
+  if (!Array.isArray(values) || !values.every((row) => Array.isArray(row))) {
+    throw new RequisicaoInvalida("O arquivo enviado deve ser uma lista de linhas.");
+  }
+  if (values.length > MAX_LINHAS_ARQUIVO) {
+    throw new RequisicaoInvalida(`O arquivo excede o limite de ${MAX_LINHAS_ARQUIVO} linhas.`);
+  }
+
+  return {
+    nome: String(body.arquivo ?? "arquivo").slice(0, 255),
+    values: values.map((row: unknown[]) =>
+      row.map((cell) => (cell === null || cell === undefined ? "" : String(cell)))
+    ),
+  };
+};
+
+type Usuario = { id: string; email?: string } | null;
+
+const identificarUsuario = async (request: Request): Promise<Usuario> => {
+  const token = request.headers.get("Authorization")?.replace(/^Bearer\s+/i, "");
+  if (!token || token === supabaseServiceRoleKey) return null;
+  const { data } = await supabase.auth.getUser(token);
+  return data?.user ? { id: data.user.id, email: data.user.email } : null;
+};
+
+// Uma execucao que a funcao nao chegou a finalizar (timeout, queda) libera o
+// lock depois deste prazo, bem acima do limite de duracao das Edge Functions.
+const EXECUCAO_EXPIRA_MS = 30 * 60 * 1000;
+
+// Cada importacao efetiva (nao a pre-visualizacao) fica registrada em
+// `import_runs` com contagens e as linhas rejeitadas. O indice unico parcial
+// `import_runs_uma_em_andamento` e o lock: manual, upload ou agendada, so uma
+// execucao fica `em_andamento` por vez.
+const iniciarExecucao = async (dados: Lancamento): Promise<unknown> => {
+  const { error: expiraError } = await supabase
+    .from("import_runs")
+    .update({
+      status: "erro",
+      mensagem: "Execução interrompida sem finalizar.",
+      finalizado_em: new Date().toISOString(),
+    })
+    .eq("status", "em_andamento")
+    .lt("iniciado_em", new Date(Date.now() - EXECUCAO_EXPIRA_MS).toISOString());
+
+  if (expiraError) {
+    throw new Error(`Falha ao liberar execuções interrompidas: ${expiraError.message}`);
+  }
+
+  const { data, error } = await supabase
+    .from("import_runs")
+    .insert({ ...dados, status: "em_andamento" })
+    .select("id")
+    .single();
+
+  if (error?.code === "23505") {
+    throw new ImportacaoEmAndamento("Já existe uma importação em andamento. Aguarde a conclusão e tente novamente.");
+  }
+  if (error) {
+    throw new Error(`Falha ao registrar a execução da importação: ${error.message}`);
+  }
+
+  return data.id;
+};
+
+const finalizarExecucao = async (id: unknown, dados: Lancamento) => {
+  const { error } = await supabase
+    .from("import_runs")
+    .update({ ...dados, finalizado_em: new Date().toISOString() })
+    .eq("id", id);
+
+  if (error) {
+    console.error("[import-google-sheets] Falha ao finalizar execução:", error);
+  }
+};
+
+type Mudanca = {
+  execucao_id: unknown;
+  lancamento_id: unknown;
+  acao: "insercao" | "atualizacao";
+  antes: Lancamento | null;
+  depois: Lancamento;
+};
+
+const registrarMudancas = async (mudancas: Mudanca[]) => {
+  for (const lote of chunkArray(mudancas, 500)) {
+    if (lote.length === 0) continue;
+    const { error } = await supabase
+      .from("import_run_changes")
+      .insert(lote.map((mudanca) => ({ ...mudanca, lancamento_id: String(mudanca.lancamento_id) })));
+    if (error) {
+      throw new Error(`Falha ao registrar alterações da importação: ${error.message}`);
+    }
+  }
+};
+
+// Cada lote aplicado e registrado em `import_run_changes` com o estado anterior
+// e o posterior, permitindo desfazer a execucao depois.
+const aplicarPlano = async (plano: PlanoImportacao, execucaoId: unknown) => {
+  for (const lote of chunkArray(plano.inserir, 500)) {
+    if (lote.length === 0) continue;
+    const { data, error: insertError } = await supabase.from("lancamentos").insert(lote).select("*");
+    if (insertError) {
+      throw new Error(`Falha ao inserir lançamentos: ${insertError.message}`);
+    }
+    await registrarMudancas(
+      (data ?? []).map((inserido: Lancamento) => ({
+        execucao_id: execucaoId,
+        lancamento_id: inserido.id,
+        acao: "insercao",
+        antes: null,
+        depois: inserido,
+      })),
+    );
+  }
+
+  // A linha e relida apos o update para que `depois` traga o que os triggers
+  // gravaram (ex.: cliente_fornecedor_id/unidade_id de vincular_cadastros_lancamento).
+  for (const lote of chunkArray(plano.atualizar, 20)) {
+    const resultados = await Promise.all(
+      lote.map(({ existente, alteracoes }) =>
+        supabase.from("lancamentos").update(alteracoes).eq("id", existente.id).select("*").single()
+      ),
+    );
+    const falha = resultados.find((resultado) => resultado.error);
+    if (falha?.error) {
+      throw new Error(`Falha ao atualizar lançamentos: ${falha.error.message}`);
+    }
+    await registrarMudancas(
+      lote.map(({ existente, alteracoes }, indice) => {
+        const gravado = resultados[indice].data as Lancamento;
+        const campos = camposAlterados(existente, gravado, alteracoes);
+        return {
+          execucao_id: execucaoId,
+          lancamento_id: existente.id,
+          acao: "atualizacao",
+          antes: Object.fromEntries(campos.map((campo) => [campo, existente[campo] ?? null])),
+          depois: Object.fromEntries(campos.map((campo) => [campo, gravado[campo] ?? null])),
+        };
+      }),
+    );
+  }
+
+  for (const lote of chunkArray(plano.orfaos.map((existente) => existente.id), 500)) {
+    if (lote.length === 0) continue;
+    const { data, error: orfaoError } = await supabase
+      .from("lancamentos")
+      .update({ orfao_importacao: true })
+      .in("id", lote)
+      .eq("orfao_importacao", false)
+      .select("id");
+    if (orfaoError) {
+      throw new Error(`Falha ao sinalizar lançamentos órfãos: ${orfaoError.message}`);
+    }
+    await registrarMudancas(
+      (data ?? []).map(({ id }: Lancamento) => ({
+        execucao_id: execucaoId,
+        lancamento_id: id,
+        acao: "atualizacao",
+        antes: { orfao_importacao: false },
+        depois: { orfao_importacao: true },
+      })),
+    );
+  }
+};
+
+const STATUS_DESFAZIVEIS = new Set(["concluido", "erro"]);
+
+const fetchMudancas = async (execucaoId: unknown): Promise<Lancamento[]> => {
+  const mudancas: Lancamento[] = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("import_run_changes")
+      .select("lancamento_id, acao, antes, depois")
+      .eq("execucao_id", execucaoId)
+      .order("id", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Falha ao carregar alterações da importação: ${error.message}`);
+    }
+
+    mudancas.push(...(data ?? []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return mudancas;
+};
+
+const fetchLancamentosPorId = async (ids: string[]): Promise<Map<string, Lancamento>> => {
+  const porId = new Map<string, Lancamento>();
+
+  for (const lote of chunkArray(ids, 200)) {
+    if (lote.length === 0) continue;
+    const { data, error } = await supabase.from("lancamentos").select("*").in("id", lote);
+    if (error) {
+      throw new Error(`Falha ao carregar lançamentos: ${error.message}`);
+    }
+    for (const lancamento of data ?? []) {
+      porId.set(String(lancamento.id), lancamento);
+    }
+  }
+
+  return porId;
+};
+
+// Itens de bordero e cheques impedem a exclusao do lancamento; baixas sao
+// conferidas a parte por `fetchBaixas`.
+const TABELAS_DEPENDENTES = ["bordero_itens", "cheques"];
+
+const fetchIdsComDependentes = async (ids: string[]): Promise<Set<string>> => {
+  const comDependentes = new Set<string>();
+
+  for (const tabela of TABELAS_DEPENDENTES) {
+    for (const lote of chunkArray(ids, 200)) {
+      if (lote.length === 0) continue;
+      const { data, error } = await supabase.from(tabela).select("lancamento_id").in("lancamento_id", lote);
+      if (error) {
+        throw new Error(`Falha ao verificar ${tabela} dos lançamentos: ${error.message}`);
+      }
+      for (const { lancamento_id } of data ?? []) {
+        comDependentes.add(String(lancamento_id));
+      }
+    }
+  }
+
+  return comDependentes;
+};
+
+// Baixas dos lancamentos, com o estorno de cada uma.
+const fetchBaixas = async (ids: string[]): Promise<Lancamento[]> => {
+  const baixas: Lancamento[] = [];
+
+  for (const lote of chunkArray(ids, 200)) {
+    if (lote.length === 0) continue;
+    const { data, error } = await supabase
+      .from("baixas")
+      .select("id, lancamento_id, automatica, created_at, estorno:estornos (id)")
+      .in("lancamento_id", lote);
+    if (error) {
+      throw new Error(`Falha ao verificar baixas dos lançamentos: ${error.message}`);
+    }
+    baixas.push(...(data ?? []));
+  }
+
+  return baixas;
+};
+
+const planejarDesfazer = async (execucaoId: unknown): Promise<PlanoDesfazer> => {
+  const { data: execucao, error } = await supabase
+    .from("import_runs")
+    .select("*")
+    .eq("id", execucaoId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Falha ao carregar a execução da importação: ${error.message}`);
+  }
+  if (!execucao) {
+    throw new Error(`Execução de importação ${execucaoId} não encontrada.`);
+  }
+
+  if (!STATUS_DESFAZIVEIS.has(execucao.status)) {
+    return { execucao, remover: [], restaurar: [], baixasAutomaticas: [], conflitos: [] };
+  }
+
+  const mudancas = await fetchMudancas(execucaoId);
+  const atuais = await fetchLancamentosPorId([...new Set(mudancas.map(({ lancamento_id }) => String(lancamento_id)))]);
+  const plano = compararMudancas(execucao, mudancas, atuais);
+
+  const baixas = await fetchBaixas([...plano.remover, ...titulosReabertos(plano)]);
+  const comDependentes = await fetchIdsComDependentes(plano.remover);
+  return conferirDependentes(plano, atuais, baixas, comDependentes);
+};
+
+const aplicarDesfazer = async (plano: PlanoDesfazer) => {
+  for (const lote of chunkArray(plano.baixasAutomaticas, 500)) {
+    if (lote.length === 0) continue;
+    const { error } = await supabase.from("baixas").delete().in("id", lote);
+    if (error) {
+      throw new Error(`Falha ao remover baixas automáticas: ${error.message}`);
+    }
+  }
+
+  for (const lote of chunkArray(plano.restaurar, 20)) {
+    const resultados = await Promise.all(
+      lote.map(({ id, valores }) => supabase.from("lancamentos").update(valores).eq("id", id)),
+    );
+    const falha = resultados.find((resultado) => resultado.error);
+    if (falha?.error) {
+      throw new Error(`Falha ao restaurar lançamentos: ${falha.error.message}`);
+    }
+  }
+
+  for (const lote of chunkArray(plano.remover, 500)) {
+    if (lote.length === 0) continue;
+    const { error } = await supabase.from("lancamentos").delete().in("id", lote);
+    if (error) {
+      throw new Error(`Falha ao remover lançamentos inseridos: ${error.message}`);
+    }
+  }
+};
+
+const desfazerExecucao = async (request: Request, body: Record<string, unknown>) => {
+  const usuario = await identificarUsuario(request);
+  if (!usuario) {
+    return jsonResponse({ success: false, message: "Faça login para desfazer uma importação." }, 401);
+  }
+
+  const plano = await planejarDesfazer(body.execucaoId);
+  const contagem = { removidos: plano.remover.length, restaurados: plano.restaurar.length };
+
+  if (!STATUS_DESFAZIVEIS.has(plano.execucao.status as string)) {
+    return jsonResponse(
+      { success: false, message: "Apenas importações concluídas ou interrompidas por erro podem ser desfeitas." },
+      422,
+    );
+  }
+
+  if (plano.conflitos.length > 0) {
+    return jsonResponse(
+      {
+        success: false,
+        message:
+          `Não é possível desfazer: ${plano.conflitos.length} lançamento(s) foram alterados depois da importação. ` +
+          "Reverta essas alterações ou ajuste-as manualmente.",
+        conflitos: plano.conflitos,
+        ...contagem,
+      },
+      409,
+    );
+  }
+
+  if (body.dryRun === true) {
+    return jsonResponse({
+      success: true,
+      dryRun: true,
+      message: "Pré-visualização do desfazer gerada. Nenhum dado foi alterado.",
+      conflitos: [],
+      ...contagem,
+    });
+  }
+
+  await aplicarDesfazer(plano);
+
+  const { error } = await supabase
+    .from("import_runs")
+    .update({
+      status: "desfeito",
+      desfeito_em: new Date().toISOString(),
+      desfeito_por_id: usuario.id,
+      desfeito_por_email: usuario.email ?? null,
+    })
+    .eq("id", plano.execucao.id);
+
+  if (error) {
+    throw new Error(`Lançamentos restaurados, mas falhou ao marcar a execução como desfeita: ${error.message}`);
+  }
+
+  return jsonResponse({
+    success: true,
+    message: `Importação desfeita: ${contagem.removidos} lançamentos removidos e ${contagem.restaurados} restaurados.`,
+    ...contagem,
+  });
+};
+
 serve(async (request: Request) => {
   if (request.method === "OPTIONS") {
     return new Response("ok", { headers: corsHeaders });
@@ -163,36 +649,165 @@ serve(async (request: Request) => {
     return jsonResponse({ success: false, message: "Method not allowed" }, 405);
   }
 
+  let execucaoId: unknown = null;
+
+  const encerrar = async (status: string, payload: Record<string, unknown>, httpStatus = 200) => {
+    if (execucaoId !== null) {
+      await finalizarExecucao(execucaoId, { status, mensagem: payload.message ?? null });
+    }
+    return jsonResponse({ ...payload, execucaoId }, httpStatus);
+  };
+
   try {
-    const values = await fetchSheetData();
-    const registros = buildLancamentosEntrada(values);
+    const body = await request.json().catch(() => ({}));
 
-    const { error: deleteError } = await supabase.from("lancamentos").delete()
-      .eq("tipo", "Entrada");
+    if (body?.acao === "desfazer") {
+      return await desfazerExecucao(request, body);
+    }
+
+    const dryRun = body?.dryRun === true;
+    const fonteId = body?.fonte ?? "recebimentos";
+    const fonte = Object.hasOwn(FONTES, fonteId) ? FONTES[fonteId as Fonte["id"]] : undefined;
+    const arquivo = lerArquivoEnviado(body);
+    const origem = arquivo ? "upload" : ORIGENS.has(body?.origem) ? body.origem : "manual";
 
-    if (deleteError) {
-      throw new Error(`Falha ao apagar lançamentos de entrada: ${deleteError.message}`);
+    if (!fonte) {
+      return jsonResponse({ success: false, message: `Fonte de importação desconhecida: ${fonteId}` }, 400);
     }
 
-    if (registros.length > 0) {
-      const batches = chunkArray(registros, 500);
+    if (!arquivo && !fonte.sheetId) {
+      return jsonResponse(
+        { success: false, message: `A planilha de ${fonte.id} não está configurada no servidor.` },
+        500,
+      );
+    }
 
-      for (const lote of batches) {
-        const { error: insertError } = await supabase.from("lancamentos").insert(lote);
-        if (insertError) {
-          throw new Error(`Falha ao inserir lançamentos: ${insertError.message}`);
-        }
-      }
+    if (!dryRun && body?.acao !== "mapeamento") {
+      const usuario = await identificarUsuario(request);
+      execucaoId = await iniciarExecucao({
+        fonte: fonte.id,
+        origem,
+        sheet_id: arquivo ? null : fonte.sheetId,
+        range: arquivo ? null : fonte.range,
+        arquivo: arquivo?.nome ?? null,
+        usuario_id: usuario?.id ?? null,
+        usuario_email: usuario?.email ?? null,
+      });
     }
 
-    return jsonResponse({
+    const values = arquivo ? arquivo.values : await fetchSheetData(fonte.sheetId as string, fonte.range);
+    const cabecalho = (values[0] ?? []).map((nome) => String(nome ?? ""));
+    const perfil = await fetchPerfilMapeamento(fonte);
+
+    if (body?.acao === "mapeamento") {
+      return jsonResponse({
+        success: true,
+        fonte: fonte.id,
+        sheetId: fonte.sheetId,
+        range: fonte.range,
+        cabecalho,
+        cabecalhosRepetidos: cabecalhosRepetidos(cabecalho),
+        campos: CAMPOS_MAPEAVEIS,
+        perfilSalvo: Boolean(perfil),
+        colunas: perfil ?? sugerirColunas(cabecalho, fonte.cabecalhosPadrao),
+      });
+    }
+
+    // As colunas sao sempre localizadas pelo cabecalho. Sem perfil salvo valem
+    // os nomes de cabecalho esperados para a fonte, com a mesma verificacao.
+    const colunas = perfil ?? sugerirColunas(cabecalho, fonte.cabecalhosPadrao);
+    const resolucao = resolverLayout(cabecalho, colunas);
+    if (resolucao.ausentes.length > 0 || resolucao.duplicados.length > 0) {
+      const problemas = [
+        resolucao.ausentes.length > 0 ? `cabeçalhos obrigatórios ausentes (${resolucao.ausentes.join(", ")})` : "",
+        resolucao.duplicados.length > 0 ? `cabeçalhos repetidos (${resolucao.duplicados.join(", ")})` : "",
+      ].filter(Boolean);
+      return await encerrar(
+        "recusado",
+        {
+          success: false,
+          message: `Importação recusada: ${problemas.join(" e ")} na planilha. Revise o mapeamento de colunas.`,
+          cabecalhosAusentes: resolucao.ausentes,
+          cabecalhosDuplicados: resolucao.duplicados,
+        },
+        422,
+      );
+    }
+    const layout = resolucao.layout;
+    const mapeamento = { origem: perfil ? "perfil" : "sugestao", colunas, avisos: resolucao.avisos };
+
+    const assinatura = await buildAssinatura(values);
+    const leitura = buildLancamentos(values, fonte, layout);
+    const existentes = await fetchLancamentosExistentes(fonte.tipo);
+    const plano = planejarImportacao(
+      leitura.registros,
+      existentes,
+      await fetchIdsEstornados(),
+      await fetchNomesInativos(fonte.tipo),
+    );
+    const rejeitados = [
+      ...leitura.rejeitados,
+      ...plano.inativos.map((registro) => ({
+        ...(leitura.origens.get(registro) as Omit<Rejeicao, "motivo">),
+        motivo: `${registro.cliente_fornecedor} está inativo no cadastro e não pode ser usado em novos lançamentos.`,
+      })),
+    ].sort((a, b) => a.linha - b.linha);
+
+    const contagem = {
+      inseridos: plano.inserir.length,
+      atualizados: plano.atualizar.length,
+      inalterados: plano.inalterados,
+      orfaos: plano.orfaos.length,
+      conflitos: plano.conflitos.length,
+      rejeitados: rejeitados.length,
+    };
+
+    if (dryRun) {
+      return jsonResponse({
+        success: true,
+        dryRun: true,
+        fonte: fonte.id,
+        message: "Pré-visualização gerada. Nenhum dado foi alterado.",
+        assinatura,
+        mapeamento,
+        ...contagem,
+        diff: buildDiff(plano, rejeitados),
+      });
+    }
+
+    if (body?.assinatura && body.assinatura !== assinatura) {
+      return await encerrar(
+        "recusado",
+        {
+          success: false,
+          message: "A planilha foi alterada desde a pré-visualização. Gere a revisão novamente.",
+        },
+        409,
+      );
+    }
+
+    await finalizarExecucao(execucaoId, { ...contagem, rejeicoes: rejeitados });
+    await aplicarPlano(plano, execucaoId);
+
+    return await encerrar("concluido", {
       success: true,
-      message: `Importação concluída com ${registros.length} lançamentos de entrada.`,
-      total_importado: registros.length,
+      fonte: fonte.id,
+      message:
+        `Importação de ${fonte.id} concluída: ${contagem.inseridos} novos, ${contagem.atualizados} atualizados, ` +
+        `${contagem.inalterados} inalterados, ${contagem.orfaos} fora da planilha, ` +
+        `${contagem.conflitos} pagamentos ignorados e ${contagem.rejeitados} rejeitados.`,
+      ...contagem,
     });
   } catch (error) {
+    if (error instanceof RequisicaoInvalida) {
+      return await encerrar("recusado", { success: false, message: error.message }, 400);
+    }
+    if (error instanceof ImportacaoEmAndamento) {
+      return jsonResponse({ success: false, message: error.message }, 409);
+    }
     console.error("[import-google-sheets] ERRO:", error);
-    return jsonResponse(
+    return await encerrar(
+      "erro",
       {
         success: false,
         message: error instanceof Error ? error.message : "Erro inesperado na importação.",
@@ -0,0 +1,118 @@
+export type CampoMapeavel =
+  | "cliente_fornecedor"
+  | "aluno"
+  | "data"
+  | "datapag"
+  | "categoria"
+  | "descricao"
+  | "parcel"
+  | "valor"
+  | "desc_pontual"
+  | "unidade";
+
+// Posicao (indice base 0) de cada campo de `lancamentos` na planilha de origem.
+export type LayoutColunas = Partial<Record<CampoMapeavel, number>>;
+
+// Nomes de cabecalho aceitos para cada campo quando nao ha perfil salvo.
+export type CabecalhosEsperados = Partial<Record<CampoMapeavel, string[]>>;
+
+// Perfil salvo em `import_mapeamentos.colunas`: campo -> nome do cabecalho.
+export type ColunasPerfil = Partial<Record<CampoMapeavel, string | null>>;
+
+export const CAMPOS_MAPEAVEIS: { campo: CampoMapeavel; rotulo: string; obrigatorio: boolean }[] = [
+  { campo: "cliente_fornecedor", rotulo: "Cliente/Fornecedor", obrigatorio: true },
+  { campo: "data", rotulo: "Vencimento", obrigatorio: true },
+  { campo: "valor", rotulo: "Valor", obrigatorio: true },
+  { campo: "datapag", rotulo: "Data da baixa", obrigatorio: false },
+  { campo: "descricao", rotulo: "Descrição", obrigatorio: false },
+  { campo: "aluno", rotulo: "Aluno", obrigatorio: false },
+  { campo: "parcel", rotulo: "Parcela", obrigatorio: false },
+  { campo: "categoria", rotulo: "Categoria", obrigatorio: false },
+  { campo: "desc_pontual", rotulo: "Desconto pontual", obrigatorio: false },
+  { campo: "unidade", rotulo: "Unidade", obrigatorio: false },
+];
+
+export const normalizeText = (value: unknown): string =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+export type ResolucaoLayout = {
+  layout: LayoutColunas;
+  ausentes: string[];
+  duplicados: string[];
+  avisos: string[];
+};
+
+const indexarCabecalho = (cabecalho: string[]): Map<string, number[]> => {
+  const indices = new Map<string, number[]>();
+  cabecalho.forEach((nome, index) => {
+    const chave = normalizeText(nome);
+    if (chave) {
+      indices.set(chave, [...(indices.get(chave) ?? []), index]);
+    }
+  });
+  return indices;
+};
+
+// Cabecalhos que aparecem mais de uma vez e por isso nao podem ser mapeados.
+export const cabecalhosRepetidos = (cabecalho: string[]): string[] =>
+  [...indexarCabecalho(cabecalho).values()]
+    .filter((indices) => indices.length > 1)
+    .map(([index]) => cabecalho[index].trim());
+
+// Localiza no cabecalho da planilha as colunas indicadas pelo perfil. Campos
+// obrigatorios sem cabecalho correspondente e cabecalhos mapeados que se
+// repetem na planilha impedem a importacao.
+export const resolverLayout = (cabecalho: string[], colunas: ColunasPerfil): ResolucaoLayout => {
+  const indices = indexarCabecalho(cabecalho);
+  const resolucao: ResolucaoLayout = { layout: {}, ausentes: [], duplicados: [], avisos: [] };
+
+  for (const { campo, rotulo, obrigatorio } of CAMPOS_MAPEAVEIS) {
+    const nome = colunas[campo]?.trim();
+
+    if (!nome) {
+      if (obrigatorio) {
+        resolucao.ausentes.push(`${rotulo} (não mapeado)`);
+      }
+      continue;
+    }
+
+    const encontrados = indices.get(normalizeText(nome)) ?? [];
+    if (encontrados.length > 1) {
+      resolucao.duplicados.push(nome);
+      continue;
+    }
+
+    const [index] = encontrados;
+    if (index === undefined) {
+      if (obrigatorio) {
+        resolucao.ausentes.push(nome);
+      } else {
+        resolucao.avisos.push(`Cabeçalho "${nome}" (${rotulo}) não encontrado; campo ignorado.`);
+      }
+      continue;
+    }
+
+    resolucao.layout[campo] = index;
+  }
+
+  return resolucao;
+};
+
+// Sugestao para a tela de mapeamento (e mapeamento sem perfil salvo): cada
+// campo fica com a coluna cujo cabecalho e um dos nomes esperados. Campo sem
+// coluna, ou com mais de uma candidata, fica sem sugestao.
+export const sugerirColunas = (cabecalho: string[], esperados: CabecalhosEsperados): ColunasPerfil => {
+  const indices = indexarCabecalho(cabecalho);
+
+  return Object.fromEntries(
+    Object.entries(esperados).map(([campo, nomes]) => {
+      const candidatos = [...new Set((nomes ?? []).flatMap((nome) => indices.get(normalizeText(nome)) ?? []))];
+      return [campo, candidatos.length === 1 ? cabecalho[candidatos[0]].trim() : null];
+    }),
+  );
+};
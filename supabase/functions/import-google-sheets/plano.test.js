@@ -0,0 +1,240 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { buildDiff, buildLancamentos, planejarImportacao } from "./plano.ts";
+
+const layout = { cliente_fornecedor: 0, aluno: 1, data: 2, datapag: 3, parcel: 4, valor: 5, unidade: 6 };
+const cabecalho = ["Cliente", "Aluno", "Vencimento", "Data da baixa", "Parcela", "Valor", "Unidade"];
+
+const ler = (...linhas) => buildLancamentos([cabecalho, ...linhas], { tipo: "Entrada" }, layout);
+
+test("buildLancamentos converte as linhas e rejeita vencimento ou valor inválidos", () => {
+  const leitura = ler(
+    ["Maria Souza", "Ana", "10/11/2026", "", "1/12", "1.350,50", "Centro"],
+    ["", "", "", "", "", "", ""],
+    ["João Lima", "Pedro", "2026-11-10", "", "1/12", "350,00", "Centro"],
+    ["João Lima", "Pedro", "10/11/2026", "08/11/2026", "1/12", "0,00", "Centro"],
+  );
+
+  assert.equal(leitura.registros.length, 1);
+  assert.deepEqual(
+    { ...leitura.registros[0] },
+    {
+      data: "2026-11-10",
+      tipo: "Entrada",
+      cliente_fornecedor: "Maria Souza",
+      descricao: "",
+      valor: 1350.5,
+      status: "A Vencer",
+      unidade: "Centro",
+      obs: "1/12",
+      datapag: null,
+      aluno: "Ana",
+      parcel: "1/12",
+      desc_pontual: null,
+      chave_importacao: "maria souza|ana|1/12|2026-11-10|centro",
+    },
+  );
+  assert.deepEqual(
+    leitura.rejeitados.map(({ linha, motivo }) => [linha, motivo]),
+    [
+      [4, 'Data de vencimento inválida: "2026-11-10".'],
+      [5, 'Valor zerado ou inválido: "0,00".'],
+    ],
+  );
+});
+
+test("buildLancamentos quita pela data da baixa e diferencia linhas idênticas", () => {
+  const linha = ["Maria Souza", "Ana", "10/11/2026", "05/11/2026", "1/12", "350,00", "Centro"];
+  const { registros } = ler(linha, linha);
+
+  assert.deepEqual(registros.map(({ status, datapag }) => [status, datapag]), [["Pago", "2026-11-05"], ["Pago", "2026-11-05"]]);
+  assert.deepEqual(registros.map(({ chave_importacao }) => chave_importacao), [
+    "maria souza|ana|1/12|2026-11-10|centro",
+    "maria souza|ana|1/12|2026-11-10|centro#2",
+  ]);
+});
+
+const existente = (campos) => ({
+  status: "A Vencer",
+  datapag: null,
+  orfao_importacao: false,
+  cliente_fornecedor_id: null,
+  unidade_id: null,
+  descricao: "",
+  desc_pontual: null,
+  ...campos,
+});
+
+test("planejarImportacao insere as linhas novas e atualiza só os campos da planilha que mudaram", () => {
+  const { registros } = ler(
+    ["Maria Souza", "Ana", "10/11/2026", "", "1/12", "380,00", "Centro"],
+    ["João Lima", "Pedro", "10/11/2026", "", "1/12", "350,00", "Centro"],
+    ["Carla Dias", "Bia", "10/11/2026", "", "1/12", "350,00", "Centro"],
+  );
+  const existentes = [
+    existente({
+      id: 1,
+      chave_importacao: "maria souza|ana|1/12|2026-11-10|centro",
+      cliente_fornecedor: "Maria Souza",
+      aluno: "Ana",
+      parcel: "1/12",
+      data: "2026-11-10",
+      unidade: "Centro",
+      valor: "350.00",
+      obs: "Negociado por telefone",
+    }),
+    existente({
+      id: 2,
+      chave_importacao: "joao lima|pedro|1/12|2026-11-10|centro",
+      cliente_fornecedor: "João Lima",
+      aluno: "Pedro",
+      parcel: "1/12",
+      data: "2026-11-10",
+      unidade: "Centro",
+      valor: 350,
+    }),
+    existente({ id: 3, chave_importacao: "saiu|da|planilha|2026-10-10|centro", valor: 100 }),
+  ];
+
+  const plano = planejarImportacao(registros, existentes, new Set(), new Set());
+
+  assert.deepEqual(plano.inserir.map(({ cliente_fornecedor }) => cliente_fornecedor), ["Carla Dias"]);
+  assert.deepEqual(plano.atualizar.map(({ existente: { id }, alteracoes }) => [id, alteracoes]), [[1, { valor: 380 }]]);
+  assert.equal(plano.inalterados, 1);
+  assert.deepEqual(plano.orfaos.map(({ id }) => id), [3]);
+});
+
+test("planejarImportacao adota lançamentos sem chave com os mesmos campos", () => {
+  const { registros } = ler(["Maria Souza", "Ana", "10/11/2026", "", "1/12", "350,00", "Centro"]);
+  const legado = existente({
+    id: 7,
+    chave_importacao: null,
+    cliente_fornecedor: "MARIA SOUZA",
+    aluno: "Ana",
+    parcel: "1/12",
+    data: "2026-11-10",
+    unidade: "Centro",
+    valor: 350,
+  });
+
+  const plano = planejarImportacao(registros, [legado], new Set(), new Set());
+
+  assert.equal(plano.inserir.length, 0);
+  assert.deepEqual(plano.atualizar[0].alteracoes, {
+    cliente_fornecedor: "Maria Souza",
+    chave_importacao: "maria souza|ana|1/12|2026-11-10|centro",
+  });
+  assert.deepEqual(plano.orfaos, []);
+});
+
+test("planejarImportacao não reabre, não quita cancelados ou estornados e ignora nomes vinculados", () => {
+  const { registros } = ler(
+    ["Maria Souza", "Ana", "10/11/2026", "", "1/12", "350,00", "Centro"],
+    ["João Lima", "Pedro", "10/11/2026", "05/11/2026", "1/12", "350,00", "Centro"],
+    ["Carla Dias", "Bia", "10/11/2026", "05/11/2026", "1/12", "350,00", "Centro"],
+    ["Rui Alves", "Leo", "10/11/2026", "05/11/2026", "1/12", "350,00", "Centro"],
+  );
+  const base = (id, cliente, aluno, campos) => existente({
+    id,
+    chave_importacao: `${cliente.toLowerCase()}|${aluno.toLowerCase()}|1/12|2026-11-10|centro`,
+    cliente_fornecedor: cliente,
+    aluno,
+    parcel: "1/12",
+    data: "2026-11-10",
+    unidade: "Centro",
+    valor: 350,
+    ...campos,
+  });
+  const existentes = [
+    base(1, "Maria Souza", "Ana", { status: "Pago", datapag: "2026-11-01", cliente_fornecedor: "Maria S. (cadastro)", cliente_fornecedor_id: 40 }),
+    base(2, "João Lima", "Pedro", { status: "Cancelado", chave_importacao: "joao lima|pedro|1/12|2026-11-10|centro" }),
+    base(3, "Carla Dias", "Bia"),
+    base(4, "Rui Alves", "Leo"),
+  ];
+
+  const plano = planejarImportacao(registros, existentes, new Set(["3"]), new Set());
+
+  assert.equal(plano.inalterados, 3);
+  assert.deepEqual(plano.atualizar.map(({ existente: { id }, alteracoes }) => [id, alteracoes]), [
+    [4, { status: "Pago", datapag: "2026-11-05" }],
+  ]);
+  assert.deepEqual(plano.conflitos.map(({ existente: { id }, motivo }) => [id, motivo]), [
+    [2, "Lançamento cancelado no app; a data de pagamento da planilha foi ignorada."],
+    [3, "Baixa estornada no app; a data de pagamento da planilha foi ignorada."],
+  ]);
+});
+
+test("planejarImportacao separa linhas novas de cadastros inativos", () => {
+  const { registros } = ler(
+    ["Maria Souza", "Ana", "10/11/2026", "", "1/12", "350,00", "Centro"],
+    ["João Lima", "Pedro", "10/11/2026", "", "1/12", "350,00", "Centro"],
+  );
+
+  const plano = planejarImportacao(registros, [], new Set(), new Set(["joão lima"]));
+
+  assert.deepEqual(plano.inserir.map(({ cliente_fornecedor }) => cliente_fornecedor), ["Maria Souza"]);
+  assert.deepEqual(plano.inativos.map(({ cliente_fornecedor }) => cliente_fornecedor), ["João Lima"]);
+});
+
+test("buildDiff resume a prévia sem expor a chave de importação", () => {
+  const leitura = ler(
+    ["Maria Souza", "Ana", "10/11/2026", "", "1/12", "380,00", "Centro"],
+    ["João Lima", "Pedro", "10/11/2026", "05/11/2026", "1/12", "350,00", "Centro"],
+    ["Carla Dias", "Bia", "10/11/2026", "", "1/12", "350,00", "Centro"],
+    ["Rui Alves", "Leo", "10/11/2026", "", "1/12", "", "Centro"],
+  );
+  const existentes = [
+    existente({
+      id: 1,
+      chave_importacao: null,
+      cliente_fornecedor: "Maria Souza",
+      aluno: "Ana",
+      parcel: "1/12",
+      data: "2026-11-10",
+      unidade: "Centro",
+      valor: 350,
+    }),
+    existente({
+      id: 2,
+      chave_importacao: "joao lima|pedro|1/12|2026-11-10|centro",
+      cliente_fornecedor: "João Lima",
+      aluno: "Pedro",
+      parcel: "1/12",
+      data: "2026-11-10",
+      unidade: "Centro",
+      valor: 350,
+      status: "Cancelado",
+    }),
+    existente({ id: 3, chave_importacao: "saiu|da|planilha|2026-10-10|centro", cliente_fornecedor: "Saiu", valor: 100 }),
+  ];
+
+  const plano = planejarImportacao(leitura.registros, existentes, new Set(), new Set());
+  const diff = buildDiff(plano, leitura.rejeitados);
+
+  const resumo = (cliente_fornecedor, aluno, valor) => ({
+    cliente_fornecedor,
+    aluno,
+    parcel: "1/12",
+    data: "2026-11-10",
+    valor,
+    unidade: "Centro",
+  });
+  assert.deepEqual(diff.novos, [resumo("Carla Dias", "Bia", 350)]);
+  assert.deepEqual(diff.alterados, [
+    { id: 1, ...resumo("Maria Souza", "Ana", 350), campos: [{ campo: "valor", antes: 350, depois: 380 }] },
+  ]);
+  assert.deepEqual(diff.removidos, [
+    { id: 3, cliente_fornecedor: "Saiu", aluno: null, parcel: null, data: null, valor: 100, unidade: null },
+  ]);
+  assert.deepEqual(diff.conflitos, [
+    {
+      id: 2,
+      ...resumo("João Lima", "Pedro", 350),
+      status: "Cancelado",
+      datapag: "2026-11-05",
+      motivo: "Lançamento cancelado no app; a data de pagamento da planilha foi ignorada.",
+    },
+  ]);
+  assert.deepEqual(diff.rejeitados.map(({ linha }) => linha), [5]);
+});
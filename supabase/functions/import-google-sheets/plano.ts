@@ -0,0 +1,315 @@
+import { type LayoutColunas, normalizeText } from "./mapeamento.ts";
+
+// Leitura das linhas da planilha e plano do upsert incremental, sem acesso ao
+// banco: `index.ts` busca os lancamentos existentes e aplica o plano.
+
+export type SheetRow = string[] | undefined;
+
+export type Lancamento = Record<string, unknown>;
+
+const parseCurrency = (value?: string): number => {
+  if (!value) return 0;
+  const normalized = value.replace(/\./g, "").replace(",", ".").replace(/[^\d.-]/g, "");
+  const parsed = Number.parseFloat(normalized);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const parseDate = (value?: string): string | null => {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(trimmed);
+  if (!match) return null;
+  const [, day, month, year] = match;
+  return `${year}-${month}-${day}`;
+};
+
+const buildObservacao = (categoria?: string, parcela?: string): string | null => {
+  const categoriaText = categoria?.trim();
+  const parcelaText = parcela?.trim();
+
+  if (categoriaText && parcelaText) {
+    return `${categoriaText} / ${parcelaText}`;
+  }
+
+  return categoriaText || parcelaText || null;
+};
+
+// Campos cuja origem e a planilha. Baixas, observacoes e demais ajustes feitos
+// no app nao sao sobrescritos pela importacao.
+export const CAMPOS_PLANILHA = [
+  "data",
+  "cliente_fornecedor",
+  "descricao",
+  "valor",
+  "unidade",
+  "aluno",
+  "parcel",
+  "desc_pontual",
+];
+
+const CAMPOS_NUMERICOS = new Set(["valor", "desc_pontual"]);
+
+const buildChaveBase = (registro: Lancamento): string =>
+  [
+    registro.cliente_fornecedor,
+    registro.aluno,
+    registro.parcel,
+    registro.data,
+    registro.unidade,
+  ].map(normalizeText).join("|");
+
+// Linhas identicas na planilha recebem um sufixo de ocorrencia para que cada
+// uma continue mapeada para um lancamento proprio.
+const createChaveFactory = () => {
+  const ocorrencias = new Map<string, number>();
+  return (registro: Lancamento): string => {
+    const base = buildChaveBase(registro);
+    const ocorrencia = (ocorrencias.get(base) ?? 0) + 1;
+    ocorrencias.set(base, ocorrencia);
+    return ocorrencia === 1 ? base : `${base}#${ocorrencia}`;
+  };
+};
+
+export type Rejeicao = {
+  linha: number;
+  motivo: string;
+  conteudo: string[];
+};
+
+export type LeituraPlanilha = {
+  registros: Lancamento[];
+  rejeitados: Rejeicao[];
+  // Linha e conteudo de origem de cada registro, para rejeicoes apontadas
+  // depois da leitura.
+  origens: Map<Lancamento, Omit<Rejeicao, "motivo">>;
+};
+
+const isLinhaVazia = (row: SheetRow): boolean =>
+  !row || row.every((cell) => !cell || !String(cell).trim());
+
+export const buildLancamentos = (
+  values: SheetRow[],
+  fonte: { tipo: string },
+  layout: LayoutColunas,
+): LeituraPlanilha => {
+  const leitura: LeituraPlanilha = { registros: [], rejeitados: [], origens: new Map() };
+
+  if (!values || values.length <= 1) {
+    return leitura;
+  }
+
+  const buildChave = createChaveFactory();
+
+  // A linha 1 da planilha e o cabecalho; `linha` segue a numeracao da planilha.
+  values.forEach((row, index) => {
+    if (index === 0 || isLinhaVazia(row)) return;
+
+    const linha = index + 1;
+    const rejeitar = (motivo: string) =>
+      leitura.rejeitados.push({ linha, motivo, conteudo: row ?? [] });
+
+    const cell = (campo: keyof LayoutColunas): string | undefined =>
+      layout[campo] === undefined ? undefined : row?.[layout[campo] as number];
+    const text = (campo: keyof LayoutColunas): string | null => cell(campo)?.trim() || null;
+
+    const valorOriginal = parseCurrency(cell("valor"));
+    const dataVencimento = parseDate(cell("data"));
+
+    if (!dataVencimento) {
+      rejeitar(`Data de vencimento inválida: "${cell("data") ?? ""}".`);
+      return;
+    }
+
+    if (valorOriginal === 0) {
+      rejeitar(`Valor zerado ou inválido: "${cell("valor") ?? ""}".`);
+      return;
+    }
+
+    const dataBaixa = parseDate(cell("datapag"));
+    const status = dataBaixa ? "Pago" : "A Vencer";
+    const descPontual = parseCurrency(cell("desc_pontual"));
+
+    const registro: Lancamento = {
+      data: dataVencimento,
+      tipo: fonte.tipo,
+      cliente_fornecedor: text("cliente_fornecedor") || "Sem identificacao",
+      descricao: text("descricao") || "",
+      valor: valorOriginal,
+      status,
+      unidade: text("unidade"),
+      obs: buildObservacao(cell("categoria"), cell("parcel")),
+      datapag: dataBaixa,
+      aluno: text("aluno"),
+      parcel: text("parcel"),
+      desc_pontual: descPontual !== 0 ? descPontual : null,
+    };
+
+    registro.chave_importacao = buildChave(registro);
+    leitura.registros.push(registro);
+    leitura.origens.set(registro, { linha, conteudo: row ?? [] });
+  });
+
+  return leitura;
+};
+
+const valoresIguais = (campo: string, atual: unknown, novo: unknown): boolean => {
+  if (CAMPOS_NUMERICOS.has(campo)) {
+    const atualNumero = atual === null || atual === undefined ? null : Number(atual);
+    const novoNumero = novo === null || novo === undefined ? null : Number(novo);
+    return atualNumero === novoNumero;
+  }
+  return String(atual ?? "").trim() === String(novo ?? "").trim();
+};
+
+// Depois de vinculado a um cadastro, o nome do lancamento vem do cadastro e a
+// grafia da planilha deixa de ser comparada.
+const CAMPOS_VINCULADOS: Record<string, string> = {
+  cliente_fornecedor: "cliente_fornecedor_id",
+  unidade: "unidade_id",
+};
+
+const campoVinculado = (existente: Lancamento, campo: string): boolean =>
+  campo in CAMPOS_VINCULADOS && (existente[CAMPOS_VINCULADOS[campo]] ?? null) !== null;
+
+const buildAlteracoes = (existente: Lancamento, registro: Lancamento, podeQuitar: boolean): Lancamento => {
+  const alteracoes: Lancamento = {};
+
+  for (const campo of CAMPOS_PLANILHA) {
+    if (campoVinculado(existente, campo)) continue;
+    if (!valoresIguais(campo, existente[campo], registro[campo])) {
+      alteracoes[campo] = registro[campo];
+    }
+  }
+
+  // A planilha so pode quitar um titulo; nunca reabre uma baixa feita no app.
+  if (registro.datapag && existente.status !== "Pago" && podeQuitar) {
+    alteracoes.status = "Pago";
+    alteracoes.datapag = registro.datapag;
+  }
+
+  if (existente.orfao_importacao) {
+    alteracoes.orfao_importacao = false;
+  }
+
+  if (existente.chave_importacao !== registro.chave_importacao) {
+    alteracoes.chave_importacao = registro.chave_importacao;
+  }
+
+  return alteracoes;
+};
+
+// Lancamentos importados antes da chave existir (ou digitados no app) sao
+// adotados quando seus campos produzem a mesma chave de uma linha da planilha.
+const indexExistentesPorChave = (existentes: Lancamento[]): Map<string, Lancamento> => {
+  const porChave = new Map<string, Lancamento>();
+  const buildChave = createChaveFactory();
+
+  for (const existente of existentes) {
+    if (existente.chave_importacao) {
+      porChave.set(existente.chave_importacao as string, existente);
+    }
+  }
+
+  for (const existente of existentes) {
+    if (existente.chave_importacao) continue;
+    const chave = buildChave(existente);
+    if (!porChave.has(chave)) {
+      porChave.set(chave, existente);
+    }
+  }
+
+  return porChave;
+};
+
+const motivoQuitacaoRecusada = (existente: Lancamento, estornados: Set<string>): string | null => {
+  if (existente.status === "Cancelado") {
+    return "Lançamento cancelado no app; a data de pagamento da planilha foi ignorada.";
+  }
+  if (estornados.has(String(existente.id))) {
+    return "Baixa estornada no app; a data de pagamento da planilha foi ignorada.";
+  }
+  return null;
+};
+
+export type ConflitoImportacao = { existente: Lancamento; datapag: unknown; motivo: string };
+
+export type PlanoImportacao = {
+  inserir: Lancamento[];
+  atualizar: { existente: Lancamento; alteracoes: Lancamento }[];
+  inalterados: number;
+  orfaos: Lancamento[];
+  conflitos: ConflitoImportacao[];
+  inativos: Lancamento[];
+};
+
+export const planejarImportacao = (
+  registros: Lancamento[],
+  existentes: Lancamento[],
+  estornados: Set<string>,
+  nomesInativos: Set<string>,
+): PlanoImportacao => {
+  const porChave = indexExistentesPorChave(existentes);
+  const vistos = new Set<unknown>();
+  const plano: PlanoImportacao = { inserir: [], atualizar: [], inalterados: 0, orfaos: [], conflitos: [], inativos: [] };
+
+  for (const registro of registros) {
+    const existente = porChave.get(registro.chave_importacao as string);
+
+    if (!existente) {
+      if (nomesInativos.has(String(registro.cliente_fornecedor ?? "").trim().toLowerCase())) {
+        plano.inativos.push(registro);
+      } else {
+        plano.inserir.push(registro);
+      }
+      continue;
+    }
+
+    vistos.add(existente.id);
+    const motivo = registro.datapag && existente.status !== "Pago" ? motivoQuitacaoRecusada(existente, estornados) : null;
+    if (motivo) {
+      plano.conflitos.push({ existente, datapag: registro.datapag, motivo });
+    }
+
+    const alteracoes = buildAlteracoes(existente, registro, !motivo);
+    if (Object.keys(alteracoes).length > 0) {
+      plano.atualizar.push({ existente, alteracoes });
+    } else {
+      plano.inalterados += 1;
+    }
+  }
+
+  for (const existente of existentes) {
+    if (existente.chave_importacao && !vistos.has(existente.id)) {
+      plano.orfaos.push(existente);
+    }
+  }
+
+  return plano;
+};
+
+const CAMPOS_RESUMO = ["cliente_fornecedor", "aluno", "parcel", "data", "valor", "unidade"];
+
+const resumir = (registro: Lancamento): Lancamento =>
+  Object.fromEntries(CAMPOS_RESUMO.map((campo) => [campo, registro[campo] ?? null]));
+
+// Diferenca apresentada na tela de revisao antes de confirmar a importacao.
+export const buildDiff = (plano: PlanoImportacao, rejeitados: Rejeicao[]) => ({
+  novos: plano.inserir.map(resumir),
+  alterados: plano.atualizar.map(({ existente, alteracoes }) => ({
+    id: existente.id,
+    ...resumir(existente),
+    campos: Object.keys(alteracoes)
+      .filter((campo) => campo !== "chave_importacao")
+      .map((campo) => ({ campo, antes: existente[campo] ?? null, depois: alteracoes[campo] ?? null })),
+  })),
+  removidos: plano.orfaos.map((existente) => ({ id: existente.id, ...resumir(existente) })),
+  conflitos: plano.conflitos.map(({ existente, datapag, motivo }) => ({
+    id: existente.id,
+    ...resumir(existente),
+    status: existente.status,
+    datapag,
+    motivo,
+  })),
+  rejeitados,
+});
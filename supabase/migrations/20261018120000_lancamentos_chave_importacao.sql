@@ -0,0 +1,15 @@
+-- Chave natural das linhas importadas da planilha de recebimentos.
+-- Permite que a importacao atualize lancamentos existentes em vez de apagar
+-- e reinserir todas as Entradas, preservando baixas e observacoes feitas no app.
+alter table public.lancamentos
+  add column if not exists chave_importacao text,
+  add column if not exists orfao_importacao boolean not null default false;
+
+comment on column public.lancamentos.chave_importacao is
+  'Chave natural da linha da planilha (cliente|aluno|parcela|vencimento|unidade).';
+comment on column public.lancamentos.orfao_importacao is
+  'Verdadeiro quando a linha de origem nao existe mais na planilha.';
+
+create unique index if not exists lancamentos_tipo_chave_importacao_key
+  on public.lancamentos (tipo, chave_importacao)
+  where chave_importacao is not null;
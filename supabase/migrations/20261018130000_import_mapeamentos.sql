@@ -0,0 +1,25 @@
+-- Perfis de mapeamento de colunas das planilhas importadas.
+-- Cada perfil vale para uma fonte (recebimentos/pagamentos) em uma planilha e
+-- intervalo especificos e associa campos de `lancamentos` a nomes de cabecalho.
+create table if not exists public.import_mapeamentos (
+  id bigint generated always as identity primary key,
+  fonte text not null check (fonte in ('recebimentos', 'pagamentos')),
+  sheet_id text not null,
+  range text not null,
+  colunas jsonb not null default '{}'::jsonb,
+  updated_at timestamptz not null default now(),
+  updated_by uuid references auth.users (id),
+  unique (fonte, sheet_id, range)
+);
+
+comment on column public.import_mapeamentos.colunas is
+  'Objeto campo -> nome do cabecalho, ex.: {"valor": "Valor Original", "data": "Vencimento"}.';
+
+alter table public.import_mapeamentos enable row level security;
+
+create policy "Usuarios autenticados gerenciam mapeamentos"
+  on public.import_mapeamentos
+  for all
+  to authenticated
+  using (true)
+  with check (true);
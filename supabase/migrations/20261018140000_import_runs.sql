@@ -0,0 +1,37 @@
+-- Historico das execucoes da importacao de planilhas.
+-- Cada importacao efetiva (pre-visualizacoes nao sao registradas) grava quem
+-- a disparou, a fonte, as contagens e as linhas rejeitadas com o motivo.
+create table if not exists public.import_runs (
+  id bigint generated always as identity primary key,
+  iniciado_em timestamptz not null default now(),
+  finalizado_em timestamptz,
+  usuario_id uuid references auth.users (id),
+  usuario_email text,
+  origem text not null default 'manual' check (origem in ('manual', 'agendado')),
+  fonte text not null check (fonte in ('recebimentos', 'pagamentos')),
+  sheet_id text,
+  range text,
+  status text not null default 'em_andamento'
+    check (status in ('em_andamento', 'concluido', 'recusado', 'erro')),
+  mensagem text,
+  inseridos integer not null default 0,
+  atualizados integer not null default 0,
+  inalterados integer not null default 0,
+  orfaos integer not null default 0,
+  rejeitados integer not null default 0,
+  rejeicoes jsonb not null default '[]'::jsonb
+);
+
+comment on column public.import_runs.rejeicoes is
+  'Lista de linhas rejeitadas: [{"linha": 12, "motivo": "Data de vencimento inválida", "conteudo": [...]}].';
+
+create index if not exists import_runs_iniciado_em_idx
+  on public.import_runs (iniciado_em desc);
+
+alter table public.import_runs enable row level security;
+
+create policy "Usuarios autenticados consultam execucoes de importacao"
+  on public.import_runs
+  for select
+  to authenticated
+  using (true);
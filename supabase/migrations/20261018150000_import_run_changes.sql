@@ -0,0 +1,34 @@
+-- Alteracoes aplicadas em `lancamentos` por cada execucao da importacao.
+-- `antes` guarda os valores anteriores dos campos alterados (nulo em insercoes)
+-- e `depois` os valores gravados; juntos permitem desfazer a execucao.
+-- `lancamento_id` nao referencia `lancamentos` porque desfazer uma insercao
+-- apaga o lancamento e o registro precisa continuar no historico.
+create table if not exists public.import_run_changes (
+  id bigint generated always as identity primary key,
+  execucao_id bigint not null references public.import_runs (id) on delete cascade,
+  lancamento_id text not null,
+  acao text not null check (acao in ('insercao', 'atualizacao')),
+  antes jsonb,
+  depois jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists import_run_changes_execucao_idx
+  on public.import_run_changes (execucao_id);
+
+alter table public.import_run_changes enable row level security;
+
+create policy "Usuarios autenticados consultam alteracoes de importacao"
+  on public.import_run_changes
+  for select
+  to authenticated
+  using (true);
+
+alter table public.import_runs
+  add column if not exists desfeito_em timestamptz,
+  add column if not exists desfeito_por_id uuid references auth.users (id),
+  add column if not exists desfeito_por_email text;
+
+alter table public.import_runs drop constraint if exists import_runs_status_check;
+alter table public.import_runs add constraint import_runs_status_check
+  check (status in ('em_andamento', 'concluido', 'recusado', 'erro', 'desfeito'));
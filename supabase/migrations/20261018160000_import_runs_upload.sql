@@ -0,0 +1,8 @@
+-- Importacoes por upload de arquivo CSV/XLSX: registra o nome do arquivo no
+-- lugar da planilha e do intervalo.
+alter table public.import_runs
+  add column if not exists arquivo text;
+
+alter table public.import_runs drop constraint if exists import_runs_origem_check;
+alter table public.import_runs add constraint import_runs_origem_check
+  check (origem in ('manual', 'agendado', 'upload'));
@@ -0,0 +1,64 @@
+-- Processamento de arquivos de retorno de cobranca (CNAB 240/400).
+-- `nosso_numero` identifica o boleto no banco, como `cpRecNsNum` em tbRec.
+alter table public.lancamentos
+  add column if not exists nosso_numero text;
+
+create index if not exists lancamentos_nosso_numero_idx
+  on public.lancamentos (nosso_numero)
+  where nosso_numero is not null;
+
+-- Um registro por arquivo processado; `hash` impede processar o mesmo arquivo duas vezes.
+create table if not exists public.cnab_retornos (
+  id bigint generated always as identity primary key,
+  arquivo text not null,
+  hash text not null unique,
+  layout text not null check (layout in ('240', '400')),
+  banco text,
+  processado_em timestamptz not null default now(),
+  usuario_id uuid references auth.users (id),
+  liquidados integer not null default 0,
+  excecoes integer not null default 0,
+  ignorados integer not null default 0
+);
+
+-- Registros de liquidacao do arquivo: baixados (`liquidado`) ou pendentes de
+-- analise (`excecao`). `lancamento_id` e texto como em `import_run_changes`.
+create table if not exists public.cnab_retorno_itens (
+  id bigint generated always as identity primary key,
+  retorno_id bigint not null references public.cnab_retornos (id) on delete cascade,
+  linha integer not null,
+  nosso_numero text not null,
+  ocorrencia text,
+  situacao text not null check (situacao in ('liquidado', 'excecao')),
+  motivo text,
+  lancamento_id text,
+  valor_titulo numeric(12, 2) not null default 0,
+  valor_pago numeric(12, 2) not null default 0,
+  juros numeric(12, 2) not null default 0,
+  desconto numeric(12, 2) not null default 0,
+  data_pagamento date,
+  data_credito date,
+  resolvido_em timestamptz,
+  resolvido_por uuid references auth.users (id)
+);
+
+create index if not exists cnab_retorno_itens_excecoes_idx
+  on public.cnab_retorno_itens (retorno_id)
+  where situacao = 'excecao' and resolvido_em is null;
+
+alter table public.cnab_retornos enable row level security;
+alter table public.cnab_retorno_itens enable row level security;
+
+create policy "Usuarios autenticados gerenciam retornos CNAB"
+  on public.cnab_retornos
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+create policy "Usuarios autenticados gerenciam itens de retorno CNAB"
+  on public.cnab_retorno_itens
+  for all
+  to authenticated
+  using (true)
+  with check (true);
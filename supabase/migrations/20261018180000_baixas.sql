@@ -0,0 +1,48 @@
+-- Contas bancarias usadas para registrar por onde cada baixa entrou ou saiu.
+create table if not exists public.contas_bancarias (
+  id bigint generated always as identity primary key,
+  descricao text not null,
+  banco text,
+  agencia text,
+  conta text,
+  unidade text,
+  ativo boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Valores efetivamente pagos, separados do `valor` original do lancamento.
+-- `lancamento_id` e texto como em `import_run_changes`.
+create table if not exists public.baixas (
+  id bigint generated always as identity primary key,
+  lancamento_id text not null,
+  data_pagamento date not null,
+  valor_pago numeric(12, 2) not null check (valor_pago >= 0),
+  juros numeric(12, 2) not null default 0 check (juros >= 0),
+  multa numeric(12, 2) not null default 0 check (multa >= 0),
+  desconto numeric(12, 2) not null default 0 check (desconto >= 0),
+  desc_pontual numeric(12, 2) not null default 0 check (desc_pontual >= 0),
+  conta_bancaria_id bigint references public.contas_bancarias (id),
+  obs text,
+  usuario_id uuid references auth.users (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists baixas_lancamento_idx
+  on public.baixas (lancamento_id);
+
+alter table public.contas_bancarias enable row level security;
+alter table public.baixas enable row level security;
+
+create policy "Usuarios autenticados gerenciam contas bancarias"
+  on public.contas_bancarias
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+create policy "Usuarios autenticados gerenciam baixas"
+  on public.baixas
+  for all
+  to authenticated
+  using (true)
+  with check (true);
@@ -0,0 +1,55 @@
+-- Borderos de baixa: lotes de lancamentos baixados de uma vez, como `tbBfr`
+-- (cabecalho) e `tbBfi` (itens) do sistema legado.
+create sequence if not exists public.borderos_numero_seq;
+
+create table if not exists public.borderos (
+  id bigint generated always as identity primary key,
+  numero bigint not null unique default nextval('public.borderos_numero_seq'),
+  tipo text not null check (tipo in ('Entrada', 'Saida')),
+  data_emissao date not null default current_date,
+  data_pagamento date not null,
+  conta_bancaria_id bigint references public.contas_bancarias (id),
+  obs text,
+  status text not null default 'aberto' check (status in ('aberto', 'aprovado', 'estornado')),
+  criado_por uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  aprovado_em timestamptz,
+  aprovado_por uuid references auth.users (id),
+  estornado_em timestamptz,
+  estornado_por uuid references auth.users (id)
+);
+
+alter sequence public.borderos_numero_seq owned by public.borderos.numero;
+
+-- `baixa_id` e preenchido na aprovacao; o estorno exclui essas baixas.
+create table if not exists public.bordero_itens (
+  id bigint generated always as identity primary key,
+  bordero_id bigint not null references public.borderos (id) on delete cascade,
+  lancamento_id text not null,
+  valor_pago numeric(12, 2) not null check (valor_pago >= 0),
+  juros numeric(12, 2) not null default 0 check (juros >= 0),
+  multa numeric(12, 2) not null default 0 check (multa >= 0),
+  desconto numeric(12, 2) not null default 0 check (desconto >= 0),
+  baixa_id bigint references public.baixas (id) on delete set null,
+  unique (bordero_id, lancamento_id)
+);
+
+create index if not exists bordero_itens_lancamento_idx
+  on public.bordero_itens (lancamento_id);
+
+alter table public.borderos enable row level security;
+alter table public.bordero_itens enable row level security;
+
+create policy "Usuarios autenticados gerenciam borderos"
+  on public.borderos
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+create policy "Usuarios autenticados gerenciam itens de bordero"
+  on public.bordero_itens
+  for all
+  to authenticated
+  using (true)
+  with check (true);
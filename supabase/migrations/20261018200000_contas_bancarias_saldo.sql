@@ -0,0 +1,28 @@
+-- Saldo de abertura das contas bancarias: `saldo_inicial` e o saldo no inicio
+-- do dia `data_saldo_inicial`; os movimentos antes ou depois dessa data
+-- recompoem o saldo em qualquer outra data.
+alter table public.contas_bancarias
+  add column if not exists saldo_inicial numeric(12, 2) not null default 0,
+  add column if not exists data_saldo_inicial date not null default current_date;
+
+-- Toda baixa nova precisa de conta; as anteriores nao sao validadas.
+alter table public.baixas
+  add constraint baixas_conta_bancaria_obrigatoria
+  check (conta_bancaria_id is not null) not valid;
+
+-- Movimentos de cada conta: baixas de Entrada creditam, de Saida debitam.
+create or replace view public.movimentos_conta
+with (security_invoker = true) as
+select
+  'baixa-' || b.id as id,
+  b.conta_bancaria_id,
+  b.data_pagamento as data,
+  case when l.tipo = 'Saida' then -b.valor_pago else b.valor_pago end as valor,
+  'baixa'::text as origem,
+  b.id as baixa_id,
+  b.lancamento_id,
+  concat_ws(' - ', l.cliente_fornecedor, l.aluno, l.descricao) as historico,
+  l.unidade
+from public.baixas b
+left join public.lancamentos l on l.id::text = b.lancamento_id
+where b.conta_bancaria_id is not null;
@@ -0,0 +1,73 @@
+-- Transferencias entre contas bancarias (inclusive de unidades diferentes).
+-- Nao sao lancamentos, entao nao entram na receita nem na despesa da DRE.
+create table if not exists public.transferencias (
+  id bigint generated always as identity primary key,
+  data date not null,
+  valor numeric(12, 2) not null check (valor > 0),
+  conta_origem_id bigint not null references public.contas_bancarias (id),
+  conta_destino_id bigint not null references public.contas_bancarias (id),
+  obs text,
+  usuario_id uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  constraint transferencias_contas_distintas check (conta_origem_id <> conta_destino_id)
+);
+
+create index if not exists transferencias_data_idx
+  on public.transferencias (data);
+
+alter table public.transferencias enable row level security;
+
+create policy "Usuarios autenticados gerenciam transferencias"
+  on public.transferencias
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+-- Cada transferencia gera dois movimentos: debito na origem e credito no destino.
+create or replace view public.movimentos_conta
+with (security_invoker = true) as
+select
+  'baixa-' || b.id as id,
+  b.conta_bancaria_id,
+  b.data_pagamento as data,
+  case when l.tipo = 'Saida' then -b.valor_pago else b.valor_pago end as valor,
+  'baixa'::text as origem,
+  b.id as baixa_id,
+  b.lancamento_id,
+  concat_ws(' - ', l.cliente_fornecedor, l.aluno, l.descricao) as historico,
+  l.unidade,
+  null::bigint as transferencia_id
+from public.baixas b
+left join public.lancamentos l on l.id::text = b.lancamento_id
+where b.conta_bancaria_id is not null
+union all
+select
+  'transferencia-' || t.id || '-saida',
+  t.conta_origem_id,
+  t.data,
+  -t.valor,
+  'transferencia'::text,
+  null::bigint,
+  null::text,
+  concat_ws(' - ', 'Transferência para ' || destino.descricao, t.obs),
+  origem.unidade,
+  t.id
+from public.transferencias t
+join public.contas_bancarias origem on origem.id = t.conta_origem_id
+join public.contas_bancarias destino on destino.id = t.conta_destino_id
+union all
+select
+  'transferencia-' || t.id || '-entrada',
+  t.conta_destino_id,
+  t.data,
+  t.valor,
+  'transferencia'::text,
+  null::bigint,
+  null::text,
+  concat_ws(' - ', 'Transferência de ' || origem.descricao, t.obs),
+  destino.unidade,
+  t.id
+from public.transferencias t
+join public.contas_bancarias origem on origem.id = t.conta_origem_id
+join public.contas_bancarias destino on destino.id = t.conta_destino_id;
@@ -0,0 +1,184 @@
+-- Conciliacao bancaria: linhas do extrato do banco, pares linha x movimento
+-- (view `movimentos_conta`) e periodos ja conciliados, que ficam travados.
+create table if not exists public.extrato_linhas (
+  id bigint generated always as identity primary key,
+  conta_bancaria_id bigint not null references public.contas_bancarias (id),
+  data date not null,
+  valor numeric(12, 2) not null check (valor <> 0),
+  historico text,
+  documento text,
+  fitid text not null,
+  usuario_id uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  constraint extrato_linhas_conta_fitid_key unique (conta_bancaria_id, fitid)
+);
+
+create index if not exists extrato_linhas_conta_data_idx
+  on public.extrato_linhas (conta_bancaria_id, data);
+
+-- Uma linha pode ser conciliada com varios movimentos (split), mas cada
+-- movimento pertence a uma unica linha. `movimento_id` e o id da view.
+create table if not exists public.conciliacoes (
+  id bigint generated always as identity primary key,
+  extrato_linha_id bigint not null references public.extrato_linhas (id) on delete cascade,
+  movimento_id text not null unique,
+  valor numeric(12, 2) not null,
+  automatica boolean not null default false,
+  usuario_id uuid references auth.users (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists conciliacoes_linha_idx
+  on public.conciliacoes (extrato_linha_id);
+
+create table if not exists public.conciliacao_periodos (
+  id bigint generated always as identity primary key,
+  conta_bancaria_id bigint not null references public.contas_bancarias (id),
+  inicio date not null,
+  fim date not null,
+  saldo_final numeric(12, 2) not null,
+  fechado_em timestamptz not null default now(),
+  fechado_por uuid references auth.users (id),
+  constraint conciliacao_periodos_intervalo check (inicio <= fim)
+);
+
+create index if not exists conciliacao_periodos_conta_idx
+  on public.conciliacao_periodos (conta_bancaria_id, inicio, fim);
+
+alter table public.extrato_linhas enable row level security;
+alter table public.conciliacoes enable row level security;
+alter table public.conciliacao_periodos enable row level security;
+
+create policy "Usuarios autenticados gerenciam extrato_linhas"
+  on public.extrato_linhas
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+create policy "Usuarios autenticados gerenciam conciliacoes"
+  on public.conciliacoes
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+create policy "Usuarios autenticados gerenciam conciliacao_periodos"
+  on public.conciliacao_periodos
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+create or replace function public.periodo_conciliado(conta bigint, dia date)
+returns boolean
+language sql
+stable
+as $$
+  select exists (
+    select 1
+    from public.conciliacao_periodos p
+    where p.conta_bancaria_id = conta
+      and dia between p.inicio and p.fim
+  );
+$$;
+
+-- Baixas e transferencias de periodos conciliados nao podem ser incluidas,
+-- alteradas nem excluidas. Fora deles, excluir o movimento desfaz o par.
+create or replace function public.proteger_baixa_conciliada()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op <> 'INSERT' and public.periodo_conciliado(old.conta_bancaria_id, old.data_pagamento) then
+    raise exception 'A baixa de % está em um período conciliado e não pode ser alterada.', to_char(old.data_pagamento, 'DD/MM/YYYY');
+  end if;
+  if tg_op <> 'DELETE' and public.periodo_conciliado(new.conta_bancaria_id, new.data_pagamento) then
+    raise exception 'O período de % já foi conciliado para esta conta.', to_char(new.data_pagamento, 'DD/MM/YYYY');
+  end if;
+  if tg_op = 'DELETE' then
+    delete from public.conciliacoes where movimento_id = 'baixa-' || old.id;
+    return old;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists baixas_periodo_conciliado on public.baixas;
+create trigger baixas_periodo_conciliado
+  before insert or update or delete on public.baixas
+  for each row execute function public.proteger_baixa_conciliada();
+
+create or replace function public.proteger_transferencia_conciliada()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op <> 'INSERT' and (
+    public.periodo_conciliado(old.conta_origem_id, old.data)
+    or public.periodo_conciliado(old.conta_destino_id, old.data)
+  ) then
+    raise exception 'A transferência de % está em um período conciliado e não pode ser alterada.', to_char(old.data, 'DD/MM/YYYY');
+  end if;
+  if tg_op <> 'DELETE' and (
+    public.periodo_conciliado(new.conta_origem_id, new.data)
+    or public.periodo_conciliado(new.conta_destino_id, new.data)
+  ) then
+    raise exception 'O período de % já foi conciliado para uma das contas.', to_char(new.data, 'DD/MM/YYYY');
+  end if;
+  if tg_op = 'DELETE' then
+    delete from public.conciliacoes
+    where movimento_id in ('transferencia-' || old.id || '-saida', 'transferencia-' || old.id || '-entrada');
+    return old;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists transferencias_periodo_conciliado on public.transferencias;
+create trigger transferencias_periodo_conciliado
+  before insert or update or delete on public.transferencias
+  for each row execute function public.proteger_transferencia_conciliada();
+
+create or replace function public.proteger_extrato_conciliado()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op <> 'INSERT' and public.periodo_conciliado(old.conta_bancaria_id, old.data) then
+    raise exception 'A linha do extrato de % está em um período conciliado.', to_char(old.data, 'DD/MM/YYYY');
+  end if;
+  if tg_op <> 'DELETE' and public.periodo_conciliado(new.conta_bancaria_id, new.data) then
+    raise exception 'O período de % já foi conciliado para esta conta.', to_char(new.data, 'DD/MM/YYYY');
+  end if;
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists extrato_linhas_periodo_conciliado on public.extrato_linhas;
+create trigger extrato_linhas_periodo_conciliado
+  before insert or update or delete on public.extrato_linhas
+  for each row execute function public.proteger_extrato_conciliado();
+
+create or replace function public.proteger_par_conciliado()
+returns trigger
+language plpgsql
+as $$
+declare
+  linha public.extrato_linhas%rowtype;
+begin
+  select * into linha
+  from public.extrato_linhas
+  where id = coalesce(new.extrato_linha_id, old.extrato_linha_id);
+
+  if found and public.periodo_conciliado(linha.conta_bancaria_id, linha.data) then
+    raise exception 'A linha do extrato de % está em um período conciliado.', to_char(linha.data, 'DD/MM/YYYY');
+  end if;
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists conciliacoes_periodo_conciliado on public.conciliacoes;
+create trigger conciliacoes_periodo_conciliado
+  before insert or update or delete on public.conciliacoes
+  for each row execute function public.proteger_par_conciliado();
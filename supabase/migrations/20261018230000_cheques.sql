@@ -0,0 +1,101 @@
+-- Cheques recebidos (contra Entradas) e emitidos (contra Saidas), como o
+-- `tbChc` do sistema legado. Ciclo: custodia -> depositado -> compensado ou
+-- devolvido (com alinea); cheques emitidos vao direto de custodia para
+-- compensado. A compensacao gera a baixa do lancamento na conta bancaria.
+create table if not exists public.cheque_alineas (
+  codigo text primary key,
+  descricao text not null,
+  permite_redeposito boolean not null default false
+);
+
+insert into public.cheque_alineas (codigo, descricao, permite_redeposito) values
+  ('11', 'Sem fundos - 1ª apresentação', true),
+  ('12', 'Sem fundos - 2ª apresentação', false),
+  ('13', 'Conta encerrada', false),
+  ('14', 'Prática espúria', false),
+  ('20', 'Folha cancelada por solicitação do correntista', false),
+  ('21', 'Contraordem ou oposição ao pagamento', false),
+  ('22', 'Divergência ou insuficiência de assinatura', true),
+  ('24', 'Bloqueio judicial ou determinação do Bacen', false),
+  ('25', 'Cancelamento de talonário pelo banco sacado', false),
+  ('28', 'Contraordem ou oposição por furto ou roubo', false),
+  ('31', 'Erro formal', true),
+  ('33', 'Divergência de endosso', true),
+  ('34', 'Apresentado por participante diferente do cruzamento', true),
+  ('35', 'Cheque fraudado', false),
+  ('44', 'Cheque prescrito', false),
+  ('48', 'Valor superior ao limite sem identificação do beneficiário', true),
+  ('49', 'Remessa nula', false)
+on conflict (codigo) do nothing;
+
+create table if not exists public.cheques (
+  id bigint generated always as identity primary key,
+  tipo text not null check (tipo in ('recebido', 'emitido')),
+  lancamento_id text not null,
+  banco text not null,
+  agencia text,
+  conta text,
+  numero text not null,
+  emitente text,
+  valor numeric(12, 2) not null check (valor > 0),
+  data_emissao date not null default current_date,
+  bom_para date not null,
+  status text not null default 'custodia'
+    check (status in ('custodia', 'depositado', 'compensado', 'devolvido')),
+  conta_bancaria_id bigint references public.contas_bancarias (id),
+  data_deposito date,
+  data_compensacao date,
+  baixa_id bigint references public.baixas (id) on delete set null,
+  data_devolucao date,
+  alinea_codigo text references public.cheque_alineas (codigo),
+  devolucoes integer not null default 0,
+  obs text,
+  usuario_id uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists cheques_lancamento_idx
+  on public.cheques (lancamento_id);
+
+create index if not exists cheques_status_bom_para_idx
+  on public.cheques (status, bom_para);
+
+-- Historico de cada mudanca de situacao (deposito, compensacao, devolucao).
+create table if not exists public.cheque_eventos (
+  id bigint generated always as identity primary key,
+  cheque_id bigint not null references public.cheques (id) on delete cascade,
+  status text not null,
+  data date not null,
+  conta_bancaria_id bigint references public.contas_bancarias (id),
+  alinea_codigo text references public.cheque_alineas (codigo),
+  usuario_id uuid references auth.users (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists cheque_eventos_cheque_idx
+  on public.cheque_eventos (cheque_id);
+
+alter table public.cheque_alineas enable row level security;
+alter table public.cheques enable row level security;
+alter table public.cheque_eventos enable row level security;
+
+create policy "Usuarios autenticados leem cheque_alineas"
+  on public.cheque_alineas
+  for select
+  to authenticated
+  using (true);
+
+create policy "Usuarios autenticados gerenciam cheques"
+  on public.cheques
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+create policy "Usuarios autenticados gerenciam cheque_eventos"
+  on public.cheque_eventos
+  for all
+  to authenticated
+  using (true)
+  with check (true);
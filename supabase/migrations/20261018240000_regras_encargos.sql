@@ -0,0 +1,21 @@
+-- Multa e juros de mora por unidade para Entradas vencidas. A multa incide
+-- uma vez sobre o saldo em aberto; os juros sao ao mes, pro rata die (mes de
+-- 30 dias), contados do vencimento ate a data de pagamento. `carencia_dias`
+-- dispensa os encargos nos primeiros dias de atraso.
+create table if not exists public.regras_encargos (
+  id bigint generated always as identity primary key,
+  unidade text not null unique,
+  multa_percentual numeric(5, 2) not null default 0 check (multa_percentual >= 0),
+  juros_mensal_percentual numeric(5, 2) not null default 0 check (juros_mensal_percentual >= 0),
+  carencia_dias integer not null default 0 check (carencia_dias >= 0),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.regras_encargos enable row level security;
+
+create policy "Usuarios autenticados gerenciam regras_encargos"
+  on public.regras_encargos
+  for all
+  to authenticated
+  using (true)
+  with check (true);
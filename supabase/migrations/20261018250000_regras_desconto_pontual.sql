@@ -0,0 +1,24 @@
+-- Prazo do desconto de pontualidade (`lancamentos.desc_pontual`) por unidade
+-- e, opcionalmente, por plano: o texto do plano e procurado na descricao e no
+-- obs do lancamento (onde a importacao grava a categoria da planilha). O
+-- desconto vale ate o `dia_limite` do mes do vencimento; sem regra, vale ate o
+-- proprio vencimento. A regra do plano tem preferencia sobre a da unidade.
+create table if not exists public.regras_desconto_pontual (
+  id bigint generated always as identity primary key,
+  unidade text not null,
+  plano text,
+  dia_limite integer not null check (dia_limite between 1 and 31),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists regras_desconto_pontual_unidade_plano_key
+  on public.regras_desconto_pontual (unidade, coalesce(plano, ''));
+
+alter table public.regras_desconto_pontual enable row level security;
+
+create policy "Usuarios autenticados gerenciam regras_desconto_pontual"
+  on public.regras_desconto_pontual
+  for all
+  to authenticated
+  using (true)
+  with check (true);
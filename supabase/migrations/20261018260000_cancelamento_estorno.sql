@@ -0,0 +1,120 @@
+-- Cancelamento de lancamentos: a linha fica com status 'Cancelado', o motivo,
+-- quem e quando cancelou, e sai de todos os totais.
+alter table public.lancamentos
+  add column if not exists motivo_cancelamento text,
+  add column if not exists cancelado_em timestamptz,
+  add column if not exists cancelado_por uuid references auth.users (id);
+
+-- Estorno de baixa: a baixa original continua registrada e o estorno lanca o
+-- movimento contrario na mesma conta, na data do estorno. Baixas estornadas
+-- nao abatem mais o saldo do lancamento.
+create table if not exists public.estornos (
+  id bigint generated always as identity primary key,
+  baixa_id bigint not null unique references public.baixas (id) on delete cascade,
+  data date not null default current_date,
+  motivo text not null,
+  usuario_id uuid references auth.users (id),
+  created_at timestamptz not null default now()
+);
+
+alter table public.estornos enable row level security;
+
+create policy "Usuarios autenticados gerenciam estornos"
+  on public.estornos
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+create or replace function public.proteger_estorno_conciliado()
+returns trigger
+language plpgsql
+as $$
+declare
+  conta bigint;
+begin
+  select conta_bancaria_id into conta
+  from public.baixas
+  where id = coalesce(new.baixa_id, old.baixa_id);
+
+  if tg_op <> 'INSERT' and public.periodo_conciliado(conta, old.data) then
+    raise exception 'O estorno de % está em um período conciliado e não pode ser alterado.', to_char(old.data, 'DD/MM/YYYY');
+  end if;
+  if tg_op <> 'DELETE' and public.periodo_conciliado(conta, new.data) then
+    raise exception 'O período de % já foi conciliado para esta conta.', to_char(new.data, 'DD/MM/YYYY');
+  end if;
+  if tg_op = 'DELETE' then
+    delete from public.conciliacoes where movimento_id = 'estorno-' || old.id;
+    return old;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists estornos_periodo_conciliado on public.estornos;
+create trigger estornos_periodo_conciliado
+  before insert or update or delete on public.estornos
+  for each row execute function public.proteger_estorno_conciliado();
+
+create or replace view public.movimentos_conta
+with (security_invoker = true) as
+select
+  'baixa-' || b.id as id,
+  b.conta_bancaria_id,
+  b.data_pagamento as data,
+  case when l.tipo = 'Saida' then -b.valor_pago else b.valor_pago end as valor,
+  'baixa'::text as origem,
+  b.id as baixa_id,
+  b.lancamento_id,
+  concat_ws(' - ', l.cliente_fornecedor, l.aluno, l.descricao) as historico,
+  l.unidade,
+  null::bigint as transferencia_id
+from public.baixas b
+left join public.lancamentos l on l.id::text = b.lancamento_id
+where b.conta_bancaria_id is not null
+union all
+select
+  'estorno-' || e.id,
+  b.conta_bancaria_id,
+  e.data,
+  case when l.tipo = 'Saida' then b.valor_pago else -b.valor_pago end,
+  'estorno'::text,
+  b.id,
+  b.lancamento_id,
+  concat_ws(' - ', 'Estorno', l.cliente_fornecedor, l.aluno, l.descricao),
+  l.unidade,
+  null::bigint
+from public.estornos e
+join public.baixas b on b.id = e.baixa_id
+left join public.lancamentos l on l.id::text = b.lancamento_id
+where b.conta_bancaria_id is not null
+union all
+select
+  'transferencia-' || t.id || '-saida',
+  t.conta_origem_id,
+  t.data,
+  -t.valor,
+  'transferencia'::text,
+  null::bigint,
+  null::text,
+  concat_ws(' - ', 'Transferência para ' || destino.descricao, t.obs),
+  origem.unidade,
+  t.id
+from public.transferencias t
+join public.contas_bancarias origem on origem.id = t.conta_origem_id
+join public.contas_bancarias destino on destino.id = t.conta_destino_id
+union all
+select
+  'transferencia-' || t.id || '-entrada',
+  t.conta_destino_id,
+  t.data,
+  t.valor,
+  'transferencia'::text,
+  null::bigint,
+  null::text,
+  concat_ws(' - ', 'Transferência de ' || origem.descricao, t.obs),
+  destino.unidade,
+  t.id
+from public.transferencias t
+join public.contas_bancarias origem on origem.id = t.conta_origem_id
+join public.contas_bancarias destino on destino.id = t.conta_destino_id;
@@ -0,0 +1,56 @@
+-- Clientes e fornecedores inativos continuam no cadastro e nos lancamentos
+-- antigos, mas nao podem ser usados em lancamentos novos.
+alter table public.clientes_fornecedores
+  add column if not exists ativo boolean not null default true;
+
+-- Os lancamentos ainda guardam o nome em `cliente_fornecedor`: o vinculo e
+-- pelo nome sem espacos nas pontas e sem diferenca de maiusculas, com
+-- Clientes nas Entradas e Fornecedores nas Saidas.
+create index if not exists lancamentos_cliente_fornecedor_nome_idx
+  on public.lancamentos (lower(trim(cliente_fornecedor)));
+
+create or replace view public.clientes_fornecedores_uso
+with (security_invoker = true) as
+select
+  cf.id,
+  cf.tipo,
+  cf.descricao,
+  cf.ativo,
+  (
+    select count(*)
+    from public.lancamentos l
+    where lower(trim(l.cliente_fornecedor)) = lower(trim(cf.descricao))
+      and l.tipo = case when cf.tipo = 'Cliente' then 'Entrada' else 'Saida' end
+  ) as lancamentos
+from public.clientes_fornecedores cf;
+
+-- Renomeia o cadastro e os lancamentos vinculados na mesma transacao.
+create or replace function public.renomear_cliente_fornecedor(registro_id public.clientes_fornecedores.id%type, nova_descricao text)
+returns void
+language plpgsql
+as $$
+declare
+  registro public.clientes_fornecedores%rowtype;
+begin
+  if coalesce(trim(nova_descricao), '') = '' then
+    raise exception 'Informe o nome.';
+  end if;
+
+  select * into registro
+  from public.clientes_fornecedores
+  where id = registro_id
+  for update;
+  if not found then
+    raise exception 'Cadastro não encontrado.';
+  end if;
+
+  update public.lancamentos
+  set cliente_fornecedor = trim(nova_descricao)
+  where lower(trim(cliente_fornecedor)) = lower(trim(registro.descricao))
+    and tipo = case when registro.tipo = 'Cliente' then 'Entrada' else 'Saida' end;
+
+  update public.clientes_fornecedores
+  set descricao = trim(nova_descricao)
+  where id = registro_id;
+end;
+$$;
@@ -0,0 +1,150 @@
+-- Dados cadastrais de clientes e fornecedores. CPF/CNPJ, CEP e telefones
+-- guardam so os digitos; os digitos verificadores sao conferidos na tela.
+alter table public.clientes_fornecedores
+  add column if not exists cpf_cnpj text check (cpf_cnpj ~ '^([0-9]{11}|[0-9]{14})$'),
+  add column if not exists inscricao_estadual text,
+  add column if not exists email text,
+  add column if not exists telefone text check (telefone ~ '^[0-9]{10,11}$'),
+  add column if not exists celular text check (celular ~ '^[0-9]{10,11}$'),
+  add column if not exists chave_pix text,
+  add column if not exists banco text,
+  add column if not exists agencia text,
+  add column if not exists conta text,
+  add column if not exists cep text check (cep ~ '^[0-9]{8}$'),
+  add column if not exists logradouro text,
+  add column if not exists numero text,
+  add column if not exists complemento text,
+  add column if not exists bairro text,
+  add column if not exists cidade text,
+  add column if not exists uf text check (uf ~ '^[A-Z]{2}$'),
+  add column if not exists updated_at timestamptz;
+
+-- A mesma pessoa pode ser cliente e fornecedor, mas so uma vez em cada.
+create unique index if not exists clientes_fornecedores_cpf_cnpj_key
+  on public.clientes_fornecedores (tipo, cpf_cnpj)
+  where cpf_cnpj is not null;
+
+create or replace view public.clientes_fornecedores_uso
+with (security_invoker = true) as
+select
+  cf.id,
+  cf.tipo,
+  cf.descricao,
+  cf.ativo,
+  (
+    select count(*)
+    from public.lancamentos l
+    where lower(trim(l.cliente_fornecedor)) = lower(trim(cf.descricao))
+      and l.tipo = case when cf.tipo = 'Cliente' then 'Entrada' else 'Saida' end
+  ) as lancamentos,
+  cf.cpf_cnpj,
+  cf.cidade,
+  cf.uf
+from public.clientes_fornecedores cf;
+
+-- Consulta local de CEP com a mesma estrutura das tabelas UFS, MUN, BAI e
+-- CEP do sistema legado (Entidades.sql). O script legado so cria as tabelas:
+-- a base dos Correios e carregada a parte, por exemplo com
+--   \copy public.municipios from 'municipios.csv' csv header
+--   \copy public.bairros from 'bairros.csv' csv header
+--   \copy public.ceps from 'ceps.csv' csv header
+-- exportados de tbMun, tbBai e tbCep. Sem a base, o endereco e digitado.
+create table if not exists public.ufs (
+  sigla char(2) primary key,
+  nome text not null
+);
+
+create table if not exists public.municipios (
+  codigo text primary key,
+  uf char(2) not null references public.ufs (sigla),
+  nome text not null
+);
+
+create table if not exists public.bairros (
+  municipio_codigo text not null references public.municipios (codigo) on delete cascade,
+  codigo text not null,
+  nome text not null,
+  primary key (municipio_codigo, codigo)
+);
+
+create table if not exists public.ceps (
+  cep char(8) primary key check (cep ~ '^[0-9]{8}$'),
+  logradouro text not null default '',
+  uf char(2) not null references public.ufs (sigla),
+  municipio_codigo text not null references public.municipios (codigo),
+  bairro_codigo text,
+  foreign key (municipio_codigo, bairro_codigo) references public.bairros (municipio_codigo, codigo)
+);
+
+create index if not exists municipios_uf_idx on public.municipios (uf);
+
+insert into public.ufs (sigla, nome) values
+  ('AC', 'Acre'),
+  ('AL', 'Alagoas'),
+  ('AP', 'Amapá'),
+  ('AM', 'Amazonas'),
+  ('BA', 'Bahia'),
+  ('CE', 'Ceará'),
+  ('DF', 'Distrito Federal'),
+  ('ES', 'Espírito Santo'),
+  ('GO', 'Goiás'),
+  ('MA', 'Maranhão'),
+  ('MT', 'Mato Grosso'),
+  ('MS', 'Mato Grosso do Sul'),
+  ('MG', 'Minas Gerais'),
+  ('PA', 'Pará'),
+  ('PB', 'Paraíba'),
+  ('PR', 'Paraná'),
+  ('PE', 'Pernambuco'),
+  ('PI', 'Piauí'),
+  ('RJ', 'Rio de Janeiro'),
+  ('RN', 'Rio Grande do Norte'),
+  ('RS', 'Rio Grande do Sul'),
+  ('RO', 'Rondônia'),
+  ('RR', 'Roraima'),
+  ('SC', 'Santa Catarina'),
+  ('SP', 'São Paulo'),
+  ('SE', 'Sergipe'),
+  ('TO', 'Tocantins')
+on conflict (sigla) do nothing;
+
+create or replace view public.ceps_enderecos
+with (security_invoker = true) as
+select
+  c.cep,
+  c.logradouro,
+  b.nome as bairro,
+  m.nome as cidade,
+  c.uf
+from public.ceps c
+join public.municipios m on m.codigo = c.municipio_codigo
+left join public.bairros b on b.municipio_codigo = c.municipio_codigo and b.codigo = c.bairro_codigo;
+
+alter table public.ufs enable row level security;
+alter table public.municipios enable row level security;
+alter table public.bairros enable row level security;
+alter table public.ceps enable row level security;
+
+create policy "Usuarios autenticados leem ufs"
+  on public.ufs
+  for select
+  to authenticated
+  using (true);
+
+create policy "Usuarios autenticados leem municipios"
+  on public.municipios
+  for select
+  to authenticated
+  using (true);
+
+create policy "Usuarios autenticados leem bairros"
+  on public.bairros
+  for select
+  to authenticated
+  using (true);
+
+create policy "Usuarios autenticados leem ceps"
+  on public.ceps
+  for select
+  to authenticated
+  using (true);
@@ -0,0 +1,149 @@
+-- Lancamentos passam a apontar para o cadastro do cliente/fornecedor e da
+-- unidade. `cliente_fornecedor` e `unidade` continuam como copia do nome para
+-- as telas e para a importacao; quem manda e o id.
+alter table public.lancamentos
+  add column if not exists cliente_fornecedor_id bigint references public.clientes_fornecedores (id),
+  add column if not exists unidade_id bigint references public.unidades (id);
+
+create index if not exists lancamentos_cliente_fornecedor_id_idx
+  on public.lancamentos (cliente_fornecedor_id);
+create index if not exists lancamentos_unidade_id_idx
+  on public.lancamentos (unidade_id);
+
+-- As unidades das listas fixas das telas precisam existir para o vinculo.
+insert into public.unidades (descricao)
+select nome
+from (values ('CNA Angra dos Reis'), ('CNA Mangaratiba'), ('Casa')) as padrao (nome)
+where not exists (
+  select 1 from public.unidades u where lower(trim(u.descricao)) = lower(trim(padrao.nome))
+);
+
+-- Vinculado, o lancamento recebe o nome do cadastro. Sem id, tenta o cadastro
+-- de mesmo nome (sem diferenca de maiusculas); havendo mais de um ou nenhum,
+-- fica para a tela de vinculo.
+create or replace function public.vincular_cadastros_lancamento()
+returns trigger
+language plpgsql
+as $$
+declare
+  tipo_cadastro text := case when new.tipo = 'Entrada' then 'Cliente' else 'Fornecedor' end;
+  encontrados bigint[];
+begin
+  if new.cliente_fornecedor_id is null and coalesce(trim(new.cliente_fornecedor), '') <> '' then
+    select array_agg(cf.id) into encontrados
+    from public.clientes_fornecedores cf
+    where cf.tipo = tipo_cadastro
+      and lower(trim(cf.descricao)) = lower(trim(new.cliente_fornecedor));
+    if cardinality(encontrados) = 1 then
+      new.cliente_fornecedor_id := encontrados[1];
+    end if;
+  end if;
+  if new.cliente_fornecedor_id is not null then
+    select descricao into new.cliente_fornecedor
+    from public.clientes_fornecedores
+    where id = new.cliente_fornecedor_id;
+  end if;
+
+  if new.unidade_id is null and coalesce(trim(new.unidade), '') <> '' then
+    select array_agg(u.id) into encontrados
+    from public.unidades u
+    where lower(trim(u.descricao)) = lower(trim(new.unidade));
+    if cardinality(encontrados) = 1 then
+      new.unidade_id := encontrados[1];
+    end if;
+  end if;
+  if new.unidade_id is not null then
+    select descricao into new.unidade
+    from public.unidades
+    where id = new.unidade_id;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists lancamentos_vincular_cadastros on public.lancamentos;
+create trigger lancamentos_vincular_cadastros
+  before insert or update of cliente_fornecedor, cliente_fornecedor_id, unidade, unidade_id on public.lancamentos
+  for each row execute function public.vincular_cadastros_lancamento();
+
+-- Vinculo inicial: regravar o id vazio dispara o gatilho nos nomes que ja
+-- batem com um cadastro.
+update public.lancamentos
+set cliente_fornecedor_id = null
+where cliente_fornecedor_id is null
+  and exists (
+    select 1 from public.clientes_fornecedores cf
+    where cf.tipo = case when lancamentos.tipo = 'Entrada' then 'Cliente' else 'Fornecedor' end
+      and lower(trim(cf.descricao)) = lower(trim(lancamentos.cliente_fornecedor))
+  );
+
+update public.lancamentos
+set unidade_id = null
+where unidade_id is null
+  and exists (
+    select 1 from public.unidades u
+    where lower(trim(u.descricao)) = lower(trim(lancamentos.unidade))
+  );
+
+-- Nomes ainda sem cadastro, agrupados como foram digitados ou importados.
+create or replace view public.lancamentos_nomes_sem_vinculo
+with (security_invoker = true) as
+select
+  tipo,
+  cliente_fornecedor as nome,
+  count(*) as lancamentos
+from public.lancamentos
+where cliente_fornecedor_id is null
+  and coalesce(trim(cliente_fornecedor), '') <> ''
+group by tipo, cliente_fornecedor;
+
+create or replace view public.lancamentos_unidades_sem_vinculo
+with (security_invoker = true) as
+select
+  unidade as nome,
+  count(*) as lancamentos
+from public.lancamentos
+where unidade_id is null
+  and coalesce(trim(unidade), '') <> ''
+group by unidade;
+
+create or replace view public.clientes_fornecedores_uso
+with (security_invoker = true) as
+select
+  cf.id,
+  cf.tipo,
+  cf.descricao,
+  cf.ativo,
+  (
+    select count(*)
+    from public.lancamentos l
+    where l.cliente_fornecedor_id = cf.id
+  ) as lancamentos,
+  cf.cpf_cnpj,
+  cf.cidade,
+  cf.uf
+from public.clientes_fornecedores cf;
+
+-- O nome do cadastro muda primeiro; o gatilho copia para os lancamentos.
+create or replace function public.renomear_cliente_fornecedor(registro_id public.clientes_fornecedores.id%type, nova_descricao text)
+returns void
+language plpgsql
+as $$
+begin
+  if coalesce(trim(nova_descricao), '') = '' then
+    raise exception 'Informe o nome.';
+  end if;
+
+  update public.clientes_fornecedores
+  set descricao = trim(nova_descricao)
+  where id = registro_id;
+  if not found then
+    raise exception 'Cadastro não encontrado.';
+  end if;
+
+  update public.lancamentos
+  set cliente_fornecedor = trim(nova_descricao)
+  where cliente_fornecedor_id = registro_id;
+end;
+$$;
@@ -0,0 +1,110 @@
+-- Mesclagem de cadastros duplicados: o cadastro mesclado e excluido, mas fica
+-- aqui com todos os dados e com os lancamentos que passaram ao sobrevivente.
+-- Sem chave estrangeira: o sobrevivente pode ser mesclado depois em outro.
+create table if not exists public.clientes_fornecedores_mesclagens (
+  id bigint generated always as identity primary key,
+  sobrevivente_id bigint not null,
+  mesclado_id bigint not null,
+  mesclado jsonb not null,
+  lancamento_ids text[] not null default '{}',
+  usuario_id uuid references auth.users (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists clientes_fornecedores_mesclagens_sobrevivente_idx
+  on public.clientes_fornecedores_mesclagens (sobrevivente_id);
+
+alter table public.clientes_fornecedores_mesclagens enable row level security;
+
+create policy "Usuarios autenticados gerenciam clientes_fornecedores_mesclagens"
+  on public.clientes_fornecedores_mesclagens
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+-- Alunos de cada cadastro, para achar cadastros diferentes do mesmo aluno.
+create or replace view public.clientes_fornecedores_alunos
+with (security_invoker = true) as
+select distinct
+  cliente_fornecedor_id,
+  trim(aluno) as aluno
+from public.lancamentos
+where cliente_fornecedor_id is not null
+  and coalesce(trim(aluno), '') <> '';
+
+-- Tudo numa transacao: os lancamentos dos duplicados passam ao sobrevivente
+-- (o gatilho troca o nome), os dados que faltam no sobrevivente vem dos
+-- duplicados e os duplicados sao excluidos.
+create or replace function public.mesclar_clientes_fornecedores(
+  sobrevivente public.clientes_fornecedores.id%type,
+  duplicados bigint[],
+  usuario uuid default null
+)
+returns void
+language plpgsql
+as $$
+declare
+  principal public.clientes_fornecedores%rowtype;
+  duplicado public.clientes_fornecedores%rowtype;
+  movidos text[];
+begin
+  if sobrevivente = any(duplicados) then
+    raise exception 'O cadastro mantido não pode estar entre os mesclados.';
+  end if;
+
+  select * into principal
+  from public.clientes_fornecedores
+  where id = sobrevivente
+  for update;
+  if not found then
+    raise exception 'Cadastro mantido não encontrado.';
+  end if;
+
+  for duplicado in
+    select * from public.clientes_fornecedores
+    where id = any(duplicados)
+    order by id
+    for update
+  loop
+    if duplicado.tipo <> principal.tipo then
+      raise exception '% é % e não pode ser mesclado com um %.', duplicado.descricao, duplicado.tipo, principal.tipo;
+    end if;
+
+    with atualizados as (
+      update public.lancamentos
+      set cliente_fornecedor_id = sobrevivente
+      where cliente_fornecedor_id = duplicado.id
+      returning id::text
+    )
+    select coalesce(array_agg(id), '{}') into movidos from atualizados;
+
+    insert into public.clientes_fornecedores_mesclagens (sobrevivente_id, mesclado_id, mesclado, lancamento_ids, usuario_id)
+    values (sobrevivente, duplicado.id, to_jsonb(duplicado), movidos, usuario);
+
+    delete from public.clientes_fornecedores where id = duplicado.id;
+
+    update public.clientes_fornecedores
+    set
+      cpf_cnpj = coalesce(cpf_cnpj, duplicado.cpf_cnpj),
+      inscricao_estadual = coalesce(inscricao_estadual, duplicado.inscricao_estadual),
+      email = coalesce(email, duplicado.email),
+      telefone = coalesce(telefone, duplicado.telefone),
+      celular = coalesce(celular, duplicado.celular),
+      chave_pix = coalesce(chave_pix, duplicado.chave_pix),
+      banco = coalesce(banco, duplicado.banco),
+      agencia = coalesce(agencia, duplicado.agencia),
+      conta = coalesce(conta, duplicado.conta),
+      cep = coalesce(cep, duplicado.cep),
+      logradouro = coalesce(logradouro, duplicado.logradouro),
+      numero = coalesce(numero, duplicado.numero),
+      complemento = coalesce(complemento, duplicado.complemento),
+      bairro = coalesce(bairro, duplicado.bairro),
+      cidade = coalesce(cidade, duplicado.cidade),
+      uf = coalesce(uf, duplicado.uf),
+      ativo = ativo or duplicado.ativo,
+      updated_at = now()
+    where id = sobrevivente;
+  end loop;
+end;
+$$;
@@ -0,0 +1,53 @@
+-- Unidades como cadastro unico: todas as telas leem a lista daqui. Unidade
+-- inativa some dos formularios, mas continua nos filtros dos relatorios.
+alter table public.unidades
+  add column if not exists ativo boolean not null default true,
+  add column if not exists cnpj text check (cnpj ~ '^[0-9]{14}$'),
+  add column if not exists updated_at timestamptz;
+
+create unique index if not exists unidades_cnpj_key
+  on public.unidades (cnpj)
+  where cnpj is not null;
+
+-- Contas bancarias e regras de encargos e de pontualidade guardam o nome da
+-- unidade; a troca do nome acompanha todos eles e os lancamentos vinculados.
+create or replace function public.renomear_unidade(registro_id public.unidades.id%type, nova_descricao text)
+returns void
+language plpgsql
+as $$
+declare
+  anterior text;
+begin
+  if coalesce(trim(nova_descricao), '') = '' then
+    raise exception 'Informe o nome da unidade.';
+  end if;
+
+  select descricao into anterior
+  from public.unidades
+  where id = registro_id
+  for update;
+  if not found then
+    raise exception 'Unidade não encontrada.';
+  end if;
+
+  update public.unidades
+  set descricao = trim(nova_descricao), updated_at = now()
+  where id = registro_id;
+
+  update public.lancamentos
+  set unidade = trim(nova_descricao)
+  where unidade_id = registro_id;
+
+  update public.contas_bancarias
+  set unidade = trim(nova_descricao)
+  where unidade = anterior;
+
+  update public.regras_encargos
+  set unidade = trim(nova_descricao)
+  where unidade = anterior;
+
+  update public.regras_desconto_pontual
+  set unidade = trim(nova_descricao)
+  where unidade = anterior;
+end;
+$$;
@@ -0,0 +1,136 @@
+-- Baixas, itens de retorno CNAB, itens de bordero e cheques passam a
+-- referenciar `lancamentos` com o tipo da propria chave, sem conversao nos
+-- joins. `import_run_changes` continua em texto: guarda lancamentos que o
+-- desfazer da importacao remove.
+--
+-- Lancamento com baixa, bordero ou cheque nao pode ser excluido (estorne ou
+-- remova esses registros antes); o item de retorno CNAB fica como registro do
+-- arquivo, sem o vinculo.
+
+drop view if exists public.movimentos_conta;
+
+-- Itens sem lancamento nao tem o que registrar; o retorno CNAB guarda a
+-- ocorrencia mesmo sem o titulo.
+delete from public.bordero_itens i
+where not exists (select 1 from public.lancamentos l where l.id::text = i.lancamento_id);
+
+update public.cnab_retorno_itens i
+set lancamento_id = null
+where lancamento_id is not null
+  and not exists (select 1 from public.lancamentos l where l.id::text = i.lancamento_id);
+
+-- Baixas e cheques orfaos sao dinheiro registrado: em vez de apaga-los aqui,
+-- a migracao para e eles devem ser revistos manualmente.
+do $$
+declare
+  baixas_orfas integer;
+  cheques_orfaos integer;
+begin
+  select count(*) into baixas_orfas
+  from public.baixas b
+  where not exists (select 1 from public.lancamentos l where l.id::text = b.lancamento_id);
+  select count(*) into cheques_orfaos
+  from public.cheques c
+  where not exists (select 1 from public.lancamentos l where l.id::text = c.lancamento_id);
+  if baixas_orfas > 0 or cheques_orfaos > 0 then
+    raise exception '% baixa(s) e % cheque(s) apontam para lançamentos que não existem mais.', baixas_orfas, cheques_orfaos;
+  end if;
+end;
+$$;
+
+-- `lancamentos` foi criada fora destas migracoes: a coluna assume o tipo de
+-- `lancamentos.id`, qualquer que seja.
+do $$
+declare
+  tipo text;
+begin
+  select format_type(atttypid, atttypmod) into tipo
+  from pg_attribute
+  where attrelid = 'public.lancamentos'::regclass
+    and attname = 'id';
+
+  execute format('alter table public.baixas alter column lancamento_id type %s using lancamento_id::%s', tipo, tipo);
+  execute format('alter table public.cnab_retorno_itens alter column lancamento_id type %s using lancamento_id::%s', tipo, tipo);
+  execute format('alter table public.bordero_itens alter column lancamento_id type %s using lancamento_id::%s', tipo, tipo);
+  execute format('alter table public.cheques alter column lancamento_id type %s using lancamento_id::%s', tipo, tipo);
+end;
+$$;
+
+alter table public.baixas
+  add constraint baixas_lancamento_id_fkey
+  foreign key (lancamento_id) references public.lancamentos (id) on delete restrict;
+
+alter table public.cnab_retorno_itens
+  add constraint cnab_retorno_itens_lancamento_id_fkey
+  foreign key (lancamento_id) references public.lancamentos (id) on delete set null;
+
+alter table public.bordero_itens
+  add constraint bordero_itens_lancamento_id_fkey
+  foreign key (lancamento_id) references public.lancamentos (id) on delete restrict;
+
+alter table public.cheques
+  add constraint cheques_lancamento_id_fkey
+  foreign key (lancamento_id) references public.lancamentos (id) on delete restrict;
+
+create or replace view public.movimentos_conta
+with (security_invoker = true) as
+select
+  'baixa-' || b.id as id,
+  b.conta_bancaria_id,
+  b.data_pagamento as data,
+  case when l.tipo = 'Saida' then -b.valor_pago else b.valor_pago end as valor,
+  'baixa'::text as origem,
+  b.id as baixa_id,
+  b.lancamento_id,
+  concat_ws(' - ', l.cliente_fornecedor, l.aluno, l.descricao) as historico,
+  l.unidade,
+  null::bigint as transferencia_id
+from public.baixas b
+join public.lancamentos l on l.id = b.lancamento_id
+where b.conta_bancaria_id is not null
+union all
+select
+  'estorno-' || e.id,
+  b.conta_bancaria_id,
+  e.data,
+  case when l.tipo = 'Saida' then b.valor_pago else -b.valor_pago end,
+  'estorno'::text,
+  b.id,
+  b.lancamento_id,
+  concat_ws(' - ', 'Estorno', l.cliente_fornecedor, l.aluno, l.descricao),
+  l.unidade,
+  null::bigint
+from public.estornos e
+join public.baixas b on b.id = e.baixa_id
+join public.lancamentos l on l.id = b.lancamento_id
+where b.conta_bancaria_id is not null
+union all
+select
+  'transferencia-' || t.id || '-saida',
+  t.conta_origem_id,
+  t.data,
+  -t.valor,
+  'transferencia'::text,
+  null::bigint,
+  (null::public.baixas).lancamento_id,
+  concat_ws(' - ', 'Transferência para ' || destino.descricao, t.obs),
+  origem.unidade,
+  t.id
+from public.transferencias t
+join public.contas_bancarias origem on origem.id = t.conta_origem_id
+join public.contas_bancarias destino on destino.id = t.conta_destino_id
+union all
+select
+  'transferencia-' || t.id || '-entrada',
+  t.conta_destino_id,
+  t.data,
+  t.valor,
+  'transferencia'::text,
+  null::bigint,
+  (null::public.baixas).lancamento_id,
+  concat_ws(' - ', 'Transferência de ' || origem.descricao, t.obs),
+  destino.unidade,
+  t.id
+from public.transferencias t
+join public.contas_bancarias origem on origem.id = t.conta_origem_id
+join public.contas_bancarias destino on destino.id = t.conta_destino_id;
@@ -0,0 +1,89 @@
+-- Titulos marcados como pagos sem baixa (coluna datapag da planilha, o status
+-- escolhido no formulario, o antigo botao Pagar) ganham uma baixa automatica
+-- do saldo que faltava, sem conta bancaria. Assim todo titulo pago pode ser
+-- estornado pela tela de Baixa, com o registro em `estornos`.
+alter table public.baixas
+  add column if not exists automatica boolean not null default false;
+
+-- A baixa automatica e a unica sem conta: nao houve movimento bancario
+-- registrado, so a quitacao do titulo.
+alter table public.baixas
+  drop constraint if exists baixas_conta_bancaria_obrigatoria;
+alter table public.baixas
+  add constraint baixas_conta_bancaria_obrigatoria
+  check (automatica or conta_bancaria_id is not null) not valid;
+
+create or replace function public.baixar_saldo_pago(titulo public.lancamentos)
+returns void
+language plpgsql
+as $$
+declare
+  amortizado numeric;
+begin
+  select coalesce(sum(b.valor_pago - b.juros - b.multa + b.desconto + b.desc_pontual), 0) into amortizado
+  from public.baixas b
+  where b.lancamento_id = titulo.id
+    and not exists (select 1 from public.estornos e where e.baixa_id = b.id);
+
+  if coalesce(titulo.valor, 0) - amortizado > 0.005 then
+    insert into public.baixas (lancamento_id, data_pagamento, valor_pago, obs, automatica)
+    values (
+      titulo.id,
+      coalesce(titulo.datapag, titulo.data, current_date),
+      round(titulo.valor - amortizado, 2),
+      'Título marcado como pago sem baixa registrada',
+      true
+    );
+  end if;
+end;
+$$;
+
+create or replace function public.baixar_titulo_pago()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'Pago' and (tg_op = 'INSERT' or old.status is distinct from 'Pago') then
+    perform public.baixar_saldo_pago(new);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists lancamentos_baixar_titulo_pago on public.lancamentos;
+create trigger lancamentos_baixar_titulo_pago
+  after insert or update of status on public.lancamentos
+  for each row execute function public.baixar_titulo_pago();
+
+select public.baixar_saldo_pago(l)
+from public.lancamentos l
+where l.status = 'Pago';
+
+-- Confere o preenchimento: todo titulo pago precisa estar coberto por baixas.
+do $$
+declare
+  descobertos integer;
+begin
+  select count(*) into descobertos
+  from public.lancamentos l
+  where l.status = 'Pago'
+    and coalesce(l.valor, 0) - (
+      select coalesce(sum(b.valor_pago - b.juros - b.multa + b.desconto + b.desc_pontual), 0)
+      from public.baixas b
+      where b.lancamento_id = l.id
+        and not exists (select 1 from public.estornos e where e.baixa_id = b.id)
+    ) > 0.005;
+
+  if descobertos > 0 then
+    raise exception '% título(s) pagos ficaram sem baixa automática.', descobertos;
+  end if;
+end;
+$$;
+
+alter table public.baixas
+  validate constraint baixas_conta_bancaria_obrigatoria;
+
+-- A importacao nao quita de novo titulos cancelados ou reabertos por estorno;
+-- essas linhas sao contadas a parte.
+alter table public.import_runs
+  add column if not exists conflitos integer not null default 0;
@@ -0,0 +1,44 @@
+-- A troca de nome da unidade alcanca tambem os lancamentos ainda nao
+-- vinculados que guardam o nome anterior; eles ficam vinculados a unidade.
+-- Os filtros por unidade das telas comparam o nome.
+create or replace function public.renomear_unidade(registro_id public.unidades.id%type, nova_descricao text)
+returns void
+language plpgsql
+as $$
+declare
+  anterior text;
+begin
+  if coalesce(trim(nova_descricao), '') = '' then
+    raise exception 'Informe o nome da unidade.';
+  end if;
+
+  select descricao into anterior
+  from public.unidades
+  where id = registro_id
+  for update;
+  if not found then
+    raise exception 'Unidade não encontrada.';
+  end if;
+
+  update public.unidades
+  set descricao = trim(nova_descricao), updated_at = now()
+  where id = registro_id;
+
+  update public.lancamentos
+  set unidade = trim(nova_descricao), unidade_id = registro_id
+  where unidade_id = registro_id
+     or (unidade_id is null and unidade = anterior);
+
+  update public.contas_bancarias
+  set unidade = trim(nova_descricao)
+  where unidade = anterior;
+
+  update public.regras_encargos
+  set unidade = trim(nova_descricao)
+  where unidade = anterior;
+
+  update public.regras_desconto_pontual
+  set unidade = trim(nova_descricao)
+  where unidade = anterior;
+end;
+$$;
@@ -0,0 +1,47 @@
+-- Cliente ou fornecedor inativo nao entra em lancamento novo, venha ele do
+-- formulario, da importacao, do retorno CNAB ou da conciliacao. Lancamentos
+-- antigos continuam vinculados e podem ser editados.
+create or replace function public.vincular_cadastros_lancamento()
+returns trigger
+language plpgsql
+as $$
+declare
+  tipo_cadastro text := case when new.tipo = 'Entrada' then 'Cliente' else 'Fornecedor' end;
+  encontrados bigint[];
+  ativo_cadastro boolean;
+begin
+  if new.cliente_fornecedor_id is null and coalesce(trim(new.cliente_fornecedor), '') <> '' then
+    select array_agg(cf.id) into encontrados
+    from public.clientes_fornecedores cf
+    where cf.tipo = tipo_cadastro
+      and lower(trim(cf.descricao)) = lower(trim(new.cliente_fornecedor));
+    if cardinality(encontrados) = 1 then
+      new.cliente_fornecedor_id := encontrados[1];
+    end if;
+  end if;
+  if new.cliente_fornecedor_id is not null then
+    select descricao, ativo into new.cliente_fornecedor, ativo_cadastro
+    from public.clientes_fornecedores
+    where id = new.cliente_fornecedor_id;
+    if tg_op = 'INSERT' and not ativo_cadastro then
+      raise exception '% está inativo no cadastro e não pode ser usado em novos lançamentos.', new.cliente_fornecedor;
+    end if;
+  end if;
+
+  if new.unidade_id is null and coalesce(trim(new.unidade), '') <> '' then
+    select array_agg(u.id) into encontrados
+    from public.unidades u
+    where lower(trim(u.descricao)) = lower(trim(new.unidade));
+    if cardinality(encontrados) = 1 then
+      new.unidade_id := encontrados[1];
+    end if;
+  end if;
+  if new.unidade_id is not null then
+    select descricao into new.unidade
+    from public.unidades
+    where id = new.unidade_id;
+  end if;
+
+  return new;
+end;
+$$;
@@ -0,0 +1,41 @@
+-- Reabrir um periodo conciliado nao apaga mais o registro: ele guarda quem
+-- reabriu e quando, e deixa de travar os movimentos da conta.
+alter table public.conciliacao_periodos
+  add column if not exists reaberto_em timestamptz,
+  add column if not exists reaberto_por uuid references auth.users (id);
+
+create or replace function public.periodo_conciliado(conta bigint, dia date)
+returns boolean
+language sql
+stable
+as $$
+  select exists (
+    select 1
+    from public.conciliacao_periodos p
+    where p.conta_bancaria_id = conta
+      and p.reaberto_em is null
+      and dia between p.inicio and p.fim
+  );
+$$;
+
+-- O historico de fechamentos nao pode ser excluido, e um periodo reaberto
+-- nao volta a ser alterado (um novo fechamento cria outro registro).
+create or replace function public.proteger_periodo_conciliado()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'DELETE' then
+    raise exception 'Períodos conciliados não podem ser excluídos; reabra o período.';
+  end if;
+  if old.reaberto_em is not null then
+    raise exception 'O período de % a % já foi reaberto.', to_char(old.inicio, 'DD/MM/YYYY'), to_char(old.fim, 'DD/MM/YYYY');
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists conciliacao_periodos_historico on public.conciliacao_periodos;
+create trigger conciliacao_periodos_historico
+  before update or delete on public.conciliacao_periodos
+  for each row execute function public.proteger_periodo_conciliado();
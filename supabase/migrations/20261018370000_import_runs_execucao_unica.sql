@@ -0,0 +1,19 @@
+-- Lock das importacoes no banco: no maximo uma execucao `em_andamento` por
+-- vez, seja manual, por upload ou agendada. A Edge Function recusa a nova
+-- execucao quando o insert viola o indice e, antes de tentar, encerra como
+-- erro as execucoes abertas ha mais de 30 minutos (funcao interrompida).
+
+-- Execucoes abertas que a funcao nunca finalizou impediriam o indice.
+update public.import_runs
+set status = 'erro',
+    mensagem = 'Execução interrompida sem finalizar.',
+    finalizado_em = now()
+where status = 'em_andamento'
+  and (
+    iniciado_em < now() - interval '30 minutes'
+    or id <> (select max(id) from public.import_runs where status = 'em_andamento')
+  );
+
+create unique index if not exists import_runs_uma_em_andamento
+  on public.import_runs ((status))
+  where status = 'em_andamento';
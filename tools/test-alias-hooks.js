@@ -0,0 +1,25 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { transform } from 'esbuild';
+
+const SRC = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src');
+
+// `@/lib/x` vira `src/lib/x.js`; o Vite resolve a extensao, o Node nao.
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('@/')) {
+    const alvo = path.join(SRC, specifier.slice(2));
+    return nextResolve(pathToFileURL(path.extname(alvo) ? alvo : `${alvo}.js`).href, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+// Os modulos das Edge Functions (Deno) sao TypeScript; o esbuild so remove os tipos.
+export async function load(url, context, nextLoad) {
+  if (url.startsWith('file:') && url.endsWith('.ts')) {
+    const arquivo = fileURLToPath(url);
+    const { code } = await transform(await readFile(arquivo, 'utf8'), { loader: 'ts', format: 'esm', sourcefile: arquivo });
+    return { format: 'module', source: code, shortCircuit: true };
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,6 @@
+// Registra o alias `@/` do Vite (apontando para `src/`) para os testes de
+// `node --test` que importam modulos do front-end, e a leitura dos modulos
+// TypeScript das Edge Functions.
+import { register } from 'node:module';
+
+register('./test-alias-hooks.js', import.meta.url);